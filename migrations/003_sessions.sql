@@ -0,0 +1,23 @@
+-- 003_sessions.sql
+-- Employee login sessions used by /api/auth/* (see server.ts "Authentication" section).
+-- Only the SHA-256 hash of each refresh token is stored; access tokens are stateless
+-- but are rejected once their session is revoked (logout) or expired.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id            TEXT PRIMARY KEY,
+  employee_id   BIGINT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  refresh_hash  TEXT NOT NULL,
+  user_agent    TEXT,
+  ip            TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at    TIMESTAMPTZ NOT NULL,
+  revoked_at    TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS sessions_refresh_hash_idx ON sessions (refresh_hash);
+CREATE INDEX IF NOT EXISTS sessions_employee_idx ON sessions (employee_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,28 @@
+-- 004_work_notes.sql
+-- Notes attached to an employee, shown in the staff panel (see server.ts "Employees endpoints").
+-- author_id / author_username record who wrote the note; the username is kept so the
+-- stamp survives if the author account is later deleted.
+-- Safe to run multiple times.
+
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS phone TEXT;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS address TEXT;
+ALTER TABLE employees ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+
+CREATE TABLE IF NOT EXISTS work_notes (
+  id               BIGSERIAL PRIMARY KEY,
+  employee_id      BIGINT NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  note             TEXT NOT NULL,
+  author_id        BIGINT REFERENCES employees(id) ON DELETE SET NULL,
+  author_username  TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS work_notes_employee_idx ON work_notes (employee_id, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS work_notes;
+
+ALTER TABLE employees DROP COLUMN IF EXISTS phone;
+ALTER TABLE employees DROP COLUMN IF EXISTS address;
+ALTER TABLE employees DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,44 @@
+-- 005_lookup_jobs.sql
+-- Asynchronous bulk-lookup jobs (see src/lookup-jobs.ts and /api/lookup-jobs in server.ts).
+-- One lookup_jobs row per submission, one lookup_job_items row per account with its own status,
+-- so a job can report progress, serve partial results and resume after a restart.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS lookup_jobs (
+  id           TEXT PRIMARY KEY,
+  sku          TEXT NOT NULL,
+  status       TEXT NOT NULL DEFAULT 'running',   -- running | completed | cancelled
+  total        INTEGER NOT NULL DEFAULT 0,
+  ok           INTEGER NOT NULL DEFAULT 0,
+  failed       INTEGER NOT NULL DEFAULT 0,
+  cancelled    INTEGER NOT NULL DEFAULT 0,
+  seq          INTEGER NOT NULL DEFAULT 0,        -- last item sequence number handed out
+  created_by   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS lookup_jobs_status_idx ON lookup_jobs (status);
+CREATE INDEX IF NOT EXISTS lookup_jobs_created_idx ON lookup_jobs (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS lookup_job_items (
+  job_id      TEXT NOT NULL REFERENCES lookup_jobs(id) ON DELETE CASCADE,
+  idx         INTEGER NOT NULL,                   -- position in the submitted list
+  account     TEXT NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'pending',    -- pending | running | ok | failed | cancelled
+  attempts    INTEGER NOT NULL DEFAULT 0,
+  seq         INTEGER,                            -- completion order within the job
+  result      JSONB,
+  error       TEXT,
+  updated_at  TIMESTAMPTZ,
+  PRIMARY KEY (job_id, idx)
+);
+
+CREATE INDEX IF NOT EXISTS lookup_job_items_status_idx ON lookup_job_items (job_id, status);
+CREATE INDEX IF NOT EXISTS lookup_job_items_seq_idx ON lookup_job_items (job_id, seq);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS lookup_job_items;
+DROP TABLE IF EXISTS lookup_jobs;
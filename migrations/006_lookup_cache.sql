@@ -0,0 +1,23 @@
+-- 006_lookup_cache.sql
+-- Cache of normalized CheckBill answers keyed `${sku}::${account}` (see src/lookup-cache.ts).
+-- Rows past expires_at are ignored on read and purged hourly by server.ts.
+-- Also records whether a lookup job bypasses the cache (lookup_jobs.fresh).
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS lookup_cache (
+  key         TEXT PRIMARY KEY,
+  result      JSONB NOT NULL,
+  has_debt    BOOLEAN NOT NULL DEFAULT false,
+  cached_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS lookup_cache_expires_idx ON lookup_cache (expires_at);
+
+ALTER TABLE lookup_jobs ADD COLUMN IF NOT EXISTS fresh BOOLEAN NOT NULL DEFAULT false;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS lookup_cache;
+
+ALTER TABLE lookup_jobs DROP COLUMN IF EXISTS fresh;
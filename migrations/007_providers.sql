@@ -0,0 +1,30 @@
+-- 007_providers.sql
+-- Provider / SKU catalog (see src/providers.ts). Lookups against unknown or disabled SKUs are rejected.
+-- account_pattern is a regular expression matched against the whole contract number (NULL = any).
+-- concurrency / timeout_ms override NEW_API_CONCURRENCY / NEW_API_TIMEOUT_MS for that provider.
+-- Seeds the five electricity SKUs that used to be hard-coded in index.html.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS providers (
+  sku              TEXT PRIMARY KEY,
+  name             TEXT NOT NULL,
+  region           TEXT,
+  enabled          BOOLEAN NOT NULL DEFAULT true,
+  account_pattern  TEXT,
+  concurrency      INTEGER CHECK (concurrency IS NULL OR concurrency > 0),
+  timeout_ms       INTEGER CHECK (timeout_ms IS NULL OR timeout_ms > 0),
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO providers (sku, name, region) VALUES
+  ('00906815', 'Điện lực miền Nam', 'Miền Nam'),
+  ('00906819', 'Điện lực miền Bắc', 'Miền Bắc'),
+  ('00906818', 'Điện EVNHCMC', 'TP. Hồ Chí Minh'),
+  ('00906820', 'Điện EVN Hà Nội', 'Hà Nội'),
+  ('00906817', 'Điện An Giang', 'An Giang')
+ON CONFLICT (sku) DO NOTHING;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS providers;
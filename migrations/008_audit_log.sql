@@ -0,0 +1,43 @@
+-- 008_audit_log.sql
+-- Append-only audit trail written by src/audit.ts: who imported, updated, removed or sold which bill,
+-- and who created or edited members and employees.
+-- keys holds the affected bill keys (`${provider_id}::${account}`) or entity refs (member:<id>, employee:<id>);
+-- before / after hold the row values around the change (no raw upstream payload, no password_hash).
+-- UPDATE, DELETE and TRUNCATE are rejected by triggers; only `npm run migrate:down` drops the table.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id              BIGSERIAL PRIMARY KEY,
+  at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+  actor_id        TEXT,
+  actor_username  TEXT,
+  ip              TEXT,
+  action          TEXT NOT NULL,                   -- kho.import | kho.update | kho.remove | sell | member.* | employee.*
+  keys            TEXT[] NOT NULL DEFAULT '{}',
+  before          JSONB,
+  after           JSONB
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_at_idx ON audit_log (at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (lower(actor_username), at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action, at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_keys_idx ON audit_log USING GIN (keys);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;
+CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- migrate:down
+
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
@@ -0,0 +1,27 @@
+-- 009_history_reversal.sql
+-- Sale reversal (history.reverse() in src/repository.ts, POST /api/history/reverse).
+-- sale_id groups the rows of one /api/sell call so a whole sale can be reversed at once; rows sold
+-- before this migration have none and are reversed by id.
+-- A reversed row is kept and marked (reversed_at, reversed_by_*, reversal_reason); the bill goes back to
+-- kho with its original nhapAt. History lists and exports skip reversed rows unless asked for them.
+-- Safe to run multiple times.
+
+ALTER TABLE history ADD COLUMN IF NOT EXISTS sale_id TEXT;
+ALTER TABLE history ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ;
+ALTER TABLE history ADD COLUMN IF NOT EXISTS reversed_by_id TEXT;
+ALTER TABLE history ADD COLUMN IF NOT EXISTS reversed_by_username TEXT;
+ALTER TABLE history ADD COLUMN IF NOT EXISTS reversal_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS history_sale_idx ON history (sale_id) WHERE sale_id IS NOT NULL;
+-- default history listing (reversed rows excluded), newest first
+CREATE INDEX IF NOT EXISTS history_active_soldat_idx ON history (soldAt DESC NULLS LAST, key) WHERE reversed_at IS NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS history_active_soldat_idx;
+DROP INDEX IF EXISTS history_sale_idx;
+ALTER TABLE history DROP COLUMN IF EXISTS reversal_reason;
+ALTER TABLE history DROP COLUMN IF EXISTS reversed_by_username;
+ALTER TABLE history DROP COLUMN IF EXISTS reversed_by_id;
+ALTER TABLE history DROP COLUMN IF EXISTS reversed_at;
+ALTER TABLE history DROP COLUMN IF EXISTS sale_id;
@@ -0,0 +1,36 @@
+-- 010_pricing.sql
+-- Sale pricing (see src/pricing.ts): rules per member and/or provider, and the price stored on each sold bill.
+-- A rule with neither member_id nor provider_id is the default. NULL discount_rate / fee means
+-- "take it from the next less specific rule".
+-- history gets discount_rate, fee, sale_price (what the Khách Hàng Thẻ pays), margin (sale_price - total)
+-- and the seller's note; rows sold before this migration keep NULLs.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id             BIGSERIAL PRIMARY KEY,
+  member_id      TEXT,
+  provider_id    TEXT,
+  discount_rate  NUMERIC(6,4) CHECK (discount_rate IS NULL OR (discount_rate >= 0 AND discount_rate < 1)),
+  fee            NUMERIC(14,0) CHECK (fee IS NULL OR fee >= 0),
+  note           TEXT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- one rule per scope; COALESCE so the NULL (= any) scopes are unique too
+CREATE UNIQUE INDEX IF NOT EXISTS pricing_rules_scope_key ON pricing_rules (COALESCE(member_id, ''), COALESCE(provider_id, ''));
+
+ALTER TABLE history ADD COLUMN IF NOT EXISTS discount_rate NUMERIC(6,4);
+ALTER TABLE history ADD COLUMN IF NOT EXISTS fee NUMERIC(14,0);
+ALTER TABLE history ADD COLUMN IF NOT EXISTS sale_price NUMERIC(14,0);
+ALTER TABLE history ADD COLUMN IF NOT EXISTS margin NUMERIC(14,0);
+ALTER TABLE history ADD COLUMN IF NOT EXISTS note TEXT;
+
+-- migrate:down
+
+ALTER TABLE history DROP COLUMN IF EXISTS note;
+ALTER TABLE history DROP COLUMN IF EXISTS margin;
+ALTER TABLE history DROP COLUMN IF EXISTS sale_price;
+ALTER TABLE history DROP COLUMN IF EXISTS fee;
+ALTER TABLE history DROP COLUMN IF EXISTS discount_rate;
+DROP TABLE IF EXISTS pricing_rules;
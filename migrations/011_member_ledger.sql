@@ -0,0 +1,34 @@
+-- 011_member_ledger.sql
+-- Per-member account ledger (src/ledger.ts): what each Khách Hàng Thẻ owes us.
+-- amount > 0 is a debit (the member owes more), amount < 0 a credit:
+--   sale       +amount due of one /api/sell call (one row per member and sale_id)
+--   reversal   -sale_price of the reversed history rows (one row per member and reversal)
+--   payment    -amount paid, recorded by staff
+--   adjustment signed correction with a mandatory note
+-- The balance is SUM(amount). members.credit_limit (NULL = no limit) blocks sales that would take the
+-- balance above it.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS member_ledger (
+  id              BIGSERIAL PRIMARY KEY,
+  member_id       TEXT NOT NULL,
+  at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+  kind            TEXT NOT NULL CHECK (kind IN ('sale', 'reversal', 'payment', 'adjustment')),
+  amount          NUMERIC(14,0) NOT NULL CHECK (amount <> 0),
+  sale_id         TEXT,
+  note            TEXT,
+  actor_id        TEXT,
+  actor_username  TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS member_ledger_member_at_idx ON member_ledger (member_id, at, id);
+-- a sale is debited once, even if posting is retried
+CREATE UNIQUE INDEX IF NOT EXISTS member_ledger_sale_key ON member_ledger (member_id, sale_id) WHERE kind = 'sale';
+
+ALTER TABLE members ADD COLUMN IF NOT EXISTS credit_limit NUMERIC(14,0) CHECK (credit_limit IS NULL OR credit_limit >= 0);
+
+-- migrate:down
+
+ALTER TABLE members DROP COLUMN IF EXISTS credit_limit;
+DROP TABLE IF EXISTS member_ledger;
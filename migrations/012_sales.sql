@@ -0,0 +1,35 @@
+-- 012_sales.sql
+-- Sales as records (sales.list() / sales.get() in src/repository.ts, /api/sales and its receipts).
+-- A sale is the set of history rows of one /api/sell call, grouped by sale_id. Rows sold before 009 have
+-- no sale_id; they were written with one soldAt per call, so (member_id, soldAt) identifies their sale
+-- and they get sale_id 'legacy-' || md5(member_id || soldAt).
+-- The `sales` view is what the Supabase backend reads; the Postgres backend groups the same way in its query.
+-- Amounts leave reversed rows out (reversed_count says how many there are).
+-- Safe to run multiple times.
+
+UPDATE history
+   SET sale_id = 'legacy-' || md5(COALESCE(member_id, '') || '|' || soldat::text)
+ WHERE sale_id IS NULL AND soldat IS NOT NULL;
+
+CREATE OR REPLACE VIEW sales AS
+SELECT sale_id,
+       MIN(soldat) AS soldat,
+       MIN(member_id) AS member_id,
+       MIN(member_name) AS member_name,
+       MIN(employee_id) AS employee_id,
+       MIN(employee_username) AS employee_username,
+       MIN(note) AS note,
+       COUNT(*) FILTER (WHERE reversed_at IS NULL) AS count,
+       COUNT(*) FILTER (WHERE reversed_at IS NOT NULL) AS reversed_count,
+       COALESCE(SUM(total) FILTER (WHERE reversed_at IS NULL), 0) AS total,
+       COALESCE(SUM(COALESCE(fee, 0)) FILTER (WHERE reversed_at IS NULL), 0) AS fee,
+       COALESCE(SUM(COALESCE(sale_price, total)) FILTER (WHERE reversed_at IS NULL), 0) AS amount_due,
+       COALESCE(SUM(COALESCE(margin, 0)) FILTER (WHERE reversed_at IS NULL), 0) AS margin
+  FROM history
+ WHERE sale_id IS NOT NULL
+ GROUP BY sale_id;
+
+-- migrate:down
+
+DROP VIEW IF EXISTS sales;
+UPDATE history SET sale_id = NULL WHERE sale_id LIKE 'legacy-%';
@@ -0,0 +1,26 @@
+-- 013_kho_verification.sql
+-- Re-verification of KHO bills against the gateway (src/kho-verify.ts, POST /api/kho/verify, and /api/sell
+-- before it sells bills not checked recently).
+-- last_verified_at is when the bill was last re-queried; verify_status what that answer meant:
+--   ok       same total as the KHO row
+--   paid     the gateway reports nothing left to pay (paid elsewhere)
+--   changed  a different total (verified_total holds the new one)
+--   error    the lookup failed (verify_error holds why)
+-- A re-import clears the four columns: the row is a new snapshot.
+-- Safe to run multiple times.
+
+ALTER TABLE kho ADD COLUMN IF NOT EXISTS last_verified_at TIMESTAMPTZ;
+ALTER TABLE kho ADD COLUMN IF NOT EXISTS verify_status TEXT;
+ALTER TABLE kho ADD COLUMN IF NOT EXISTS verified_total NUMERIC(14,0);
+ALTER TABLE kho ADD COLUMN IF NOT EXISTS verify_error TEXT;
+
+-- "not verified in N hours" filter (?unverified_hours on the KHO list, the verification pass)
+CREATE INDEX IF NOT EXISTS kho_last_verified_idx ON kho (last_verified_at NULLS FIRST);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS kho_last_verified_idx;
+ALTER TABLE kho DROP COLUMN IF EXISTS verify_error;
+ALTER TABLE kho DROP COLUMN IF EXISTS verified_total;
+ALTER TABLE kho DROP COLUMN IF EXISTS verify_status;
+ALTER TABLE kho DROP COLUMN IF EXISTS last_verified_at;
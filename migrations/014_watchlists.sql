@@ -0,0 +1,60 @@
+-- 014_watchlists.sql
+-- Saved account lists re-checked on demand or on a schedule (see src/watchlists.ts and /api/watchlists in server.ts).
+-- One watchlists row per named list (one SKU, its accounts, labels, owner, optional schedule), one
+-- watchlist_runs row per re-check and one watchlist_run_items row per account of that run: the snapshot,
+-- with what changed against the previous run (change) and the total it was compared with (previous_total).
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS watchlists (
+  id           TEXT PRIMARY KEY,
+  name         TEXT NOT NULL,
+  sku          TEXT NOT NULL,
+  accounts     TEXT[] NOT NULL DEFAULT '{}',
+  labels       TEXT[] NOT NULL DEFAULT '{}',
+  owner        TEXT,                               -- employee username
+  schedule     JSONB,                              -- { every: 'day' | 'month', at: 'HH:MM', days?: [1..31] }; NULL = manual only
+  push_to_kho  BOOLEAN NOT NULL DEFAULT false,     -- newly found debts go into KHO after each run
+  next_run_at  TIMESTAMPTZ,                        -- next scheduled run; NULL without a schedule
+  last_run_at  TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS watchlists_next_run_idx ON watchlists (next_run_at) WHERE next_run_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS watchlist_runs (
+  id            TEXT PRIMARY KEY,
+  watchlist_id  TEXT NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+  trigger       TEXT NOT NULL,                     -- manual | schedule
+  status        TEXT NOT NULL DEFAULT 'running',   -- running | completed | failed
+  total         INTEGER NOT NULL DEFAULT 0,
+  counts        JSONB NOT NULL DEFAULT '{}',       -- per change: new_debt, changed, cleared, unchanged, no_debt, failed
+  debt_total    NUMERIC(14,0) NOT NULL DEFAULT 0,  -- sum of the totals found
+  kho_pushed    INTEGER,                           -- bills pushed into KHO; NULL = push not asked
+  error         TEXT,
+  created_by    TEXT,
+  started_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at   TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS watchlist_runs_list_idx ON watchlist_runs (watchlist_id, started_at DESC);
+
+CREATE TABLE IF NOT EXISTS watchlist_run_items (
+  run_id          TEXT NOT NULL REFERENCES watchlist_runs(id) ON DELETE CASCADE,
+  account         TEXT NOT NULL,
+  status          TEXT NOT NULL,                   -- ok | failed
+  change          TEXT NOT NULL,                   -- new_debt | changed | cleared | unchanged | no_debt | failed
+  total           NUMERIC(14,0),                   -- NULL when the lookup failed
+  previous_total  NUMERIC(14,0),                   -- last known total before this run (carried over failed runs)
+  name            TEXT,
+  address         TEXT,
+  bill            JSONB,                           -- normalized lookup answer (src/gateways.ts)
+  error           TEXT,
+  PRIMARY KEY (run_id, account)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS watchlist_run_items;
+DROP TABLE IF EXISTS watchlist_runs;
+DROP TABLE IF EXISTS watchlists;
@@ -0,0 +1,43 @@
+-- 015_carts.sql
+-- Sales carts with time-limited holds on KHO bills (src/carts.ts, /api/carts in server.ts).
+-- A seller gathers bills for one member in an open cart; every bill added gets a kho_holds row that keeps
+-- other sellers (their carts, /api/sell, select-by-target) off it until expires_at. Adding bills or
+-- extending the cart pushes expires_at of all its holds forward. An expired hold is ignored by everyone
+-- and may be taken over by another cart.
+-- Confirming sells the cart's bills in one transaction (repository sell() with cart_id) and drops all its
+-- holds; releasing drops them without selling. At most one open cart per seller and member.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS carts (
+  id            TEXT PRIMARY KEY,
+  member_id     TEXT NOT NULL,
+  seller        TEXT NOT NULL,                      -- employee username
+  seller_id     TEXT,
+  keys          TEXT[] NOT NULL DEFAULT '{}',       -- bills added, in order; a key whose hold another cart took stays listed
+  target_total  NUMERIC(14,0),                      -- amount the seller is aiming for; NULL = none
+  note          TEXT,
+  status        TEXT NOT NULL DEFAULT 'open',       -- open | confirmed | released
+  expires_at    TIMESTAMPTZ NOT NULL,               -- when the holds of an open cart lapse
+  sale_id       TEXT,                               -- set when confirmed (history.sale_id)
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  closed_at     TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS carts_open_idx ON carts (seller, member_id) WHERE status = 'open';
+
+-- One hold per KHO key; no foreign key to kho: a hold on a bill that left KHO is reported as not_in_kho
+CREATE TABLE IF NOT EXISTS kho_holds (
+  key         TEXT PRIMARY KEY,
+  cart_id     TEXT NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  held_by     TEXT,
+  expires_at  TIMESTAMPTZ NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS kho_holds_cart_idx ON kho_holds (cart_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS kho_holds;
+DROP TABLE IF EXISTS carts;
@@ -0,0 +1,25 @@
+-- 016_idempotency_keys.sql
+-- Stored answers of requests sent with an Idempotency-Key header (src/idempotency.ts): sell, KHO import / remove,
+-- member creation. One row per route (scope), employee (actor) and key. status_code stays NULL while the first
+-- request runs; a retry with the same body then gets response back, another body is refused.
+-- Rows past expires_at are ignored and purged; a pending row older than IDEMPOTENCY_LOCK_SEC may be taken over.
+-- Safe to run multiple times.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope        TEXT NOT NULL,                       -- route, e.g. 'POST /api/sell'
+  actor        TEXT NOT NULL DEFAULT '',            -- employee username
+  key          TEXT NOT NULL,
+  fingerprint  TEXT NOT NULL,                       -- SHA-256 of the validated request body
+  status_code  INTEGER,                             -- NULL = still running
+  response     JSONB,
+  locked_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at   TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (scope, actor, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx ON idempotency_keys (expires_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS idempotency_keys;
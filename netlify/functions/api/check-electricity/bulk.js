@@ -9,6 +9,9 @@ export const config = { runtime: "edge" };
  * - NEW_API_TIMEOUT_MS, NEW_API_MAX_RETRIES, NEW_API_CONCURRENCY
  * - SKIP_AUTH (set "true" to bypass auth for dev)
  * - LOG_LEVEL
+ *
+ * Edge runtime copy: it cannot import the TypeScript sources, so it talks to CheckBill Pro directly.
+ * Keep its request/response handling in sync with the 'checkbill' adapter in src/gateways.ts.
  */
 export async function onRequestPost({ request, env }) {
   const headersJson = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
@@ -0,0 +1,57 @@
+/**
+ * netlify/functions/auth-ticket.ts
+ *
+ * Netlify Function counterpart of POST /api/auth/ticket (the frontend calls /.netlify/functions/auth-ticket).
+ * - Body: { path } — an event stream or receipt path (LINK_TICKET_PATH in src/auth.ts), e.g. /api/sales/{id}/receipt
+ * - Returns { ticket, path, expires_in }: pass it as ?ticket= on that path; it opens nothing else and lives
+ *   LINK_TICKET_TTL_SEC seconds. With SKIP_AUTH=true no ticket is needed (ticket: null).
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders, readBearer, signLinkTicket, verifyAccessToken } from '../../src/auth.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+
+function logError(...args: any[]) { console.error('[auth-ticket]', ...args); }
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    let body: any = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (err) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    const checked = checkRequest(API_ROUTES['POST /api/auth/ticket'], { body });
+    if (!checked.ok) return { statusCode: checked.status, body: JSON.stringify(checked.body) };
+    const { path } = checked.body as { path: string };
+
+    const claims = verifyAccessToken(readBearer(event.headers?.authorization || event.headers?.Authorization) || '');
+    const signed = claims ? signLinkTicket(claims, path) : null;
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(signed
+        ? { ticket: signed.ticket, path, expires_in: signed.claims.exp - signed.claims.iat }
+        : { ticket: null, path, expires_in: 0 })
+    };
+  } catch (err: any) {
+    logError('Handler error', err?.stack ?? err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err?.message ?? 'Internal error' })
+    };
+  }
+};
+
+export { handler };
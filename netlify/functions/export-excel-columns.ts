@@ -0,0 +1,8 @@
+/**
+ * netlify/functions/export-excel-columns.ts
+ *
+ * GET /api/export-excel/columns for the frontend's Netlify mode, which calls /.netlify/functions/export-excel-columns.
+ * Same handler as export-excel.ts.
+ */
+
+export { handler } from './export-excel.js';
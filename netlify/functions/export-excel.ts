@@ -0,0 +1,91 @@
+/**
+ * netlify/functions/export-excel.ts
+ *
+ * Netlify Function counterpart of /api/export-excel (src/exports.ts).
+ * Supports:
+ *  - GET /           ?dataset=kho|history|members, columns, sheets, limit + the list filters -> .xlsx (base64)
+ *  - GET /columns    column / sheet catalogue (the frontend's Netlify mode calls export-excel-columns,
+ *                    which re-exports this handler)
+ *
+ * Auth:
+ *  - 'export' plus the dataset's view permission (kho.view, history.view, members.view).
+ *
+ * Netlify Functions answer with one buffered body (about 6 MB, less after base64), so the streamed workbook is
+ * collected in memory and a workbook over EXPORT_NETLIFY_MAX_BYTES is refused with 413: narrow the filters,
+ * pick fewer columns or use the Express server, which streams without that limit.
+ *
+ * Persistence: Supabase REST when SUPABASE_URL + SUPABASE_SERVICE_ROLE are set, otherwise the shared in-memory store.
+ */
+
+import { Handler } from '@netlify/functions';
+import { PassThrough } from 'stream';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createRepository } from '../../src/repository.js';
+import { createLedger } from '../../src/ledger.js';
+import { createProviderCatalog } from '../../src/providers.js';
+import { planExport, writeExport, exportCatalog, exportFileName, ExportError, EXPORT_VIEW_PERMISSION } from '../../src/exports.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const EXPORT_NETLIFY_MAX_BYTES = Number(process.env.EXPORT_NETLIFY_MAX_BYTES || 4.5 * 1024 * 1024);
+
+function logInfo(...args: any[]) { console.log('[export-excel]', ...args); }
+function logError(...args: any[]) { console.error('[export-excel]', ...args); }
+
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
+const repo = createRepository({ pool: null, supabase });
+const ledger = createLedger({ pool: null, supabase });
+const providers = createProviderCatalog({ pool: null, supabase });
+
+function jsonResponse(status: number, payload: any) {
+  return { statusCode: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET') return jsonResponse(405, { error: 'Method not allowed' });
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) return jsonResponse(401, { error: 'Unauthorized' });
+    if (!can(actor.role, 'export')) return jsonResponse(403, forbiddenBody('export'));
+
+    if (/[\/-]columns\/?$/.test(event.path || '')) return jsonResponse(200, exportCatalog());
+
+    const checked = checkRequest(API_ROUTES['GET /api/export-excel'], { query: event.queryStringParameters || {} });
+    if (!checked.ok) return jsonResponse(checked.status, checked.body);
+    const plan = planExport(checked.query);
+    const needed = EXPORT_VIEW_PERMISSION[plan.dataset];
+    if (!can(actor.role, needed)) return jsonResponse(403, forbiddenBody(needed));
+
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+    const sink = new PassThrough();
+    const chunks: Buffer[] = [];
+    let size = 0;
+    sink.on('data', (c: Buffer) => { chunks.push(c); size += c.length; });
+    const ended = new Promise(resolve => sink.on('end', resolve));
+    const { rows, truncated } = await writeExport(plan, { repo, ledger, providerNames }, sink);
+    await ended;
+    logInfo('Export', { dataset: plan.dataset, rows, truncated, bytes: size, by: actor.username });
+
+    if (size > EXPORT_NETLIFY_MAX_BYTES) {
+      return jsonResponse(413, { error: `Export is ${size} bytes, over the ${EXPORT_NETLIFY_MAX_BYTES} a function can return; narrow the filters or choose fewer columns`, code: 'too_large' });
+    }
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${exportFileName(plan)}"`
+      },
+      body: Buffer.concat(chunks).toString('base64'),
+      isBase64Encoded: true
+    };
+  } catch (err: any) {
+    if (err instanceof ExportError) return jsonResponse(400, { error: err.message, code: err.code });
+    logError('Handler error', err?.message || err);
+    return jsonResponse(500, { error: err?.message || 'Internal error' });
+  }
+};
+
+export { handler };
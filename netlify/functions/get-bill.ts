@@ -3,8 +3,11 @@
  *
  * Netlify Function (Edge/Node) style handler for single CheckBill Pro request.
  * - Purpose: call CheckBill Pro /check-electricity endpoint securely from serverless env
- * - Usage: POST body { contract_number: string, sku: string }
- * - Returns: upstream JSON (raw) and normalized object under `normalized`
+ * - Usage: POST body { contract_number: string, sku: string, fresh?: boolean }
+ * - Returns: upstream JSON (raw) and normalized object under `normalized`, plus cached / cache_age_sec
+ * - Answers are cached per warm instance by `${sku}::${account}`; fresh=true bypasses the cache
+ * - Upstream calls go through the gateway adapters in src/gateways.ts (CheckBill Pro + optional secondary
+ *   for failover, each behind a rate limiter / circuit breaker); 503 while every breaker is open
  *
  * Notes:
  * - Keep this function small and focused: single-request proxy with timeout, retry/backoff, and input validation.
@@ -16,20 +19,26 @@
  * - NEW_API_PATH (/check-electricity)
  * - NEW_API_TIMEOUT_MS (optional, default 30000)
  * - NEW_API_MAX_RETRIES (optional, default 3)
+ * - GATEWAY_SECONDARY_BASE_URL / GATEWAY_SECONDARY_PATH (optional failover gateway)
  * - LOG_LEVEL (optional) - 'debug'|'info'|'warn'|'error'
  *
  * Example response:
  * {
  *   "raw": { ...upstream response... },
- *   "normalized": { key, provider_id, account, name, address, amount_current, total, amount_previous, raw }
+ *   "normalized": { key, provider_id, account, name, address, amount_current, total, amount_previous, raw, gateway },
+ *   "gateway": "checkbill"
  * }
  */
 
 import { Handler } from '@netlify/functions'; // If using Netlify Functions runtime
 // If you're using Deno-based Edge functions, replace imports and handler signature as needed.
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createLookupCache } from '../../src/lookup-cache.js';
+import { UpstreamUnavailableError } from '../../src/upstream-governor.js';
+import { createGatewayClient } from '../../src/gateways.js';
+import { createProviderCatalog } from '../../src/providers.js';
 
-const NEW_API_BASE_URL = process.env.NEW_API_BASE_URL || 'https://bill.7ty.vn/api';
-const NEW_API_PATH = process.env.NEW_API_PATH || '/check-electricity';
 const NEW_API_TIMEOUT_MS = Number(process.env.NEW_API_TIMEOUT_MS || 30000);
 const NEW_API_MAX_RETRIES = Number(process.env.NEW_API_MAX_RETRIES || 3);
 const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
@@ -47,108 +56,19 @@ function logError(...args: any[]) {
   console.error('[get-bill]', ...args);
 }
 
-function sleep(ms: number) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Lookup cache kept for the lifetime of a warm instance (no Postgres pool here; see src/lookup-cache.ts)
+const lookupCache = createLookupCache({ pool: null });
 
-function safeNumber(v: any) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
-}
+// Gateway adapters + failover (src/gateways.ts); breaker state lives as long as the warm instance
+const gateways = createGatewayClient({ timeoutMs: NEW_API_TIMEOUT_MS, maxRetries: NEW_API_MAX_RETRIES, backoffBaseMs: 700 });
 
-function normalizeCheckBillResponse(resp: any, account: string, sku: string) {
-  try {
-    const topSuccess = !!resp?.success;
-    const data = resp?.data || {};
-    const innerSuccess = !!data?.success;
-    const dd = data?.data || {};
-    const bills = Array.isArray(dd?.bills) ? dd.bills : [];
-    if (topSuccess && innerSuccess && bills.length > 0) {
-      const bill = bills[0];
-      const money = safeNumber(bill.moneyAmount ?? bill.money_amount ?? 0);
-      return {
-        key: `${sku}::${account}`,
-        provider_id: sku,
-        account,
-        name: bill.customerName || bill.customer_name || '-',
-        address: bill.address || '-',
-        month: bill.month || '',
-        amount_current: String(money),
-        total: String(money),
-        amount_previous: '0',
-        raw: resp
-      };
-    }
-    const reason = resp?.error ? (typeof resp.error === 'string' ? resp.error : JSON.stringify(resp.error).slice(0,200)) : 'Không nợ cước / không có dữ liệu';
-    return {
-      key: `${sku}::${account}`,
-      provider_id: sku,
-      account,
-      name: `(Mã ${account})`,
-      address: reason || 'Không nợ cước',
-      month: '',
-      amount_current: '0',
-      total: '0',
-      amount_previous: '0',
-      raw: resp
-    };
-  } catch (err) {
-    return {
-      key: `${sku}::${account}`,
-      provider_id: sku,
-      account,
-      name: `(Mã ${account})`,
-      address: 'Lỗi parse',
-      month: '',
-      amount_current: '0',
-      total: '0',
-      amount_previous: '0',
-      raw: resp
-    };
-  }
-}
-
-async function fetchWithTimeoutAndRetry(url: string, opts: RequestInit = {}, timeout = NEW_API_TIMEOUT_MS, retries = NEW_API_MAX_RETRIES): Promise<any> {
-  async function attempt(remaining: number): Promise<any> {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      const text = await res.text();
-      clearTimeout(id);
-
-      if (!res.ok) {
-        const snippet = text ? text.slice(0, 800) : `Status ${res.status}`;
-        const err = new Error(`Upstream ${res.status}: ${snippet}`);
-        // do not retry on 4xx except 429
-        if (res.status >= 400 && res.status < 500 && res.status !== 429) {
-          throw err;
-        }
-        throw err;
-      }
-
-      const ct = res.headers.get('content-type') || '';
-      if (!ct.includes('application/json')) {
-        // try parse anyway
-        try {
-          return JSON.parse(text);
-        } catch (e) {
-          throw new Error('Upstream returned non-JSON response');
-        }
-      }
-      return JSON.parse(text);
-    } catch (err: any) {
-      clearTimeout(id);
-      if (remaining <= 0) throw err;
-      const base = 700;
-      const backoff = Math.min(base * Math.pow(2, NEW_API_MAX_RETRIES - remaining), 10000);
-      logDebug(`fetch error, will retry in ${backoff}ms; remaining=${remaining}`, err?.message || err);
-      await sleep(backoff + Math.floor(Math.random() * 200));
-      return attempt(remaining - 1);
-    }
-  }
-  return attempt(retries);
-}
+// Provider catalog (src/providers.ts): unknown / disabled SKUs never reach the gateway
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const providers = createProviderCatalog({
+  pool: null,
+  supabase: SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null
+});
 
 const handler: Handler = async (event) => {
   try {
@@ -156,11 +76,14 @@ const handler: Handler = async (event) => {
       return { statusCode: 405, body: JSON.stringify({ error: 'Method not allowed' }) };
     }
 
-    // Basic auth check placeholder: you should validate Authorization header (JWT/Supabase) before proceeding
-    const auth = (event.headers['authorization'] || event.headers['Authorization'] || '').trim();
-    if (!auth && process.env.SKIP_AUTH !== 'true') {
+    // Verify the signed access token issued by /api/auth/login, then the role permission
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) {
       return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
     }
+    if (!can(actor.role, 'lookup')) {
+      return { statusCode: 403, body: JSON.stringify(forbiddenBody('lookup')) };
+    }
 
     let body: any = {};
     try {
@@ -175,18 +98,24 @@ const handler: Handler = async (event) => {
       return { statusCode: 400, body: JSON.stringify({ error: 'Thiếu contract_number hoặc sku' }) };
     }
 
-    const url = new URL(NEW_API_PATH, NEW_API_BASE_URL).toString();
-    logInfo('Calling upstream', url, 'contract_number=', contract_number, 'sku=', sku);
+    const check = await providers.checkLookup(sku, [contract_number]);
+    if (!check.ok) {
+      return { statusCode: check.status, body: JSON.stringify(check.body) };
+    }
+    if (check.invalid.length) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'Invalid account number for provider', code: 'invalid_account', sku }) };
+    }
+    const timeoutMs = check.provider.timeout_ms;
+
+    const fresh = body.fresh === true || event.queryStringParameters?.fresh === 'true';
 
-    const upstream = await fetchWithTimeoutAndRetry(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ contract_number, sku })
-    }, NEW_API_TIMEOUT_MS, NEW_API_MAX_RETRIES);
+    const { normalized, cached, cache_age_sec } = await lookupCache.lookup(sku, contract_number, fresh, () => {
+      logInfo('Calling upstream', 'contract_number=', contract_number, 'sku=', sku);
+      return gateways.lookup(contract_number, sku, { timeoutMs });
+    });
 
-    // Normalize and return both raw and normalized
-    const normalized = normalizeCheckBillResponse(upstream, contract_number, sku);
-    const payload = { raw: upstream, normalized };
+    // Return both raw and normalized
+    const payload = { raw: normalized?.raw ?? null, normalized, gateway: normalized?.gateway ?? null, cached, cache_age_sec };
 
     return {
       statusCode: 200,
@@ -194,6 +123,14 @@ const handler: Handler = async (event) => {
       body: JSON.stringify(payload)
     };
   } catch (err: any) {
+    if (err instanceof UpstreamUnavailableError) {
+      logWarn('Upstream circuit open, failing fast');
+      return {
+        statusCode: 503,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': String(err.retryAfterSec) } as Record<string, string>,
+        body: JSON.stringify({ error: 'Upstream unavailable', code: err.code, retry_after: err.retryAfterSec })
+      };
+    }
     logError('Handler error', err?.message || err);
     return {
       statusCode: 502,
@@ -6,21 +6,29 @@
  * - Validates input (contract_numbers array + sku)
  * - Calls upstream with concurrency, timeout, retry/backoff
  * - Normalizes upstream responses into consistent shape
- * - Returns array of results: { account, ok: true, normalized, raw } | { account, ok: false, error, upstreamStatus }
+ * - Returns array of results: { account, ok: true, normalized, raw, gateway, cached, cache_age_sec } | { account, ok: false, error, upstreamStatus }
+ * - Answers are cached per warm instance by `${sku}::${account}`; send fresh=true to bypass
+ * - Upstream calls go through the gateway adapters in src/gateways.ts (CheckBill Pro + optional secondary
+ *   for failover, each behind a rate limiter / circuit breaker); upstream 400 means "no debt".
+ *   While every breaker is open, remaining accounts fail fast with { error: 'Upstream unavailable', code: 'upstream_unavailable' }
  *
  * Deploy:
  * - Place at netlify/functions/get-bills.ts
  * - Ensure netlify.toml or _redirects maps /api/* -> /.netlify/functions/:splat
  * - Ensure Netlify build step compiles TypeScript (tsc) or use JS version
- * - Set env vars as needed (NEW_API_BASE_URL, NEW_API_PATH, NEW_API_TIMEOUT_MS, NEW_API_MAX_RETRIES, NEW_API_CONCURRENCY)
+ * - Set env vars as needed (NEW_API_BASE_URL, NEW_API_PATH, NEW_API_TIMEOUT_MS, NEW_API_MAX_RETRIES, NEW_API_CONCURRENCY, GATEWAY_SECONDARY_*)
  */
 
 import { Handler } from "@netlify/functions";
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createLookupCache } from '../../src/lookup-cache.js';
+import { UpstreamUnavailableError } from '../../src/upstream-governor.js';
+import { createGatewayClient } from '../../src/gateways.js';
+import { createProviderCatalog } from '../../src/providers.js';
 const pLimit = require("p-limit");
 
 /* Config (override via Netlify env) */
-const NEW_API_BASE_URL = process.env.NEW_API_BASE_URL || "https://bill.7ty.vn/api";
-const NEW_API_PATH = process.env.NEW_API_PATH || "/check-electricity";
 const NEW_API_TIMEOUT_MS = Number(process.env.NEW_API_TIMEOUT_MS || 60000);
 const NEW_API_MAX_RETRIES = Number(process.env.NEW_API_MAX_RETRIES || 3);
 const NEW_API_CONCURRENCY = Number(process.env.NEW_API_CONCURRENCY || 1);
@@ -32,9 +40,21 @@ function logInfo(...args: any[]) { if (["debug","info"].includes(LOG_LEVEL)) con
 function logWarn(...args: any[]) { if (["debug","info","warn"].includes(LOG_LEVEL)) console.warn("[get-bills]", ...args); }
 function logError(...args: any[]) { console.error("[get-bills]", ...args); }
 
-function sleep(ms: number) { return new Promise(res => setTimeout(res, ms)); }
-function safeNumber(v: any) { const n = Number(v); return Number.isFinite(n) ? n : 0; }
-type UpstreamError = Error & { status?: number; preview?: string; fatal?: boolean };
+// Lookup cache kept for the lifetime of a warm instance (no Postgres pool here; see src/lookup-cache.ts)
+const lookupCache = createLookupCache({ pool: null });
+
+// Gateway adapters + failover (src/gateways.ts); breaker state lives as long as the warm instance
+const gateways = createGatewayClient({ timeoutMs: NEW_API_TIMEOUT_MS, maxRetries: NEW_API_MAX_RETRIES, backoffBaseMs: 700 });
+
+// Provider catalog (src/providers.ts): unknown / disabled SKUs never reach the gateway
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const providers = createProviderCatalog({
+  pool: null,
+  supabase: SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null
+});
+
+type UpstreamError = Error & { status?: number; body?: string };
 
 /* Ensure every response includes string headers to satisfy HandlerResponse typing */
 const COMMON_HEADERS: Record<string, string | number | boolean> = {
@@ -44,168 +64,6 @@ const COMMON_HEADERS: Record<string, string | number | boolean> = {
   "Access-Control-Allow-Headers": "Content-Type, Authorization"
 };
 
-/* Safe header getter (works with various fetch Response header implementations) */
-function getHeaderSafe(headersLike: any, name: string): string {
-  try {
-    if (!headersLike) return "";
-    if (typeof headersLike.get === "function") return headersLike.get(name) || "";
-    const lower = name.toLowerCase();
-    for (const k of Object.keys(headersLike)) {
-      if (k.toLowerCase() === lower) return headersLike[k];
-    }
-    return "";
-  } catch {
-    return "";
-  }
-}
-
-/* fetch + timeout + retry/backoff (throws UpstreamError on failure) */
-async function fetchWithTimeoutAndRetry(url: string, opts: RequestInit = {}, timeout = NEW_API_TIMEOUT_MS, retries = NEW_API_MAX_RETRIES): Promise<any> {
-  async function attempt(remaining: number): Promise<any> {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal } as any);
-      const text = await res.text();
-
-      if (!res.ok) {
-        const snippet = text ? String(text).slice(0, 1000) : `Status ${res.status}`;
-        const err = Object.assign(new Error(`Upstream ${res.status}: ${snippet}`) as UpstreamError, {
-          status: res.status,
-          preview: snippet,
-          fatal: (res.status >= 400 && res.status < 500 && res.status !== 429)
-        });
-        logWarn('Upstream non-ok response', { status: res.status, preview: snippet.slice(0, 400) });
-        throw err;
-      }
-
-      // Try parse JSON (most upstreams return JSON)
-      try {
-        return JSON.parse(text || "{}");
-      } catch (parseErr) {
-        const preview = text ? String(text).slice(0, 1000) : "<empty>";
-        const err = Object.assign(new Error("Upstream returned non-JSON/invalid JSON") as UpstreamError, { status: res.status, preview, fatal: true });
-        logWarn("Upstream invalid JSON", { preview });
-        throw err;
-      }
-    } catch (errAny: any) {
-      const err: UpstreamError = errAny;
-      if (err?.fatal) throw err;
-      clearTimeout(id);
-      if (remaining <= 0) throw err;
-      const base = 700;
-      const backoff = Math.min(base * Math.pow(2, NEW_API_MAX_RETRIES - remaining), 10000);
-      logDebug(`Fetch error for ${url}; retry in ${backoff}ms; remaining=${remaining}`, err?.message || err);
-      await sleep(backoff + Math.floor(Math.random() * 200));
-      return attempt(remaining - 1);
-    } finally {
-      clearTimeout(id);
-    }
-  }
-  return attempt(retries);
-}
-
-/* Robust URL join: ensures base+path combine sensibly */
-function joinUrl(base: string, path: string) {
-  if (!base) return path;
-  try {
-    if (/^https?:\/\//i.test(base)) {
-      return new URL(path, base).toString();
-    }
-    return (base.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, "")).replace(/([^:])\/{2,}/g, "$1/");
-  } catch {
-    return (base.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, ""));
-  }
-}
-
-/* Normalize upstream response into consistent bill shape */
-function normalizeCheckBillResponse(resp: any, account: string, sku: string) {
-  try {
-    if (resp?.data?.response_text && typeof resp.data.response_text === "string") {
-      try { resp.data.parsed_response_text = JSON.parse(resp.data.response_text); } catch { resp.data.parsed_response_text = resp.data.response_text; }
-    }
-
-    const topSuccess = !!resp?.success;
-    const data = resp?.data || {};
-    const innerSuccess = !!data?.success;
-    const dd = data?.data || {};
-    const bills = Array.isArray(dd?.bills) ? dd.bills : [];
-
-    if (topSuccess && innerSuccess && bills.length > 0) {
-      const bill = bills[0];
-      const money = safeNumber(bill.moneyAmount ?? bill.money_amount ?? bill.amount ?? 0);
-      return {
-        key: `${sku}::${account}`,
-        provider_id: sku,
-        account,
-        name: bill.customerName || bill.customer_name || "-",
-        address: bill.address || "-",
-        month: bill.month || "",
-        amount_current: String(money),
-        total: String(money),
-        amount_previous: "0",
-        raw: resp
-      };
-    }
-
-    // Build concise reason text
-    let reason = "";
-    if (data?.parsed_response_text) {
-      const pr = data.parsed_response_text;
-      if (typeof pr === "string") reason = pr.slice(0, 400);
-      else if (pr && typeof pr === "object") reason = pr?.error?.message || pr?.message || JSON.stringify(pr).slice(0, 400);
-      else reason = String(pr).slice(0, 400);
-    }
-    if (!reason && resp?.error) reason = typeof resp.error === "string" ? resp.error : JSON.stringify(resp.error).slice(0, 400);
-    if (!reason && data?.status_code) reason = `Upstream status ${data.status_code}`;
-
-    // If upstream indicates 400 (client-level: no debt / invalid input), treat as no-debt result
-    if (data?.status_code === 400) {
-      const addressMsg = reason || "Không nợ cước / không có dữ liệu";
-      return {
-        key: `${sku}::${account}`,
-        provider_id: sku,
-        account,
-        name: `(Mã ${account})`,
-        address: addressMsg,
-        month: "",
-        amount_current: "0",
-        total: "0",
-        amount_previous: "0",
-        raw: resp
-      };
-    }
-
-    if (!reason) reason = "Không nợ cước / không có dữ liệu";
-
-    return {
-      key: `${sku}::${account}`,
-      provider_id: sku,
-      account,
-      name: `(Mã ${account})`,
-      address: reason,
-      month: "",
-      amount_current: "0",
-      total: "0",
-      amount_previous: "0",
-      raw: resp
-    };
-  } catch (err) {
-    return {
-      key: `${sku}::${account}`,
-      provider_id: sku,
-      account,
-      name: `(Mã ${account})`,
-      address: "Lỗi parse",
-      month: "",
-      amount_current: "0",
-      total: "0",
-      amount_previous: "0",
-      raw: resp
-    };
-  }
-}
-
 /* Handler */
 const handler: Handler = async (event) => {
   try {
@@ -236,14 +94,21 @@ const handler: Handler = async (event) => {
       acc[k.toLowerCase()] = (event.headers as any)[k];
       return acc;
     }, {});
-    const auth = (headers["authorization"] || "").toString().trim();
-    if (!auth && process.env.SKIP_AUTH !== "true") {
+    const actor = await authenticateHeaders(headers);
+    if (!actor) {
       return {
         statusCode: 401,
         headers: COMMON_HEADERS,
         body: JSON.stringify({ error: "Unauthorized" })
       };
     }
+    if (!can(actor.role, "lookup")) {
+      return {
+        statusCode: 403,
+        headers: COMMON_HEADERS,
+        body: JSON.stringify(forbiddenBody("lookup"))
+      };
+    }
 
     // Parse body
     let body: any = {};
@@ -276,81 +141,38 @@ const handler: Handler = async (event) => {
       };
     }
 
-    const limit = pLimit(NEW_API_CONCURRENCY);
-    const fullUrl = joinUrl(NEW_API_BASE_URL, NEW_API_PATH);
-    logDebug("Upstream fullUrl:", fullUrl);
+    const check = await providers.checkLookup(sku, contract_numbers);
+    if (!check.ok) {
+      return { statusCode: check.status, headers: COMMON_HEADERS, body: JSON.stringify(check.body) };
+    }
+    const provider = check.provider;
+    const invalid = new Set(check.invalid);
+    const concurrency = provider.concurrency || NEW_API_CONCURRENCY;
+
+    const limit = pLimit(concurrency);
+    logDebug("Upstream gateways:", gateways.describe());
+
+    logInfo(`Bulk call: accounts=${contract_numbers.length} sku=${sku} concurrency=${concurrency}`);
 
-    logInfo(`Bulk call: accounts=${contract_numbers.length} sku=${sku} concurrency=${NEW_API_CONCURRENCY}`);
+    const fresh = body.fresh === true || event.queryStringParameters?.fresh === "true";
 
     const tasks = contract_numbers.map((acc: string) =>
       limit(async () => {
         try {
-          logDebug("Calling upstream for", acc);
-          const reqBody = { contract_number: acc, sku };
-          logDebug("Upstream request headers:", { "Content-Type": "application/json", "User-Agent": "7ty-check-bills/1.0" });
-          logDebug("Upstream request body:", JSON.stringify(reqBody));
-
-          const upstream = await fetchWithTimeoutAndRetry(
-            fullUrl,
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json", "User-Agent": "7ty-check-bills/1.0" },
-              body: JSON.stringify(reqBody)
-            } as RequestInit,
-            NEW_API_TIMEOUT_MS,
-            NEW_API_MAX_RETRIES
-          );
-
-          // Treat explicit upstream 400 as no-debt and return normalized no-debt result
-          if (upstream && upstream.data && Number(upstream.data.status_code) === 400) {
-            return {
-              account: acc,
-              ok: true,
-              normalized: {
-                key: `${sku}::${acc}`,
-                provider_id: sku,
-                account: acc,
-                name: `(Mã ${acc})`,
-                address: upstream.data.parsed_response_text || upstream.data.response_text || "Không nợ cước / không có dữ liệu",
-                month: "",
-                amount_current: "0",
-                total: "0",
-                amount_previous: "0",
-                raw: upstream
-              },
-              raw: upstream
-            };
+          if (invalid.has(acc)) {
+            return { account: acc, ok: false, error: "Invalid account number for provider", code: "invalid_account" };
           }
-
-          const normalized = normalizeCheckBillResponse(upstream, acc, sku);
-          return { account: acc, ok: true, normalized, raw: upstream };
+          const { normalized, cached, cache_age_sec } = await lookupCache.lookup(sku, acc, fresh, () => gateways.lookup(acc, sku, { timeoutMs: provider.timeout_ms }));
+          return { account: acc, ok: true, normalized, raw: normalized?.raw ?? null, gateway: normalized?.gateway ?? null, cached, cache_age_sec };
         } catch (errAny: any) {
+          if (errAny instanceof UpstreamUnavailableError) {
+            return { account: acc, ok: false, error: "Upstream unavailable", code: errAny.code, upstreamStatus: 503 };
+          }
           const err: UpstreamError = errAny;
           const upstreamStatus = err?.status || (err?.message?.match?.(/Upstream (\d{3})/) || [])[1];
-          const preview = err?.preview || (typeof err?.message === "string" ? err.message.slice(0, 400) : undefined);
+          const preview = err?.body || (typeof err?.message === "string" ? err.message.slice(0, 400) : undefined);
           logWarn(`Account ${acc} error:`, upstreamStatus || err?.message || err);
 
-          // If upstream returned 400 as a captured error, treat as no-debt safe result
-          if (Number(upstreamStatus) === 400) {
-            return {
-              account: acc,
-              ok: true,
-              normalized: {
-                key: `${sku}::${acc}`,
-                provider_id: sku,
-                account: acc,
-                name: `(Mã ${acc})`,
-                address: preview || "Không nợ cước",
-                month: "",
-                amount_current: "0",
-                total: "0",
-                amount_previous: "0",
-                raw: errAny?.raw || null
-              },
-              raw: errAny?.raw || null
-            };
-          }
-
           return {
             account: acc,
             ok: false,
@@ -1,32 +1,39 @@
 /**
+ * netlify/functions/history.ts
+ *
  * Netlify Function to list and query sold history records.
- * See original header for full description.
+ * - Storage through src/repository.ts: Supabase REST /rest/v1/history when SUPABASE_URL + SUPABASE_SERVICE_ROLE
+ *   are set, otherwise the shared in-memory store (rows written by the sell function).
+ * - Query: search|q, fromDate, toDate (soldAt), minTotal, maxTotal, reversed, limit (default 100), offset, export=csv —
+ *   same filters, ordering (newest soldAt first) and row shape as GET /api/history in server.ts.
+ *   Reversed sales are left out unless reversed=include|only.
+ * - export=csv additionally needs the 'export' permission.
+ * - POST { ids | sale_id, reason } reverses sales like POST /api/history/reverse ('sell.reverse' permission)
+ *   (the repository credits the members' ledgers, src/ledger.ts, in the same step).
  */
 
 import type { Handler, HandlerResponse } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createRepository, parseHistoryQuery } from '../../src/repository.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+import { createAuditLog, auditRow, requestIp } from '../../src/audit.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || '';
 const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
 const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
 
 function logDebug(...args: any[]) { if (LOG_LEVEL === 'debug') console.debug('[history]', ...args); }
 function logInfo(...args: any[]) { if (['debug','info'].includes(LOG_LEVEL)) console.info('[history]', ...args); }
-function logWarn(...args: any[]) { if (['debug','info','warn'].includes(LOG_LEVEL)) console.warn('[history]', ...args); }
 function logError(...args: any[]) { console.error('[history]', ...args); }
 
-function parseIntSafe(v: any, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? Math.trunc(n) : fallback;
-}
-function parseFloatSafe(v: any, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-function parseDateSafe(v: any) {
-  if (!v) return null;
-  const d = new Date(v);
-  return isNaN(d.getTime()) ? null : d.toISOString();
-}
+const repo = createRepository({ pool: null, supabase });
+
+const audit = createAuditLog({ pool: null, supabase });
+
+const CSV_COLUMNS = ['id', 'key', 'account', 'provider_id', 'name', 'address', 'amount_previous', 'amount_current', 'total', 'soldAt', 'member_name', 'employee_username', 'sale_id', 'discount_rate', 'fee', 'sale_price', 'margin', 'note', 'reversed_at', 'reversal_reason'];
 
 // Simple CSV encoder
 function toCsv(rows: Record<string, any>[], columns: string[]) {
@@ -43,154 +50,66 @@ function toCsv(rows: Record<string, any>[], columns: string[]) {
   return [header, ...lines].join('\r\n');
 }
 
-// In-memory store (shared across warm instances)
-const MEM = (global as any).__PROJECT_TRA_CUU_MEM__ || { KHO: {}, HISTORY: [], MEMBERS: {}, EMPLOYEES: {} };
-(global as any).__PROJECT_TRA_CUU_MEM__ = MEM;
-
-// Query Supabase history via REST
-async function querySupabaseHistory(params: Record<string, any>) {
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) throw new Error('Supabase not configured');
-  const base = SUPABASE_URL.replace(/\/$/, '') + '/rest/v1/history';
-  const headers: Record<string, string> = {
-    apikey: SUPABASE_SERVICE_ROLE,
-    Authorization: `Bearer ${SUPABASE_SERVICE_ROLE}`,
-    Accept: 'application/json'
-  };
-
-  const url = new URL(base);
-  url.searchParams.set('select', params.select || '*');
-
-  if (params.search) {
-    const s = String(params.search).toLowerCase();
-    url.searchParams.set('or', `ilike(name,'%25${s}%25'),ilike(address,'%25${s}%25'),ilike(account,'%25${s}%25'),ilike(member_name,'%25${s}%25'),ilike(employee_username,'%25${s}%25')`);
-  }
-  if (params.fromDate) url.searchParams.set('soldAt', `gte.${params.fromDate}`);
-  if (params.toDate) url.searchParams.set('soldAt', `lte.${params.toDate}`);
-  if (params.minTotal != null) url.searchParams.set('total', `gte.${Number(params.minTotal)}`);
-  if (params.maxTotal != null) url.searchParams.set('total', `lte.${Number(params.maxTotal)}`);
-
-  url.searchParams.set('limit', String(params.limit ?? 100));
-  url.searchParams.set('offset', String(params.offset ?? 0));
-  url.searchParams.set('order', params.order || 'soldAt.desc');
-
-  const resp = await fetch(url.toString(), { headers });
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => '');
-    throw new Error(`Supabase history query failed: ${resp.status} ${txt.slice(0, 500)}`);
-  }
-  const data = await resp.json();
-  return data;
-}
-
-// Local memory query fallback
-function queryMemoryHistory(params: Record<string, any>) {
-  let arr = Array.isArray(MEM.HISTORY) ? MEM.HISTORY.slice() : [];
-  if (params.search) {
-    const s = String(params.search).toLowerCase();
-    arr = arr.filter((r: any) =>
-      String(r.name || '').toLowerCase().includes(s) ||
-      String(r.address || '').toLowerCase().includes(s) ||
-      String(r.account || '').toLowerCase().includes(s) ||
-      String(r.member_name || r.memberName || '').toLowerCase().includes(s) ||
-      String(r.employee_username || '').toLowerCase().includes(s)
-    );
-  }
-  if (params.fromDate) arr = arr.filter((r: any) => (r.soldAt || r.sold_at || '') >= params.fromDate);
-  if (params.toDate) arr = arr.filter((r: any) => (r.soldAt || r.sold_at || '') <= params.toDate);
-  if (params.minTotal != null) arr = arr.filter((r: any) => Number(r.total || r.total_amount || 0) >= Number(params.minTotal));
-  if (params.maxTotal != null) arr = arr.filter((r: any) => Number(r.total || r.total_amount || 0) <= Number(params.maxTotal));
-
-  const order = params.order || 'soldAt.desc';
-  const [col, dir] = order.split('.');
-  arr.sort((a: any, b: any) => {
-    const A = a[col] ?? a.soldAt ?? a.sold_at ?? '';
-    const B = b[col] ?? b.soldAt ?? b.sold_at ?? '';
-    if (A === B) return 0;
-    if (dir === 'desc') return B > A ? 1 : -1;
-    return A > B ? 1 : -1;
-  });
-
-  const offset = Number(params.offset || 0);
-  const limit = Number(params.limit || 100);
-  return arr.slice(offset, offset + limit);
-}
-
 const handler: Handler = async (event: any, context: any): Promise<HandlerResponse> => {
   try {
-    if (event.httpMethod !== 'GET') {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
       return { statusCode: 405, body: JSON.stringify({ error: 'Method not allowed' }) };
     }
 
-    const headersIn = event.headers || {};
-    const auth = ((headersIn['authorization'] || headersIn['Authorization'] || '') as string).trim();
-    if (!auth && process.env.SKIP_AUTH !== 'true') {
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) {
       return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
     }
 
-    const qp = event.queryStringParameters || {};
-    const search = qp.search || qp.q || null;
-    const fromDate = parseDateSafe(qp.fromDate || qp.from_date);
-    const toDate = parseDateSafe(qp.toDate || qp.to_date);
-    const minTotalRaw = qp.minTotal !== undefined ? parseFloatSafe(qp.minTotal, NaN) : null;
-    const maxTotalRaw = qp.maxTotal !== undefined ? parseFloatSafe(qp.maxTotal, NaN) : null;
-    const limit = parseIntSafe(qp.limit ?? qp.size ?? 100, 100);
-    const offset = parseIntSafe(qp.offset ?? 0, 0);
-    const order = qp.order || 'soldAt.desc';
-    const exportMode = (qp.export || '').toLowerCase();
-
-    const params: Record<string, any> = {
-      search,
-      fromDate,
-      toDate,
-      minTotal: Number.isFinite(minTotalRaw) ? minTotalRaw : null,
-      maxTotal: Number.isFinite(maxTotalRaw) ? maxTotalRaw : null,
-      limit: Math.min(limit, 5000),
-      offset: Math.max(0, offset),
-      order
-    };
-
-    let rows: any[] = [];
-    if (SUPABASE_URL && SUPABASE_SERVICE_ROLE) {
+    if (event.httpMethod === 'POST') {
+      if (!can(actor.role, 'sell.reverse')) {
+        return { statusCode: 403, body: JSON.stringify(forbiddenBody('sell.reverse')) };
+      }
+      let body: any = {};
       try {
-        logInfo('Querying Supabase history with params', params);
-        rows = await querySupabaseHistory(params);
-      } catch (err: any) {
-        logWarn('Supabase history query failed, falling back to memory:', err?.message || err);
-        rows = queryMemoryHistory(params);
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (e) {
+        return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
       }
-    } else {
-      rows = queryMemoryHistory(params);
-    }
-
-    // Normalize output keys
-    const normalized = rows.map((r: any) => {
-      const amount_previous = Number(r.amount_previous ?? r.amount_prev ?? 0);
-      const amount_current = Number(r.amount_current ?? r.amount_cur ?? 0);
-      const total = Number(r.total ?? r.total_amount ?? amount_current ?? 0);
+      const checked = checkRequest(API_ROUTES['POST /api/history/reverse'], { body });
+      if (!checked.ok) return { statusCode: checked.status, body: JSON.stringify(checked.body) };
+      const { ids, sale_id: saleId, reason } = checked.body as { ids?: string[]; sale_id?: string; reason: string };
+      if (!ids === !saleId) return { statusCode: 400, body: JSON.stringify({ error: 'Send either ids or sale_id' }) };
+
+      const out = await repo.history.reverse(ids ? { ids } : { sale_id: saleId! }, { reason, actor });
+      if (!out.reversed.length && out.skipped.every(s => s.reason === 'not_found')) {
+        return { statusCode: 404, body: JSON.stringify({ error: 'History entry not found' }) };
+      }
+      if (out.reversed.length) {
+        await audit.record({
+          action: 'sell.reverse', actor, ip: requestIp(event.headers), keys: out.reversed.map(r => r.key), after: out.reversed.map(auditRow)
+        });
+      }
+      logInfo('Sale reversed', { mode: repo.mode, sale_id: saleId, reversed: out.reversed.length, skipped: out.skipped.length, by: actor.username });
       return {
-        id: r.id ?? r.history_id ?? null,
-        key: r.key,
-        account: r.account,
-        provider_id: r.provider_id,
-        name: r.name ?? null,
-        address: r.address ?? null,
-        amount_previous,
-        amount_current,
-        total,
-        nhapAt: r.nhapAt ?? r.nhapat ?? r.nhap_at ?? null,
-        xuatAt: r.xuatAt ?? r.xuat_at ?? null,
-        soldAt: r.soldAt ?? r.sold_at ?? null,
-        memberId: r.member_id ?? r.memberId ?? null,
-        memberName: r.member_name ?? r.memberName ?? null,
-        employee_username: r.employee_username ?? r.employeeUsername ?? null,
-        raw: r.raw ?? null,
-        created_at: r.created_at ?? null
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ok: true, reversed_count: out.reversed.length, reversed: out.reversed, skipped: out.skipped })
       };
-    });
+    }
+
+    if (!can(actor.role, 'history.view')) {
+      return { statusCode: 403, body: JSON.stringify(forbiddenBody('history.view')) };
+    }
+
+    const checked = checkRequest(API_ROUTES['GET /api/history'], { query: event.queryStringParameters || {} });
+    if (!checked.ok) return { statusCode: checked.status, body: JSON.stringify(checked.body) };
+    const qp = checked.query;
+    const exportMode = qp.export || '';
+    if (exportMode === 'csv' && !can(actor.role, 'export')) {
+      return { statusCode: 403, body: JSON.stringify(forbiddenBody('export')) };
+    }
+
+    const query = parseHistoryQuery(qp);
+    logDebug('Querying history', repo.mode, query);
+    const rows = await repo.history.list(query);
 
     if (exportMode === 'csv') {
-      const cols = ['id', 'key', 'account', 'provider_id', 'name', 'address', 'amount_previous', 'amount_current', 'total', 'soldAt', 'memberName', 'employee_username'];
-      const csv = toCsv(normalized, cols);
       const headers: Record<string, string> = {
         'Content-Type': 'text/csv; charset=utf-8',
         'Content-Disposition': `attachment; filename="history-${Date.now()}.csv"`
@@ -198,14 +117,14 @@ const handler: Handler = async (event: any, context: any): Promise<HandlerRespon
       return {
         statusCode: 200,
         headers,
-        body: csv
+        body: toCsv(rows, CSV_COLUMNS)
       };
     }
 
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(normalized)
+      body: JSON.stringify(rows)
     };
   } catch (err: any) {
     logError('Handler error', err?.message || err);
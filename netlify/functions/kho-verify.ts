@@ -0,0 +1,105 @@
+/**
+ * netlify/functions/kho-verify.ts
+ *
+ * Netlify Function counterpart of POST /api/kho/verify (src/kho-verify.ts).
+ * - Body: { keys } or { all: true, provider_id?, unverified_hours?, cutoff? } (schema: 'POST /api/kho/verify' in src/api-schemas.ts)
+ * - Every bill is re-queried fresh through the gateway adapters (src/gateways.ts) and flagged ok / paid / changed / error
+ *   on its KHO row; returns { checked, counts, items, missing, more, cutoff } like server.ts.
+ * - A function run is short-lived (10 s by default on Netlify): keep batches small (KHO_VERIFY_NETLIFY_MAX, default 50)
+ *   and call again with the returned cutoff while more=true.
+ * - Auth: 'kho.verify'.
+ *
+ * Persistence: Supabase REST when SUPABASE_URL + SUPABASE_SERVICE_ROLE are set, otherwise the shared in-memory store.
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createRepository } from '../../src/repository.js';
+import { createProviderCatalog } from '../../src/providers.js';
+import { createLookupCache } from '../../src/lookup-cache.js';
+import { createGatewayClient } from '../../src/gateways.js';
+import { createKhoVerifier, verifyCounts, KHO_VERIFY_MAX } from '../../src/kho-verify.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const NEW_API_TIMEOUT_MS = Number(process.env.NEW_API_TIMEOUT_MS || 30000);
+const NEW_API_MAX_RETRIES = Number(process.env.NEW_API_MAX_RETRIES || 3);
+const NEW_API_CONCURRENCY = Number(process.env.NEW_API_CONCURRENCY || 6);
+const KHO_VERIFY_NETLIFY_MAX = Math.min(KHO_VERIFY_MAX, Number(process.env.KHO_VERIFY_NETLIFY_MAX || 50));
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+function logInfo(...args: any[]) { if (['debug','info'].includes(LOG_LEVEL)) console.info('[kho-verify]', ...args); }
+function logError(...args: any[]) { console.error('[kho-verify]', ...args); }
+
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
+const repo = createRepository({ pool: null, supabase });
+const providers = createProviderCatalog({ pool: null, supabase });
+const lookupCache = createLookupCache({ pool: null });
+const gateways = createGatewayClient({ timeoutMs: NEW_API_TIMEOUT_MS, maxRetries: NEW_API_MAX_RETRIES, backoffBaseMs: 700 });
+
+// Same gate as get-bill.ts: unknown / disabled SKUs and invalid accounts never reach the gateway
+const verifier = createKhoVerifier({
+  repo,
+  lookup: async (account, sku) => {
+    const check = await providers.checkLookup(sku, [account]);
+    if (!check.ok) throw new Error(check.body.error);
+    if (check.invalid.length) throw new Error('Invalid account number for provider');
+    const timeoutMs = check.provider.timeout_ms;
+    return (await lookupCache.lookup(sku, account, true, () => gateways.lookup(account, sku, { timeoutMs }))).normalized;
+  },
+  concurrency: NEW_API_CONCURRENCY
+});
+
+function jsonResponse(status: number, payload: any) {
+  return { statusCode: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') return jsonResponse(405, { error: 'Method not allowed' });
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) return jsonResponse(401, { error: 'Unauthorized' });
+    if (!can(actor.role, 'kho.verify')) return jsonResponse(403, forbiddenBody('kho.verify'));
+
+    let body: any = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return jsonResponse(400, { error: 'Invalid JSON body' });
+    }
+    const checked = checkRequest(API_ROUTES['POST /api/kho/verify'], { body });
+    if (!checked.ok) return jsonResponse(checked.status, checked.body);
+    const { keys, all, provider_id = null, unverified_hours: hours, cutoff: sent } = checked.body as {
+      keys?: string[]; all: boolean; provider_id?: string; unverified_hours?: number; cutoff?: string;
+    };
+    if (!keys === !all) return jsonResponse(400, { error: 'Send either keys or all: true' });
+    if (keys && keys.length > KHO_VERIFY_NETLIFY_MAX) {
+      return jsonResponse(400, { error: `Too many keys in one request (max ${KHO_VERIFY_NETLIFY_MAX} here)` });
+    }
+
+    let items, missing: string[] = [], more = false, cutoff: string | null = null;
+    if (keys) {
+      items = await repo.kho.get(keys);
+      const found = new Set(items.map(it => it.key));
+      missing = keys.filter(k => !found.has(k));
+    } else {
+      cutoff = sent ?? new Date(Date.now() - (hours ?? 0) * 3600 * 1000).toISOString();
+      items = await repo.kho.list({ provider_id, verifiedBefore: cutoff, order: 'oldest', limit: KHO_VERIFY_NETLIFY_MAX + 1 });
+      more = items.length > KHO_VERIFY_NETLIFY_MAX;
+      items = items.slice(0, KHO_VERIFY_NETLIFY_MAX);
+    }
+
+    const results = await verifier.verify(items);
+    const counts = verifyCounts(results);
+    logInfo('KHO verified', { mode: repo.mode, checked: results.length, ...counts, more, by: actor.username });
+    return jsonResponse(200, { checked: results.length, counts, items: results, missing, more, cutoff });
+  } catch (err: any) {
+    logError('Handler error', err?.message || err);
+    return jsonResponse(500, { error: err?.message || 'Internal error' });
+  }
+};
+
+export { handler };
@@ -0,0 +1,110 @@
+/**
+ * netlify/functions/providers.ts
+ *
+ * Netlify Function counterpart of /api/providers (provider / SKU catalog, src/providers.ts).
+ * Supports:
+ *  - GET    /?enabled=true        -> list providers (only enabled ones, unless the caller has providers.manage
+ *                                   and did not pass enabled=true)
+ *  - POST   /                     -> create { sku, name, region?, enabled?, account_pattern?, concurrency?, timeout_ms? }
+ *  - PUT    /?sku=...             -> partial update
+ *  - DELETE /?sku=...             -> delete
+ *
+ * Auth:
+ *  - GET needs a signed-in employee; POST/PUT/PATCH/DELETE need providers.manage (src/permissions.ts)
+ *
+ * Persistence:
+ *  - Supabase REST /rest/v1/providers when SUPABASE_URL + SUPABASE_SERVICE_ROLE are set
+ *  - Otherwise the default five SKUs in memory (volatile in serverless warm runtime)
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createProviderCatalog, parseProviderInput } from '../../src/providers.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+function logInfo(...args: any[]) { if (['debug','info'].includes(LOG_LEVEL)) console.info('[providers]', ...args); }
+function logError(...args: any[]) { console.error('[providers]', ...args); }
+
+const providers = createProviderCatalog({
+  pool: null,
+  supabase: SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null
+});
+
+function jsonResponse(status: number, payload: any) {
+  return { statusCode: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+function parseBody(event: any) {
+  try {
+    return event.body ? JSON.parse(event.body) : {};
+  } catch {
+    return null;
+  }
+}
+
+const handler: Handler = async (event) => {
+  try {
+    const method = event.httpMethod || 'GET';
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) return jsonResponse(401, { error: 'Unauthorized' });
+    if (method !== 'GET' && !can(actor.role, 'providers.manage')) {
+      return jsonResponse(403, forbiddenBody('providers.manage'));
+    }
+    const qp = event.queryStringParameters || {};
+
+    if (method === 'GET') {
+      return jsonResponse(200, await providers.list({ includeDisabled: can(actor.role, 'providers.manage') && qp.enabled !== 'true' }));
+    }
+
+    if (method === 'POST') {
+      const body = parseBody(event);
+      if (!body) return jsonResponse(400, { error: 'Invalid JSON body' });
+      const { value, error } = parseProviderInput(body, false);
+      if (error || !value) return jsonResponse(400, { error });
+      try {
+        const created = await providers.create(value);
+        logInfo('Provider created', { sku: created.sku, by: actor.username });
+        return jsonResponse(201, created);
+      } catch (err: any) {
+        if (err?.code === 'duplicate' || err?.status === 409) return jsonResponse(409, { error: 'Provider already exists' });
+        throw err;
+      }
+    }
+
+    if (method === 'PUT' || method === 'PATCH' || method === 'DELETE') {
+      const sku = String(qp.sku || '').trim();
+      if (!sku) return jsonResponse(400, { error: 'Missing sku' });
+
+      if (method === 'DELETE') {
+        const removed = await providers.remove(sku);
+        if (!removed) return jsonResponse(404, { error: 'Provider not found' });
+        logInfo('Provider deleted', { sku, by: actor.username });
+        return jsonResponse(200, { ok: true });
+      }
+
+      const body = parseBody(event);
+      if (!body) return jsonResponse(400, { error: 'Invalid JSON body' });
+      const { value, error } = parseProviderInput(body, true);
+      if (error || !value) return jsonResponse(400, { error });
+      try {
+        const updated = await providers.update(sku, value);
+        if (!updated) return jsonResponse(404, { error: 'Provider not found' });
+        logInfo('Provider updated', { sku, fields: Object.keys(value), by: actor.username });
+        return jsonResponse(200, updated);
+      } catch (err: any) {
+        if (err?.code === 'duplicate' || err?.status === 409) return jsonResponse(409, { error: 'Provider already exists' });
+        throw err;
+      }
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed' });
+  } catch (err: any) {
+    logError('Handler error', err?.message || err);
+    return jsonResponse(500, { error: err?.message || 'Internal error' });
+  }
+};
+
+export { handler };
@@ -0,0 +1,8 @@
+/**
+ * netlify/functions/reports-kho.ts
+ *
+ * GET /api/reports/kho for the frontend's Netlify mode, which calls /.netlify/functions/reports-kho.
+ * Same handler as reports.ts.
+ */
+
+export { handler } from './reports.js';
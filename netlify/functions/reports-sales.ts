@@ -0,0 +1,8 @@
+/**
+ * netlify/functions/reports-sales.ts
+ *
+ * GET /api/reports/sales for the frontend's Netlify mode, which calls /.netlify/functions/reports-sales.
+ * Same handler as reports.ts.
+ */
+
+export { handler } from './reports.js';
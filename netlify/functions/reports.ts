@@ -0,0 +1,74 @@
+/**
+ * netlify/functions/reports.ts
+ *
+ * Netlify Function counterpart of /api/reports/* (src/reports.ts), 'reports.view' permission.
+ *  - GET /reports/sales   ?group=day|week|month|provider|member|employee, fromDate, toDate (soldAt), format=json|xlsx
+ *  - GET /reports/kho     ?fromDate, toDate (nhapAt), format=json|xlsx
+ * The frontend's Netlify mode calls /.netlify/functions/reports-sales and reports-kho, which re-export this
+ * handler; the report is picked from the end of the path (/sales, -sales, /kho, -kho).
+ *
+ * Persistence: Supabase REST when SUPABASE_URL + SUPABASE_SERVICE_ROLE are set, otherwise the shared in-memory store.
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createReports, salesReportWorkbook, khoReportWorkbook, reportFileName } from '../../src/reports.js';
+import { createProviderCatalog } from '../../src/providers.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+
+function logError(...args: any[]) { console.error('[reports]', ...args); }
+
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
+const reports = createReports({ pool: null, supabase });
+const providers = createProviderCatalog({ pool: null, supabase });
+
+function jsonResponse(status: number, payload: any) {
+  return { statusCode: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+
+async function xlsxResponse(wb: { xlsx: { writeBuffer(): Promise<any> } }, fileName: string) {
+  const buf = await wb.xlsx.writeBuffer();
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    },
+    body: Buffer.from(buf as ArrayBuffer).toString('base64'),
+    isBase64Encoded: true
+  };
+}
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET') return jsonResponse(405, { error: 'Method not allowed' });
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) return jsonResponse(401, { error: 'Unauthorized' });
+    if (!can(actor.role, 'reports.view')) return jsonResponse(403, forbiddenBody('reports.view'));
+
+    const which = /[\/-](sales|kho)\/?$/.exec(event.path || '')?.[1];
+    if (!which) return jsonResponse(404, { error: 'Unknown report (use /reports/sales or /reports/kho)' });
+
+    const checked = checkRequest(API_ROUTES[which === 'sales' ? 'GET /api/reports/sales' : 'GET /api/reports/kho'], { query: event.queryStringParameters || {} });
+    if (!checked.ok) return jsonResponse(checked.status, checked.body);
+    const { group, fromDate = null, toDate = null, format } = checked.query;
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+
+    if (which === 'sales') {
+      const report = await reports.sales(group, { fromDate, toDate }, { providerNames });
+      return format === 'xlsx' ? xlsxResponse(salesReportWorkbook(report), reportFileName(`doanh-so-${group}`, report.from, report.to)) : jsonResponse(200, report);
+    }
+    const report = await reports.kho({ fromDate, toDate }, { providerNames });
+    return format === 'xlsx' ? xlsxResponse(khoReportWorkbook(report), reportFileName('kho', report.from, report.to)) : jsonResponse(200, report);
+  } catch (err: any) {
+    logError('Handler error', err?.message || err);
+    return jsonResponse(500, { error: err?.message || 'Internal error' });
+  }
+};
+
+export { handler };
@@ -0,0 +1,91 @@
+/**
+ * netlify/functions/sales.ts
+ *
+ * Netlify Function counterpart of /api/sales (one record per sell call, see sales.* in src/repository.ts).
+ * Supports:
+ *  - GET /                         -> list, newest first (?member_id, employee_id, fromDate, toDate, limit, offset)
+ *  - GET /:id  or  /?id=...        -> one sale with its bills
+ *  - GET /:id/receipt              -> receipt, ?format=html (printable page, default) | xlsx (src/receipt.ts)
+ *
+ * Auth:
+ *  - history.view (src/permissions.ts). The receipt is opened as a plain link, so it also accepts ?ticket= signed
+ *    for its /api/sales/:id/receipt path (POST /api/auth/ticket, see src/auth.ts).
+ *
+ * Persistence:
+ *  - Supabase REST (the `sales` view of migrations/012_sales.sql and /rest/v1/history) when SUPABASE_URL +
+ *    SUPABASE_SERVICE_ROLE are set, otherwise the shared in-memory store (rows written by the sell function).
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createRepository, parseSalesQuery } from '../../src/repository.js';
+import { createProviderCatalog } from '../../src/providers.js';
+import { receiptHtml, receiptWorkbook, receiptFileName } from '../../src/receipt.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+
+function logError(...args: any[]) { console.error('[sales]', ...args); }
+
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
+const repo = createRepository({ pool: null, supabase });
+const providers = createProviderCatalog({ pool: null, supabase });
+
+function jsonResponse(status: number, payload: any) {
+  return { statusCode: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'GET') return jsonResponse(405, { error: 'Method not allowed' });
+
+    const qp = event.queryStringParameters || {};
+    // /api/sales/:id/receipt reaches us as .../sales/:id/receipt
+    const m = /\/sales\/([^/]+?)(\/receipt)?\/?$/.exec(event.path || '');
+    const id = m ? decodeURIComponent(m[1]) : (qp.id || null);
+    const receipt = !!m?.[2];
+
+    const actor = await authenticateHeaders(event.headers, receipt && id
+      ? { path: `/api/sales/${encodeURIComponent(id)}/receipt`, ticket: qp.ticket }
+      : undefined);
+    if (!actor) return jsonResponse(401, { error: 'Unauthorized' });
+    if (!can(actor.role, 'history.view')) return jsonResponse(403, forbiddenBody('history.view'));
+
+    if (!id) {
+      const checked = checkRequest(API_ROUTES['GET /api/sales'], { query: qp });
+      if (!checked.ok) return jsonResponse(checked.status, checked.body);
+      return jsonResponse(200, await repo.sales.list(parseSalesQuery(checked.query)));
+    }
+
+    const route = receipt ? 'GET /api/sales/:id/receipt' : 'GET /api/sales/:id';
+    const checked = checkRequest(API_ROUTES[route], { params: { id: String(id) }, query: receipt ? qp : {} });
+    if (!checked.ok) return jsonResponse(checked.status, checked.body);
+
+    const sale = await repo.sales.get(String(id));
+    if (!sale) return jsonResponse(404, { error: 'Sale not found' });
+    if (!receipt) return jsonResponse(200, sale);
+
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+    if (checked.query.format === 'xlsx') {
+      const buf = await receiptWorkbook(sale, { providerNames }).xlsx.writeBuffer();
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'Content-Disposition': `attachment; filename="${receiptFileName(sale, 'xlsx')}"`
+        },
+        body: Buffer.from(buf as ArrayBuffer).toString('base64'),
+        isBase64Encoded: true
+      };
+    }
+    return { statusCode: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body: receiptHtml(sale, { providerNames }) };
+  } catch (err: any) {
+    logError('Handler error', err?.message || err);
+    return jsonResponse(500, { error: err?.message || 'Internal error' });
+  }
+};
+
+export { handler };
@@ -0,0 +1,92 @@
+/**
+ * netlify/functions/select-by-target.ts
+ *
+ * Netlify Function counterpart of POST /api/select-by-target.
+ * - Loads KHO candidates through src/repository.ts (Supabase REST or the shared in-memory store)
+ *   and runs the subset-sum selection from src/select-by-target.ts. Bills held in other sellers' carts are left out.
+ * - Body: { target, mode?: 'exact'|'under'|'over', from?, to?, provider_id?, max_count?, time_budget_ms? }
+ * - Returns { keys, sum, count, diff, found, complete, items, ... }
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { selectByTarget, SelectMode } from '../../src/select-by-target.js';
+import { createRepository } from '../../src/repository.js';
+import { withHolds } from '../../src/carts.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const SELECT_MAX_CANDIDATES = Number(process.env.SELECT_MAX_CANDIDATES || 5000);
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+function logInfo(...args: any[]) { if (['debug','info'].includes(LOG_LEVEL)) console.info('[select-by-target]', ...args); }
+function logError(...args: any[]) { console.error('[select-by-target]', ...args); }
+
+const repo = createRepository({
+  pool: null,
+  supabase: SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null
+});
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+    if (!can(actor.role, 'kho.view')) {
+      return { statusCode: 403, body: JSON.stringify(forbiddenBody('kho.view')) };
+    }
+
+    let body: any = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (err) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
+    }
+
+    // Same schema as POST /api/select-by-target in server.ts
+    const checked = checkRequest(API_ROUTES['POST /api/select-by-target'], { body });
+    if (!checked.ok) return { statusCode: checked.status, body: JSON.stringify(checked.body) };
+    const { target, from = null, to = null, provider_id = null, max_count, time_budget_ms } = checked.body;
+    const mode = String(checked.body.mode).replace(/^closest-/, '') as SelectMode;
+
+    // Bills above the target can never be part of an 'exact' or 'under' answer
+    const candidates = await repo.kho.list({
+      provider_id,
+      positiveOnly: true,
+      fromAmount: from,
+      toAmount: mode === 'over' ? to : Math.min(to ?? target, target),
+      order: 'oldest',
+      limit: SELECT_MAX_CANDIDATES
+    });
+    const free = await withHolds(repo, candidates, actor.username, true);
+
+    const result = selectByTarget(free, {
+      target,
+      mode,
+      maxCount: max_count,
+      timeBudgetMs: time_budget_ms
+    });
+    logInfo('Selected', { target, mode, candidates: result.candidates, count: result.count, sum: result.sum, complete: result.complete });
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(result)
+    };
+  } catch (err: any) {
+    logError('Handler error', err?.stack ?? err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err?.message ?? 'Internal error' })
+    };
+  }
+};
+
+export { handler };
@@ -0,0 +1,8 @@
+/**
+ * netlify/functions/sell-quote.ts
+ *
+ * POST /api/sell/quote for the frontend's Netlify mode, which calls /.netlify/functions/sell-quote.
+ * Same handler as sell.ts: a path ending in /quote or -quote prices the bills without selling them.
+ */
+
+export { handler } from './sell.js';
@@ -4,16 +4,33 @@
  * Netlify Function to perform selling operation:
  * - Move selected bills from KHO -> history atomically (best-effort).
  * - Accepts POST body:
- *    { memberId: string | number, keys: string[], employeeId?: number, employeeUsername?: string }
- * - Auth: requires Authorization header (Bearer JWT) unless SKIP_AUTH=true
- * - Persistence:
- *    * If SUPABASE_URL + SUPABASE_SERVICE_ROLE present: perform operations via Supabase REST or SQL RPC.
- *    * Otherwise: operate on in-memory store (volatile).
+ *    { member_id: string | number, keys: string[], note?: string } (schema: 'POST /api/sell' in src/api-schemas.ts; memberId still accepted)
+ *    employeeId / employeeUsername are only honoured for the SKIP_AUTH dev actor
+ * - Auth: requires a Bearer access token from /api/auth/login with the 'sell' permission, unless SKIP_AUTH=true
+ * - Persistence (src/repository.ts, same semantics as POST /api/sell in server.ts):
+ *    * If SUPABASE_URL + SUPABASE_SERVICE_ROLE present: Supabase REST. KHO rows are claimed by deleting them
+ *      first, so two concurrent sells never both sell a bill; they are put back if the history insert fails.
+ *    * Otherwise: the shared in-memory store (volatile, same data as kho-list / kho-import / history).
  *
- * Behavior & guarantees:
- * - Attempts to perform an atomic transaction server-side when Supabase is configured.
- * - On success returns { ok: true, sold_count, sold: [history rows] }.
- * - On partial failure, returns 500 with a descriptive error; best-effort rollback attempted when using Supabase transactions/RPC.
+ * Behavior:
+ * - Keys no longer in KHO, or held in another seller's cart (kho_holds, src/carts.ts on the server), are skipped and
+ *   listed in `skipped` with the reason; member_name is taken from the member row.
+ * - An unknown member_id is refused with 404 { error: 'Member not found' }.
+ * - Each history row is priced with the member's pricing rules (src/pricing.ts, same store as the server);
+ *   repository sell() debits the amount due to the member's ledger (src/ledger.ts) as part of the sale and
+ *   rolls the sale back if that fails. Above the member's credit_limit the sale is refused:
+ *   409 { error, code: 'credit_limit', balance, credit_limit, amount_due, available }.
+ * - Bills not re-verified in the last SELL_VERIFY_MAX_AGE_HOURS are re-queried at the gateway first (src/kho-verify.ts);
+ *   paid, changed or unverifiable bills refuse the sale with 409 { error, code: 'stale_bills', mode, can_override, problems }
+ *   per SELL_VERIFY_MODE, unless accept_stale: true overrides a 'warn'. Those lookups count against the function's time
+ *   limit: run a verification pass (kho-verify) before selling large batches.
+ * - On success returns { ok: true, sold_count, sale_id, totals: { count, total, fee, amount_due, margin }, history: [history rows], skipped, verification }.
+ * - Writes a 'sell' audit entry (src/audit.ts) like server.ts.
+ * - An Idempotency-Key header makes retries safe (src/idempotency.ts, same store as the server with Supabase):
+ *   a retry with the same body gets the first answer back (header Idempotent-Replayed: true), another body
+ *   422 idempotency_key_reused, a retry while the first call still runs 409 idempotency_in_progress.
+ * - POST .../sell/quote or .../sell-quote { member_id, keys } prices the bills without selling them, like POST /api/sell/quote:
+ *   { items, missing, totals, balance, credit_limit, over_limit }; items carry their verification fields (stale = re-queried on sale).
  *
  * Security:
  * - SUPABASE_SERVICE_ROLE must NEVER be exposed to clients.
@@ -27,170 +44,116 @@
  */
 
 import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody } from '../../src/permissions.js';
+import { createRepository } from '../../src/repository.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+import { createAuditLog, auditRow, requestIp } from '../../src/audit.js';
+import { createPricing, priceTotals, saleQuote } from '../../src/pricing.js';
+import { createLedger, creditCheck, CreditLimitError } from '../../src/ledger.js';
+import { createProviderCatalog } from '../../src/providers.js';
+import { createLookupCache } from '../../src/lookup-cache.js';
+import { createGatewayClient } from '../../src/gateways.js';
+import { createKhoVerifier } from '../../src/kho-verify.js';
+import { createIdempotency, readIdempotencyKey, StoredResponse, IDEMPOTENCY_REPLAYED_HEADER } from '../../src/idempotency.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL || '';
 const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
+const NEW_API_TIMEOUT_MS = Number(process.env.NEW_API_TIMEOUT_MS || 30000);
+const NEW_API_MAX_RETRIES = Number(process.env.NEW_API_MAX_RETRIES || 3);
+const NEW_API_CONCURRENCY = Number(process.env.NEW_API_CONCURRENCY || 6);
 const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
 
-function logDebug(...args: any[]) { if (LOG_LEVEL === 'debug') console.debug('[sell]', ...args); }
 function logInfo(...args: any[]) { if (['debug','info'].includes(LOG_LEVEL)) console.info('[sell]', ...args); }
 function logWarn(...args: any[]) { if (['debug','info','warn'].includes(LOG_LEVEL)) console.warn('[sell]', ...args); }
 function logError(...args: any[]) { console.error('[sell]', ...args); }
 
-function parseNumber(v: any, fallback = 0) {
-  if (v == null) return fallback;
-  const n = Number(v);
-  if (Number.isFinite(n)) return n;
-  const s = String(v).replace(/[^\d.-]/g, '');
-  const n2 = Number(s);
-  return Number.isFinite(n2) ? n2 : fallback;
-}
+const repo = createRepository({ pool: null, supabase });
 
-// In-memory stores shared across warm function instances (volatile)
-const MEM = (global as any).__PROJECT_TRA_CUU_MEM__ || { KHO: {}, HISTORY: [], MEMBERS: {} };
-(global as any).__PROJECT_TRA_CUU_MEM__ = MEM;
+const audit = createAuditLog({ pool: null, supabase });
 
-// Helper: fetch member if using supabase
-async function fetchMemberSupabase(memberId: string | number) {
-  const url = `${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/members?id=eq.${encodeURIComponent(String(memberId))}&select=*`;
-  const resp = await fetch(url, {
-    headers: {
-      apikey: SUPABASE_SERVICE_ROLE,
-      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE}`,
-      Accept: 'application/json'
-    }
-  });
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => '');
-    throw new Error(`Supabase fetch member failed: ${resp.status} ${txt.slice(0,500)}`);
-  }
-  const arr = await resp.json();
-  return Array.isArray(arr) && arr.length ? arr[0] : null;
-}
+const pricing = createPricing({ pool: null, supabase });
 
-// Helper: Supabase transaction via SQL (use PostgREST RPC or invoke RPC endpoint).
-// We will try to use direct SQL via the query interface provided by Supabase (we can use /rest/v1/rpc if defined).
-// For simplicity and portability, we will:
-//  - Insert into history via REST (POST) with 'Prefer: return=representation'
-//  - Delete from kho via REST (DELETE) using keys (batch requests).
-// If you prefer true SQL transaction, create a Postgres function RPC (recommended) and call it instead.
-async function sellSupabase(member: any, keys: string[], employeeId?: number | null, employeeUsername?: string | null) {
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) throw new Error('Supabase not configured');
+const ledger = createLedger({ pool: null, supabase });
 
-  // 1) Fetch KHO rows by keys
-  const keysFilter = keys.map(k => `key=eq.${encodeURIComponent(k)}`).join('&');
-  const fetchUrl = `${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/kho?select=*&${keys.map(k => `key=eq.${encodeURIComponent(k)}`).join('&')}`;
-  const respFetch = await fetch(fetchUrl, {
-    headers: { apikey: SUPABASE_SERVICE_ROLE, Authorization: `Bearer ${SUPABASE_SERVICE_ROLE}`, Accept: 'application/json' }
-  });
-  if (!respFetch.ok) {
-    const txt = await respFetch.text().catch(() => '');
-    throw new Error(`Supabase fetch kho failed: ${respFetch.status} ${txt.slice(0,500)}`);
-  }
-  const khoRows = await respFetch.json();
-  if (!Array.isArray(khoRows) || khoRows.length === 0) {
-    return { ok: true, sold_count: 0, sold: [] };
-  }
+const providers = createProviderCatalog({ pool: null, supabase });
 
-  // Build history payload
-  const now = new Date().toISOString();
-  const historyPayload = khoRows.map((r: any) => ({
-    key: r.key,
-    account: r.account,
-    provider_id: r.provider_id,
-    name: r.name,
-    address: r.address,
-    amount_previous: r.amount_previous ?? 0,
-    amount_current: r.amount_current ?? 0,
-    total: r.total ?? (r.amount_current ?? 0),
-    nhapAt: r.nhapat ?? r.nhapAt ?? r.created_at ?? null,
-    xuatAt: now,
-    soldAt: now,
-    member_id: member?.id ?? null,
-    member_name: member?.name ?? null,
-    employee_id: employeeId ?? null,
-    employee_username: employeeUsername ?? null,
-    raw: r.raw ?? null,
-    created_at: now
-  }));
+const idempotency = createIdempotency({ pool: null, supabase });
 
-  // 2) Insert into history (POST)
-  const historyUrl = `${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/history`;
-  const respInsert = await fetch(historyUrl, {
-    method: 'POST',
-    headers: {
-      apikey: SUPABASE_SERVICE_ROLE,
-      Authorization: `Bearer ${SUPABASE_SERVICE_ROLE}`,
-      'Content-Type': 'application/json',
-      Prefer: 'return=representation'
-    },
-    body: JSON.stringify(historyPayload)
-  });
-  if (!respInsert.ok) {
-    const txt = await respInsert.text().catch(() => '');
-    throw new Error(`Supabase insert history failed: ${respInsert.status} ${txt.slice(0,1000)}`);
+// Re-verification before sale (src/kho-verify.ts); lookups gated like get-bill.ts, always fresh
+const lookupCache = createLookupCache({ pool: null });
+const gateways = createGatewayClient({ timeoutMs: NEW_API_TIMEOUT_MS, maxRetries: NEW_API_MAX_RETRIES, backoffBaseMs: 700 });
+const verifier = createKhoVerifier({
+  repo,
+  lookup: async (account, sku) => {
+    const check = await providers.checkLookup(sku, [account]);
+    if (!check.ok) throw new Error(check.body.error);
+    if (check.invalid.length) throw new Error('Invalid account number for provider');
+    const timeoutMs = check.provider.timeout_ms;
+    return (await lookupCache.lookup(sku, account, true, () => gateways.lookup(account, sku, { timeoutMs }))).normalized;
+  },
+  concurrency: NEW_API_CONCURRENCY
+});
+
+// The sale itself, once the body is validated; the answer is what idempotency.run() stores for replays
+async function sell(actor: AuthEmployee, body: any, input: any, headers: Record<string, any>): Promise<StoredResponse> {
+  const { member_id: memberId, keys, note, accept_stale: acceptStale } = input as { member_id: string; keys: string[]; note?: string | null; accept_stale: boolean };
+  // The seller is the authenticated employee; body fields only apply to the SKIP_AUTH dev actor
+  const employeeId = actor.id ?? body.employeeId ?? body.employee_id ?? null;
+  const employeeUsername = actor.id != null ? actor.username : (body.employeeUsername ?? body.employee_username ?? actor.username);
+
+  // limit keys to prevent huge deletes
+  const MAX_KEYS = 200;
+  if (keys.length > MAX_KEYS) {
+    return { status: 400, body: { error: `Too many keys in one request (max ${MAX_KEYS})` } };
   }
-  const inserted = await respInsert.json();
 
-  // 3) Delete from kho using keys (batch delete one-by-one or filter)
-  // Build delete query: key=in.(k1,k2,...) -> PostgREST supports in operator: key=in.(a,b)
-  const keysEscaped = keys.map(k => k.replace(/"/g, '\\"')).join(',');
-  const deleteUrl = `${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/kho?key=in.(${keys.map(k => encodeURIComponent(k)).join(',')})`;
-  // Note: above encoding may need proper URL quoting; to be robust we delete each key individually
-  for (const k of keys) {
-    const delUrl = `${SUPABASE_URL.replace(/\/$/, '')}/rest/v1/kho?key=eq.${encodeURIComponent(k)}`;
-    const delResp = await fetch(delUrl, {
-      method: 'DELETE',
-      headers: {
-        apikey: SUPABASE_SERVICE_ROLE,
-        Authorization: `Bearer ${SUPABASE_SERVICE_ROLE}`,
-        Prefer: 'return=minimal'
-      }
-    });
-    if (!delResp.ok) {
-      const txt = await delResp.text().catch(() => '');
-      // Log warning but continue; we attempt to maintain eventual consistency
-      logWarn(`Failed to delete key ${k} from kho: ${delResp.status} ${txt.slice(0,200)}`);
-    }
+  const member = await repo.members.get(memberId);
+  if (!member) return { status: 404, body: { error: 'Member not found' } };
+
+  // Bills in someone's cart are skipped by the sale: leave them out of its checks
+  const taken = new Set((await repo.holds.active(keys)).map(h => h.key));
+  const sellable = keys.filter(k => !taken.has(k));
+  const verified = await verifier.beforeSale(sellable, { acceptStale });
+  if (!verified.ok) {
+    logWarn('Sale refused: stale bills', { member_id: memberId, problems: verified.problems.length, by: employeeUsername });
+    return { status: 409, body: verified.body };
   }
 
-  return { ok: true, sold_count: inserted.length || historyPayload.length, sold: inserted };
-}
+  // Early refusal before the sale; sell() checks the limit again with the debit
+  const price = await pricing.pricerFor(memberId);
+  if (member.credit_limit != null) {
+    const due = priceTotals((await repo.kho.get(sellable)).map(it => ({ total: it.total, ...price(it) }))).amount_due;
+    const refused = creditCheck(member, await ledger.balance(memberId), due);
+    if (refused) return { status: 409, body: refused };
+  }
 
-// In-memory sell: move from MEM.KHO -> MEM.HISTORY
-async function sellMemory(member: any, keys: string[], employeeId?: number | null, employeeUsername?: string | null) {
-  const now = new Date().toISOString();
-  const sold: any[] = [];
-  for (const key of keys) {
-    const item = MEM.KHO[key];
-    if (!item) continue;
-    const entry = {
-      id: String(Date.now()) + Math.random().toString(36).slice(2, 8),
-      key: item.key,
-      account: item.account,
-      provider_id: item.provider_id,
-      name: item.name,
-      address: item.address,
-      amount_previous: parseNumber(item.amount_previous ?? 0),
-      amount_current: parseNumber(item.amount_current ?? 0),
-      total: parseNumber(item.total ?? item.amount_current ?? 0),
-      nhapAt: item.nhapAt ?? item.created_at ?? null,
-      xuatAt: now,
-      soldAt: now,
-      member_id: member?.id ?? null,
-      member_name: member?.name ?? null,
-      employee_id: employeeId ?? null,
-      employee_username: employeeUsername ?? null,
-      raw: item.raw ?? null,
-      created_at: now
-    };
-    sold.push(entry);
-    // remove from KHO
-    delete MEM.KHO[key];
-    // add to history
-    MEM.HISTORY.push(entry);
+  const employee = { id: employeeId, username: employeeUsername ?? null };
+  let out;
+  try {
+    out = await repo.sell({ keys, member_id: memberId, employee, note: note || null, price });
+  } catch (err) {
+    if (err instanceof CreditLimitError) return { status: 409, body: err.body };
+    throw err;
   }
-  return { ok: true, sold_count: sold.length, sold };
+  const { sold, skipped } = out;
+  if (sold.length) {
+    await audit.record({
+      action: 'sell', actor: { id: employeeId, username: employeeUsername ?? null }, ip: requestIp(headers),
+      keys: sold.map(r => r.key), after: sold.map(auditRow)
+    });
+  }
+  const totals = priceTotals(sold);
+  logInfo('Sold', { mode: repo.mode, member_id: memberId, requested: keys.length, sold: sold.length, skipped: skipped.length, amount_due: totals.amount_due, by: employeeUsername });
+  const soldKeys = new Set(sold.map(r => r.key));
+  const accepted = verified.problems.filter(p => soldKeys.has(p.key)).map(p => ({ key: p.key, reason: p.reason }));
+  if (accepted.length) logWarn('Sold flagged bills (accept_stale)', { sale_id: sold[0]?.sale_id, accepted, by: employeeUsername });
+  return {
+    status: 200,
+    body: { ok: true, sold_count: sold.length, sale_id: sold[0]?.sale_id ?? null, totals, history: sold, skipped, verification: { checked: verified.checked, accepted } }
+  };
 }
 
 // Handler
@@ -200,10 +163,13 @@ const handler: Handler = async (event) => {
       return { statusCode: 405, body: JSON.stringify({ error: 'Method not allowed' }) };
     }
 
-    const auth = (event.headers['authorization'] || event.headers['Authorization'] || '').trim();
-    if (!auth && process.env.SKIP_AUTH !== 'true') {
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) {
       return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
     }
+    if (!can(actor.role, 'sell')) {
+      return { statusCode: 403, body: JSON.stringify(forbiddenBody('sell')) };
+    }
 
     let body: any = {};
     try {
@@ -212,42 +178,31 @@ const handler: Handler = async (event) => {
       return { statusCode: 400, body: JSON.stringify({ error: 'Invalid JSON body' }) };
     }
 
-    const memberId = body.memberId ?? body.member_id;
-    const keys = Array.isArray(body.keys) ? body.keys.map((v: any) => String(v)).map((s: string) => s.trim()).filter(Boolean) : [];
-    const employeeId = body.employeeId ?? body.employee_id ?? null;
-    const employeeUsername = body.employeeUsername ?? body.employee_username ?? null;
-
-    if (!memberId) return { statusCode: 400, body: JSON.stringify({ error: 'Missing memberId' }) };
-    if (!keys.length) return { statusCode: 400, body: JSON.stringify({ error: 'Missing keys array' }) };
-
-    // limit keys to prevent huge deletes
-    const MAX_KEYS = 200;
-    if (keys.length > MAX_KEYS) {
-      return { statusCode: 400, body: JSON.stringify({ error: `Too many keys in one request (max ${MAX_KEYS})` }) };
+    // /api/sell/quote (redirected to sell/quote) or the sell-quote function (sell-quote.ts)
+    if (/[\/-]quote\/?$/.test(event.path || '')) {
+      const quote = checkRequest(API_ROUTES['POST /api/sell/quote'], { body });
+      if (!quote.ok) return { statusCode: quote.status, body: JSON.stringify(quote.body) };
+      const { member_id: quoteMember, keys: quoteKeys } = quote.body as { member_id: string; keys: string[] };
+      const [items, price, quoteMemberRow, balance] = await Promise.all([
+        repo.kho.get(quoteKeys), pricing.pricerFor(quoteMember), repo.members.get(quoteMember), ledger.balance(quoteMember)
+      ]);
+      // Same body as server.ts (saleQuote): items carry last_verified_at / verify_status / verified_total / stale
+      return { statusCode: 200, body: JSON.stringify(saleQuote(quoteKeys, items, price, quoteMemberRow, balance)) };
     }
 
-    // If Supabase configured, attempt supabase-backed workflow (preferred)
-    if (SUPABASE_URL && SUPABASE_SERVICE_ROLE) {
-      try {
-        // fetch member
-        const member = await fetchMemberSupabase(memberId);
-        // perform sell transaction-ish
-        const result = await sellSupabase(member, keys, employeeId ? Number(employeeId) : null, employeeUsername ?? null);
-        return {
-          statusCode: 200,
-          body: JSON.stringify(result)
-        };
-      } catch (err: any) {
-        logError('Supabase sell failed:', err?.message || err);
-        // return 500 so caller can inspect and retry; do not silently lose data
-        return { statusCode: 500, body: JSON.stringify({ error: err?.message || 'Supabase sell failed' }) };
-      }
-    }
-
-    // Fallback to in-memory sell
-    const member = MEM.MEMBERS[String(memberId)] || null;
-    const memResult = await sellMemory(member, keys, employeeId ? Number(employeeId) : null, employeeUsername ?? null);
-    return { statusCode: 200, body: JSON.stringify(memResult) };
+    // Same schema as POST /api/sell in server.ts (memberId is accepted as an alias of member_id)
+    const checked = checkRequest(API_ROUTES['POST /api/sell'], { body });
+    if (!checked.ok) return { statusCode: checked.status, body: JSON.stringify(checked.body) };
+    const header = readIdempotencyKey(event.headers);
+    if (!header.ok) return { statusCode: header.status, body: JSON.stringify(header.body) };
+
+    const out = await idempotency.run('POST /api/sell', actor.username, header.key, checked.body, () => sell(actor, body, checked.body, event.headers));
+    if (out.replayed) logInfo('Idempotent replay', { key: header.key, status: out.status, by: actor.username });
+    return {
+      statusCode: out.status,
+      ...(out.replayed ? { headers: { [IDEMPOTENCY_REPLAYED_HEADER]: 'true' } } : {}),
+      body: JSON.stringify(out.body)
+    };
   } catch (err: any) {
     logError('Handler error', err?.message || err);
     return { statusCode: 500, body: JSON.stringify({ error: err?.message || 'Internal error' }) };
@@ -0,0 +1,85 @@
+/**
+ * netlify/functions/uploads.ts
+ *
+ * Netlify Function counterpart of POST /api/uploads (src/uploads.ts): an .xlsx / .csv file of accounts or
+ * KHO bills, base64 in a JSON body { filename?, content, target, dry_run?, sku?, sheet?, mapping? }.
+ * - Always answers the per-row report (accepted / duplicate / invalid) like server.ts.
+ * - target=kho (kho.import): unless dry_run, accepted rows are upserted into KHO, with audit entries.
+ * - target=lookup (lookup): Netlify functions cannot run background lookup jobs, so the accepted accounts
+ *   come back as lookup.batches (one per SKU) and the client looks them up with /check-electricity/bulk;
+ *   lookup.jobs is always empty here.
+ *
+ * Persistence: Supabase REST when SUPABASE_URL + SUPABASE_SERVICE_ROLE are set, otherwise the shared in-memory store.
+ */
+
+import { Handler } from '@netlify/functions';
+import { authenticateHeaders } from '../../src/auth.js';
+import { can, forbiddenBody, Permission } from '../../src/permissions.js';
+import { createRepository, parseKhoBill, KhoInput } from '../../src/repository.js';
+import { createProviderCatalog } from '../../src/providers.js';
+import { checkUpload, lookupBatches, khoBills, UploadError } from '../../src/uploads.js';
+import { checkRequest } from '../../src/validation.js';
+import { API_ROUTES } from '../../src/api-schemas.js';
+import { createAuditLog, khoUpsertAudit, requestIp } from '../../src/audit.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || '';
+const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE || '';
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+
+function logInfo(...args: any[]) { if (['debug','info'].includes(LOG_LEVEL)) console.info('[uploads]', ...args); }
+function logError(...args: any[]) { console.error('[uploads]', ...args); }
+
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE ? { url: SUPABASE_URL, key: SUPABASE_SERVICE_ROLE } : null;
+const repo = createRepository({ pool: null, supabase });
+const providers = createProviderCatalog({ pool: null, supabase });
+const audit = createAuditLog({ pool: null, supabase });
+
+function jsonResponse(status: number, payload: any) {
+  return { statusCode: status, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+}
+
+const handler: Handler = async (event) => {
+  try {
+    if (event.httpMethod !== 'POST') return jsonResponse(405, { error: 'Method not allowed' });
+    const actor = await authenticateHeaders(event.headers);
+    if (!actor) return jsonResponse(401, { error: 'Unauthorized' });
+
+    let body: any = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (e) {
+      return jsonResponse(400, { error: 'Invalid JSON body' });
+    }
+    // Permission before the schema, as in server.ts: an invalid target is then refused by the validation
+    const permission: Permission = body?.target === 'kho' ? 'kho.import' : 'lookup';
+    if (!can(actor.role, permission)) return jsonResponse(403, forbiddenBody(permission));
+    const checked = checkRequest(API_ROUTES['POST /api/uploads'], { body });
+    if (!checked.ok) return jsonResponse(checked.status, checked.body);
+    const { filename = null, content, target, dry_run: dryRun, sku = null, sheet = null, mapping = null } = checked.body;
+
+    const report = await checkUpload(
+      { content, filename, sheet: sheet != null && /^\d+$/.test(sheet) ? Number(sheet) : sheet, mapping, sku, target },
+      { providers: await providers.list({ includeDisabled: true }), inKho: async keys => (await repo.kho.get(keys)).map(k => k.key) }
+    );
+    const out: any = { target, dry_run: dryRun, ...report };
+
+    if (target === 'lookup') {
+      out.lookup = { batches: lookupBatches(report.rows), jobs: [] };
+    } else if (!dryRun) {
+      const now = new Date().toISOString();
+      const items = khoBills(report.rows, filename).map(b => parseKhoBill(b, now)).filter((b): b is KhoInput => b != null);
+      const { rows, added, updated, previous } = items.length ? await repo.kho.upsert(items) : { rows: [], added: 0, updated: 0, previous: [] };
+      for (const entry of khoUpsertAudit(rows, previous)) await audit.record({ ...entry, actor, ip: requestIp(event.headers) });
+      out.kho = { added, updated, total: await repo.kho.count() };
+    }
+
+    logInfo('Upload', { filename, target, dry_run: dryRun, ...report.counts, by: actor.username });
+    return jsonResponse(200, out);
+  } catch (err: any) {
+    if (err instanceof UploadError) return jsonResponse(400, { error: err.message, code: err.code });
+    logError('Handler error', err?.message || err);
+    return jsonResponse(500, { error: err?.message || 'Internal error' });
+  }
+};
+
+export { handler };
@@ -12,7 +12,7 @@
  * Features:
  *  - Prompts for username (default 'admin') and password (hidden)
  *  - Generates bcrypt hash (cost 10 by default, configurable)
- *  - Prints SQL ready INSERT statement (safe to paste into migrations/002_seed_admin.sql)
+ *  - Prints SQL ready INSERT statement (safe to paste into seeds/001_dev_sample.sql)
  *  - Optionally posts to Supabase REST /rest/v1/employees when SUPABASE_URL + SUPABASE_SERVICE_ROLE present
  *  - Does not store secrets; it's a local helper for operator use
  *
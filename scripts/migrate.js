@@ -1,34 +1,247 @@
-// scripts/migrate.js
-const fs = require('fs');
-const path = require('path');
-const { Client } = require('pg');
+/**
+ * scripts/migrate.js
+ *
+ * Versioned Postgres migration runner.
+ *
+ * Usage:
+ *   npm run migrate                      # same as `up`
+ *   npm run migrate -- status            # applied / pending / changed / missing per version
+ *   npm run migrate -- up [--to 005]     # apply pending migrations (up to and including --to)
+ *   npm run migrate -- down [--steps 2 | --to 004]
+ *                                        # revert the last applied migration(s); --to keeps that version
+ *   npm run migrate -- seed              # run seeds/*.sql (optional, dev/staging only; = npm run db:seed)
+ *   add --dry-run to any command to print the plan (and SQL) without changing the database
+ *
+ * Notes:
+ *  - migrations/NNN_name.sql: the version is NNN. Everything before a `-- migrate:down` line is the
+ *    up script, everything after it is the down script (optional; `down` refuses without it).
+ *  - Applied versions are recorded in schema_migrations together with a SHA-256 of the file.
+ *    An applied file whose checksum no longer matches stops `up` / `down`: write a new migration
+ *    instead of editing an applied one.
+ *  - Each migration runs in its own transaction together with its schema_migrations row.
+ *    A session advisory lock keeps two runners (e.g. two deploys) from migrating at once.
+ *  - Seeds are not versioned; they must be idempotent and are never run by `up`.
+ *  - Databases migrated by the previous runner (which re-ran every file) have no schema_migrations
+ *    table, so the first `up` re-applies all migrations; they are written to be safe to re-run.
+ */
 
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MIGRATIONS_DIR = path.join(ROOT, 'migrations');
+const SEEDS_DIR = path.join(ROOT, 'seeds');
+const LOCK_ID = 7270011; // arbitrary, shared by every runner of this project
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+/* ---- Files ---- */
+function readMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => /^\d+_.+\.sql$/.test(f)).sort();
+  const seen = new Map();
+  return files.map(file => {
+    const version = file.split('_')[0];
+    if (seen.has(version)) throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+    seen.set(version, file);
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const m = DOWN_MARKER.exec(sql);
+    return {
+      version,
+      name: file.replace(/^\d+_/, '').replace(/\.sql$/, ''),
+      file,
+      checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+      up: m ? sql.slice(0, m.index) : sql,
+      down: m ? sql.slice(m.index + m[0].length).trim() || null : null
+    };
+  });
+}
+
+function readSeeds() {
+  if (!fs.existsSync(SEEDS_DIR)) return [];
+  return fs.readdirSync(SEEDS_DIR).filter(f => f.endsWith('.sql')).sort()
+    .map(file => ({ file, sql: fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8') }));
+}
+
+/* ---- Arguments ---- */
+function parseArgs(argv) {
+  const opts = { command: 'up', dryRun: false, to: null, steps: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--to') opts.to = argv[++i];
+    else if (a === '--steps') opts.steps = Number(argv[++i]);
+    else if (!a.startsWith('--')) opts.command = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!['status', 'up', 'down', 'seed'].includes(opts.command)) throw new Error(`Unknown command ${opts.command}`);
+  if (opts.to != null && !/^\d+$/.test(String(opts.to))) throw new Error('--to expects a migration version, e.g. --to 005');
+  if (opts.steps != null && (!Number.isInteger(opts.steps) || opts.steps < 1)) throw new Error('--steps expects a positive integer');
+  return opts;
+}
+
+/* ---- Database ---- */
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     TEXT PRIMARY KEY,
+      name        TEXT NOT NULL,
+      checksum    TEXT NOT NULL,
+      applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function loadApplied(client) {
+  const { rows: [exists] } = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS ok");
+  if (!exists.ok) return new Map();
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(r => [r.version, r]));
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch (er) {}
+    throw e;
+  }
+}
+
+/* ---- Commands ---- */
+function statusRows(migrations, applied) {
+  const rows = migrations.map(m => {
+    const a = applied.get(m.version);
+    const state = !a ? 'pending' : a.checksum !== m.checksum ? 'changed' : 'applied';
+    return { version: m.version, name: m.name, state, applied_at: a ? new Date(a.applied_at).toISOString() : '' };
+  });
+  for (const a of applied.values()) {
+    if (!migrations.some(m => m.version === a.version)) {
+      rows.push({ version: a.version, name: a.name, state: 'missing', applied_at: new Date(a.applied_at).toISOString() });
+    }
+  }
+  return rows.sort((x, y) => x.version.localeCompare(y.version));
+}
+
+function assertUnchanged(migrations, applied) {
+  const changed = statusRows(migrations, applied).filter(r => r.state === 'changed');
+  if (changed.length) {
+    throw new Error(`Applied migration(s) edited since they ran: ${changed.map(r => r.version + '_' + r.name).join(', ')}. ` +
+      'Restore the original file and add a new migration instead.');
+  }
+}
+
+async function status(client, migrations) {
+  const rows = statusRows(migrations, await loadApplied(client));
+  for (const r of rows) console.log(`${r.version}  ${r.state.padEnd(8)}  ${r.applied_at.padEnd(24)}  ${r.name}`);
+  const pending = rows.filter(r => r.state === 'pending').length;
+  const changed = rows.filter(r => r.state === 'changed').length;
+  const missing = rows.filter(r => r.state === 'missing').length;
+  console.log(`${rows.length - pending - missing} applied, ${pending} pending` +
+    (changed ? `, ${changed} changed` : '') + (missing ? `, ${missing} missing file(s)` : ''));
+  if (changed) process.exitCode = 1;
+}
+
+async function up(client, migrations, opts) {
+  const applied = await loadApplied(client);
+  assertUnchanged(migrations, applied);
+  const todo = migrations.filter(m => !applied.has(m.version) && (opts.to == null || Number(m.version) <= Number(opts.to)));
+  if (!todo.length) { console.log('Nothing to apply; schema is up to date.'); return; }
+  if (!opts.dryRun) await ensureTable(client);
+  for (const m of todo) {
+    if (opts.dryRun) {
+      console.log(`-- [dry-run] would apply ${m.file}\n${m.up.trim()}\n`);
+      continue;
+    }
+    console.log('Applying', m.file);
+    await inTransaction(client, async () => {
+      await client.query(m.up);
+      await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)', [m.version, m.name, m.checksum]);
+    });
+    console.log('Applied', m.file);
+  }
+  console.log(opts.dryRun ? `${todo.length} migration(s) would be applied.` : `${todo.length} migration(s) applied.`);
+}
+
+async function down(client, migrations, opts) {
+  const applied = await loadApplied(client);
+  assertUnchanged(migrations, applied);
+  const versions = [...applied.keys()].sort().reverse();
+  const targets = opts.to != null
+    ? versions.filter(v => Number(v) > Number(opts.to))
+    : versions.slice(0, opts.steps ?? 1);
+  if (!targets.length) { console.log('Nothing to revert.'); return; }
+  const plan = targets.map(v => {
+    const m = migrations.find(x => x.version === v);
+    if (!m) throw new Error(`Cannot revert ${v}: migration file is missing.`);
+    if (!m.down) throw new Error(`Cannot revert ${m.file}: it has no "-- migrate:down" section.`);
+    return m;
+  });
+  for (const m of plan) {
+    if (opts.dryRun) {
+      console.log(`-- [dry-run] would revert ${m.file}\n${m.down}\n`);
+      continue;
+    }
+    console.log('Reverting', m.file);
+    await inTransaction(client, async () => {
+      await client.query(m.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+    });
+    console.log('Reverted', m.file);
+  }
+  console.log(opts.dryRun ? `${plan.length} migration(s) would be reverted.` : `${plan.length} migration(s) reverted.`);
+}
+
+async function seed(client, migrations, opts) {
+  const applied = await loadApplied(client);
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (pending.length && !opts.dryRun) {
+    throw new Error(`Run migrations first (${pending.length} pending, e.g. ${pending[0].file}).`);
+  }
+  const seeds = readSeeds();
+  if (!seeds.length) { console.log('No seed files in seeds/.'); return; }
+  for (const s of seeds) {
+    if (opts.dryRun) { console.log(`-- [dry-run] would run seeds/${s.file}`); continue; }
+    console.log('Seeding', s.file);
+    await inTransaction(client, () => client.query(s.sql));
+  }
+  console.log(opts.dryRun ? `${seeds.length} seed file(s) would run.` : `${seeds.length} seed file(s) applied.`);
+}
+
+/* ---- Main ---- */
 async function run() {
-  const migrationsDir = path.join(__dirname, '..', 'migrations');
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error('Usage: node scripts/migrate.js [status|up|down|seed] [--dry-run] [--to NNN] [--steps N]');
+    process.exit(2);
+  }
   if (!process.env.DATABASE_URL) {
     console.error('DATABASE_URL not set');
     process.exit(1);
   }
-  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  const migrations = readMigrations();
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
   await client.connect();
   try {
-    const files = fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql')).sort();
-    for (const file of files) {
-      const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
-      console.log('Applying', file);
-      await client.query('BEGIN');
-      await client.query(sql);
-      await client.query('COMMIT');
-      console.log('Applied', file);
-    }
-    console.log('All migrations applied');
-    await client.end();
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    const commands = { status, up, down, seed };
+    await commands[opts.command](client, migrations, opts);
   } catch (e) {
-    console.error('Migration failed', e);
-    try { await client.query('ROLLBACK'); } catch (er) {}
+    console.error('Migration failed:', e.message || e);
+    process.exitCode = 1;
+  } finally {
+    try { await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]); } catch (er) {}
     await client.end();
-    process.exit(1);
   }
 }
 
-run();
+run().catch(e => {
+  console.error('Migration failed:', e.message || e);
+  process.exit(1);
+});
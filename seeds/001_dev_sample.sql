@@ -1,5 +1,6 @@
--- 002_seed_admin.sql
--- Robust, environment-safe seed for development/staging.
+-- seeds/001_dev_sample.sql (formerly migrations/002_seed_admin.sql)
+-- Robust, environment-safe seed for development/staging. Not a migration: applied only by
+-- `npm run db:seed`, after the schema in migrations/ is up to date.
 -- Adapts to actual schema: checks for optional columns and NOT NULL columns without defaults,
 -- and will skip inserts that would violate constraints.
 -- IMPORTANT: Replace <BCRYPT_HASH_OF_PASSWORD> with a real bcrypt hash if you want SQL-based admin creation.
@@ -8,7 +9,7 @@
 -------------------------------------------------------------------------------
 -- Informational message
 -------------------------------------------------------------------------------
-SELECT 'Running 002_seed_admin.sql - development-only seed. Review before executing.' AS message;
+SELECT 'Running seeds/001_dev_sample.sql - development-only seed. Review before executing.' AS message;
 
 -------------------------------------------------------------------------------
 -- Section 1: Helper function - create_or_update_admin_by_hash
@@ -22,7 +23,7 @@ BEGIN
 
   IF EXISTS (SELECT 1 FROM employees WHERE username = p_username) THEN
     UPDATE employees
-      SET password_hash = p_bcrypt_hash, updated_at = COALESCE(updated_at, now()), updated_at = now()
+      SET password_hash = p_bcrypt_hash, updated_at = now()
     WHERE username = p_username;
     RAISE NOTICE 'Updated existing admin password for %', p_username;
   ELSE
@@ -176,7 +177,7 @@ BEGIN
 
   SELECT COUNT(*) FROM information_schema.columns
     WHERE table_schema = current_schema() AND table_name = 'kho'
-      AND column_name IN ('key','account','provider_id','name','address','amount_previous','amount_current','total','nhapAt','raw','customer','created_at','updated_at')
+      AND column_name IN ('key','account','provider_id','name','address','amount_previous','amount_current','total','nhapat','raw','customer','created_at','updated_at')
   INTO required_count;
 
   IF required_count < 13 THEN
@@ -199,20 +200,12 @@ END;
 $$ LANGUAGE plpgsql;
 
 -------------------------------------------------------------------------------
--- Section 6: Sample history entries (idempotent, schema-adaptive)
--- Avoid using reserved/absent column names; detect available columns and required NOT NULLs.
+-- Section 6: Sample history entries (idempotent; columns from migrations/001_create_tables.sql)
 -------------------------------------------------------------------------------
 DO $$
 DECLARE
   cnt integer;
   nowts timestamptz := now();
-  available_cols TEXT[];
-  required_cols TEXT[];
-  insert_cols TEXT;
-  insert_vals TEXT;
-  skip_reason TEXT;
-  col_count INT;
-  must_skip BOOLEAN := FALSE;
 BEGIN
   IF NOT EXISTS (
     SELECT 1 FROM information_schema.tables
@@ -222,119 +215,18 @@ BEGIN
     RETURN;
   END IF;
 
-  -- Gather available columns on history table
-  SELECT array_agg(column_name) INTO available_cols
-  FROM information_schema.columns
-  WHERE table_schema = current_schema() AND table_name = 'history';
-
-  -- Identify NOT NULL columns without defaults that would block simple inserts
-  SELECT array_agg(column_name) INTO required_cols
-  FROM information_schema.columns
-  WHERE table_schema = current_schema()
-    AND table_name = 'history'
-    AND is_nullable = 'NO'
-    AND column_default IS NULL;
-
-  IF required_cols IS NULL THEN
-    required_cols := ARRAY[]::text[];
-  END IF;
-
-  -- Filter out common auto columns that are typically safe to ignore for seed
-  required_cols := ARRAY(
-    SELECT unnest(required_cols)
-    EXCEPT
-    SELECT unnest(ARRAY['id','history_id','createdat','created_at','created','updated','updated_at'])
-  );
-
-  IF array_length(required_cols,1) IS NOT NULL AND array_length(required_cols,1) > 0 THEN
-    RAISE NOTICE 'History table has required NOT NULL columns without DEFAULT: %; skipping history seed to avoid violation.', required_cols;
-    RETURN;
-  END IF;
-
-  -- Determine a sensible column list to insert into (intersect desired with available)
-  -- Desired logical columns for seed (legacy): key, account, provider_id, name, address,
-  -- amount_previous, amount_current, total, nhapAt, xuatAt, soldAt, member_id, member_name, employee_username, raw, created_at
-  INSERT INTO pg_temp.available(cols) VALUES (NULL) ON CONFLICT DO NOTHING;
-  -- Build insert columns by intersection
-  SELECT array_agg(col) INTO available_cols FROM (
-    SELECT unnest(ARRAY['key','account','provider_id','name','address','amount_previous','amount_current','total','nhapAt','xuatAt','soldAt','member_id','member_name','employee_username','raw','created_at']) AS col
-    WHERE (SELECT col) IS NOT NULL
-  ) as t; -- placeholder to get type
-
-  -- Instead of above placeholder, build dynamically:
-  SELECT array_agg(col) FROM (
-    SELECT col FROM unnest(ARRAY['key','account','provider_id','name','address','amount_previous','amount_current','total','nhapAt','xuatAt','soldAt','member_id','member_name','employee_username','raw','created_at']) AS col
-    WHERE col = ANY( (SELECT array_agg(column_name) FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = 'history') )
-  ) AS present_cols
-  INTO available_cols;
-
-  IF available_cols IS NULL THEN
-    RAISE NOTICE 'None of the expected history columns are present; skipping history seed.';
-    RETURN;
-  END IF;
-
-  -- Count rows
-  EXECUTE format('SELECT COUNT(*) FROM %I.%I', current_schema(), 'history') INTO cnt;
-
+  SELECT COUNT(*) FROM history INTO cnt;
   IF cnt = 0 THEN
-    -- Build column list and value list based on available_cols
-    insert_cols := array_to_string(available_cols, ', ');
-    -- We'll insert two sample rows using only columns available; construct VALUES accordingly.
-    -- To keep logic simple and safe, use conditional INSERT with explicit column order matching available_cols.
-    -- Prepare per-row arrays for values in same order as available_cols
-    PERFORM format('INSERT INTO %I.%I (%s) VALUES (%s), (%s)',
-      current_schema(), 'history',
-      insert_cols,
-      (SELECT string_agg(val, ', ') FROM (
-         SELECT
-           CASE col
-             WHEN 'key' THEN quote_literal('00906815::SOLD0001')
-             WHEN 'account' THEN quote_literal('SOLD0001')
-             WHEN 'provider_id' THEN quote_literal('00906815')
-             WHEN 'name' THEN quote_literal('LE VAN D')
-             WHEN 'address' THEN quote_literal('12 Tran Phu, HCM')
-             WHEN 'amount_previous' THEN '0'
-             WHEN 'amount_current' THEN '180000'
-             WHEN 'total' THEN '180000'
-             WHEN 'nhapAt' THEN quote_literal((nowts - interval '10 days')::text)
-             WHEN 'xuatAt' THEN quote_literal((nowts - interval '5 days')::text)
-             WHEN 'soldAt' THEN quote_literal((nowts - interval '5 days')::text)
-             WHEN 'member_id' THEN 'NULL'
-             WHEN 'member_name' THEN 'NULL'
-             WHEN 'employee_username' THEN quote_literal('admin')
-             WHEN 'raw' THEN quote_literal(jsonb_build_object('sample',true)::text)
-             WHEN 'created_at' THEN quote_literal((nowts - interval '5 days')::text)
-             ELSE 'NULL'
-           END AS val, col
-         FROM unnest(available_cols) AS col
-       ) AS row_vals),
-      (SELECT string_agg(val2, ', ') FROM (
-         SELECT
-           CASE col
-             WHEN 'key' THEN quote_literal('00906818::SOLD0002')
-             WHEN 'account' THEN quote_literal('SOLD0002')
-             WHEN 'provider_id' THEN quote_literal('00906818')
-             WHEN 'name' THEN quote_literal('PHAM THI E')
-             WHEN 'address' THEN quote_literal('34 Nguyen Hue, HCM')
-             WHEN 'amount_previous' THEN '0'
-             WHEN 'amount_current' THEN '210000'
-             WHEN 'total' THEN '210000'
-             WHEN 'nhapAt' THEN quote_literal((nowts - interval '20 days')::text)
-             WHEN 'xuatAt' THEN quote_literal((nowts - interval '2 days')::text)
-             WHEN 'soldAt' THEN quote_literal((nowts - interval '2 days')::text)
-             WHEN 'member_id' THEN 'NULL'
-             WHEN 'member_name' THEN 'NULL'
-             WHEN 'employee_username' THEN quote_literal('admin')
-             WHEN 'raw' THEN quote_literal(jsonb_build_object('sample',true)::text)
-             WHEN 'created_at' THEN quote_literal((nowts - interval '2 days')::text)
-             ELSE 'NULL'
-           END AS val2, col
-         FROM unnest(available_cols) AS col
-       ) AS row_vals2)
-    );
-
-    -- Note: Using PERFORM with a dynamic format like above runs INSERT; if the driver/tool disallows, consider constructing and EXECUTE the SQL string instead.
-    RAISE NOTICE 'Attempted to insert sample history rows into columns: %', insert_cols;
+    INSERT INTO history (key, account, provider_id, name, address, amount_previous, amount_current, total,
+                         nhapAt, xuatAt, soldAt, member_id, member_name, employee_username, raw, created_at)
+    VALUES
+      ('00906815::SOLD0001', 'SOLD0001', '00906815', 'LE VAN D', '12 Tran Phu, HCM', 0, 180000, 180000,
+       nowts - interval '10 days', nowts - interval '5 days', nowts - interval '5 days', NULL, NULL, 'admin',
+       jsonb_build_object('sample',true), nowts - interval '5 days'),
+      ('00906818::SOLD0002', 'SOLD0002', '00906818', 'PHAM THI E', '34 Nguyen Hue, HCM', 0, 210000, 210000,
+       nowts - interval '20 days', nowts - interval '2 days', nowts - interval '2 days', NULL, NULL, 'admin',
+       jsonb_build_object('sample',true), nowts - interval '2 days');
+    RAISE NOTICE 'Inserted sample history rows (2 rows).';
   ELSE
     RAISE NOTICE 'History table not empty; skipping sample history inserts (count=%).', cnt;
   END IF;
@@ -358,7 +250,7 @@ $$ LANGUAGE plpgsql;
 -------------------------------------------------------------------------------
 -- Final informational messages
 -------------------------------------------------------------------------------
-SELECT '002_seed_admin.sql finished.' AS message;
+SELECT 'seeds/001_dev_sample.sql finished.' AS message;
 SELECT ' - If you skipped admin creation above, run scripts/seed_admin.js to create admin with bcrypt hash.' AS note;
 SELECT ' - Remove or review sample data before using in production.' AS note;
 SELECT ' - Do not store plain-text passwords; use bcrypt hashed values only.' AS note;
@@ -4,17 +4,41 @@
  * Complete Express server for "Tra cứu & Bán Bill"
  * - Merges the two fragments provided by you into one coherent file.
  * - Implements endpoints:
+ *    - POST  /api/auth/login, /api/auth/refresh, /api/auth/logout, GET /api/auth/me
+ *    - POST  /api/auth/ticket               (short-lived ?ticket= for event streams and receipt links)
  *    - POST  /api/check-electricity         (single)
  *    - POST  /api/check-electricity/bulk    (bulk)
+ *    - GET   /api/upstream/status           (rate limiter + circuit breaker state)
+ *    - GET   /api/providers, POST /api/providers, PUT/DELETE /api/providers/:sku
+ *    - POST  /api/lookup-jobs, GET /api/lookup-jobs[/:id[/results|/events]], POST /api/lookup-jobs/:id/cancel|retry
+ *    - GET   /api/watchlists, POST /api/watchlists, GET/PUT/DELETE /api/watchlists/:id   (saved account lists)
+ *    - POST  /api/watchlists/:id/run, GET /api/watchlists/:id/runs[/:runId]   (re-checks, scheduled or on demand, with diffs)
  *    - POST  /api/kho/import
+ *    - POST  /api/uploads                   (.xlsx / .csv of accounts or bills -> row report, lookup jobs or KHO import)
  *    - GET   /api/kho/list
  *    - POST  /api/kho/remove
- *    - POST  /api/sell
- *    - GET   /api/history
+ *    - POST  /api/kho/verify                (re-query KHO bills at the gateway; /api/sell re-checks stale ones first)
+ *    - POST  /api/select-by-target
+ *    - GET   /api/pricing/rules, POST /api/pricing/rules, PUT/DELETE /api/pricing/rules/:id
+ *    - POST  /api/sell, POST /api/sell/quote   (priced per pricing rules)
+ *    - GET   /api/carts, POST /api/carts, GET/PUT /api/carts/:id, POST /api/carts/:id/items[/remove]|extend|confirm|release
+ *                                             (sales carts holding KHO bills for a time)
+ *    - GET   /api/history, POST /api/history/reverse
+ *    - GET   /api/sales, /api/sales/:id, /api/sales/:id/receipt   (one record per sell call, HTML / XLSX receipt)
  *    - GET   /api/members, POST /api/members, PUT /api/members/:id
- *    - GET   /api/export-excel
- * - Uses Postgres (pg Pool) when DATABASE_URL set, otherwise falls back to in-memory stores.
- * - Contains logging, simple auth toggle (SKIP_AUTH), retrying upstream fetch, concurrency limit, basic rate limiting.
+ *    - GET   /api/members/:id/ledger|statement, POST /api/members/:id/payments|adjustments   (member ledger)
+ *    - GET   /api/employees, POST /api/employees, PUT/DELETE /api/employees/:id
+ *    - GET   /api/employees/:id/notes, POST /api/employees/:id/notes, DELETE /api/employees/:id/notes/:noteId
+ *    - GET   /api/export-excel, /api/export-excel/columns   (KHO / history / members, streamed XLSX)
+ *    - GET   /api/reports/sales, /api/reports/kho   (aggregates for the dashboard, JSON / XLSX)
+ *    - GET   /api/audit                       (audit trail, filters + CSV export)
+ *    - GET   /api/live/events                 (KHO, sale and member changes pushed as text/event-stream)
+ *    - GET   /api/openapi.json                (request schemas from src/api-schemas.ts)
+ * - Sell, KHO import / remove and member creation accept an Idempotency-Key header: retries get the first
+ *   response back instead of running twice (src/idempotency.ts)
+ * - Uses Postgres (pg Pool) when DATABASE_URL set, otherwise falls back to in-memory stores
+ *   (KHO, history, members and employees go through src/repository.ts in both modes).
+ * - Contains logging, employee sessions (SKIP_AUTH toggle for dev), retrying upstream fetch, concurrency limit, basic rate limiting.
  *
  * Notes:
  * - This file intentionally contains many lines and verbose helpers so it's self-contained for copy/paste.
@@ -24,12 +48,38 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import bodyParser from 'body-parser';
-import fetch from 'node-fetch';
 import pLimit from 'p-limit';
 import ExcelJS from 'exceljs';
 import crypto from 'crypto';
 import { Pool } from 'pg';
+import bcrypt from 'bcrypt';
 import dotenv from 'dotenv';
+import {
+  REFRESH_TOKEN_TTL_SEC, LINK_TICKET_PATH, signAccessToken, verifyAccessToken, signLinkTicket, verifyLinkTicket,
+  newRefreshToken, hashToken, readBearer, publicEmployee
+} from './src/auth.js';
+import { can, permissionsFor, forbiddenBody, Permission } from './src/permissions.js';
+import { selectByTarget, SelectMode } from './src/select-by-target.js';
+import { createLookupJobs, ItemStatus, LookupJobs } from './src/lookup-jobs.js';
+import { createLookupCache } from './src/lookup-cache.js';
+import { UpstreamUnavailableError } from './src/upstream-governor.js';
+import { createGatewayClient } from './src/gateways.js';
+import { createProviderCatalog, parseProviderInput } from './src/providers.js';
+import { createRepository, parseKhoBill, parseKhoQuery, parseHistoryQuery, parseSalesQuery, KhoInput, SellResult } from './src/repository.js';
+import { receiptHtml, receiptWorkbook, receiptFileName } from './src/receipt.js';
+import { checkRequest } from './src/validation.js';
+import { createPricing, priceTotals, saleQuote, PricingRuleInput } from './src/pricing.js';
+import { createLedger, creditCheck, CreditLimitError } from './src/ledger.js';
+import { createReports, salesReportWorkbook, khoReportWorkbook, reportFileName } from './src/reports.js';
+import { checkUpload, lookupBatches, khoBills, UploadError, UPLOAD_MAX_BYTES } from './src/uploads.js';
+import { planExport, writeExport, exportCatalog, exportFileName, ExportError, EXPORT_VIEW_PERMISSION } from './src/exports.js';
+import { createKhoVerifier, verifyCounts, KHO_VERIFY_MAX, SELL_VERIFY_MODE, SaleProblem } from './src/kho-verify.js';
+import { createWatchlists, Watchlist, WatchlistError, WatchlistChange, WATCHLIST_CHANGES } from './src/watchlists.js';
+import { createCarts, withHolds, Cart, CartError, CartStatus } from './src/carts.js';
+import { createLiveFeed, visibleTo, LiveEvent } from './src/live-feed.js';
+import { createIdempotency, readIdempotencyKey, idempotencyRefusal, IDEMPOTENCY_REPLAYED_HEADER } from './src/idempotency.js';
+import { createAuditLog, AuditInput, auditRow, khoUpsertAudit, memberRef, employeeRef } from './src/audit.js';
+import { API_ROUTES, buildOpenApi } from './src/api-schemas.js';
 
 dotenv.config();
 
@@ -38,14 +88,14 @@ dotenv.config();
    ---------------------------------------------------------------------- */
 
 const app = express();
+// File uploads come as base64 in JSON, so they get room for UPLOAD_MAX_BYTES; body-parser skips already-parsed bodies
+app.use('/api/uploads', bodyParser.json({ limit: Math.ceil(UPLOAD_MAX_BYTES * 4 / 3) + 64 * 1024 }));
 app.use(bodyParser.json({ limit: '2mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
 // Config environment
 const PORT = Number(process.env.PORT || 3000);
-const NEW_API_BASE_URL = process.env.NEW_API_BASE_URL || 'https://bill.7ty.vn/api';
-const NEW_API_PATH = process.env.NEW_API_PATH || '/check-electricity';
 const NEW_API_TIMEOUT_MS = Number(process.env.NEW_API_TIMEOUT_MS || 30000);
 const NEW_API_MAX_RETRIES = Number(process.env.NEW_API_MAX_RETRIES || 3);
 const NEW_API_CONCURRENCY = Number(process.env.NEW_API_CONCURRENCY || 6);
@@ -83,227 +133,288 @@ if (process.env.DATABASE_URL) {
 }
 
 /* ----------------------------------------------------------------------
-   In-memory fallback stores and utilities
+   Storage (see src/repository.ts) and in-memory fallback stores
+   - KHO, history, members and employees: one repository with Postgres or memory backend,
+     the same filters and row shape in both modes
+   - Sessions and employee notes still fork on `pool` below
    ---------------------------------------------------------------------- */
 
+const repo = createRepository({ pool });
+
+// Append-only audit trail (src/audit.ts); entries are written once the change is committed
+const audit = createAuditLog({ pool });
+
+// Open browsers hear about every audited KHO, sale and member change (src/live-feed.ts, GET /api/live/events)
+const live = createLiveFeed();
+
+function recordAudit(req: express.Request, input: Omit<AuditInput, 'actor' | 'ip'>) {
+  live.publishAudit(input, req.employee?.username);
+  return audit.record({ ...input, actor: req.employee, ip: req.ip || null });
+}
+
+// Member ledger (src/ledger.ts); repository sell() and history.reverse() write the debit / credit themselves
+const ledger = createLedger({ pool });
+
 const MEM: any = {
-  KHO: {},            // key -> item
-  HISTORY: [] as any[], // array of sold items
-  MEMBERS: {},        // id -> member
-  EMPLOYEES: {}       // id -> employee
+  EMPLOYEE_NOTES: [] as any[], // { id, employee_id, note, author_id, author_username, created_at }
+  SESSIONS: {}        // session id -> { employee_id, refresh_hash, expires_at, revoked_at }
 };
 
-// Simple lock map for in-memory concurrency control (dev only)
-const LOCKS = new Map<string, boolean>();
+function nowISO() { return new Date().toISOString(); }
+function genId(prefix = '') { return prefix + crypto.randomBytes(6).toString('hex'); }
+
+/* ----------------------------------------------------------------------
+   Authentication: employee login with signed sessions
+   - POST /api/auth/login checks bcrypt password_hash rows in `employees`
+   - Access tokens are HS256-signed with SESSION_SECRET (see src/auth.ts)
+   - Refresh tokens are opaque; only their hash is stored in `sessions`
+   - requireAuth verifies the token, checks the session is live and attaches req.employee
+   - SKIP_AUTH=true bypasses checks (local dev) and attaches a synthetic 'dev' admin
+   ---------------------------------------------------------------------- */
+
+const DEV_EMPLOYEE: AuthEmployee = { id: null, username: 'dev', role: 'admin', full_name: 'SKIP_AUTH', phone: null, address: null };
+
+// In-memory mode has no employees table: seed an admin from ADMIN_PASSWORD so login works in dev
+if (!pool && process.env.ADMIN_PASSWORD && !process.env.ADMIN_PASSWORD.startsWith('REPLACE_ME')) {
+  repo.employees.create({
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password_hash: bcrypt.hashSync(process.env.ADMIN_PASSWORD, 10),
+    role: 'admin',
+    full_name: 'Quản Trị Viên',
+    phone: null,
+    address: null
+  }).then(e => logInfo(`Seeded in-memory admin "${e.username}" from ADMIN_PASSWORD`))
+    .catch(err => logError('admin seed failed', err?.message || err));
+}
+
+async function createSession(employee: any, req: express.Request) {
+  const sid = crypto.randomUUID();
+  const refresh = newRefreshToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SEC * 1000);
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 300) || null;
+  if (pool) {
+    await pool.query(
+      `INSERT INTO sessions (id, employee_id, refresh_hash, user_agent, ip, created_at, expires_at)
+       VALUES ($1,$2,$3,$4,$5,now(),$6)`,
+      [sid, employee.id, refresh.hash, userAgent, req.ip || null, expiresAt]
+    );
+  } else {
+    MEM.SESSIONS[sid] = {
+      id: sid, employee_id: employee.id, refresh_hash: refresh.hash, user_agent: userAgent, ip: req.ip || null,
+      created_at: nowISO(), expires_at: expiresAt.toISOString(), revoked_at: null
+    };
+  }
+  return { sid, refreshToken: refresh.token };
+}
 
-async function withLock<T>(key: string, fn: () => Promise<T>, ttl = 5000): Promise<T> {
-  const start = Date.now();
-  while (LOCKS.get(key)) {
-    await new Promise(r => setTimeout(r, 40));
-    if (Date.now() - start > ttl) throw new Error('Lock timeout');
+/* Resolve a live (not revoked, not expired) session to its employee row */
+async function loadSessionEmployee(sid: string): Promise<any | null> {
+  if (pool) {
+    const { rows } = await pool.query(
+      `SELECT e.* FROM sessions s JOIN employees e ON e.id = s.employee_id
+       WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > now()`,
+      [sid]
+    );
+    return rows[0] || null;
   }
-  LOCKS.set(key, true);
-  try {
-    const r = await fn();
-    return r;
-  } finally {
-    LOCKS.delete(key);
+  const s = MEM.SESSIONS[sid];
+  if (!s || s.revoked_at || s.expires_at <= nowISO()) return null;
+  return repo.employees.get(s.employee_id);
+}
+
+/* Rotate a refresh token: the old token is consumed, a new one is issued for the same session */
+async function rotateRefreshToken(refreshToken: string): Promise<{ sid: string; refreshToken: string; employee: any } | null> {
+  const oldHash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_SEC * 1000);
+  if (pool) {
+    const { rows } = await pool.query(
+      `UPDATE sessions SET refresh_hash = $2, expires_at = $3
+       WHERE refresh_hash = $1 AND revoked_at IS NULL AND expires_at > now()
+       RETURNING id, employee_id`,
+      [oldHash, next.hash, expiresAt]
+    );
+    if (!rows.length) return null;
+    const emp = await pool.query('SELECT * FROM employees WHERE id = $1', [rows[0].employee_id]);
+    if (!emp.rows.length) return null;
+    return { sid: rows[0].id, refreshToken: next.token, employee: emp.rows[0] };
   }
+  const s: any = Object.values(MEM.SESSIONS).find((x: any) => x.refresh_hash === oldHash);
+  if (!s || s.revoked_at || s.expires_at <= nowISO()) return null;
+  const employee = await repo.employees.get(s.employee_id);
+  if (!employee) return null;
+  s.refresh_hash = next.hash;
+  s.expires_at = expiresAt.toISOString();
+  return { sid: s.id, refreshToken: next.token, employee };
 }
 
-function safeNumber(v: any) {
-  if (v == null) return 0;
-  const n = Number(v);
-  if (Number.isFinite(n)) return n;
-  const s = String(v).replace(/[^\d.-]/g, '');
-  const n2 = Number(s);
-  return Number.isFinite(n2) ? n2 : 0;
+async function revokeSession(sid: string) {
+  if (pool) {
+    await pool.query('UPDATE sessions SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL', [sid]);
+  } else if (MEM.SESSIONS[sid]) {
+    MEM.SESSIONS[sid].revoked_at = nowISO();
+  }
 }
-function nowISO() { return new Date().toISOString(); }
-function genId(prefix = '') { return prefix + crypto.randomBytes(6).toString('hex'); }
 
-/* ----------------------------------------------------------------------
-   Simple authentication middleware (dev stub)
-   - SKIP_AUTH=true bypasses checks (for local dev)
-   - In production you should replace with real JWT/session validation
-   ---------------------------------------------------------------------- */
+/* Revoke every live session of an employee (password change, deletion) */
+async function revokeEmployeeSessions(employeeId: string | number) {
+  if (pool) {
+    await pool.query('UPDATE sessions SET revoked_at = now() WHERE employee_id = $1 AND revoked_at IS NULL', [employeeId]);
+  } else {
+    Object.values(MEM.SESSIONS).forEach((x: any) => {
+      if (String(x.employee_id) === String(employeeId) && !x.revoked_at) x.revoked_at = nowISO();
+    });
+  }
+}
 
-function requireAuth(req: express.Request, res: express.Response, next: express.NextFunction) {
+function issueTokens(employee: any, sid: string, refreshToken: string) {
+  const { token, claims } = signAccessToken(employee, sid);
+  return {
+    token_type: 'Bearer',
+    access_token: token,
+    expires_in: claims.exp - claims.iat,
+    refresh_token: refreshToken,
+    refresh_expires_in: REFRESH_TOKEN_TTL_SEC,
+    employee: publicEmployee(employee)
+  };
+}
+
+async function requireAuth(req: express.Request, res: express.Response, next: express.NextFunction) {
   if (SKIP_AUTH) {
     logDebug('Auth bypassed (SKIP_AUTH=true)');
+    req.employee = DEV_EMPLOYEE;
     return next();
   }
-  const auth = (req.headers.authorization || '').toString();
-  if (!auth) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  // EventSource and plain links cannot send headers: event streams and receipts take ?ticket= (POST /api/auth/ticket),
+  // which opens that one path for LINK_TICKET_TTL_SEC and nothing else
+  const token = readBearer(req.headers.authorization);
+  const path = req.originalUrl.split('?')[0];
+  const ticket = !token && LINK_TICKET_PATH.test(path) && typeof req.query.ticket === 'string' ? req.query.ticket : null;
+  if (!token && !ticket) return res.status(401).json({ error: 'Unauthorized' });
+  const claims = token ? verifyAccessToken(token) : verifyLinkTicket(ticket!, path);
+  if (!claims) return res.status(401).json({ error: token ? 'Invalid or expired token' : 'Invalid or expired ticket' });
+  try {
+    const employee = await loadSessionEmployee(claims.sid);
+    if (!employee) return res.status(401).json({ error: 'Session expired' });
+    req.employee = publicEmployee(employee) as AuthEmployee;
+    req.sessionId = claims.sid;
+    return next();
+  } catch (err: any) {
+    logError('requireAuth session lookup failed', err?.message || err);
+    return res.status(500).json({ error: 'Auth check failed' });
   }
-  // TODO: Add JWT or session validation here
-  return next();
 }
 
 /* ----------------------------------------------------------------------
-   Upstream fetch with timeout and retry
-   - Uses node-fetch AbortController logic
-   - Retries on network errors and 5xx/429, not on 4xx (except 429)
+   Role permissions (see src/permissions.ts)
+   - Use after requireAuth: app.post('/x', requireAuth, requirePermission('kho.remove'), ...)
+   - A function picks the permission from the (not yet validated) request, e.g. by the body's target
+   - Denied calls get 403 { error: 'Forbidden', code: 'forbidden', permission }
    ---------------------------------------------------------------------- */
 
-async function fetchWithTimeoutRetry(url: string, opts: any = {}, timeout = NEW_API_TIMEOUT_MS, retries = NEW_API_MAX_RETRIES) {
-  async function attempt(remaining: number): Promise<any> {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      const text = await res.text();
-      clearTimeout(id);
-      if (!res.ok) {
-        const msg = `Status ${res.status} - ${text.slice(0, 1000)}`;
-        const e: any = new Error(msg);
-        e.status = res.status;
-        // Fatal for 4xx (except 429)
-        if (res.status >= 400 && res.status < 500 && res.status !== 429) throw e;
-        throw e;
-      }
-      const ct = res.headers.get('content-type') || '';
-      if (!ct.includes('application/json')) {
-        try { return JSON.parse(text); } catch { throw new Error('Upstream non-json'); }
-      }
-      return JSON.parse(text);
-    } catch (err: any) {
-      clearTimeout(id);
-      if (remaining <= 0) throw err;
-      // Exponential backoff with jitter
-      const base = 300;
-      const backoff = Math.min(base * Math.pow(2, NEW_API_MAX_RETRIES - remaining), 10000);
-      const jitter = Math.floor(Math.random() * 200);
-      logWarn('Upstream fetch failed, will retry', { url, remaining, backoff, err: err?.message || err });
-      await new Promise(r => setTimeout(r, backoff + jitter));
-      return attempt(remaining - 1);
-    }
-  }
-  return attempt(retries);
+function requirePermission(needs: Permission | ((req: express.Request) => Permission)) {
+  return (req: express.Request, res: express.Response, next: express.NextFunction) => {
+    const permission = typeof needs === 'function' ? needs(req) : needs;
+    if (can(req.employee?.role, permission)) return next();
+    logWarn('Permission denied', { permission, username: req.employee?.username, role: req.employee?.role, path: req.path });
+    return res.status(403).json(forbiddenBody(permission));
+  };
 }
 
 /* ----------------------------------------------------------------------
-   Normalize upstream CheckBill response into internal KHO item shape
-   - Keeps raw payload in `raw` field
+   Request validation (see src/api-schemas.ts)
+   - validate('POST /api/sell') checks params, query and body against the declared schemas,
+     then replaces them with the parsed values (numbers are numbers, aliases resolved)
+   - Failures get 400 { error, code: 'invalid_request', fields: [{ in, path, message }] }
+   - Use after requirePermission so unauthenticated callers learn nothing about the schema
    ---------------------------------------------------------------------- */
 
-function normalizeUpstream(resp: any, account: string, sku: string) {
-  try {
-    const topSuccess = !!resp?.success;
-    const data = resp?.data || {};
-    const innerSuccess = !!data?.success;
-    const dd = data?.data || {};
-    const bills = Array.isArray(dd?.bills) ? dd.bills : [];
-    if (topSuccess && innerSuccess && bills.length > 0) {
-      const bill = bills[0];
-      const money = safeNumber(bill.moneyAmount ?? bill.money_amount ?? bill.amount ?? 0);
-      return {
-        key: `${sku}::${account}`,
-        provider_id: sku,
-        account,
-        name: bill.customerName || bill.customer_name || '-',
-        address: bill.address || '-',
-        month: bill.month || '',
-        amount_previous: '0',
-        amount_current: String(money),
-        total: String(money),
-        raw: resp,
-        created_at: nowISO()
-      };
+function validate(route: string) {
+  const spec = API_ROUTES[route];
+  if (!spec) throw new Error(`No schema declared for ${route} in src/api-schemas.ts`);
+  return (req: express.Request, res: express.Response, next: express.NextFunction) => {
+    const checked = checkRequest(spec, { body: req.body, query: req.query, params: req.params });
+    if (!checked.ok) {
+      logDebug('Invalid request', { route, fields: checked.body.fields });
+      return res.status(checked.status).json(checked.body);
     }
-    const reason = resp?.error ? (typeof resp.error === 'string' ? resp.error : JSON.stringify(resp.error).slice(0,200)) : 'No debt / no data';
-    return {
-      key: `${sku}::${account}`,
-      provider_id: sku,
-      account,
-      name: `(Mã ${account})`,
-      address: reason,
-      month: '',
-      amount_previous: '0',
-      amount_current: '0',
-      total: '0',
-      raw: resp,
-      created_at: nowISO()
-    };
-  } catch (err) {
-    return {
-      key: `${sku}::${account}`,
-      provider_id: sku,
-      account,
-      name: `(Mã ${account})`,
-      address: 'Parse error',
-      month: '',
-      amount_previous: '0',
-      amount_current: '0',
-      total: '0',
-      raw: resp,
-      created_at: nowISO()
-    };
-  }
+    if (spec.body) req.body = checked.body;
+    if (spec.query) req.query = checked.query;
+    if (spec.params) req.params = checked.params;
+    return next();
+  };
 }
 
 /* ----------------------------------------------------------------------
-   Database helpers for KHO upsert (DB if pool available, otherwise in-memory)
+   Idempotency keys (see src/idempotency.ts)
+   - idempotent('POST /api/sell') after validate(): a request with an Idempotency-Key header runs once per
+     employee and key; a retry with the same body gets the stored response with Idempotent-Replayed: true
+   - Same key, other body: 422 idempotency_key_reused; first request still running: 409 idempotency_in_progress
+   - 5xx answers are not kept, so the retry runs again
    ---------------------------------------------------------------------- */
 
-async function upsertKhoItems(items: any[]): Promise<any[]> {
-  if (pool) {
-    const client = await pool.connect();
+const idempotency = createIdempotency({ pool });
+setInterval(() => {
+  idempotency.purgeExpired().catch((err: any) => logWarn('idempotency purge failed', err?.message || err));
+}, 60 * 60 * 1000).unref();
+
+function idempotent(route: string) {
+  if (!API_ROUTES[route]?.idempotent) throw new Error(`${route} is not declared idempotent in src/api-schemas.ts`);
+  return async (req: express.Request, res: express.Response, next: express.NextFunction) => {
+    const header = readIdempotencyKey(req.headers);
+    if (!header.ok) return res.status(header.status).json(header.body);
+    if (!header.key) return next();
     try {
-      await client.query('BEGIN');
-      const inserted: any[] = [];
-      for (const it of items) {
-        const key = it.key || `${it.provider_id}::${it.account}`;
-        const q = `
-          INSERT INTO kho (key, account, provider_id, name, address, amount_previous, amount_current, total, raw, created_at)
-          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,now())
-          ON CONFLICT (key) DO UPDATE SET
-            name = EXCLUDED.name,
-            address = EXCLUDED.address,
-            amount_previous = EXCLUDED.amount_previous,
-            amount_current = EXCLUDED.amount_current,
-            total = EXCLUDED.total,
-            raw = EXCLUDED.raw,
-            created_at = now()
-          RETURNING *
-        `;
-        const params = [key, it.account, it.provider_id, it.name || null, it.address || null,
-          safeNumber(it.amount_previous), safeNumber(it.amount_current), safeNumber(it.total), JSON.stringify(it.raw || {})];
-        const { rows } = await client.query(q, params);
-        inserted.push(rows[0]);
+      const claim = await idempotency.begin(route, req.employee?.username, header.key, req.body);
+      if (claim.state === 'replay') {
+        logInfo('Idempotent replay', { route, key: header.key, status: claim.response.status, by: req.employee?.username });
+        res.set(IDEMPOTENCY_REPLAYED_HEADER, 'true');
+        return res.status(claim.response.status).json(claim.response.body);
       }
-      await client.query('COMMIT');
-      return inserted;
-    } catch (e) {
-      await client.query('ROLLBACK');
-      logError('upsertKhoItems db error', e);
-      throw e;
-    } finally {
-      client.release();
-    }
-  } else {
-    const inserted: any[] = [];
-    for (const it of items) {
-      const key = it.key || `${it.provider_id}::${it.account}`;
-      const existing = MEM.KHO[key];
-      const record = {
-        key,
-        account: it.account,
-        provider_id: it.provider_id,
-        name: it.name || (existing && existing.name) || null,
-        address: it.address || (existing && existing.address) || null,
-        amount_previous: String(safeNumber(it.amount_previous || (existing && existing.amount_previous) || 0)),
-        amount_current: String(safeNumber(it.amount_current || (existing && existing.amount_current) || 0)),
-        total: String(safeNumber(it.total || (existing && existing.total) || 0)),
-        raw: it.raw || (existing && existing.raw) || {},
-        created_at: nowISO()
+      if (claim.state !== 'new') {
+        const refused = idempotencyRefusal(claim);
+        logWarn('Idempotency key refused', { route, key: header.key, state: claim.state, by: req.employee?.username });
+        return res.status(refused.status).json(refused.body);
+      }
+      // The answer is stored before it is sent, so a retry arriving right after it is a replay
+      let answered = false;
+      const send = res.json.bind(res);
+      res.json = (body: any) => {
+        answered = true;
+        idempotency.finish(claim.id, { status: res.statusCode, body })
+          .catch((err: any) => logError('idempotency store failed', { route, key: header.key }, err?.message || err))
+          .finally(() => send(body));
+        return res;
       };
-      MEM.KHO[key] = record;
-      inserted.push(record);
+      res.on('close', () => {
+        if (!answered) idempotency.release(claim.id).catch((err: any) => logWarn('idempotency release failed', err?.message || err));
+      });
+      return next();
+    } catch (err: any) {
+      logError('idempotency check error', err?.message || err);
+      return res.status(500).json({ error: 'Idempotency check failed' });
     }
-    return inserted;
+  };
+}
+
+/* ----------------------------------------------------------------------
+   Upstream gateways (see src/gateways.ts)
+   - CheckBill Pro is the primary adapter; GATEWAY_SECONDARY_* adds a failover gateway
+   - Each gateway has its own governor (token bucket, Retry-After, circuit breaker)
+   - Retries with backoff on network errors and 5xx/429, not on 4xx (400 = no debt)
+   - Every bill records the answering gateway in `gateway`
+   ---------------------------------------------------------------------- */
+
+const gateways = createGatewayClient({ timeoutMs: NEW_API_TIMEOUT_MS, maxRetries: NEW_API_MAX_RETRIES });
+
+/* Error body for lookup routes: 400 for catalog rejections, 503 + Retry-After while every gateway's breaker is open, 502 otherwise */
+function sendUpstreamError(res: express.Response, err: any) {
+  if (err?.status === 400 && err?.code) return res.status(400).json({ error: err.message, code: err.code });
+  if (err instanceof UpstreamUnavailableError) {
+    res.setHeader('Retry-After', String(err.retryAfterSec));
+    return res.status(503).json({ error: 'Upstream unavailable', code: err.code, retry_after: err.retryAfterSec });
   }
+  return res.status(502).json({ error: err?.message || 'Upstream error' });
 }
 
 /* ----------------------------------------------------------------------
@@ -311,52 +422,194 @@ async function upsertKhoItems(items: any[]): Promise<any[]> {
    ---------------------------------------------------------------------- */
 
 /* Health */
-app.get('/api/health', (req, res) => res.json({ ok: true, ts: nowISO() }));
+app.get('/api/health', validate('GET /api/health'), (req, res) => res.json({ ok: true, ts: nowISO(), upstream: gateways.states() }));
+
+/* OpenAPI description of every /api route, generated from the same schemas validate() enforces */
+app.get('/api/openapi.json', validate('GET /api/openapi.json'), (req, res) => {
+  res.json(buildOpenApi({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+});
+
+/* Auth: login / refresh / logout / me */
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT_MAX || 20),
+  message: { error: 'Too many login attempts, try again later' }
+});
+
+app.post('/api/auth/login', loginLimiter, validate('POST /api/auth/login'), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const employee = await repo.employees.findByUsername(username);
+    const ok = !!employee?.password_hash && await bcrypt.compare(password, String(employee.password_hash));
+    if (!ok) {
+      logWarn('Failed login', { username, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const { sid, refreshToken } = await createSession(employee, req);
+    logInfo('Login', { username: employee.username, sid });
+    return res.json(issueTokens(employee, sid, refreshToken));
+  } catch (err: any) {
+    logError('auth/login error', err?.message || err);
+    return res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/refresh', validate('POST /api/auth/refresh'), async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body.refresh_token);
+    if (!rotated) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    return res.json(issueTokens(rotated.employee, rotated.sid, rotated.refreshToken));
+  } catch (err: any) {
+    logError('auth/refresh error', err?.message || err);
+    return res.status(500).json({ error: 'Refresh failed' });
+  }
+});
+
+app.post('/api/auth/logout', requireAuth, validate('POST /api/auth/logout'), async (req, res) => {
+  try {
+    if (req.sessionId) await revokeSession(req.sessionId);
+    return res.json({ ok: true });
+  } catch (err: any) {
+    logError('auth/logout error', err?.message || err);
+    return res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, validate('GET /api/auth/me'), (req, res) => res.json({ employee: req.employee, permissions: permissionsFor(req.employee?.role) }));
+
+/* A link ticket for one event stream or receipt path; SKIP_AUTH needs none (ticket: null) */
+app.post('/api/auth/ticket', requireAuth, validate('POST /api/auth/ticket'), (req, res) => {
+  const claims = verifyAccessToken(readBearer(req.headers.authorization) || '');
+  if (!claims) return res.json({ ticket: null, path: req.body.path, expires_in: 0 });
+  const { ticket, claims: t } = signLinkTicket(claims, req.body.path);
+  return res.json({ ticket, path: t.pth, expires_in: t.exp - t.iat });
+});
+
+/* ----------------------------------------------------------------------
+   Provider / SKU catalog (see src/providers.ts)
+   - GET    /api/providers            enabled providers; disabled ones too with 'providers.manage' (not with ?enabled=true)
+   - POST   /api/providers            { sku, name, region?, enabled?, account_pattern?, concurrency?, timeout_ms? }
+   - PUT    /api/providers/:sku       partial update
+   - DELETE /api/providers/:sku       (disabling keeps the name for old KHO / history rows)
+   - Lookups against unknown or disabled SKUs answer 400 before anything goes upstream
+   ---------------------------------------------------------------------- */
+
+const providers = createProviderCatalog({ pool });
+
+/* Gate used by lookupAccount (jobs resume long after the route checks ran) */
+async function assertLookupAllowed(sku: string, account: string) {
+  const check = await providers.checkLookup(sku, [account]);
+  if (!check.ok) throw Object.assign(new Error(check.body.error), { status: check.status, code: check.body.code });
+  if (check.invalid.length) throw Object.assign(new Error('Invalid account number for provider'), { status: 400, code: 'invalid_account' });
+  return check.provider;
+}
+
+app.get('/api/providers', requireAuth, validate('GET /api/providers'), async (req, res) => {
+  try {
+    return res.json(await providers.list({ includeDisabled: can(req.employee?.role, 'providers.manage') && (req.query as any).enabled !== true }));
+  } catch (err: any) {
+    logError('providers list error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.post('/api/providers', requireAuth, requirePermission('providers.manage'), validate('POST /api/providers'), async (req, res) => {
+  try {
+    const { value, error } = parseProviderInput(req.body || {}, false);
+    if (error || !value) return res.status(400).json({ error });
+    const created = await providers.create(value);
+    logInfo('Provider created', { sku: created.sku, by: req.employee?.username });
+    return res.status(201).json(created);
+  } catch (err: any) {
+    if (err?.code === 'duplicate' || err?.code === '23505') return res.status(409).json({ error: 'Provider already exists' });
+    logError('providers create error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.put('/api/providers/:sku', requireAuth, requirePermission('providers.manage'), validate('PUT /api/providers/:sku'), async (req, res) => {
+  try {
+    const { value, error } = parseProviderInput(req.body || {}, true);
+    if (error || !value) return res.status(400).json({ error });
+    const updated = await providers.update(req.params.sku, value);
+    if (!updated) return res.status(404).json({ error: 'Provider not found' });
+    logInfo('Provider updated', { sku: req.params.sku, fields: Object.keys(value), by: req.employee?.username });
+    return res.json(updated);
+  } catch (err: any) {
+    if (err?.code === 'duplicate' || err?.code === '23505') return res.status(409).json({ error: 'Provider already exists' });
+    logError('providers update error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.delete('/api/providers/:sku', requireAuth, requirePermission('providers.manage'), validate('DELETE /api/providers/:sku'), async (req, res) => {
+  try {
+    const removed = await providers.remove(req.params.sku);
+    if (!removed) return res.status(404).json({ error: 'Provider not found' });
+    logInfo('Provider deleted', { sku: req.params.sku, by: req.employee?.username });
+    return res.json({ ok: true });
+  } catch (err: any) {
+    logError('providers delete error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* ----------------------------------------------------------------------
+   Lookup cache (see src/lookup-cache.ts)
+   - Single, bulk and job lookups go through lookupAccount, which answers from the cache
+     keyed `${sku}::${account}` unless the caller asks for fresh=true
+   - Every result carries { cached, cache_age_sec }
+   ---------------------------------------------------------------------- */
+
+const lookupCache = createLookupCache({ pool });
+if (pool) {
+  setInterval(() => {
+    lookupCache.purgeExpired().catch((err: any) => logWarn('lookup cache purge failed', err?.message || err));
+  }, 60 * 60 * 1000).unref();
+}
+
+function wantsFresh(req: express.Request) {
+  const v = req.body?.fresh ?? req.query.fresh;
+  return v === true || v === 'true' || v === '1';
+}
+
+async function lookupAccount(account: string, sku: string, fresh = false) {
+  const provider = await assertLookupAllowed(sku, account);
+  return lookupCache.lookup(sku, account, fresh, () => gateways.lookup(account, sku, { timeoutMs: provider.timeout_ms }));
+}
 
 /* Single check */
-app.post('/api/check-electricity', requireAuth, async (req, res) => {
+app.post('/api/check-electricity', requireAuth, requirePermission('lookup'), validate('POST /api/check-electricity'), async (req, res) => {
   try {
-    const contract_number = (req.body.contract_number || req.body.contractNumber || req.body.account || '').toString().trim();
-    const sku = (req.body.sku || req.body.provider_id || '').toString().trim();
-    if (!contract_number || !sku) return res.status(400).json({ error: 'Missing contract_number or sku' });
+    const { contract_number, sku } = req.body;
 
-    const url = new URL(NEW_API_PATH, NEW_API_BASE_URL).toString();
-    const upstream = await fetchWithTimeoutRetry(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ contract_number, sku })
-    });
-    const normalized = normalizeUpstream(upstream, contract_number, sku);
-    return res.json({ raw: upstream, normalized });
+    const { normalized, cached, cache_age_sec } = await lookupAccount(contract_number, sku, wantsFresh(req));
+    return res.json({ raw: normalized?.raw ?? null, normalized, gateway: normalized?.gateway ?? null, cached, cache_age_sec });
   } catch (err: any) {
     logWarn('check-electricity error', err?.message || err);
-    return res.status(502).json({ error: err?.message || 'Upstream error' });
+    return sendUpstreamError(res, err);
   }
 });
 
 /* Bulk check */
-app.post('/api/check-electricity/bulk', requireAuth, async (req, res) => {
+app.post('/api/check-electricity/bulk', requireAuth, requirePermission('lookup'), validate('POST /api/check-electricity/bulk'), async (req, res) => {
   try {
-    const contract_numbers = Array.isArray(req.body.contract_numbers) ? req.body.contract_numbers.map((v: any) => String(v).trim()).filter(Boolean) : [];
-    const sku = (req.body.sku || req.body.provider_id || '').toString().trim();
+    const { contract_numbers, sku } = req.body as { contract_numbers: string[]; sku: string };
+    const check = await providers.checkLookup(sku, contract_numbers);
+    if (!check.ok) return res.status(check.status).json(check.body);
 
-    if (!sku) return res.status(400).json({ error: 'Missing sku' });
-    if (!contract_numbers.length) return res.status(400).json({ error: 'Missing contract_numbers array' });
-
-    const limit = pLimit(NEW_API_CONCURRENCY);
-    const url = new URL(NEW_API_PATH, NEW_API_BASE_URL).toString();
+    const limit = pLimit(check.provider.concurrency || NEW_API_CONCURRENCY);
+    const fresh = wantsFresh(req);
 
     const tasks = contract_numbers.map((acc: string) => limit(async () => {
       try {
-        const upstream = await fetchWithTimeoutRetry(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ contract_number: acc, sku })
-        });
-        const normalized = normalizeUpstream(upstream, acc, sku);
-        return { account: acc, ok: true, normalized, raw: upstream };
+        const { normalized, cached, cache_age_sec } = await lookupAccount(acc, sku, fresh);
+        return { account: acc, ok: true, normalized, raw: normalized?.raw ?? null, gateway: normalized?.gateway ?? null, cached, cache_age_sec };
       } catch (err: any) {
         logWarn('bulk item error', { account: acc, err: err?.message || err });
+        if (err instanceof UpstreamUnavailableError) return { account: acc, ok: false, error: 'Upstream unavailable', code: err.code };
+        if (err?.code === 'invalid_account') return { account: acc, ok: false, error: err.message, code: err.code };
         return { account: acc, ok: false, error: err?.message || 'Upstream error' };
       }
     }));
@@ -369,414 +622,1388 @@ app.post('/api/check-electricity/bulk', requireAuth, async (req, res) => {
   }
 });
 
+/* Upstream gateways: circuit breaker (closed | open | half_open) and token bucket per gateway */
+app.get('/api/upstream/status', requireAuth, requirePermission('lookup'), validate('GET /api/upstream/status'), (req, res) => {
+  return res.json({ gateways: gateways.status() });
+});
+
 /* ----------------------------------------------------------------------
-   KHO import (from your fragment - memory mode and DB mode handled)
-   Accepts body: { bills: [...] } where each bill includes provider_id, account, name, address, amount_current, etc.
+   Bulk lookup jobs (see src/lookup-jobs.ts)
+   - POST /api/lookup-jobs { contract_numbers, sku, fresh? } -> 202 job summary; lookups run in the background
+   - GET  /api/lookup-jobs/:id            progress (polling)
+   - GET  /api/lookup-jobs/:id/events     progress as text/event-stream: 'progress', 'item', 'done'
+   - GET  /api/lookup-jobs/:id/results    per-account results so far (?status=ok,failed&since=<seq>&offset&limit)
+   - POST /api/lookup-jobs/:id/cancel     stop scheduling; finished results are kept
+   - POST /api/lookup-jobs/:id/retry      re-run failed accounts only ({ include_cancelled: true } adds cancelled ones)
+   - With Postgres, jobs interrupted by a restart are resumed on startup
+   - A job is only seen and changed by the employee who created it, or by someone with 'employees.manage'
    ---------------------------------------------------------------------- */
 
-app.post('/api/kho/import', requireAuth, async (req, res) => {
-  try {
-    // Accept either { bills: [...] } or raw array in body
-    const bills = Array.isArray(req.body.bills) ? req.body.bills : (Array.isArray(req.body) ? req.body : []);
-    if (!bills.length) return res.status(400).json({ error: 'Missing bills array' });
+const LOOKUP_JOB_MAX_ACCOUNTS = Number(process.env.LOOKUP_JOB_MAX_ACCOUNTS || 20000);
+const ITEM_STATUSES: ItemStatus[] = ['pending', 'running', 'ok', 'failed', 'cancelled'];
 
-    // Map bills to normalized items
-    const items = bills.map((b: any) => {
-      const key = (b.key || `${b.provider_id || 'UNK'}::${b.account || ''}`).toString();
-      const now = nowISO();
-      return {
-        key,
-        account: b.account || '',
-        provider_id: b.provider_id || '',
-        name: b.name || '',
-        address: b.address || '',
-        amount_previous: safeNumber(b.amount_previous),
-        amount_current: safeNumber(b.amount_current),
-        total: safeNumber(b.total ?? b.amount_current),
-        nhapAt: b.nhapAt || now,
-        customer: b.customer || null,
-        raw: b.raw || b,
-        created_at: now
-      };
-    });
+const lookupJobs = createLookupJobs({
+  pool,
+  lookup: lookupAccount,
+  concurrency: NEW_API_CONCURRENCY,
+  concurrencyFor: async (sku: string) => (await providers.get(sku))?.concurrency ?? null
+});
 
-    // If DB available, use DB upsert. Else use MEM logic
-    if (pool) {
-      const inserted = await upsertKhoItems(items);
-      return res.json({ ok: true, mode: 'db', count: inserted.length, inserted });
-    } else {
-      // memory import with added/updated counts
-      let added = 0, updated = 0;
-      for (const it of items) {
-        const key = it.key;
-        if (MEM.KHO[key]) {
-          MEM.KHO[key] = { ...MEM.KHO[key], ...it };
-          updated++;
-        } else {
-          MEM.KHO[key] = it;
-          added++;
-        }
-      }
-      return res.json({ ok: true, mode: 'memory', added, updated, total: Object.keys(MEM.KHO).length });
+/* The job of :id when the caller created it or manages staff; otherwise 404 (like the list, which leaves it out) and null */
+async function ownLookupJob(req: express.Request, res: express.Response): ReturnType<LookupJobs['get']> {
+  const job = await lookupJobs.get(req.params.id);
+  if (!job || (job.created_by !== (req.employee?.username || null) && !can(req.employee?.role, 'employees.manage'))) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+app.post('/api/lookup-jobs', requireAuth, requirePermission('lookup'), validate('POST /api/lookup-jobs'), async (req, res) => {
+  try {
+    const { contract_numbers, sku } = req.body as { contract_numbers: string[]; sku: string };
+    if (contract_numbers.length > LOOKUP_JOB_MAX_ACCOUNTS) {
+      return res.status(400).json({ error: `Too many contract_numbers (max ${LOOKUP_JOB_MAX_ACCOUNTS})` });
+    }
+    const check = await providers.checkLookup(sku, contract_numbers);
+    if (!check.ok) return res.status(check.status).json(check.body);
+    if (check.invalid.length) {
+      return res.status(400).json({
+        error: 'Invalid account number for provider', code: 'invalid_account', sku,
+        invalid_count: check.invalid.length, invalid_accounts: check.invalid.slice(0, 50)
+      });
     }
+    const job = await lookupJobs.create({ accounts: contract_numbers, sku, fresh: wantsFresh(req), createdBy: req.employee?.username || null });
+    logInfo('Lookup job created', { id: job.id, sku, total: job.total, by: req.employee?.username });
+    return res.status(202).json(job);
   } catch (err: any) {
-    logError('kho/import error', err?.message || err);
+    logError('lookup-jobs create error', err?.message || err);
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-/* KHO list */
-app.get('/api/kho/list', requireAuth, async (req, res) => {
+app.get('/api/lookup-jobs', requireAuth, requirePermission('lookup'), validate('GET /api/lookup-jobs'), async (req, res) => {
   try {
-    const fromAmount = req.query.fromAmount ? safeNumber(req.query.fromAmount) : null;
-    const toAmount = req.query.toAmount ? safeNumber(req.query.toAmount) : null;
-    const provider_id = (req.query.provider_id || req.query.sku || '').toString() || null;
-    const search = (req.query.search || '').toString().toLowerCase() || null;
-
-    if (pool) {
-      // build simple query with optional filters (basic implementation)
-      let base = 'SELECT * FROM kho';
-      const where: string[] = [];
-      const params: any[] = [];
-      let idx = 1;
-      if (provider_id) { where.push(`provider_id = $${idx++}`); params.push(provider_id); }
-      if (fromAmount != null) { where.push(`total >= $${idx++}`); params.push(fromAmount); }
-      if (toAmount != null) { where.push(`total <= $${idx++}`); params.push(toAmount); }
-      if (where.length) base += ' WHERE ' + where.join(' AND ');
-      base += ' ORDER BY created_at DESC LIMIT 2000';
-      const { rows } = await pool.query(base, params);
-      return res.json(rows);
-    } else {
-      let arr = Object.values(MEM.KHO || {});
-      if (provider_id) arr = arr.filter((r: any) => String(r.provider_id) === String(provider_id));
-      if (fromAmount != null) arr = arr.filter((r: any) => safeNumber(r.total) >= fromAmount);
-      if (toAmount != null) arr = arr.filter((r: any) => safeNumber(r.total) <= toAmount);
-      if (search) {
-        arr = arr.filter((r: any) => (
-          String(r.name || '').toLowerCase().includes(search) ||
-          String(r.address || '').toLowerCase().includes(search) ||
-          String(r.account || '').toLowerCase().includes(search)
-        ));
-      }
-      arr.sort((a: any, b: any) => (b.nhapAt || b.created_at || '').localeCompare(a.nhapAt || a.created_at || ''));
-      return res.json(arr);
-    }
+    const q = req.query as any;
+    const limit = q.limit ?? 20;
+    // Only people who manage staff see everyone's jobs
+    const all = q.all === true && can(req.employee?.role, 'employees.manage');
+    return res.json(await lookupJobs.list(limit, all ? null : (req.employee?.username || null)));
   } catch (err: any) {
-    logError('kho/list error', err?.message || err);
+    logError('lookup-jobs list error', err?.message || err);
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-/* KHO remove */
-app.post('/api/kho/remove', requireAuth, async (req, res) => {
+app.get('/api/lookup-jobs/:id', requireAuth, requirePermission('lookup'), validate('GET /api/lookup-jobs/:id'), async (req, res) => {
   try {
-    const keys = Array.isArray(req.body.keys) ? req.body.keys.map(String) : (req.body.key ? [String(req.body.key)] : []);
-    if (!keys.length) return res.status(400).json({ error: 'Missing keys array' });
-
-    if (pool) {
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-        for (const k of keys) {
-          await client.query('DELETE FROM kho WHERE key = $1', [k]);
-        }
-        await client.query('COMMIT');
-        return res.json({ ok: true, removed: keys.length });
-      } catch (e) {
-        await client.query('ROLLBACK');
-        throw e;
-      } finally {
-        client.release();
-      }
-    } else {
-      let removed = 0;
-      for (const k of keys) {
-        if (MEM.KHO[k]) { delete MEM.KHO[k]; removed++; }
-      }
-      return res.json({ ok: true, removed });
-    }
+    const job = await ownLookupJob(req, res);
+    if (!job) return;
+    return res.json(job);
   } catch (err: any) {
-    logError('kho/remove error', err?.message || err);
+    logError('lookup-jobs get error', err?.message || err);
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-/* Members endpoints */
-app.get('/api/members', requireAuth, async (req, res) => {
+app.get('/api/lookup-jobs/:id/results', requireAuth, requirePermission('lookup'), validate('GET /api/lookup-jobs/:id/results'), async (req, res) => {
   try {
-    if (pool) {
-      const { rows } = await pool.query('SELECT * FROM members ORDER BY created_at DESC LIMIT 2000');
-      return res.json(rows);
-    } else {
-      const arr = Object.values(MEM.MEMBERS || {});
-      return res.json(arr);
-    }
+    const job = await ownLookupJob(req, res);
+    if (!job) return;
+    const q = req.query as any;
+    const statuses = q.status
+      ? String(q.status).split(',').filter((s): s is ItemStatus => ITEM_STATUSES.includes(s as ItemStatus))
+      : ['ok', 'failed'] as ItemStatus[];
+    const items = await lookupJobs.results(job.id, { statuses, since: q.since ?? null, offset: q.offset ?? 0, limit: q.limit ?? 1000 });
+    return res.json({ job, items });
   } catch (err: any) {
-    logError('members list error', err);
+    logError('lookup-jobs results error', err?.message || err);
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-app.post('/api/members', requireAuth, async (req, res) => {
+app.get('/api/lookup-jobs/:id/events', requireAuth, requirePermission('lookup'), validate('GET /api/lookup-jobs/:id/events'), async (req, res) => {
   try {
-    const name = (req.body.name || '').toString().trim();
-    if (!name) return res.status(400).json({ error: 'Missing name' });
-    const zalo = (req.body.zalo || '').toString().trim() || '';
-    const bank = (req.body.bank || '').toString().trim() || '';
+    const job = await ownLookupJob(req, res);
+    if (!job) return;
 
-    if (pool) {
-      const q = `INSERT INTO members (name, zalo, bank, created_at) VALUES ($1,$2,$3,now()) RETURNING *`;
-      const { rows } = await pool.query(q, [name, zalo, bank]);
-      return res.status(201).json(rows[0]);
-    } else {
-      const id = crypto.randomUUID();
-      const entry = { id, name, zalo, bank, created_at: nowISO() };
-      MEM.MEMBERS[id] = entry;
-      return res.status(201).json(entry);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    const send = (event: string, data: any) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('progress', job);
+    if (job.status !== 'running' && !lookupJobs.isActive(job.id)) {
+      send('done', job);
+      return res.end();
+    }
+
+    const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+    const unsubscribe = lookupJobs.subscribe(job.id, ev => {
+      send(ev.type, ev.type === 'item' ? { job: ev.job, item: ev.item } : ev.job);
+      if (ev.type === 'done') cleanup();
+    });
+    function cleanup() {
+      clearInterval(ping);
+      unsubscribe();
+      res.end();
     }
+    req.on('close', cleanup);
   } catch (err: any) {
-    logError('create member error', err);
-    return res.status(500).json({ error: err?.message || 'Create member failed' });
+    logError('lookup-jobs events error', err?.message || err);
+    if (!res.headersSent) return res.status(500).json({ error: err?.message || 'Internal error' });
+    res.end();
   }
 });
 
-app.put('/api/members/:id', requireAuth, async (req, res) => {
+app.post('/api/lookup-jobs/:id/cancel', requireAuth, requirePermission('lookup'), validate('POST /api/lookup-jobs/:id/cancel'), async (req, res) => {
   try {
-    const id = req.params.id;
-    if (pool) {
-      const updates: any = {};
-      if (req.body.name !== undefined) updates.name = req.body.name;
-      if (req.body.zalo !== undefined) updates.zalo = req.body.zalo;
-      if (req.body.bank !== undefined) updates.bank = req.body.bank;
-      const keys = Object.keys(updates);
-      if (!keys.length) return res.json({ ok: true });
-      const sets = keys.map((k, i) => `${k} = $${i + 2}`).join(', ');
-      const params = [id, ...keys.map(k => updates[k])];
-      const q = `UPDATE members SET ${sets} WHERE id = $1 RETURNING *`;
-      const { rows } = await pool.query(q, params);
-      return res.json(rows[0]);
-    } else {
-      if (!MEM.MEMBERS[id]) return res.status(404).json({ error: 'Member not found' });
-      MEM.MEMBERS[id] = {
-        ...MEM.MEMBERS[id],
-        name: req.body.name ?? MEM.MEMBERS[id].name,
-        zalo: req.body.zalo ?? MEM.MEMBERS[id].zalo,
-        bank: req.body.bank ?? MEM.MEMBERS[id].bank
-      };
-      return res.json(MEM.MEMBERS[id]);
-    }
+    if (!await ownLookupJob(req, res)) return;
+    const job = await lookupJobs.cancel(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    logInfo('Lookup job cancelled', { id: job.id, by: req.employee?.username });
+    return res.json(job);
   } catch (err: any) {
-    logError('update member error', err);
-    return res.status(500).json({ error: err?.message || 'Update member failed' });
+    logError('lookup-jobs cancel error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-/* Sell endpoint (moves items from KHO -> HISTORY) */
-app.post('/api/sell', requireAuth, async (req, res) => {
+app.post('/api/lookup-jobs/:id/retry', requireAuth, requirePermission('lookup'), validate('POST /api/lookup-jobs/:id/retry'), async (req, res) => {
   try {
-    const memberId = req.body.memberId || req.body.member_id;
-    const keys = Array.isArray(req.body.keys) ? req.body.keys.map(String) : [];
-    if (!memberId) return res.status(400).json({ error: 'Missing memberId' });
-    if (!keys.length) return res.status(400).json({ error: 'Missing keys' });
-
-    if (pool) {
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-        const sold: any[] = [];
-        for (const key of keys) {
-          const { rows } = await client.query('SELECT * FROM kho WHERE key = $1 FOR UPDATE', [key]);
-          if (!rows.length) continue;
-          const item = rows[0];
-          const q = `
-            INSERT INTO history (key, account, provider_id, name, address, amount_previous, amount_current, total, nhapAt, xuatAt, soldAt, member_id, member_name, employee_id, employee_username, raw, created_at)
-            VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,now())
-            RETURNING *
-          `;
-          const params = [
-            item.key, item.account, item.provider_id, item.name, item.address,
-            item.amount_previous || 0, item.amount_current || 0, item.total || 0,
-            item.nhapAt || null, item.xuatAt || null, new Date(), memberId, null, null, null, item.raw || {}
-          ];
-          const r = await client.query(q, params);
-          await client.query('DELETE FROM kho WHERE key = $1', [key]);
-          sold.push(r.rows[0]);
-        }
-        await client.query('COMMIT');
-        return res.json({ ok: true, sold_count: sold.length, history: sold });
-      } catch (e) {
-        await client.query('ROLLBACK');
-        throw e;
-      } finally {
-        client.release();
-      }
-    } else {
-      const sold: any[] = [];
-      for (const key of keys) {
-        try {
-          await withLock(`kho:${key}`, async () => {
-            const item = MEM.KHO[key];
-            if (!item) return;
-            const now = nowISO();
-            const hist = {
-              id: crypto.randomUUID(),
-              key: item.key,
-              account: item.account,
-              provider_id: item.provider_id,
-              name: item.name,
-              address: item.address,
-              amount_previous: item.amount_previous ?? 0,
-              amount_current: item.amount_current ?? 0,
-              total: item.total ?? item.amount_current ?? 0,
-              nhapAt: item.nhapAt ?? item.created_at ?? null,
-              xuatAt: now,
-              soldAt: now,
-              member_id: memberId,
-              member_name: (MEM.MEMBERS[memberId]?.name) || null,
-              employee_id: null,
-              employee_username: null,
-              raw: item.raw || {},
-              created_at: now
-            };
-            MEM.HISTORY.push(hist);
-            delete MEM.KHO[key];
-            sold.push(hist);
-          });
-        } catch (e) {
-          logWarn('sell lock error for key', key, e);
-        }
-      }
-      return res.json({ ok: true, sold_count: sold.length, history: sold });
-    }
+    if (!await ownLookupJob(req, res)) return;
+    const out = await lookupJobs.retry(req.params.id, req.body?.include_cancelled === true);
+    if (!out) return res.status(404).json({ error: 'Job not found' });
+    logInfo('Lookup job retry', { id: req.params.id, requeued: out.requeued, by: req.employee?.username });
+    return res.json(out);
   } catch (err: any) {
-    logError('sell error', err);
-    return res.status(500).json({ error: 'Sell failed' });
+    if (err?.status === 409) return res.status(409).json({ error: err.message });
+    logError('lookup-jobs retry error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
 
-/* History endpoint with optional CSV export */
-app.get('/api/history', requireAuth, (req, res) => {
-  try {
-    const search = (req.query.search || '').toString().toLowerCase() || null;
-    const limit = Math.min(Number(req.query.limit || 100), 5000);
-    const offset = Math.max(0, Number(req.query.offset || 0));
-    const exportMode = (req.query.export || '').toString().toLowerCase();
+/* ----------------------------------------------------------------------
+   Watchlists (see src/watchlists.ts)
+   - Named account lists of one SKU with labels and an owner; accounts are checked against the provider when saved
+   - POST /api/watchlists/:id/run re-checks every account fresh in the background (202); the run stores a snapshot
+     and what changed per account since the previous run: new_debt, changed, cleared, unchanged, no_debt, failed
+   - A list with a schedule ({ every: 'day' | 'month', at: 'HH:MM', days? }) is run by the timer below
+   - push_to_kho puts each run's new_debt bills into KHO (audited like an import, by the list owner)
+   - Lists owned by someone else can be viewed and run by anyone with 'watchlists'; changing them needs 'watchlists.manage'
+   ---------------------------------------------------------------------- */
 
-    // in-memory history is appended oldest->newest, so reverse for newest first
-    let arr = (pool ? [] : (MEM.HISTORY.slice().reverse())) as any[];
+const WATCHLIST_TICK_MS = Number(process.env.WATCHLIST_TICK_MS || 60 * 1000);
 
-    if (pool) {
-      // If DB exists we prefer DB query
-      (async () => {
-        try {
-          const q = `SELECT * FROM history ORDER BY created_at DESC LIMIT $1 OFFSET $2`;
-          const { rows } = await pool!.query(q, [limit, offset]);
-          if (exportMode === 'csv') {
-            const cols = ['id','key','account','provider_id','name','address','amount_previous','amount_current','total','soldAt','member_name','employee_username'];
-            const escape = (v: any) => {
-              if (v == null) return '';
-              const s = String(v);
-              if (s.includes('"') || s.includes(',') || s.includes('\n') || s.includes('\r')) return `"${s.replace(/"/g, '""')}"`;
-              return s;
-            };
-            const header = cols.join(',');
-            const lines = rows.map((r: any) => cols.map(c => escape(r[c])).join(','));
-            const csv = [header, ...lines].join('\r\n');
-            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-            res.setHeader('Content-Disposition', `attachment; filename="history-${Date.now()}.csv"`);
-            return res.send(csv);
-          }
-          return res.json(rows);
-        } catch (e) {
-          logError('history db read error', e);
-          return res.status(500).json({ error: 'History failed' });
-        }
-      })();
-      return;
+const watchlists = createWatchlists({
+  pool,
+  lookup: async (account, sku) => (await lookupAccount(account, sku, true)).normalized,
+  concurrency: NEW_API_CONCURRENCY,
+  pushToKho: async (bills, { watchlist, run }) => {
+    const now = nowISO();
+    const items = bills.map(b => parseKhoBill(b, now)).filter((b): b is KhoInput => b != null);
+    if (!items.length) return 0;
+    const { rows, previous } = await repo.kho.upsert(items);
+    for (const entry of khoUpsertAudit(rows, previous)) {
+      live.publishAudit(entry, run.created_by);
+      await audit.record({ ...entry, actor: { id: null, username: run.created_by }, ip: null });
     }
+    logInfo('Watchlist pushed to KHO', { watchlist: watchlist.id, run: run.id, bills: rows.length });
+    return rows.length;
+  }
+});
 
-    // Filter in-memory results
-    if (search) {
-      arr = arr.filter((r: any) => (
-        String(r.name || '').toLowerCase().includes(search) ||
-        String(r.address || '').toLowerCase().includes(search) ||
-        String(r.account || '').toLowerCase().includes(search) ||
-        String(r.member_name || '').toLowerCase().includes(search)
-      ));
-    }
-    const slice = arr.slice(offset, offset + limit);
+setInterval(() => {
+  watchlists.runDue()
+    .then(runs => { for (const r of runs) logInfo('Scheduled watchlist run', { watchlist: r.watchlist_id, run: r.id, accounts: r.total }); })
+    .catch((err: any) => logWarn('watchlist schedule failed', err?.message || err));
+}, WATCHLIST_TICK_MS).unref();
 
-    if (exportMode === 'csv') {
-      const cols = ['id','key','account','provider_id','name','address','amount_previous','amount_current','total','soldAt','member_name','employee_username'];
-      const escape = (v: any) => {
-        if (v == null) return '';
-        const s = String(v);
-        if (s.includes('"') || s.includes(',') || s.includes('\n') || s.includes('\r')) return `"${s.replace(/"/g, '""')}"`;
-        return s;
-      };
-      const header = cols.join(',');
-      const lines = slice.map((r: any) => cols.map(c => escape(r[c])).join(','));
-      const csv = [header, ...lines].join('\r\n');
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="history-${Date.now()}.csv"`);
-      return res.send(csv);
-    }
+/* Owner, or 'watchlists.manage' for someone else's list */
+function mayChangeWatchlist(req: express.Request, w: Watchlist) {
+  return w.owner === (req.employee?.username ?? null) || can(req.employee?.role, 'watchlists.manage');
+}
+
+/* 400 with the offending accounts when the SKU or an account would be refused by a lookup */
+async function checkWatchlistAccounts(sku: string, accounts: string[]) {
+  const check = await providers.checkLookup(sku, accounts);
+  if (!check.ok) return { status: check.status, body: check.body };
+  if (check.invalid.length) return { status: 400, body: { error: 'Invalid account number for provider', code: 'invalid_account', invalid: check.invalid.slice(0, 100) } };
+  return null;
+}
+
+function sendWatchlistError(res: express.Response, err: any, what: string) {
+  if (err instanceof WatchlistError) return res.status(err.status).json({ error: err.message, code: err.code });
+  logError(`watchlists ${what} error`, err?.message || err);
+  return res.status(500).json({ error: err?.message || 'Internal error' });
+}
+
+app.get('/api/watchlists', requireAuth, requirePermission('watchlists'), validate('GET /api/watchlists'), async (req, res) => {
+  try {
+    const { owner, label } = req.query as { owner?: string; label?: string };
+    return res.json(await watchlists.list({ owner: owner === 'me' ? (req.employee?.username ?? null) : owner ?? null, label: label ?? null }));
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'list');
+  }
+});
 
-    return res.json(slice);
+app.post('/api/watchlists', requireAuth, requirePermission('watchlists'), validate('POST /api/watchlists'), async (req, res) => {
+  try {
+    const { name, sku, accounts, labels, schedule = null, push_to_kho: pushToKho } = req.body;
+    if (pushToKho && !can(req.employee?.role, 'kho.import')) return res.status(403).json(forbiddenBody('kho.import'));
+    const refused = await checkWatchlistAccounts(sku, accounts);
+    if (refused) return res.status(refused.status).json(refused.body);
+    const created = await watchlists.create({ name, sku, accounts, labels, schedule, push_to_kho: pushToKho }, req.employee?.username ?? null);
+    logInfo('Watchlist created', { id: created.id, sku, accounts: created.accounts.length, schedule: created.schedule, by: req.employee?.username });
+    return res.status(201).json({ ...created, running: false });
   } catch (err: any) {
-    logError('history error', err?.message || err);
-    return res.status(500).json({ error: err?.message || 'Internal error' });
+    return sendWatchlistError(res, err, 'create');
   }
 });
 
-/* Export Excel of current KHO / filtered */
-app.get('/api/export-excel', requireAuth, async (req, res) => {
+app.get('/api/watchlists/:id', requireAuth, requirePermission('watchlists'), validate('GET /api/watchlists/:id'), async (req, res) => {
   try {
-    const fromAmount = req.query.fromAmount ? safeNumber(req.query.fromAmount) : null;
-    const toAmount = req.query.toAmount ? safeNumber(req.query.toAmount) : null;
+    const w = await watchlists.get(req.params.id);
+    if (!w) return res.status(404).json({ error: 'Watchlist not found' });
+    return res.json(w);
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'get');
+  }
+});
 
-    let arr: any[] = [];
-    if (pool) {
-      const r = await pool.query('SELECT * FROM kho ORDER BY created_at DESC LIMIT 5000');
-      arr = r.rows;
-    } else {
-      arr = Object.values(MEM.KHO || {});
+app.put('/api/watchlists/:id', requireAuth, requirePermission('watchlists'), validate('PUT /api/watchlists/:id'), async (req, res) => {
+  try {
+    const existing = await watchlists.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Watchlist not found' });
+    if (!mayChangeWatchlist(req, existing)) return res.status(403).json(forbiddenBody('watchlists.manage'));
+    if (req.body.push_to_kho && !can(req.employee?.role, 'kho.import')) return res.status(403).json(forbiddenBody('kho.import'));
+    if (req.body.sku !== undefined || req.body.accounts !== undefined) {
+      const refused = await checkWatchlistAccounts(req.body.sku ?? existing.sku, req.body.accounts ?? existing.accounts);
+      if (refused) return res.status(refused.status).json(refused.body);
     }
+    const patch: any = {};
+    for (const k of ['name', 'sku', 'accounts', 'labels', 'schedule', 'push_to_kho']) if (req.body[k] !== undefined) patch[k] = req.body[k];
+    const updated = await watchlists.update(req.params.id, patch);
+    if (!updated) return res.status(404).json({ error: 'Watchlist not found' });
+    logInfo('Watchlist updated', { id: updated.id, fields: Object.keys(patch), by: req.employee?.username });
+    return res.json(updated);
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'update');
+  }
+});
 
-    if (fromAmount != null) arr = arr.filter((r: any) => safeNumber(r.total) >= fromAmount);
-    if (toAmount != null) arr = arr.filter((r: any) => safeNumber(r.total) <= toAmount);
+app.delete('/api/watchlists/:id', requireAuth, requirePermission('watchlists'), validate('DELETE /api/watchlists/:id'), async (req, res) => {
+  try {
+    const existing = await watchlists.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Watchlist not found' });
+    if (!mayChangeWatchlist(req, existing)) return res.status(403).json(forbiddenBody('watchlists.manage'));
+    await watchlists.remove(req.params.id);
+    logInfo('Watchlist deleted', { id: req.params.id, by: req.employee?.username });
+    return res.json({ ok: true });
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'delete');
+  }
+});
 
-    const wb = new ExcelJS.Workbook();
-    const ws = wb.addWorksheet('KHO');
-    ws.columns = [
-      { header: 'Key', key: 'key', width: 36 },
-      { header: 'Provider', key: 'provider_id', width: 14 },
-      { header: 'Account', key: 'account', width: 20 },
-      { header: 'Name', key: 'name', width: 32 },
-      { header: 'Address', key: 'address', width: 48 },
-      { header: 'Amount Current', key: 'amount_current', width: 16 },
-      { header: 'Total', key: 'total', width: 16 },
-      { header: 'Created At', key: 'created_at', width: 24 }
-    ];
-    for (const r of arr) {
-      ws.addRow({
-        key: r.key,
-        provider_id: r.provider_id,
-        account: r.account,
-        name: r.name,
-        address: r.address,
-        amount_current: safeNumber(r.amount_current),
-        total: safeNumber(r.total),
-        created_at: r.created_at || r.createdAt || nowISO()
-      });
-    }
+app.post('/api/watchlists/:id/run', requireAuth, requirePermission('watchlists'), validate('POST /api/watchlists/:id/run'), async (req, res) => {
+  try {
+    const pushToKho: boolean | undefined = req.body?.push_to_kho;
+    if (pushToKho && !can(req.employee?.role, 'kho.import')) return res.status(403).json(forbiddenBody('kho.import'));
+    const run = await watchlists.run(req.params.id, { pushToKho, createdBy: req.employee?.username ?? null });
+    if (!run) return res.status(404).json({ error: 'Watchlist not found' });
+    logInfo('Watchlist run', { watchlist: req.params.id, run: run.id, accounts: run.total, by: req.employee?.username });
+    return res.status(202).json(run);
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'run');
+  }
+});
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="kho-${Date.now()}.xlsx"`);
-    await wb.xlsx.write(res);
+app.get('/api/watchlists/:id/runs', requireAuth, requirePermission('watchlists'), validate('GET /api/watchlists/:id/runs'), async (req, res) => {
+  try {
+    if (!(await watchlists.get(req.params.id))) return res.status(404).json({ error: 'Watchlist not found' });
+    return res.json(await watchlists.runs(req.params.id, Number((req.query as any).limit) || 20));
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'runs');
+  }
+});
+
+app.get('/api/watchlists/:id/runs/:runId', requireAuth, requirePermission('watchlists'), validate('GET /api/watchlists/:id/runs/:runId'), async (req, res) => {
+  try {
+    const q = req.query as { change?: string; limit?: number; offset?: number };
+    const changes = q.change ? q.change.split(',').map(c => c.trim()).filter(Boolean) : null;
+    const unknown = (changes || []).filter(c => !(WATCHLIST_CHANGES as readonly string[]).includes(c));
+    if (unknown.length) return res.status(400).json({ error: `Unknown change: ${unknown.join(', ')}` });
+    const out = await watchlists.runDetail(req.params.id, req.params.runId, {
+      changes: changes as WatchlistChange[] | null, offset: q.offset ?? 0, limit: q.limit ?? 1000
+    });
+    if (!out) return res.status(404).json({ error: 'Run not found' });
+    return res.json(out);
+  } catch (err: any) {
+    return sendWatchlistError(res, err, 'run detail');
+  }
+});
+
+/* ----------------------------------------------------------------------
+   KHO import
+   Accepts body: { bills: [...] } (or a raw array) where each bill includes provider_id, account, name, address, amount_current, etc.
+   - Amounts must be numbers (or numeric strings): a bad one rejects the request with its field path
+   - Rows without account or provider_id are skipped; re-imported keys keep their original nhapAt
+   - Returns { ok, mode, added, updated, skipped, count, total }
+   ---------------------------------------------------------------------- */
+
+app.post('/api/kho/import', requireAuth, requirePermission('kho.import'), validate('POST /api/kho/import'), idempotent('POST /api/kho/import'), async (req, res) => {
+  try {
+    const bills: any[] = Array.isArray(req.body) ? req.body : req.body.bills;
+
+    const now = nowISO();
+    const items = bills.map((b: any) => parseKhoBill(b, now)).filter((b): b is KhoInput => b != null);
+    const skipped = bills.length - items.length;
+    if (!items.length) return res.status(400).json({ error: 'No valid bills found (account and provider_id are required)' });
+
+    const { rows, added, updated, previous } = await repo.kho.upsert(items);
+    for (const entry of khoUpsertAudit(rows, previous)) await recordAudit(req, entry);
+    const total = await repo.kho.count();
+    logInfo('KHO import', { added, updated, skipped, by: req.employee?.username });
+    return res.json({ ok: true, mode: repo.mode, added, updated, skipped, count: items.length, total });
+  } catch (err: any) {
+    logError('kho/import error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* Uploads (see src/uploads.ts)
+   Body: { filename?, content (base64), target: 'lookup'|'kho', dry_run?, sku?, sheet?, mapping?, fresh? }
+   - Returns the file's row report (accepted / duplicate / invalid); unless dry_run the accepted rows are then
+     looked up (one lookup job per SKU) or imported into KHO. Bills already in KHO are left as they are.
+   - Needs kho.import for target=kho, lookup otherwise (an invalid target is then refused by validate) */
+app.post('/api/uploads', requireAuth, requirePermission(req => req.body?.target === 'kho' ? 'kho.import' : 'lookup'), validate('POST /api/uploads'), async (req, res) => {
+  try {
+    const { filename = null, content, target, dry_run: dryRun, sku = null, sheet = null, mapping = null } = req.body;
+
+    const report = await checkUpload(
+      { content, filename, sheet: sheet != null && /^\d+$/.test(sheet) ? Number(sheet) : sheet, mapping, sku, target },
+      { providers: await providers.list({ includeDisabled: true }), inKho: async keys => (await repo.kho.get(keys)).map(k => k.key) }
+    );
+    const out: any = { target, dry_run: dryRun, ...report };
+
+    if (target === 'lookup') {
+      const batches = lookupBatches(report.rows);
+      out.lookup = { batches, jobs: [] };
+      if (!dryRun) {
+        const accepted = batches.reduce((n, b) => n + b.accounts.length, 0);
+        if (accepted > LOOKUP_JOB_MAX_ACCOUNTS) return res.status(400).json({ error: `Too many accounts (max ${LOOKUP_JOB_MAX_ACCOUNTS})` });
+        for (const b of batches) {
+          out.lookup.jobs.push(await lookupJobs.create({ accounts: b.accounts, sku: b.sku, fresh: wantsFresh(req), createdBy: req.employee?.username || null }));
+        }
+      }
+    } else if (!dryRun) {
+      const now = nowISO();
+      const items = khoBills(report.rows, filename).map(b => parseKhoBill(b, now)).filter((b): b is KhoInput => b != null);
+      const { rows, added, updated, previous } = items.length ? await repo.kho.upsert(items) : { rows: [], added: 0, updated: 0, previous: [] };
+      for (const entry of khoUpsertAudit(rows, previous)) await recordAudit(req, entry);
+      out.kho = { added, updated, total: await repo.kho.count() };
+    }
+
+    logInfo('Upload', { filename, target, dry_run: dryRun, ...report.counts, jobs: out.lookup?.jobs.length, by: req.employee?.username });
+    return res.status(!dryRun && out.lookup?.jobs.length ? 202 : 200).json(out);
+  } catch (err: any) {
+    if (err instanceof UploadError) return res.status(400).json({ error: err.message, code: err.code });
+    logError('upload error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* KHO list: ?provider_id|sku, fromAmount, toAmount, search, limit (default 2000), offset
+   Each row carries `hold` (null, or the cart holding it: src/carts.ts); ?held=hide leaves out the rows other
+   sellers hold (after paging) */
+app.get('/api/kho/list', requireAuth, requirePermission('kho.view'), validate('GET /api/kho/list'), async (req, res) => {
+  try {
+    const rows = await repo.kho.list(parseKhoQuery(req.query));
+    return res.json(await withHolds(repo, rows, req.employee?.username ?? null, (req.query as any).held === 'hide'));
+  } catch (err: any) {
+    logError('kho/list error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* Select KHO bills whose totals best match a target amount (see src/select-by-target.ts)
+   Body: { target, mode?: 'exact'|'under'|'over', from?, to?, provider_id?, max_count?, time_budget_ms? }
+   - from/to bound each bill's total, not the sum
+   - Returns { keys, sum, count, diff, found, complete, items, ... } */
+const SELECT_MAX_CANDIDATES = Number(process.env.SELECT_MAX_CANDIDATES || 5000);
+
+app.post('/api/select-by-target', requireAuth, requirePermission('kho.view'), validate('POST /api/select-by-target'), async (req, res) => {
+  try {
+    const { target, from = null, to = null, provider_id = null, max_count: maxCount, time_budget_ms: timeBudgetMs } = req.body;
+    const mode = String(req.body.mode).replace(/^closest-/, '') as SelectMode;
+
+    // Bills above the target can never be part of an 'exact' or 'under' answer
+    const candidates = await repo.kho.list({
+      provider_id,
+      positiveOnly: true,
+      fromAmount: from,
+      toAmount: mode === 'over' ? to : Math.min(to ?? target, target),
+      order: 'oldest',
+      limit: SELECT_MAX_CANDIDATES
+    });
+    // Bills in other sellers' carts are not on offer
+    const free = await withHolds(repo, candidates, req.employee?.username ?? null, true);
+
+    const result = selectByTarget(free, { target, mode, maxCount, timeBudgetMs });
+    logInfo('select-by-target', { target, mode, candidates: result.candidates, count: result.count, sum: result.sum, complete: result.complete, ms: result.elapsed_ms });
+    return res.json(result);
+  } catch (err: any) {
+    logError('select-by-target error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* KHO remove */
+app.post('/api/kho/remove', requireAuth, requirePermission('kho.remove'), validate('POST /api/kho/remove'), idempotent('POST /api/kho/remove'), async (req, res) => {
+  try {
+    const removed = await repo.kho.remove(req.body.keys);
+    if (removed.length) await recordAudit(req, { action: 'kho.remove', keys: removed.map(r => r.key), before: removed.map(auditRow) });
+    return res.json({ ok: true, removed: removed.length });
+  } catch (err: any) {
+    logError('kho/remove error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* KHO re-verification (see src/kho-verify.ts)
+   Body: { keys } or { all: true, provider_id?, unverified_hours?, cutoff? }
+   - Every bill is re-queried fresh (never from the lookup cache) and flagged ok / paid / changed / error on its KHO row
+   - all=true takes at most KHO_VERIFY_MAX bills last verified before `cutoff`; more=true -> call again with the same cutoff */
+const khoVerifier = createKhoVerifier({
+  repo,
+  lookup: async (account, sku) => (await lookupAccount(account, sku, true)).normalized,
+  concurrency: NEW_API_CONCURRENCY
+});
+
+app.post('/api/kho/verify', requireAuth, requirePermission('kho.verify'), validate('POST /api/kho/verify'), async (req, res) => {
+  try {
+    const { keys, all, provider_id = null, unverified_hours: hours, cutoff: sent } = req.body as {
+      keys?: string[]; all: boolean; provider_id?: string; unverified_hours?: number; cutoff?: string;
+    };
+    if (!keys === !all) return res.status(400).json({ error: 'Send either keys or all: true' });
+
+    let items, missing: string[] = [], more = false, cutoff: string | null = null;
+    if (keys) {
+      items = await repo.kho.get(keys);
+      const found = new Set(items.map(it => it.key));
+      missing = keys.filter(k => !found.has(k));
+    } else {
+      cutoff = sent ?? new Date(Date.now() - (hours ?? 0) * 3600 * 1000).toISOString();
+      items = await repo.kho.list({ provider_id, verifiedBefore: cutoff, order: 'oldest', limit: KHO_VERIFY_MAX + 1 });
+      more = items.length > KHO_VERIFY_MAX;
+      items = items.slice(0, KHO_VERIFY_MAX);
+    }
+
+    const results = await khoVerifier.verify(items);
+    const counts = verifyCounts(results);
+    logInfo('KHO verified', { checked: results.length, ...counts, more, by: req.employee?.username });
+    return res.json({ checked: results.length, counts, items: results, missing, more, cutoff });
+  } catch (err: any) {
+    logError('kho/verify error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Verify failed' });
+  }
+});
+
+/* Members endpoints */
+app.get('/api/members', requireAuth, requirePermission('members.view'), validate('GET /api/members'), async (req, res) => {
+  try {
+    const [members, balances] = await Promise.all([repo.members.list(), ledger.balances()]);
+    return res.json(members.map(m => ({ ...m, balance: balances[String(m.id)] || 0 })));
+  } catch (err: any) {
+    logError('members list error', err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.post('/api/members', requireAuth, requirePermission('members.create'), validate('POST /api/members'), idempotent('POST /api/members'), async (req, res) => {
+  try {
+    const { name, zalo, bank, credit_limit: creditLimit } = req.body;
+    if (creditLimit != null && !can(req.employee?.role, 'ledger.adjust')) return res.status(403).json(forbiddenBody('ledger.adjust'));
+    const created = await repo.members.create({ name, zalo: zalo ?? '', bank: bank ?? '', credit_limit: creditLimit ?? null });
+    await recordAudit(req, { action: 'member.create', keys: [memberRef(created.id)], after: created });
+    return res.status(201).json(created);
+  } catch (err: any) {
+    logError('create member error', err);
+    return res.status(500).json({ error: err?.message || 'Create member failed' });
+  }
+});
+
+app.put('/api/members/:id', requireAuth, requirePermission('members.update'), validate('PUT /api/members/:id'), async (req, res) => {
+  try {
+    const patch: any = {};
+    for (const k of ['name', 'zalo', 'bank']) {
+      if (req.body[k] !== undefined) patch[k] = req.body[k] ?? '';
+    }
+    if (req.body.credit_limit !== undefined) {
+      if (!can(req.employee?.role, 'ledger.adjust')) return res.status(403).json(forbiddenBody('ledger.adjust'));
+      patch.credit_limit = req.body.credit_limit;
+    }
+    const existing = await repo.members.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Member not found' });
+    const updated = await repo.members.update(req.params.id, patch);
+    if (!updated) return res.status(404).json({ error: 'Member not found' });
+    await recordAudit(req, { action: 'member.update', keys: [memberRef(updated.id)], before: existing, after: updated });
+    return res.json(updated);
+  } catch (err: any) {
+    logError('update member error', err);
+    return res.status(500).json({ error: err?.message || 'Update member failed' });
+  }
+});
+
+/* ----------------------------------------------------------------------
+   Member ledger (see src/ledger.ts)
+   - GET  /api/members/:id/ledger        entries (oldest first, ?from&to&limit&offset) + balance / credit_limit
+   - POST /api/members/:id/payments      { amount > 0, at?, note? }       ('ledger.record')
+   - POST /api/members/:id/adjustments   { amount (signed), at?, note }   ('ledger.adjust')
+   - GET  /api/members/:id/statement     ?from&to (default: this month), format=xlsx|json
+   - Sales write their debits and reversals their credits with the history rows (see /api/sell, /api/history/reverse)
+   ---------------------------------------------------------------------- */
+
+app.get('/api/members/:id/ledger', requireAuth, requirePermission('ledger.view'), validate('GET /api/members/:id/ledger'), async (req, res) => {
+  try {
+    const member = await repo.members.get(req.params.id);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    const { from = null, to = null, limit, offset } = req.query as any;
+    const [balance, entries] = await Promise.all([ledger.balance(member.id), ledger.list({ member_id: String(member.id), from, to, limit, offset })]);
+    return res.json({
+      member_id: String(member.id),
+      balance,
+      credit_limit: member.credit_limit,
+      available: member.credit_limit == null ? null : member.credit_limit - balance,
+      entries
+    });
+  } catch (err: any) {
+    logError('member ledger error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* Payments and adjustments: the entry is returned with the new balance and written to the audit trail */
+async function recordLedgerEntry(req: express.Request, res: express.Response, kind: 'payment' | 'adjustment') {
+  const member = await repo.members.get(req.params.id);
+  if (!member) return res.status(404).json({ error: 'Member not found' });
+  const { amount, at = null, note = null } = req.body as { amount: number; at?: string | null; note?: string | null };
+  if (!amount) return res.status(400).json({ error: 'amount must not be 0' });
+
+  const [entry] = await ledger.post([{
+    member_id: member.id,
+    kind,
+    amount: kind === 'payment' ? -amount : amount,
+    at,
+    note,
+    actor: { id: req.employee?.id ?? null, username: req.employee?.username ?? null }
+  }]);
+  await recordAudit(req, { action: kind === 'payment' ? 'ledger.payment' : 'ledger.adjustment', keys: [memberRef(member.id)], after: entry });
+  const balance = await ledger.balance(member.id);
+  logInfo('Ledger entry', { member_id: member.id, kind, amount: entry.amount, balance, by: req.employee?.username });
+  return res.status(201).json({ entry, balance });
+}
+
+app.post('/api/members/:id/payments', requireAuth, requirePermission('ledger.record'), validate('POST /api/members/:id/payments'), async (req, res) => {
+  try {
+    return await recordLedgerEntry(req, res, 'payment');
+  } catch (err: any) {
+    logError('member payment error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Record payment failed' });
+  }
+});
+
+app.post('/api/members/:id/adjustments', requireAuth, requirePermission('ledger.adjust'), validate('POST /api/members/:id/adjustments'), async (req, res) => {
+  try {
+    return await recordLedgerEntry(req, res, 'adjustment');
+  } catch (err: any) {
+    logError('member adjustment error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Record adjustment failed' });
+  }
+});
+
+const LEDGER_KIND_LABELS: Record<string, string> = { sale: 'Bán bill', reversal: 'Hoàn bán', payment: 'Thanh toán', adjustment: 'Điều chỉnh' };
+
+app.get('/api/members/:id/statement', requireAuth, requirePermission('ledger.view'), validate('GET /api/members/:id/statement'), async (req, res) => {
+  try {
+    const member = await repo.members.get(req.params.id);
+    if (!member) return res.status(404).json({ error: 'Member not found' });
+    const q = req.query as any;
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+    const st = await ledger.statement(member.id, q.from || monthStart.toISOString(), q.to || nowISO());
+    if (q.format === 'json') return res.json({ member, ...st });
+
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet('Sao kê');
+    ws.columns = [
+      { key: 'at', width: 22 },
+      { key: 'kind', width: 14 },
+      { key: 'sale_id', width: 38 },
+      { key: 'note', width: 40 },
+      { key: 'debit', width: 16 },
+      { key: 'credit', width: 16 },
+      { key: 'balance', width: 16 },
+      { key: 'actor', width: 16 }
+    ];
+    ws.addRow({ at: 'Sao kê công nợ', kind: member.name }).font = { bold: true };
+    ws.addRow({ at: 'Từ', kind: st.from || '', sale_id: 'Đến', note: st.to || '' });
+    ws.addRow({ at: 'Hạn mức', kind: member.credit_limit ?? 'Không giới hạn' });
+    ws.addRow({});
+    ws.addRow({ at: 'Ngày', kind: 'Loại', sale_id: 'Mã bán', note: 'Ghi chú', debit: 'Phát sinh nợ', credit: 'Phát sinh có', balance: 'Số dư', actor: 'Nhân viên' }).font = { bold: true };
+    ws.addRow({ at: st.from || '', kind: 'Số dư đầu kỳ', balance: st.opening_balance });
+    for (const e of st.entries) {
+      ws.addRow({
+        at: e.at,
+        kind: LEDGER_KIND_LABELS[e.kind] || e.kind,
+        sale_id: e.sale_id || '',
+        note: e.note || '',
+        debit: e.amount > 0 ? e.amount : null,
+        credit: e.amount < 0 ? -e.amount : null,
+        balance: e.balance,
+        actor: e.actor_username || ''
+      });
+    }
+    ws.addRow({ at: st.to || '', kind: 'Số dư cuối kỳ', debit: st.debits, credit: st.credits, balance: st.closing_balance }).font = { bold: true };
+    for (const col of ['debit', 'credit', 'balance']) ws.getColumn(col).numFmt = '#,##0';
+
+    // Bills sold to the member in the period, for reconciling the 'sale' lines
+    const bills = wb.addWorksheet('Bill đã bán');
+    bills.columns = [
+      { header: 'Ngày bán', key: 'soldAt', width: 22 },
+      { header: 'Mã bán', key: 'sale_id', width: 38 },
+      { header: 'Key', key: 'key', width: 30 },
+      { header: 'Tên', key: 'name', width: 28 },
+      { header: 'Mệnh giá', key: 'total', width: 14 },
+      { header: 'Phí', key: 'fee', width: 10 },
+      { header: 'Giá bán', key: 'sale_price', width: 14 },
+      { header: 'Đã hoàn', key: 'reversed_at', width: 22 }
+    ];
+    bills.getRow(1).font = { bold: true };
+    for (let offset = 0; ; offset += 5000) {
+      const page = await repo.history.list({ member_id: String(member.id), fromDate: st.from, toDate: st.to, reversed: 'include', limit: 5000, offset });
+      for (const h of page) bills.addRow({ ...h, sale_price: h.sale_price ?? h.total, reversed_at: h.reversed_at || '' });
+      if (page.length < 5000) break;
+    }
+    for (const col of ['total', 'fee', 'sale_price']) bills.getColumn(col).numFmt = '#,##0';
+
+    const day = (v: string | null) => (v || '').slice(0, 10);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="sao-ke-${member.id}-${day(st.from)}-${day(st.to)}.xlsx"`);
+    await wb.xlsx.write(res);
     res.end();
   } catch (err: any) {
-    logError('export-excel error', err);
+    logError('member statement error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* Employees endpoints
+   - Listing and notes need 'employees.view'; create/update/delete need 'employees.manage'
+   - Passwords are bcrypt-hashed; password_hash is never returned (publicEmployee)
+   - A password change or deletion revokes that employee's sessions */
+
+app.get('/api/employees', requireAuth, requirePermission('employees.view'), validate('GET /api/employees'), async (req, res) => {
+  try {
+    return res.json((await repo.employees.list()).map(publicEmployee));
+  } catch (err: any) {
+    logError('employees list error', err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.post('/api/employees', requireAuth, requirePermission('employees.manage'), validate('POST /api/employees'), async (req, res) => {
+  try {
+    const { username, password, role, full_name = null, phone = null, address = null } = req.body;
+    if (await repo.employees.findByUsername(username)) return res.status(409).json({ error: 'Username already exists' });
+
+    const password_hash = await bcrypt.hash(password, 10);
+    const created = await repo.employees.create({ username, password_hash, role, full_name, phone, address });
+    await recordAudit(req, { action: 'employee.create', keys: [employeeRef(created.id)], after: publicEmployee(created) });
+    logInfo('Employee created', { username, by: req.employee?.username });
+    return res.status(201).json(publicEmployee(created));
+  } catch (err: any) {
+    logError('create employee error', err);
+    return res.status(500).json({ error: err?.message || 'Create employee failed' });
+  }
+});
+
+app.put('/api/employees/:id', requireAuth, requirePermission('employees.manage'), validate('PUT /api/employees/:id'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const existing = await repo.employees.get(id);
+    if (!existing) return res.status(404).json({ error: 'Employee not found' });
+
+    const updates: any = {};
+    if (req.body.username !== undefined) {
+      const username = req.body.username;
+      const clash = await repo.employees.findByUsername(username);
+      if (clash && String(clash.id) !== String(existing.id)) return res.status(409).json({ error: 'Username already exists' });
+      updates.username = username;
+    }
+    if (req.body.role !== undefined) {
+      if (String(existing.id) === String(req.employee?.id) && req.body.role !== existing.role) {
+        return res.status(400).json({ error: 'Cannot change your own role' });
+      }
+      updates.role = req.body.role;
+    }
+    for (const k of ['full_name', 'phone', 'address']) {
+      if (req.body[k] !== undefined) updates[k] = req.body[k];
+    }
+    // Empty password in the edit form means "keep the current one" (the schema drops '')
+    if (req.body.password) updates.password_hash = await bcrypt.hash(req.body.password, 10);
+
+    if (!Object.keys(updates).length) return res.json(publicEmployee(existing));
+    const updated = await repo.employees.update(id, updates);
+    if (!updated) return res.status(404).json({ error: 'Employee not found' });
+    if (updates.password_hash) await revokeEmployeeSessions(id);
+    await recordAudit(req, {
+      action: 'employee.update',
+      keys: [employeeRef(updated.id)],
+      before: publicEmployee(existing),
+      after: { ...publicEmployee(updated), ...(updates.password_hash ? { password_changed: true } : {}) }
+    });
+    logInfo('Employee updated', { username: updated.username, fields: Object.keys(updates), by: req.employee?.username });
+    return res.json(publicEmployee(updated));
+  } catch (err: any) {
+    logError('update employee error', err);
+    return res.status(500).json({ error: err?.message || 'Update employee failed' });
+  }
+});
+
+app.delete('/api/employees/:id', requireAuth, requirePermission('employees.manage'), validate('DELETE /api/employees/:id'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (String(id) === String(req.employee?.id)) return res.status(400).json({ error: 'Cannot delete yourself' });
+    const existing = await repo.employees.get(id);
+    if (!existing) return res.status(404).json({ error: 'Employee not found' });
+    if (!pool) {
+      // Postgres drops sessions and work_notes rows with the employee (ON DELETE CASCADE)
+      await revokeEmployeeSessions(id);
+      MEM.EMPLOYEE_NOTES = MEM.EMPLOYEE_NOTES.filter((n: any) => String(n.employee_id) !== String(id));
+    }
+    await repo.employees.remove(id);
+    await recordAudit(req, { action: 'employee.delete', keys: [employeeRef(existing.id)], before: publicEmployee(existing) });
+    logInfo('Employee deleted', { username: existing.username, by: req.employee?.username });
+    return res.json({ ok: true });
+  } catch (err: any) {
+    logError('delete employee error', err);
+    return res.status(500).json({ error: err?.message || 'Delete employee failed' });
+  }
+});
+
+/* Employee notes: newest first, stamped with the author taken from the session */
+app.get('/api/employees/:id/notes', requireAuth, requirePermission('employees.view'), validate('GET /api/employees/:id/notes'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!await repo.employees.get(id)) return res.status(404).json({ error: 'Employee not found' });
+    if (pool) {
+      const { rows } = await pool.query('SELECT * FROM work_notes WHERE employee_id = $1 ORDER BY created_at DESC LIMIT 500', [id]);
+      return res.json(rows);
+    } else {
+      const arr = MEM.EMPLOYEE_NOTES.filter((n: any) => String(n.employee_id) === String(id)).slice().reverse();
+      return res.json(arr);
+    }
+  } catch (err: any) {
+    logError('employee notes list error', err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.post('/api/employees/:id/notes', requireAuth, requirePermission('employees.view'), validate('POST /api/employees/:id/notes'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const note: string = req.body.note;
+    if (!await repo.employees.get(id)) return res.status(404).json({ error: 'Employee not found' });
+
+    const authorId = req.employee?.id ?? null;
+    const authorUsername = req.employee?.username || null;
+    if (pool) {
+      const q = `INSERT INTO work_notes (employee_id, note, author_id, author_username, created_at)
+                 VALUES ($1,$2,$3,$4,now()) RETURNING *`;
+      // author_id is a FK to employees; the SKIP_AUTH dev actor has no row
+      const { rows } = await pool.query(q, [id, note, authorId, authorUsername]);
+      return res.status(201).json(rows[0]);
+    } else {
+      const entry = { id: genId('note_'), employee_id: id, note, author_id: authorId, author_username: authorUsername, created_at: nowISO() };
+      MEM.EMPLOYEE_NOTES.push(entry);
+      return res.status(201).json(entry);
+    }
+  } catch (err: any) {
+    logError('create employee note error', err);
+    return res.status(500).json({ error: err?.message || 'Create note failed' });
+  }
+});
+
+// Authors may delete their own notes; anyone else needs 'employees.manage'
+app.delete('/api/employees/:id/notes/:noteId', requireAuth, requirePermission('employees.view'), validate('DELETE /api/employees/:id/notes/:noteId'), async (req, res) => {
+  try {
+    const { id, noteId } = req.params;
+    let note: any;
+    if (pool) {
+      const { rows } = await pool.query('SELECT * FROM work_notes WHERE id = $1 AND employee_id = $2', [noteId, id]);
+      note = rows[0];
+    } else {
+      note = MEM.EMPLOYEE_NOTES.find((n: any) => String(n.id) === String(noteId) && String(n.employee_id) === String(id));
+    }
+    if (!note) return res.status(404).json({ error: 'Note not found' });
+    const isAuthor = note.author_id != null
+      ? String(note.author_id) === String(req.employee?.id)
+      : !!note.author_username && note.author_username === req.employee?.username;
+    if (!isAuthor && !can(req.employee?.role, 'employees.manage')) {
+      return res.status(403).json(forbiddenBody('employees.manage'));
+    }
+    if (pool) {
+      await pool.query('DELETE FROM work_notes WHERE id = $1', [noteId]);
+    } else {
+      MEM.EMPLOYEE_NOTES = MEM.EMPLOYEE_NOTES.filter((n: any) => n !== note);
+    }
+    return res.json({ ok: true });
+  } catch (err: any) {
+    logError('delete employee note error', err);
+    return res.status(500).json({ error: err?.message || 'Delete note failed' });
+  }
+});
+
+/* ----------------------------------------------------------------------
+   Pricing rules (see src/pricing.ts)
+   - GET    /api/pricing/rules         every rule (needs 'sell': the sell dialog shows them)
+   - POST   /api/pricing/rules         { member_id?, provider_id?, discount_rate?, fee?, note? }
+   - PUT    /api/pricing/rules/:id     partial update
+   - DELETE /api/pricing/rules/:id
+   - One rule per (member_id, provider_id) scope, both null = the default; 409 otherwise
+   ---------------------------------------------------------------------- */
+
+const pricing = createPricing({ pool });
+
+/* 400 body when a rule names a member or provider that does not exist */
+async function pricingScopeError(input: PricingRuleInput) {
+  if (input.member_id != null && !(await repo.members.get(input.member_id))) return 'Member not found';
+  if (input.provider_id != null && !(await providers.get(input.provider_id))) return 'Unknown provider';
+  return null;
+}
+
+app.get('/api/pricing/rules', requireAuth, requirePermission('sell'), validate('GET /api/pricing/rules'), async (_req, res) => {
+  try {
+    return res.json(await pricing.list());
+  } catch (err: any) {
+    logError('pricing list error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.post('/api/pricing/rules', requireAuth, requirePermission('pricing.manage'), validate('POST /api/pricing/rules'), async (req, res) => {
+  try {
+    const input = req.body as PricingRuleInput;
+    const scopeError = await pricingScopeError(input);
+    if (scopeError) return res.status(400).json({ error: scopeError });
+    const created = await pricing.create(input);
+    logInfo('Pricing rule created', { id: created.id, member_id: created.member_id, provider_id: created.provider_id, by: req.employee?.username });
+    return res.status(201).json(created);
+  } catch (err: any) {
+    if (err?.code === 'duplicate' || err?.code === '23505') return res.status(409).json({ error: 'A rule for this member / provider already exists' });
+    logError('pricing create error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.put('/api/pricing/rules/:id', requireAuth, requirePermission('pricing.manage'), validate('PUT /api/pricing/rules/:id'), async (req, res) => {
+  try {
+    const patch = req.body as PricingRuleInput;
+    const scopeError = await pricingScopeError(patch);
+    if (scopeError) return res.status(400).json({ error: scopeError });
+    const updated = await pricing.update(req.params.id, patch);
+    if (!updated) return res.status(404).json({ error: 'Pricing rule not found' });
+    logInfo('Pricing rule updated', { id: req.params.id, fields: Object.keys(patch), by: req.employee?.username });
+    return res.json(updated);
+  } catch (err: any) {
+    if (err?.code === 'duplicate' || err?.code === '23505') return res.status(409).json({ error: 'A rule for this member / provider already exists' });
+    logError('pricing update error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.delete('/api/pricing/rules/:id', requireAuth, requirePermission('pricing.manage'), validate('DELETE /api/pricing/rules/:id'), async (req, res) => {
+  try {
+    const removed = await pricing.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Pricing rule not found' });
+    logInfo('Pricing rule deleted', { id: req.params.id, by: req.employee?.username });
+    return res.json({ ok: true });
+  } catch (err: any) {
+    logError('pricing delete error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* Quote: what selling these keys to the member would cost, without selling (shown in the sell dialog) */
+app.post('/api/sell/quote', requireAuth, requirePermission('sell'), validate('POST /api/sell/quote'), async (req, res) => {
+  try {
+    const { member_id: memberId, keys } = req.body as { member_id: string; keys: string[] };
+    const [items, price, member, balance] = await Promise.all([
+      repo.kho.get(keys), pricing.pricerFor(memberId), repo.members.get(memberId), ledger.balance(memberId)
+    ]);
+    return res.json(saleQuote(keys, items, price, member, balance));
+  } catch (err: any) {
+    logError('sell quote error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Quote failed' });
+  }
+});
+
+/* The checks a sale goes through before repository sell() (POST /api/sell and cart confirm): the member must
+   exist (404), bills held by another cart are left out of them (the sale skips those), the rest are re-verified
+   (409 stale_bills) and priced against the member's credit limit (409 credit_limit). That last one only saves
+   the gateway lookups of a sale that cannot go through: sell() checks the limit again under a lock */
+async function checkSale(memberId: string, keys: string[], opts: { acceptStale: boolean; cartId: string | null; by: string | null }) {
+  const member = await repo.members.get(memberId);
+  if (!member) return { ok: false as const, status: 404, body: { error: 'Member not found' } };
+  const taken = new Set((await repo.holds.active(keys)).filter(h => h.cart_id !== opts.cartId).map(h => h.key));
+  const sellable = keys.filter(k => !taken.has(k));
+  const verified = await khoVerifier.beforeSale(sellable, { acceptStale: opts.acceptStale });
+  if (!verified.ok) {
+    logWarn('Sale refused: stale bills', { member_id: memberId, cart: opts.cartId, problems: verified.problems.length, mode: SELL_VERIFY_MODE, by: opts.by });
+    return { ok: false as const, status: 409, body: verified.body };
+  }
+  const price = await pricing.pricerFor(memberId);
+
+  if (member.credit_limit != null) {
+    const due = priceTotals((await repo.kho.get(sellable)).map(it => ({ total: it.total, ...price(it) }))).amount_due;
+    const refused = creditCheck(member, await ledger.balance(memberId), due);
+    if (refused) return { ok: false as const, status: 409, body: refused };
+  }
+  return { ok: true as const, verified, price };
+}
+
+/* Audit and log of a sale that went through (its ledger debit is part of it); returns the response body */
+async function finishSale(req: express.Request, memberId: string, keys: string[], out: SellResult,
+  verified: { checked: number; problems: SaleProblem[] }, cartId: string | null) {
+  const { sold, skipped } = out;
+  const employee = { id: req.employee?.id ?? null, username: req.employee?.username ?? null };
+  if (sold.length) await recordAudit(req, { action: 'sell', keys: sold.map(r => r.key), after: sold.map(auditRow) });
+  const totals = priceTotals(sold);
+  logInfo('Sold', { member_id: memberId, cart: cartId, requested: keys.length, sold: sold.length, skipped: skipped.length, amount_due: totals.amount_due, by: req.employee?.username });
+  const soldKeys = new Set(sold.map(r => r.key));
+  const accepted = verified.problems.filter(p => soldKeys.has(p.key)).map(p => ({ key: p.key, reason: p.reason }));
+  if (accepted.length) logWarn('Sold flagged bills (accept_stale)', { sale_id: sold[0]?.sale_id, accepted, by: req.employee?.username });
+  return { ok: true, sold_count: sold.length, sale_id: sold[0]?.sale_id ?? null, totals, history: sold, skipped, verification: { checked: verified.checked, accepted } };
+}
+
+/* Sell endpoint (moves items from KHO -> HISTORY)
+   Each history row gets discount_rate / fee / sale_price / margin from the member's pricing rules;
+   the amount due is debited to the member's ledger in the same transaction, and the sale is refused
+   (409 credit_limit) above the credit limit. An unknown member_id is 404.
+   Bills not verified in the last SELL_VERIFY_MAX_AGE_HOURS are re-queried first; flagged ones refuse the sale
+   (409 stale_bills) per SELL_VERIFY_MODE, unless accept_stale overrides a 'warn'.
+   Keys no longer in KHO or held by another seller's cart are not sold; `skipped` says which and why. */
+app.post('/api/sell', requireAuth, requirePermission('sell'), validate('POST /api/sell'), idempotent('POST /api/sell'), async (req, res) => {
+  try {
+    const { member_id: memberId, keys, note, accept_stale: acceptStale } = req.body as { member_id: string; keys: string[]; note?: string | null; accept_stale: boolean };
+    const employee = { id: req.employee?.id ?? null, username: req.employee?.username ?? null };
+
+    const checked = await checkSale(memberId, keys, { acceptStale, cartId: null, by: employee.username });
+    if (!checked.ok) return res.status(checked.status).json(checked.body);
+
+    const out = await repo.sell({ keys, member_id: memberId, employee, note: note || null, price: checked.price });
+    return res.json(await finishSale(req, memberId, keys, out, checked.verified, null));
+  } catch (err: any) {
+    if (err instanceof CreditLimitError) return res.status(409).json(err.body);
+    logError('sell error', err);
+    return res.status(500).json({ error: 'Sell failed' });
+  }
+});
+
+/* ----------------------------------------------------------------------
+   Sales carts (see src/carts.ts)
+   - POST /api/carts { member_id, target_total?, note? } opens the seller's cart for the member (or returns it)
+   - POST /api/carts/:id/items { keys } holds bills for CART_HOLD_MINUTES; refused keys come back with the reason
+   - POST /api/carts/:id/confirm sells them in one step (same checks as /api/sell); /release drops the holds
+   - Only the seller changes a cart; everyone with 'sell' may look at it
+   ---------------------------------------------------------------------- */
+const carts = createCarts({ pool, repo });
+
+function sendCartError(res: express.Response, err: any, what: string) {
+  if (err instanceof CartError) return res.status(err.status).json({ error: err.message, code: err.code });
+  if (err instanceof CreditLimitError) return res.status(409).json(err.body);
+  logError(`carts ${what} error`, err?.message || err);
+  return res.status(500).json({ error: err?.message || 'Internal error' });
+}
+
+/* The cart of :id when the caller is its seller; otherwise the error response is sent and null returned */
+async function ownCart(req: express.Request, res: express.Response): Promise<Cart | null> {
+  const cart = await carts.get(req.params.id);
+  if (!cart) { res.status(404).json({ error: 'Cart not found' }); return null; }
+  if (cart.seller !== req.employee?.username) {
+    res.status(403).json({ error: 'Only the seller of the cart can change it', code: 'not_cart_owner', seller: cart.seller });
+    return null;
+  }
+  return cart;
+}
+
+app.get('/api/carts', requireAuth, requirePermission('sell'), validate('GET /api/carts'), async (req, res) => {
+  try {
+    const { seller, member_id: memberId, status, limit } = req.query as { seller?: string; member_id?: string; status?: CartStatus | 'all'; limit?: number };
+    return res.json(await carts.list({
+      seller: seller === 'all' ? null : seller ?? req.employee?.username ?? null,
+      member_id: memberId ?? null,
+      status: status === 'all' ? null : status ?? 'open',
+      limit
+    }));
+  } catch (err: any) {
+    return sendCartError(res, err, 'list');
+  }
+});
+
+app.post('/api/carts', requireAuth, requirePermission('sell'), validate('POST /api/carts'), async (req, res) => {
+  try {
+    const { member_id: memberId, target_total: targetTotal, note } = req.body as { member_id: string; target_total?: number | null; note?: string | null };
+    if (!(await repo.members.get(memberId))) return res.status(404).json({ error: 'Member not found' });
+    const { cart, created } = await carts.open({
+      member_id: memberId, seller: req.employee!.username, seller_id: req.employee?.id != null ? String(req.employee.id) : null,
+      target_total: targetTotal, note
+    });
+    if (created) logInfo('Cart opened', { id: cart.id, member_id: memberId, by: cart.seller });
+    return res.status(created ? 201 : 200).json(await carts.view(cart));
+  } catch (err: any) {
+    return sendCartError(res, err, 'open');
+  }
+});
+
+app.get('/api/carts/:id', requireAuth, requirePermission('sell'), validate('GET /api/carts/:id'), async (req, res) => {
+  try {
+    const cart = await carts.get(req.params.id);
+    if (!cart) return res.status(404).json({ error: 'Cart not found' });
+    return res.json(await carts.view(cart));
+  } catch (err: any) {
+    return sendCartError(res, err, 'get');
+  }
+});
+
+app.put('/api/carts/:id', requireAuth, requirePermission('sell'), validate('PUT /api/carts/:id'), async (req, res) => {
+  try {
+    const cart = await ownCart(req, res);
+    if (!cart) return;
+    const patch: { target_total?: number | null; note?: string | null } = {};
+    if (req.body.target_total !== undefined) patch.target_total = req.body.target_total;
+    if (req.body.note !== undefined) patch.note = req.body.note;
+    return res.json(await carts.view(await carts.update(cart, patch)));
+  } catch (err: any) {
+    return sendCartError(res, err, 'update');
+  }
+});
+
+app.post('/api/carts/:id/items', requireAuth, requirePermission('sell'), validate('POST /api/carts/:id/items'), async (req, res) => {
+  try {
+    const cart = await ownCart(req, res);
+    if (!cart) return;
+    const out = await carts.add(cart, req.body.keys);
+    logInfo('Cart bills held', { id: cart.id, held: out.held.length, refused: out.refused.length, by: cart.seller });
+    return res.json({ held: out.held, refused: out.refused, cart: await carts.view(out.cart) });
+  } catch (err: any) {
+    return sendCartError(res, err, 'add');
+  }
+});
+
+app.post('/api/carts/:id/items/remove', requireAuth, requirePermission('sell'), validate('POST /api/carts/:id/items/remove'), async (req, res) => {
+  try {
+    const cart = await ownCart(req, res);
+    if (!cart) return;
+    return res.json(await carts.view(await carts.remove(cart, req.body.keys)));
+  } catch (err: any) {
+    return sendCartError(res, err, 'remove');
+  }
+});
+
+app.post('/api/carts/:id/extend', requireAuth, requirePermission('sell'), validate('POST /api/carts/:id/extend'), async (req, res) => {
+  try {
+    const cart = await ownCart(req, res);
+    if (!cart) return;
+    const out = await carts.extend(cart);
+    return res.json({ refused: out.refused, cart: await carts.view(out.cart) });
+  } catch (err: any) {
+    return sendCartError(res, err, 'extend');
+  }
+});
+
+/* Confirm: the cart's bills are sold in one repository sell(); `skipped` lists each key not sold and why.
+   all_or_nothing: true sells nothing (409 not_all_sellable) unless every bill can go. */
+app.post('/api/carts/:id/confirm', requireAuth, requirePermission('sell'), validate('POST /api/carts/:id/confirm'), async (req, res) => {
+  try {
+    const cart = await ownCart(req, res);
+    if (!cart) return;
+    if (cart.status !== 'open') return res.status(409).json({ error: `The cart is ${cart.status}`, code: 'cart_closed' });
+    const { note, accept_stale: acceptStale, all_or_nothing: allOrNothing } = req.body as { note?: string | null; accept_stale: boolean; all_or_nothing: boolean };
+    const employee = { id: req.employee?.id ?? null, username: req.employee?.username ?? null };
+
+    const checked = await checkSale(cart.member_id, cart.keys, { acceptStale, cartId: cart.id, by: employee.username });
+    if (!checked.ok) return res.status(checked.status).json(checked.body);
+
+    const { result } = await carts.confirm(cart, { employee, note: note ?? cart.note, price: checked.price, all_or_nothing: allOrNothing });
+    if (!result.sold.length) {
+      logWarn('Cart not confirmed: nothing sold', { id: cart.id, skipped: result.skipped.length, all_or_nothing: allOrNothing, by: employee.username });
+      return res.status(409).json({
+        error: allOrNothing && cart.keys.length ? 'Some bills of the cart cannot be sold; nothing was sold' : 'None of the bills of the cart can be sold',
+        code: allOrNothing ? 'not_all_sellable' : 'nothing_sold',
+        skipped: result.skipped,
+        cart: await carts.view(cart)
+      });
+    }
+    const body = await finishSale(req, cart.member_id, cart.keys, result, checked.verified, cart.id);
+    return res.json({ ...body, cart: await carts.view(cart) });
+  } catch (err: any) {
+    return sendCartError(res, err, 'confirm');
+  }
+});
+
+app.post('/api/carts/:id/release', requireAuth, requirePermission('sell'), validate('POST /api/carts/:id/release'), async (req, res) => {
+  try {
+    const cart = await ownCart(req, res);
+    if (!cart) return;
+    const out = await carts.release(cart);
+    logInfo('Cart released', { id: cart.id, released: out.released.length, by: cart.seller });
+    return res.json({ ok: true, released: out.released, cart: await carts.view(out.cart) });
+  } catch (err: any) {
+    return sendCartError(res, err, 'release');
+  }
+});
+
+/* Sale reversal: { ids } or { sale_id }, plus a reason (needs 'sell.reverse')
+   - Bills go back to KHO with their original nhapAt; history rows stay, marked reversed, and the members'
+     ledgers are credited in the same step (repository history.reverse())
+   - Rows already reversed or whose bill is in KHO again are reported in `skipped`, not an error
+   - 404 when nothing matched */
+app.post('/api/history/reverse', requireAuth, requirePermission('sell.reverse'), validate('POST /api/history/reverse'), async (req, res) => {
+  try {
+    const { ids, sale_id: saleId, reason } = req.body as { ids?: string[]; sale_id?: string; reason: string };
+    if (!ids === !saleId) return res.status(400).json({ error: 'Send either ids or sale_id' });
+
+    const out = await repo.history.reverse(ids ? { ids } : { sale_id: saleId! }, {
+      reason,
+      actor: { id: req.employee?.id ?? null, username: req.employee?.username ?? null }
+    });
+    if (!out.reversed.length && out.skipped.every(s => s.reason === 'not_found')) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    if (out.reversed.length) {
+      await recordAudit(req, { action: 'sell.reverse', keys: out.reversed.map(r => r.key), after: out.reversed.map(auditRow) });
+    }
+    logInfo('Sale reversed', { sale_id: saleId, ids: ids?.length, reversed: out.reversed.length, skipped: out.skipped.length, by: req.employee?.username });
+    return res.json({ ok: true, reversed_count: out.reversed.length, reversed: out.reversed, skipped: out.skipped });
+  } catch (err: any) {
+    logError('history reverse error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Reverse failed' });
+  }
+});
+
+/* Sales: the history rows of one /api/sell call as one record (see sales.* in src/repository.ts)
+   - GET /api/sales                  ?member_id, employee_id, fromDate, toDate (soldAt), limit (default 100), offset
+   - GET /api/sales/:id              summary + items (reversed bills included, marked)
+   - GET /api/sales/:id/receipt      ?format=html (printable page, default) | xlsx; accepts ?ticket= (POST /api/auth/ticket) */
+app.get('/api/sales', requireAuth, requirePermission('history.view'), validate('GET /api/sales'), async (req, res) => {
+  try {
+    return res.json(await repo.sales.list(parseSalesQuery(req.query as any)));
+  } catch (err: any) {
+    logError('sales list error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.get('/api/sales/:id', requireAuth, requirePermission('history.view'), validate('GET /api/sales/:id'), async (req, res) => {
+  try {
+    const sale = await repo.sales.get(req.params.id);
+    if (!sale) return res.status(404).json({ error: 'Sale not found' });
+    return res.json(sale);
+  } catch (err: any) {
+    logError('sale detail error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.get('/api/sales/:id/receipt', requireAuth, requirePermission('history.view'), validate('GET /api/sales/:id/receipt'), async (req, res) => {
+  try {
+    const sale = await repo.sales.get(req.params.id);
+    if (!sale) return res.status(404).json({ error: 'Sale not found' });
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+
+    if ((req.query as any).format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${receiptFileName(sale, 'xlsx')}"`);
+      await receiptWorkbook(sale, { providerNames }).xlsx.write(res);
+      return res.end();
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.send(receiptHtml(sale, { providerNames }));
+  } catch (err: any) {
+    logError('sale receipt error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* History endpoint with optional CSV export
+   ?search|q, fromDate, toDate (soldAt), minTotal, maxTotal, reversed (exclude|include|only), limit (default 100), offset, export=csv */
+const HISTORY_CSV_COLUMNS = ['id','key','account','provider_id','name','address','amount_previous','amount_current','total','soldAt','member_name','employee_username','sale_id','discount_rate','fee','sale_price','margin','note','reversed_at','reversal_reason'];
+
+function toCsv(rows: any[], cols: string[]) {
+  const escape = (v: any) => {
+    if (v == null) return '';
+    const s = String(v);
+    if (s.includes('"') || s.includes(',') || s.includes('\n') || s.includes('\r')) return `"${s.replace(/"/g, '""')}"`;
+    return s;
+  };
+  return [cols.join(','), ...rows.map((r: any) => cols.map(c => escape(r[c])).join(','))].join('\r\n');
+}
+
+app.get('/api/history', requireAuth, requirePermission('history.view'), validate('GET /api/history'), async (req, res) => {
+  try {
+    const exportMode = (req.query.export || '').toString();
+    if (exportMode === 'csv' && !can(req.employee?.role, 'export')) return res.status(403).json(forbiddenBody('export'));
+
+    const rows = await repo.history.list(parseHistoryQuery(req.query));
+    if (exportMode === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="history-${Date.now()}.csv"`);
+      return res.send(toCsv(rows, HISTORY_CSV_COLUMNS));
+    }
+    return res.json(rows);
+  } catch (err: any) {
+    logError('history error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* Audit trail: ?actor, action, key, from, to (at), limit (default 100), offset, export=csv
+   - actor matches the username (case-insensitive) or the employee id
+   - CSV flattens keys (space separated) and before/after (JSON) */
+const AUDIT_CSV_COLUMNS = ['id','at','action','actor_username','actor_id','ip','keys','before','after'];
+
+app.get('/api/audit', requireAuth, requirePermission('audit.view'), validate('GET /api/audit'), async (req, res) => {
+  try {
+    const q: any = req.query;
+    if (q.export === 'csv' && !can(req.employee?.role, 'export')) return res.status(403).json(forbiddenBody('export'));
+
+    const rows = await audit.list({ actor: q.actor, action: q.action, key: q.key, from: q.from, to: q.to, limit: q.limit, offset: q.offset });
+    if (q.export === 'csv') {
+      const flat = rows.map(r => ({
+        ...r,
+        keys: r.keys.join(' '),
+        before: r.before == null ? '' : JSON.stringify(r.before),
+        after: r.after == null ? '' : JSON.stringify(r.after)
+      }));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.csv"`);
+      return res.send(toCsv(flat, AUDIT_CSV_COLUMNS));
+    }
+    return res.json(rows);
+  } catch (err: any) {
+    logError('audit error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* ----------------------------------------------------------------------
+   Live updates (see src/live-feed.ts)
+   - GET /api/live/events: text/event-stream of 'change' events { id, type, at, actor, keys, rows },
+     filtered by the employee's permissions; accepts ?ticket= (POST /api/auth/ticket) like the other event streams
+   - Reconnects send Last-Event-ID (or ?last_event_id=): missed events are replayed, or a 'reset'
+     event tells the client to reload when they are no longer buffered
+   ---------------------------------------------------------------------- */
+
+app.get('/api/live/events', requireAuth, validate('GET /api/live/events'), (req, res) => {
+  const role = req.employee?.role;
+  const lastId = (req.headers['last-event-id'] as string | undefined) || (req.query as any).last_event_id || null;
+  const missed = live.since(lastId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (ev: LiveEvent) => {
+    const seen = visibleTo(ev, p => can(role, p));
+    // Skipped events still move the client's Last-Event-ID forward
+    res.write(seen ? `id: ${ev.id}\nevent: change\ndata: ${JSON.stringify(seen)}\n\n` : `id: ${ev.id}\n: skipped\n\n`);
+  };
+  res.write('retry: 3000\n\n');
+  if (missed) missed.forEach(send);
+  else res.write(`${live.lastId() ? `id: ${live.lastId()}\n` : ''}event: reset\ndata: {}\n\n`);
+
+  const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = live.subscribe(send);
+  logDebug('Live stream opened', { by: req.employee?.username, replayed: missed?.length ?? 'reset', listeners: live.listeners() });
+  req.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+});
+
+/* ----------------------------------------------------------------------
+   Excel exports (see src/exports.ts), 'export' + the dataset's view permission
+   - GET /api/export-excel           ?dataset=kho|history|members, columns, sheets, limit + the list filters
+   - GET /api/export-excel/columns   column / sheet catalogue for the export dialog
+   The workbook is streamed: rows are read page by page and written as they come.
+   ---------------------------------------------------------------------- */
+app.get('/api/export-excel/columns', requireAuth, requirePermission('export'), validate('GET /api/export-excel/columns'), (_req, res) => {
+  return res.json(exportCatalog());
+});
+
+app.get('/api/export-excel', requireAuth, requirePermission('export'), validate('GET /api/export-excel'), async (req, res) => {
+  try {
+    const plan = planExport(req.query as any);
+    const needed = EXPORT_VIEW_PERMISSION[plan.dataset];
+    if (!can(req.employee?.role, needed)) return res.status(403).json(forbiddenBody(needed));
+
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(plan)}"`);
+    const { rows, truncated } = await writeExport(plan, { repo, ledger, providerNames }, res);
+    logInfo('Export', { dataset: plan.dataset, rows, truncated, by: req.employee?.username });
+  } catch (err: any) {
+    if (err instanceof ExportError) return res.status(400).json({ error: err.message, code: err.code });
+    logError('export-excel error', err?.message || err);
+    // once the workbook has started streaming the status is sent; cut the download instead
+    if (res.headersSent) return res.destroy(err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+/* ----------------------------------------------------------------------
+   Reports (see src/reports.ts), 'reports.view'
+   - GET /api/reports/sales   ?group=day|week|month|provider|member|employee, fromDate, toDate (soldAt), format=json|xlsx
+   - GET /api/reports/kho     ?fromDate, toDate (nhapAt), format=json|xlsx: by provider and by age bucket
+   ---------------------------------------------------------------------- */
+
+const reports = createReports({ pool });
+
+async function sendReport(res: express.Response, format: string, report: any, workbook: () => ExcelJS.Workbook, fileName: string) {
+  if (format !== 'xlsx') return res.json(report);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  await workbook().xlsx.write(res);
+  return res.end();
+}
+
+app.get('/api/reports/sales', requireAuth, requirePermission('reports.view'), validate('GET /api/reports/sales'), async (req, res) => {
+  try {
+    const { group, fromDate = null, toDate = null, format } = req.query as any;
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+    const report = await reports.sales(group, { fromDate, toDate }, { providerNames });
+    return await sendReport(res, format, report, () => salesReportWorkbook(report), reportFileName(`doanh-so-${group}`, report.from, report.to));
+  } catch (err: any) {
+    logError('sales report error', err?.message || err);
+    return res.status(500).json({ error: err?.message || 'Internal error' });
+  }
+});
+
+app.get('/api/reports/kho', requireAuth, requirePermission('reports.view'), validate('GET /api/reports/kho'), async (req, res) => {
+  try {
+    const { fromDate = null, toDate = null, format } = req.query as any;
+    const providerNames = new Map((await providers.list({ includeDisabled: true })).map(p => [p.sku, p.name]));
+    const report = await reports.kho({ fromDate, toDate }, { providerNames });
+    return await sendReport(res, format, report, () => khoReportWorkbook(report), reportFileName('kho', report.from, report.to));
+  } catch (err: any) {
+    logError('kho report error', err?.message || err);
     return res.status(500).json({ error: err?.message || 'Internal error' });
   }
 });
@@ -787,6 +2014,12 @@ app.get('/', (req, res) => res.sendFile('public/index.html', { root: process.cwd
 /* Start server */
 app.listen(PORT, () => {
   logInfo(`Server listening on port ${PORT} (SKIP_AUTH=${SKIP_AUTH})`);
-  logInfo(`CheckBill upstream: ${NEW_API_BASE_URL}${NEW_API_PATH} (timeout=${NEW_API_TIMEOUT_MS}ms, retries=${NEW_API_MAX_RETRIES}, concurrency=${NEW_API_CONCURRENCY})`);
+  logInfo(`Upstream gateways: ${gateways.describe()} (timeout=${NEW_API_TIMEOUT_MS}ms, retries=${NEW_API_MAX_RETRIES}, concurrency=${NEW_API_CONCURRENCY})`);
   if (!pool) logInfo('Using in-memory stores (no DATABASE_URL)');
+  lookupJobs.resumeInterrupted()
+    .then(n => { if (n) logInfo(`Resumed ${n} interrupted lookup job(s)`); })
+    .catch((err: any) => logError('Failed to resume lookup jobs', err?.message || err));
+  watchlists.failInterrupted()
+    .then(n => { if (n) logWarn(`Marked ${n} interrupted watchlist run(s) failed`); })
+    .catch((err: any) => logError('Failed to close interrupted watchlist runs', err?.message || err));
 });
@@ -0,0 +1,1073 @@
+/**
+ * src/api-schemas.ts
+ *
+ * Declared request schemas for every /api/* route, plus the OpenAPI 3 document built from them.
+ * - server.ts wraps each route with validate('<METHOD> <path>') (see "Request validation" there);
+ *   the Netlify functions call checkRequest(API_ROUTES['<METHOD> <path>'], ...) with the same entry.
+ * - A rejected request is 400 { error, code: 'invalid_request', fields: [{ in, path, message }] }.
+ * - buildOpenApi() is served at GET /api/openapi.json; response shapes are documented from the
+ *   component schemas below (they describe what the repository returns, they are not enforced).
+ * - Adding a route: add its entry here first, then use validate() with the same key.
+ */
+
+import { v, Schema, RequestSchemas } from './validation.js';
+import { Permission } from './permissions.js';
+import { SELECT_MODES, MAX_TIME_BUDGET_MS } from './select-by-target.js';
+import { AUDIT_ACTIONS } from './audit.js';
+import { LEDGER_KINDS } from './ledger.js';
+import { SALES_REPORT_GROUPS } from './reports.js';
+import { UPLOAD_FIELDS, UPLOAD_TARGETS, UPLOAD_REASONS } from './uploads.js';
+import { EXPORT_DATASETS, EXPORT_MAX_ROWS } from './exports.js';
+import { KHO_VERIFY_MAX } from './kho-verify.js';
+import { VERIFY_STATUSES } from './repository.js';
+import { WATCHLIST_CHANGES, SCHEDULE_EVERY, WATCHLIST_MAX_ACCOUNTS } from './watchlists.js';
+import { CART_STATUSES, CART_ITEM_STATES, CART_MAX_KEYS } from './carts.js';
+import { LIVE_EVENT_TYPES } from './live-feed.js';
+import { LINK_TICKET_PATH } from './auth.js';
+
+/* ---- Shared field schemas ---- */
+const id = v.string({ min: 1, max: 100 });
+const sku = v.string({ min: 1, max: 32, pattern: /^[A-Za-z0-9_-]+$/ }).example('00906815');
+const account = v.string({ min: 1, max: 64 }).example('PB02020047317');
+const amount = v.number({ min: 0 }).describe('VND; numeric strings such as "150000" are accepted');
+const text = (max: number) => v.string({ max }).optional().nullable();
+const limit = (max: number) => v.number({ integer: true, min: 1, max }).optional();
+const offset = v.number({ integer: true, min: 0 }).optional();
+const dateTime = v.string({ format: 'date-time' }).optional();
+const unverifiedHours = v.number({ min: 0, max: 24 * 365 }).optional().describe('Only bills not re-verified in the last N hours (never verified included)');
+
+/* ---- Component schemas (responses) ---- */
+const KhoItem = v.object({
+  key: v.string().describe('`${provider_id}::${account}`'),
+  account: v.string(),
+  provider_id: v.string(),
+  name: v.string().nullable(),
+  address: v.string().nullable(),
+  amount_previous: v.number(),
+  amount_current: v.number(),
+  total: v.number(),
+  nhapAt: v.string({ format: 'date-time' }).nullable().describe('First import time; kept on re-import'),
+  customer: v.string().nullable(),
+  raw: v.object({}, { passthrough: true }).nullable(),
+  created_at: v.string({ format: 'date-time' }),
+  updated_at: v.string({ format: 'date-time' }),
+  last_verified_at: v.string({ format: 'date-time' }).nullable().describe('Last re-check against the gateway; null = never (cleared on re-import)'),
+  verify_status: v.enum(VERIFY_STATUSES).nullable().describe('ok, paid (nothing left to pay), changed (see verified_total), error (see verify_error)'),
+  verified_total: v.number().nullable(),
+  verify_error: v.string().nullable(),
+  hold: v.object({
+    cart_id: v.string(),
+    held_by: v.string().nullable(),
+    expires_at: v.string({ format: 'date-time' }),
+    mine: v.boolean().describe('Held in a cart of the caller')
+  }).optional().nullable().describe('GET /api/kho/list: the sales cart holding the bill; null = free')
+});
+
+const HistoryRow = v.object({
+  id: v.string(),
+  key: v.string(),
+  account: v.string(),
+  provider_id: v.string(),
+  name: v.string().nullable(),
+  address: v.string().nullable(),
+  amount_previous: v.number(),
+  amount_current: v.number(),
+  total: v.number(),
+  nhapAt: v.string({ format: 'date-time' }).nullable(),
+  xuatAt: v.string({ format: 'date-time' }).nullable(),
+  soldAt: v.string({ format: 'date-time' }).nullable(),
+  member_id: v.string().nullable(),
+  member_name: v.string().nullable(),
+  employee_id: v.string().nullable(),
+  employee_username: v.string().nullable(),
+  raw: v.object({}, { passthrough: true }).nullable(),
+  created_at: v.string({ format: 'date-time' }),
+  sale_id: v.string().nullable().describe('Shared by the rows of one /api/sell call'),
+  reversed_at: v.string({ format: 'date-time' }).nullable(),
+  reversed_by_id: v.string().nullable(),
+  reversed_by_username: v.string().nullable(),
+  reversal_reason: v.string().nullable(),
+  discount_rate: v.number().nullable().describe('Pricing rule applied at sale time (null for sales before pricing)'),
+  fee: v.number().nullable(),
+  sale_price: v.number().nullable().describe('round(total * (1 - discount_rate)) + fee'),
+  margin: v.number().nullable().describe('sale_price - total'),
+  note: v.string().nullable()
+});
+
+const SaleFields = {
+  sale_id: v.string(),
+  soldAt: v.string({ format: 'date-time' }).nullable(),
+  member_id: v.string().nullable(),
+  member_name: v.string().nullable(),
+  employee_id: v.string().nullable(),
+  employee_username: v.string().nullable(),
+  note: v.string().nullable(),
+  count: v.number({ integer: true }).describe('Bills not reversed'),
+  reversed_count: v.number({ integer: true }),
+  total: v.number().describe('Face value of the bills not reversed'),
+  fee: v.number(),
+  amount_due: v.number(),
+  margin: v.number()
+};
+
+const SaleSummary = v.object(SaleFields);
+
+const Member = v.object({
+  id: v.string(),
+  name: v.string(),
+  zalo: v.string().nullable(),
+  bank: v.string().nullable(),
+  credit_limit: v.number().nullable().describe('VND; null = no limit. Sales that would take the balance above it are refused'),
+  balance: v.number().optional().describe('Ledger balance (what the member owes), on GET /api/members'),
+  created_at: v.string({ format: 'date-time' })
+});
+
+const LedgerEntry = v.object({
+  id: v.string(),
+  member_id: v.string(),
+  at: v.string({ format: 'date-time' }),
+  kind: v.enum(LEDGER_KINDS),
+  amount: v.number().describe('> 0 debit (the member owes more), < 0 credit'),
+  sale_id: v.string().nullable(),
+  note: v.string().nullable(),
+  actor_id: v.string().nullable(),
+  actor_username: v.string().nullable()
+});
+
+const Employee = v.object({
+  id: v.string(),
+  username: v.string(),
+  role: v.enum(['admin', 'user']),
+  full_name: v.string().nullable(),
+  phone: v.string().nullable(),
+  address: v.string().nullable()
+});
+
+const Provider = v.object({
+  sku: v.string(),
+  name: v.string(),
+  region: v.string().nullable(),
+  enabled: v.boolean(),
+  account_pattern: v.string().nullable().describe('Regular expression matched against the whole account number'),
+  concurrency: v.number({ integer: true }).nullable(),
+  timeout_ms: v.number({ integer: true }).nullable()
+});
+
+const PricingRule = v.object({
+  id: v.string(),
+  member_id: v.string().nullable().describe('null = every member'),
+  provider_id: v.string().nullable().describe('null = every provider'),
+  discount_rate: v.number().nullable().describe('Fraction of the bill total taken off (0.025 = 2.5%); null = from a less specific rule'),
+  fee: v.number().nullable().describe('Fixed VND per bill; null = from a less specific rule'),
+  note: v.string().nullable(),
+  created_at: v.string({ format: 'date-time' }),
+  updated_at: v.string({ format: 'date-time' })
+});
+
+const PriceTotals = v.object({
+  count: v.number({ integer: true }),
+  total: v.number().describe('Face value of the bills'),
+  fee: v.number(),
+  amount_due: v.number().describe('Sum of sale_price: what the member pays'),
+  margin: v.number()
+});
+
+const SalesReport = v.object({
+  group: v.enum(SALES_REPORT_GROUPS),
+  from: v.string({ format: 'date-time' }).nullable(),
+  to: v.string({ format: 'date-time' }).nullable(),
+  rows: v.array(v.object({
+    key: v.string().describe('YYYY-MM-DD (day, Monday of the week), YYYY-MM (month), SKU, member id or employee id'),
+    label: v.string().describe('Member / employee / provider name, the key for periods'),
+    count: v.number({ integer: true }),
+    total: v.number(),
+    fee: v.number(),
+    amount_due: v.number(),
+    margin: v.number()
+  })).describe('Periods oldest first, other groups by amount_due (largest first)'),
+  totals: PriceTotals
+});
+
+const KhoReportRow = v.object({ key: v.string(), label: v.string(), count: v.number({ integer: true }), total: v.number() });
+const KhoReport = v.object({
+  from: v.string({ format: 'date-time' }).nullable(),
+  to: v.string({ format: 'date-time' }).nullable(),
+  as_of: v.string({ format: 'date-time' }).describe('Ages are counted up to this instant'),
+  by_provider: v.array(KhoReportRow).describe('Largest value first'),
+  by_age: v.array(KhoReportRow).describe('Buckets 0-7, 8-30, 31-90, 90+ days since nhapAt (+ unknown when a bill has none)'),
+  totals: v.object({ count: v.number({ integer: true }), total: v.number() })
+});
+
+const column = v.object({ index: v.number({ integer: true }).describe('1-based'), header: v.string().nullable() }).nullable();
+const UploadReport = v.object({
+  target: v.enum(UPLOAD_TARGETS),
+  dry_run: v.boolean(),
+  format: v.enum(['xlsx', 'csv']),
+  sheet: v.string().nullable(),
+  headers: v.array(v.string()).describe('Header row; empty when the file has none'),
+  columns: v.object(Object.fromEntries(UPLOAD_FIELDS.map(f => [f, column]))).describe('Column used for each field (null = not in the file)'),
+  counts: v.object({ total: v.number({ integer: true }), accepted: v.number({ integer: true }), duplicate: v.number({ integer: true }), invalid: v.number({ integer: true }) }),
+  rows: v.array(v.object({
+    row: v.number({ integer: true }).describe('Row number in the file (1-based)'),
+    status: v.enum(['accepted', 'duplicate', 'invalid']),
+    reason: v.enum(UPLOAD_REASONS).nullable(),
+    account: v.string().nullable(),
+    sku: v.string().nullable(),
+    name: v.string().nullable(),
+    address: v.string().nullable(),
+    amount: v.number().nullable(),
+    key: v.string().nullable()
+  })),
+  lookup: v.object({
+    batches: v.array(v.object({ sku: v.string(), accounts: v.array(v.string()) })).describe('Accepted accounts per SKU'),
+    jobs: v.array(v.object({}, { passthrough: true })).describe('Lookup jobs started (server only; the Netlify function returns the batches for the client to look up)')
+  }).optional(),
+  kho: v.object({ added: v.number({ integer: true }), updated: v.number({ integer: true }), total: v.number({ integer: true }) }).optional()
+});
+
+const AuditEntry = v.object({
+  id: v.string(),
+  at: v.string({ format: 'date-time' }),
+  actor_id: v.string().nullable(),
+  actor_username: v.string().nullable(),
+  ip: v.string().nullable(),
+  action: v.enum(AUDIT_ACTIONS),
+  keys: v.array(v.string()).describe('Bill keys, or member:<id> / employee:<id>'),
+  before: v.object({}, { passthrough: true }).nullable().describe('Row(s) before the change'),
+  after: v.object({}, { passthrough: true }).nullable().describe('Row(s) after the change')
+});
+
+const WatchlistSchedule = v.object({
+  every: v.enum(SCHEDULE_EVERY),
+  at: v.string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/ }).example('07:30').describe('HH:MM in WATCHLIST_TIME_ZONE'),
+  days: v.array(v.number({ integer: true, min: 1, max: 31 }), { min: 1, max: 31 }).optional()
+    .describe('every=month: days of the month (31 = last day of shorter months)')
+});
+
+const watchlistCounts = v.object(Object.fromEntries(WATCHLIST_CHANGES.map(c => [c, v.number({ integer: true })])));
+
+const Watchlist = v.object({
+  id: v.string(),
+  name: v.string(),
+  sku: v.string(),
+  accounts: v.array(v.string()).describe('Detail only; lists return account_count instead'),
+  labels: v.array(v.string()),
+  owner: v.string().nullable(),
+  schedule: WatchlistSchedule.nullable(),
+  push_to_kho: v.boolean(),
+  next_run_at: v.string({ format: 'date-time' }).nullable(),
+  last_run_at: v.string({ format: 'date-time' }).nullable(),
+  running: v.boolean(),
+  created_at: v.string({ format: 'date-time' }),
+  updated_at: v.string({ format: 'date-time' })
+});
+
+const WatchlistRun = v.object({
+  id: v.string(),
+  watchlist_id: v.string(),
+  trigger: v.enum(['manual', 'schedule']),
+  status: v.enum(['running', 'completed', 'failed']),
+  total: v.number({ integer: true }),
+  counts: watchlistCounts,
+  debt_total: v.number(),
+  kho_pushed: v.number({ integer: true }).nullable().describe('new_debt bills put into KHO; null = push not asked'),
+  error: v.string().nullable(),
+  created_by: v.string().nullable(),
+  started_at: v.string({ format: 'date-time' }),
+  finished_at: v.string({ format: 'date-time' }).nullable()
+});
+
+const WatchlistRunItem = v.object({
+  account: v.string(),
+  status: v.enum(['ok', 'failed']),
+  change: v.enum(WATCHLIST_CHANGES),
+  total: v.number().nullable(),
+  previous_total: v.number().nullable().describe('Last known total before this run'),
+  name: v.string().nullable(),
+  address: v.string().nullable(),
+  bill: v.object({}, { passthrough: true }).nullable(),
+  error: v.string().nullable()
+});
+
+const SellSkip = v.object({
+  key: v.string(),
+  reason: v.enum(['not_in_kho', 'held']).describe('not_in_kho: sold or removed meanwhile; held: in another seller\'s cart'),
+  held_by: v.string().nullable(),
+  expires_at: v.string({ format: 'date-time' }).nullable().describe('When that hold lapses')
+});
+
+const Cart = v.object({
+  id: v.string(),
+  member_id: v.string(),
+  seller: v.string(),
+  seller_id: v.string().nullable(),
+  keys: v.array(v.string()),
+  target_total: v.number().nullable(),
+  note: v.string().nullable(),
+  status: v.enum(CART_STATUSES),
+  expires_at: v.string({ format: 'date-time' }).describe('When the holds of the cart lapse (CART_HOLD_MINUTES after the last add / extend)'),
+  expired: v.boolean(),
+  sale_id: v.string().nullable(),
+  created_at: v.string({ format: 'date-time' }),
+  updated_at: v.string({ format: 'date-time' }),
+  closed_at: v.string({ format: 'date-time' }).nullable(),
+  items: v.array(v.object({
+    key: v.string(),
+    account: v.string().nullable(),
+    provider_id: v.string().nullable(),
+    name: v.string().nullable(),
+    address: v.string().nullable(),
+    total: v.number().nullable(),
+    state: v.enum(CART_ITEM_STATES).describe('held; expired (still sellable unless taken); taken (another cart holds it); not_in_kho'),
+    held_by: v.string().nullable(),
+    expires_at: v.string({ format: 'date-time' }).nullable()
+  })),
+  totals: v.object({
+    count: v.number({ integer: true }).describe('Bills that would sell now (held or expired)'),
+    total: v.number(),
+    target_total: v.number().nullable(),
+    remaining: v.number().nullable().describe('target_total - total'),
+    states: v.object(Object.fromEntries(CART_ITEM_STATES.map(st => [st, v.number({ integer: true })])))
+  })
+});
+
+const ErrorBody = v.object({
+  error: v.string(),
+  code: v.string().optional()
+});
+
+const ValidationError = v.object({
+  error: v.string().example('keys must not be empty'),
+  code: v.enum(['invalid_request']),
+  fields: v.array(v.object({
+    in: v.enum(['body', 'query', 'params']),
+    path: v.string().example('keys[0]'),
+    message: v.string().example('must be a string')
+  }))
+});
+
+export const COMPONENT_SCHEMAS: Record<string, Schema> = {
+  KhoItem, HistoryRow, SaleSummary, Member, LedgerEntry, Employee, Provider, PricingRule, PriceTotals, SalesReport, KhoReport, UploadReport, AuditEntry,
+  Watchlist, WatchlistRun, WatchlistRunItem, SellSkip, Cart, Error: ErrorBody, ValidationError
+};
+
+const ref = (name: keyof typeof COMPONENT_SCHEMAS) => v.ref(name, COMPONENT_SCHEMAS[name]);
+
+/* ---- Request schemas ---- */
+export const KhoBillInput = v.object({
+  account: v.string({ max: 64 }).optional().describe('Rows without account or provider_id are skipped, not rejected'),
+  provider_id: v.string({ max: 32 }).optional(),
+  key: v.string({ max: 200 }).optional(),
+  name: text(500),
+  address: text(1000),
+  customer: text(500),
+  amount_previous: amount.optional().nullable(),
+  amount_current: amount.optional().nullable(),
+  total: amount.optional().nullable().describe('Defaults to amount_current'),
+  nhapAt: dateTime.nullable()
+}, { passthrough: true, aliases: { sku: 'provider_id' } });
+
+const bills = v.array(v.ref('KhoBillInput', KhoBillInput), { min: 1, max: 5000 });
+
+const ProviderFields = {
+  region: text(100),
+  enabled: v.boolean().optional(),
+  account_pattern: text(500),
+  concurrency: v.number({ integer: true, min: 1 }).optional().nullable(),
+  timeout_ms: v.number({ integer: true, min: 1 }).optional().nullable()
+};
+
+const creditLimit = v.number({ integer: true, min: 0 }).optional().nullable().describe('VND; null = no limit (needs ledger.adjust)');
+
+const PricingRuleFields = {
+  discount_rate: v.number({ min: 0, max: 0.9999 }).optional().nullable(),
+  fee: v.number({ integer: true, min: 0 }).optional().nullable(),
+  note: text(500)
+};
+
+const EmployeeFields = {
+  full_name: text(200),
+  phone: text(50),
+  address: text(500)
+};
+
+/* ---- Routes ---- */
+export type RouteSpec = RequestSchemas & {
+  summary: string;
+  tag: string;
+  permission?: Permission;
+  public?: boolean;
+  description?: string;
+  response?: Schema;
+  responseType?: string;
+  status?: number;
+  idempotent?: boolean;   // accepts an Idempotency-Key header (src/idempotency.ts)
+};
+
+export const API_ROUTES: Record<string, RouteSpec> = {
+  'GET /api/health': { tag: 'System', summary: 'Liveness and upstream gateway state', public: true },
+  'GET /api/openapi.json': { tag: 'System', summary: 'This document', public: true },
+
+  'POST /api/auth/login': {
+    tag: 'Auth', summary: 'Log in with username / password', public: true,
+    body: v.object({ username: v.string({ min: 1, max: 100 }), password: v.string({ min: 1, max: 200, trim: false }) })
+  },
+  'POST /api/auth/refresh': {
+    tag: 'Auth', summary: 'Rotate a refresh token', public: true,
+    body: v.object({ refresh_token: v.string({ min: 1, max: 500 }) }, { aliases: { refreshToken: 'refresh_token' } })
+  },
+  'POST /api/auth/logout': { tag: 'Auth', summary: 'Revoke the current session' },
+  'GET /api/auth/me': { tag: 'Auth', summary: 'Current employee and expanded permissions' },
+  'POST /api/auth/ticket': {
+    tag: 'Auth', summary: 'Short-lived ticket that opens one event stream or receipt link',
+    description: 'EventSource and plain links cannot send an Authorization header: pass the ticket as ?ticket= on `path`. ' +
+      'It opens only that path, for LINK_TICKET_TTL_SEC seconds (default 60), while the session is live.',
+    body: v.object({ path: v.string({ max: 300, pattern: LINK_TICKET_PATH }).describe('e.g. /api/live/events or /api/sales/{id}/receipt') }),
+    response: v.object({ ticket: v.string().nullable().describe('null with SKIP_AUTH'), path: v.string(), expires_in: v.number() })
+  },
+
+  'GET /api/providers': {
+    tag: 'Providers', summary: 'Provider / SKU catalog',
+    query: v.object({ enabled: v.boolean().optional().describe('true = only enabled providers') }),
+    response: v.array(ref('Provider'))
+  },
+  'POST /api/providers': {
+    tag: 'Providers', summary: 'Create a provider', permission: 'providers.manage', status: 201,
+    body: v.object({ sku, name: v.string({ min: 1, max: 200 }), ...ProviderFields }),
+    response: ref('Provider')
+  },
+  'PUT /api/providers/:sku': {
+    tag: 'Providers', summary: 'Update a provider (partial)', permission: 'providers.manage',
+    params: v.object({ sku: id }),
+    body: v.object({ sku: sku.optional(), name: v.string({ min: 1, max: 200 }).optional(), ...ProviderFields }),
+    response: ref('Provider')
+  },
+  'DELETE /api/providers/:sku': {
+    tag: 'Providers', summary: 'Delete a provider', permission: 'providers.manage',
+    params: v.object({ sku: id })
+  },
+
+  'GET /api/pricing/rules': {
+    tag: 'Pricing', summary: 'Pricing rules (default, per member, per provider, per member + provider)', permission: 'sell',
+    response: v.array(ref('PricingRule'))
+  },
+  'POST /api/pricing/rules': {
+    tag: 'Pricing', summary: 'Create a pricing rule (one per member / provider scope)', permission: 'pricing.manage', status: 201,
+    body: v.object({ member_id: id.optional().nullable(), provider_id: sku.optional().nullable(), ...PricingRuleFields }),
+    response: ref('PricingRule')
+  },
+  'PUT /api/pricing/rules/:id': {
+    tag: 'Pricing', summary: 'Update a pricing rule (partial)', permission: 'pricing.manage',
+    params: v.object({ id }),
+    body: v.object({ member_id: id.optional().nullable(), provider_id: sku.optional().nullable(), ...PricingRuleFields }),
+    response: ref('PricingRule')
+  },
+  'DELETE /api/pricing/rules/:id': {
+    tag: 'Pricing', summary: 'Delete a pricing rule', permission: 'pricing.manage', params: v.object({ id })
+  },
+
+  'POST /api/check-electricity': {
+    tag: 'Lookup', summary: 'Look up one account', permission: 'lookup',
+    body: v.object({
+      contract_number: account,
+      sku,
+      fresh: v.boolean().optional().describe('Bypass the lookup cache')
+    }, { aliases: { contractNumber: 'contract_number', account: 'contract_number', provider_id: 'sku' } })
+  },
+  'POST /api/check-electricity/bulk': {
+    tag: 'Lookup', summary: 'Look up many accounts synchronously', permission: 'lookup',
+    body: v.object({
+      contract_numbers: v.array(account, { min: 1, max: 5000 }),
+      sku,
+      fresh: v.boolean().optional()
+    }, { aliases: { provider_id: 'sku' } })
+  },
+  'GET /api/upstream/status': { tag: 'Lookup', summary: 'Rate limiter and circuit breaker state per gateway', permission: 'lookup' },
+
+  'POST /api/lookup-jobs': {
+    tag: 'Lookup jobs', summary: 'Start a background bulk lookup', permission: 'lookup', status: 202,
+    body: v.object({
+      contract_numbers: v.array(account, { min: 1 }).describe('At most LOOKUP_JOB_MAX_ACCOUNTS (default 20000)'),
+      sku,
+      fresh: v.boolean().optional()
+    }, { aliases: { provider_id: 'sku' } })
+  },
+  'POST /api/uploads': {
+    tag: 'Uploads', summary: 'Upload an .xlsx / .csv file of accounts or KHO bills: per-row report, then a bulk lookup or a KHO import',
+    description: 'Needs the lookup permission for target=lookup and kho.import for target=kho. dry_run=true only checks the rows.',
+    body: v.object({
+      filename: v.string({ max: 255 }).optional().nullable(),
+      content: v.string({ min: 1 }).describe('File content, base64 (UPLOAD_MAX_BYTES, default 5 MB)'),
+      target: v.enum(UPLOAD_TARGETS),
+      dry_run: v.boolean().default(false),
+      sku: v.string({ max: 32 }).optional().nullable().describe('SKU for rows whose file has no SKU column or leaves it empty'),
+      sheet: v.string({ max: 100 }).optional().nullable().describe('Sheet name or 1-based number (default: first sheet)'),
+      mapping: v.object(Object.fromEntries(UPLOAD_FIELDS.map(f => [f, v.string({ max: 100 }).optional().nullable()])))
+        .optional().nullable().describe('Column per field: header text, letter ("B") or 1-based number; unmapped fields are found from the header row'),
+      fresh: v.boolean().optional()
+    }),
+    response: ref('UploadReport')
+  },
+  'GET /api/watchlists': {
+    tag: 'Watchlists', summary: 'Saved account lists (without their accounts)', permission: 'watchlists',
+    query: v.object({ owner: v.string({ max: 100 }).optional().describe('"me" for own lists'), label: v.string({ max: 50 }).optional() })
+  },
+  'POST /api/watchlists': {
+    tag: 'Watchlists', summary: 'Save an account list', permission: 'watchlists', status: 201,
+    description: 'Accounts are trimmed and de-duplicated, then checked against the provider like a lookup (400 invalid_account lists the bad ones). ' +
+      'push_to_kho needs kho.import.',
+    body: v.object({
+      name: v.string({ min: 1, max: 200 }),
+      sku,
+      accounts: v.array(account, { min: 1, max: WATCHLIST_MAX_ACCOUNTS }),
+      labels: v.array(v.string({ min: 1, max: 50 }), { max: 20 }).default([]),
+      schedule: WatchlistSchedule.optional().nullable(),
+      push_to_kho: v.boolean().default(false)
+    }, { aliases: { provider_id: 'sku', pushToKho: 'push_to_kho' } }),
+    response: ref('Watchlist')
+  },
+  'GET /api/watchlists/:id': {
+    tag: 'Watchlists', summary: 'One list with its accounts', permission: 'watchlists', params: v.object({ id }), response: ref('Watchlist')
+  },
+  'PUT /api/watchlists/:id': {
+    tag: 'Watchlists', summary: 'Update a list (partial; schedule: null turns scheduling off)', permission: 'watchlists',
+    description: 'Lists owned by someone else need watchlists.manage.',
+    params: v.object({ id }),
+    body: v.object({
+      name: v.string({ min: 1, max: 200 }).optional(),
+      sku: sku.optional(),
+      accounts: v.array(account, { min: 1, max: WATCHLIST_MAX_ACCOUNTS }).optional(),
+      labels: v.array(v.string({ min: 1, max: 50 }), { max: 20 }).optional(),
+      schedule: WatchlistSchedule.optional().nullable(),
+      push_to_kho: v.boolean().optional()
+    }, { aliases: { provider_id: 'sku', pushToKho: 'push_to_kho' } }),
+    response: ref('Watchlist')
+  },
+  'DELETE /api/watchlists/:id': {
+    tag: 'Watchlists', summary: 'Delete a list and its runs', permission: 'watchlists', params: v.object({ id })
+  },
+  'POST /api/watchlists/:id/run': {
+    tag: 'Watchlists', summary: 'Re-check every account now (in the background)', permission: 'watchlists', status: 202,
+    description: '409 already_running while a run of the list is in progress. push_to_kho overrides the list setting for this run (needs kho.import).',
+    params: v.object({ id }),
+    body: v.object({ push_to_kho: v.boolean().optional() }, { aliases: { pushToKho: 'push_to_kho' } }).optional(),
+    response: ref('WatchlistRun')
+  },
+  'GET /api/watchlists/:id/runs': {
+    tag: 'Watchlists', summary: 'Recent runs, newest first', permission: 'watchlists',
+    params: v.object({ id }), query: v.object({ limit: limit(100) }),
+    response: v.array(ref('WatchlistRun'))
+  },
+  'GET /api/watchlists/:id/runs/:runId': {
+    tag: 'Watchlists', summary: 'A run with its snapshot and the change of each account against the previous run', permission: 'watchlists',
+    params: v.object({ id, runId: id }),
+    query: v.object({
+      change: v.string({ max: 100 }).optional().describe(`Comma-separated: ${WATCHLIST_CHANGES.join(', ')}`),
+      limit: limit(WATCHLIST_MAX_ACCOUNTS),
+      offset
+    }),
+    response: v.object({ run: ref('WatchlistRun'), items: v.array(ref('WatchlistRunItem')) })
+  },
+  'GET /api/lookup-jobs': {
+    tag: 'Lookup jobs', summary: 'Recent jobs (own jobs unless all=true and employees.manage)', permission: 'lookup',
+    query: v.object({ limit: limit(200), all: v.boolean().optional() })
+  },
+  'GET /api/lookup-jobs/:id': {
+    tag: 'Lookup jobs', summary: 'Job progress', permission: 'lookup', params: v.object({ id }),
+    description: 'This and the other /api/lookup-jobs/{id} routes answer 404 for a job created by someone else, unless the caller has employees.manage.'
+  },
+  'GET /api/lookup-jobs/:id/results': {
+    tag: 'Lookup jobs', summary: 'Per-account results so far', permission: 'lookup',
+    params: v.object({ id }),
+    query: v.object({
+      status: v.string({ pattern: /^(pending|running|ok|failed|cancelled)(,(pending|running|ok|failed|cancelled))*$/ }).optional()
+        .describe('Comma-separated item statuses (default ok,failed)'),
+      since: v.number({ integer: true, min: 0 }).optional().describe('Only items completed after this sequence number'),
+      offset,
+      limit: limit(5000)
+    })
+  },
+  'GET /api/lookup-jobs/:id/events': {
+    tag: 'Lookup jobs', summary: 'Progress as text/event-stream (progress, item, done)', permission: 'lookup',
+    params: v.object({ id }),
+    query: v.object({ ticket: v.string().optional().describe('From POST /api/auth/ticket; EventSource cannot send headers') }),
+    responseType: 'text/event-stream'
+  },
+  'POST /api/lookup-jobs/:id/cancel': {
+    tag: 'Lookup jobs', summary: 'Stop scheduling; finished results are kept', permission: 'lookup', params: v.object({ id })
+  },
+  'POST /api/lookup-jobs/:id/retry': {
+    tag: 'Lookup jobs', summary: 'Re-run failed accounts', permission: 'lookup',
+    params: v.object({ id }),
+    body: v.object({ include_cancelled: v.boolean().optional() }).optional()
+  },
+
+  'POST /api/kho/import': {
+    tag: 'KHO', summary: 'Import bills into KHO (re-imported keys keep their nhapAt)', permission: 'kho.import', idempotent: true,
+    description: 'Body is { bills: [...] } or, for older clients, the bare array.',
+    body: v.oneOf([v.object({ bills }), bills]),
+    response: v.object({
+      ok: v.boolean(), mode: v.enum(['db', 'supabase', 'memory']),
+      added: v.number({ integer: true }), updated: v.number({ integer: true }), skipped: v.number({ integer: true }),
+      count: v.number({ integer: true }), total: v.number({ integer: true }).describe('KHO size after the import')
+    })
+  },
+  'GET /api/kho/list': {
+    tag: 'KHO', summary: 'List KHO bills, newest first', permission: 'kho.view',
+    query: v.object({
+      provider_id: v.string({ max: 32 }).optional(),
+      fromAmount: amount.optional(),
+      toAmount: amount.optional(),
+      search: v.string({ max: 200 }).optional().describe('Case-insensitive substring of name, address, account'),
+      unverified_hours: unverifiedHours,
+      held: v.enum(['mark', 'hide']).default('mark').describe('hide: leave out bills held in other sellers\' carts'),
+      limit: limit(5000),
+      offset
+    }, { aliases: { sku: 'provider_id' } }),
+    response: v.array(ref('KhoItem'))
+  },
+  'POST /api/select-by-target': {
+    tag: 'KHO', summary: 'Pick KHO bills whose totals best match a target amount', permission: 'kho.view',
+    body: v.object({
+      target: v.number({ positive: true }),
+      mode: v.enum([...SELECT_MODES, ...SELECT_MODES.map(m => `closest-${m}`)]).default('under'),
+      from: amount.optional().describe('Lower bound for each bill total (not the sum)'),
+      to: amount.optional(),
+      provider_id: v.string({ max: 32 }).optional(),
+      max_count: v.number({ integer: true, min: 1, max: 1000 }).optional(),
+      time_budget_ms: v.number({ integer: true, min: 1, max: MAX_TIME_BUDGET_MS }).optional()
+    }, { aliases: { fromAmount: 'from', toAmount: 'to', sku: 'provider_id', maxCount: 'max_count', timeBudgetMs: 'time_budget_ms' } })
+  },
+  'POST /api/kho/remove': {
+    tag: 'KHO', summary: 'Remove bills from KHO', permission: 'kho.remove', idempotent: true,
+    body: v.object({ keys: v.array(v.string({ min: 1, max: 200 }), { min: 1, max: 5000 }) })
+  },
+  'POST /api/kho/verify': {
+    tag: 'KHO', summary: 'Re-query KHO bills at the gateway and flag paid, changed or erroring ones', permission: 'kho.verify',
+    description: `Either keys, or all=true for every bill matching provider_id / unverified_hours (oldest check first). At most ${KHO_VERIFY_MAX} bills per call; ` +
+      'more=true means matching bills were left for the next call. Results are stored on the KHO rows (last_verified_at, verify_status, ...).',
+    body: v.object({
+      keys: v.array(v.string({ min: 1, max: 200 }), { min: 1, max: KHO_VERIFY_MAX }).optional(),
+      all: v.boolean().default(false),
+      provider_id: v.string({ max: 32 }).optional(),
+      unverified_hours: unverifiedHours,
+      cutoff: dateTime.describe('all=true: only bills last verified before this instant (default: now, or now - unverified_hours); send back the cutoff of the previous answer to continue')
+    }, { aliases: { sku: 'provider_id' } }),
+    response: v.object({
+      checked: v.number({ integer: true }),
+      counts: v.object({ ok: v.number({ integer: true }), paid: v.number({ integer: true }), changed: v.number({ integer: true }), error: v.number({ integer: true }) }),
+      items: v.array(v.object({
+        key: v.string(), account: v.string(), provider_id: v.string(), total: v.number(),
+        last_verified_at: v.string({ format: 'date-time' }), verify_status: v.enum(VERIFY_STATUSES),
+        verified_total: v.number().nullable(), verify_error: v.string().nullable()
+      })),
+      missing: v.array(v.string()).describe('Requested keys not in KHO'),
+      more: v.boolean().describe('all=true: bills matching the filters were left for another call'),
+      cutoff: v.string({ format: 'date-time' }).nullable()
+    })
+  },
+
+  'GET /api/members': { tag: 'Members', summary: 'List members', permission: 'members.view', response: v.array(ref('Member')) },
+  'POST /api/members': {
+    tag: 'Members', summary: 'Create a member', permission: 'members.create', status: 201, idempotent: true,
+    body: v.object({ name: v.string({ min: 1, max: 200 }), zalo: text(50), bank: text(200), credit_limit: creditLimit }),
+    response: ref('Member')
+  },
+  'PUT /api/members/:id': {
+    tag: 'Members', summary: 'Update a member (partial)', permission: 'members.update',
+    params: v.object({ id }),
+    body: v.object({ name: v.string({ min: 1, max: 200 }).optional(), zalo: text(50), bank: text(200), credit_limit: creditLimit }),
+    response: ref('Member')
+  },
+  'GET /api/members/:id/ledger': {
+    tag: 'Members', summary: 'Ledger entries of a member, oldest first, with the current balance', permission: 'ledger.view',
+    params: v.object({ id }),
+    query: v.object({ from: dateTime, to: dateTime, limit: limit(5000), offset }, { aliases: { fromDate: 'from', toDate: 'to' } }),
+    response: v.object({
+      member_id: v.string(), balance: v.number(), credit_limit: v.number().nullable(),
+      available: v.number().nullable().describe('credit_limit - balance (null = no limit)'),
+      entries: v.array(ref('LedgerEntry'))
+    })
+  },
+  'POST /api/members/:id/payments': {
+    tag: 'Members', summary: 'Record a payment from the member (credits the ledger)', permission: 'ledger.record', status: 201,
+    params: v.object({ id }),
+    body: v.object({ amount: v.number({ integer: true, positive: true }), at: dateTime.describe('Defaults to now'), note: text(500) }),
+    response: v.object({ entry: ref('LedgerEntry'), balance: v.number() })
+  },
+  'POST /api/members/:id/adjustments': {
+    tag: 'Members', summary: 'Correct a balance: amount > 0 adds to what the member owes, < 0 takes off', permission: 'ledger.adjust', status: 201,
+    params: v.object({ id }),
+    body: v.object({ amount: v.number({ integer: true }), at: dateTime, note: v.string({ min: 1, max: 500 }) }),
+    response: v.object({ entry: ref('LedgerEntry'), balance: v.number() })
+  },
+  'GET /api/members/:id/statement': {
+    tag: 'Members', summary: 'Statement for a period: opening balance, entries with running balance, closing balance', permission: 'ledger.view',
+    params: v.object({ id }),
+    query: v.object({
+      from: dateTime.describe('Default: first day of the current month'),
+      to: dateTime.describe('Default: now'),
+      format: v.enum(['xlsx', 'json']).default('xlsx')
+    }, { aliases: { fromDate: 'from', toDate: 'to' } }),
+    responseType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+
+  'GET /api/employees': { tag: 'Employees', summary: 'List employees', permission: 'employees.view', response: v.array(ref('Employee')) },
+  'POST /api/employees': {
+    tag: 'Employees', summary: 'Create an employee', permission: 'employees.manage', status: 201,
+    body: v.object({
+      username: v.string({ min: 1, max: 100 }),
+      password: v.string({ min: 6, max: 200, trim: false }),
+      role: v.enum(['admin', 'user']).default('user'),
+      ...EmployeeFields
+    }),
+    response: ref('Employee')
+  },
+  'PUT /api/employees/:id': {
+    tag: 'Employees', summary: 'Update an employee (partial; empty password keeps the current one)', permission: 'employees.manage',
+    params: v.object({ id }),
+    body: v.object({
+      username: v.string({ min: 1, max: 100 }).optional(),
+      password: v.string({ min: 6, max: 200, trim: false }).optional(),
+      role: v.enum(['admin', 'user']).optional(),
+      ...EmployeeFields
+    }),
+    response: ref('Employee')
+  },
+  'DELETE /api/employees/:id': {
+    tag: 'Employees', summary: 'Delete an employee and revoke their sessions', permission: 'employees.manage', params: v.object({ id })
+  },
+  'GET /api/employees/:id/notes': {
+    tag: 'Employees', summary: 'Notes about an employee, newest first', permission: 'employees.view', params: v.object({ id })
+  },
+  'POST /api/employees/:id/notes': {
+    tag: 'Employees', summary: 'Add a note', permission: 'employees.view', status: 201,
+    params: v.object({ id }),
+    body: v.object({ note: v.string({ min: 1, max: 4000 }) }, { aliases: { text: 'note' } })
+  },
+  'DELETE /api/employees/:id/notes/:noteId': {
+    tag: 'Employees', summary: 'Delete a note (authors; anyone else needs employees.manage)', permission: 'employees.view',
+    params: v.object({ id, noteId: id })
+  },
+
+  'POST /api/sell': {
+    tag: 'Sales', summary: 'Sell KHO bills to a member (keys no longer in KHO or held in another cart are skipped)', permission: 'sell', idempotent: true,
+    description: 'The amount due is debited to the member ledger. A sale that would take the balance above the member credit_limit is refused: 409 { error, code: "credit_limit", balance, credit_limit, amount_due, available }. ' +
+      'Bills not re-verified in the last SELL_VERIFY_MAX_AGE_HOURS are re-queried first; paid, changed or unverifiable bills refuse the sale with ' +
+      '409 { error, code: "stale_bills", mode, can_override, problems } unless SELL_VERIFY_MODE=off, or =warn and accept_stale is true.',
+    body: v.object({
+      member_id: id,
+      keys: v.array(v.string({ min: 1, max: 200 }), { min: 1, max: 1000 }),
+      note: text(500),
+      accept_stale: v.boolean().default(false).describe('Sell bills flagged by the re-verification anyway (SELL_VERIFY_MODE=warn only)')
+    }, { aliases: { memberId: 'member_id', acceptStale: 'accept_stale' } }),
+    response: v.object({
+      ok: v.boolean(), sold_count: v.number({ integer: true }), sale_id: v.string().nullable(),
+      totals: ref('PriceTotals'), history: v.array(ref('HistoryRow')),
+      skipped: v.array(ref('SellSkip')).describe('Keys not sold, with the reason'),
+      verification: v.object({
+        checked: v.number({ integer: true }).describe('Bills re-queried for this sale'),
+        accepted: v.array(v.object({ key: v.string(), reason: v.enum(['paid', 'changed', 'error', 'unverified']) })).describe('Flagged bills sold with accept_stale')
+      })
+    })
+  },
+  'POST /api/sell/quote': {
+    tag: 'Sales', summary: 'Price KHO bills for a member without selling them (shown before confirming a sale)', permission: 'sell',
+    body: v.object({
+      member_id: id,
+      keys: v.array(v.string({ min: 1, max: 200 }), { min: 1, max: 1000 })
+    }, { aliases: { memberId: 'member_id' } }),
+    response: v.object({
+      items: v.array(v.object({
+        key: v.string(), account: v.string(), provider_id: v.string(), total: v.number(),
+        discount_rate: v.number(), fee: v.number(), sale_price: v.number(), margin: v.number(),
+        last_verified_at: v.string({ format: 'date-time' }).nullable(), verify_status: v.enum(VERIFY_STATUSES).nullable(),
+        verified_total: v.number().nullable(),
+        stale: v.boolean().describe('Not verified in the last SELL_VERIFY_MAX_AGE_HOURS: the sale re-queries it first')
+      })),
+      missing: v.array(v.string()).describe('Keys no longer in KHO; a sale would skip them'),
+      totals: ref('PriceTotals'),
+      balance: v.number().describe('Member ledger balance before this sale'),
+      credit_limit: v.number().nullable(),
+      over_limit: v.boolean().describe('true = /api/sell would refuse this sale (409 credit_limit)')
+    })
+  },
+  'GET /api/carts': {
+    tag: 'Carts', summary: 'Sales carts, most recently changed first (own open carts by default)', permission: 'sell',
+    query: v.object({
+      seller: v.string({ max: 100 }).optional().describe('Username, or "all"; default the caller'),
+      member_id: id.optional(),
+      status: v.enum([...CART_STATUSES, 'all']).optional().describe('Default open'),
+      limit: limit(500)
+    }),
+    response: v.array(ref('Cart'))
+  },
+  'POST /api/carts': {
+    tag: 'Carts', summary: 'Open the caller\'s cart for a member (200 with the open one when it exists)', permission: 'sell', status: 201,
+    body: v.object({
+      member_id: id,
+      target_total: amount.optional().nullable().describe('Amount the seller is gathering bills for'),
+      note: text(500)
+    }, { aliases: { memberId: 'member_id', targetTotal: 'target_total' } }),
+    response: ref('Cart')
+  },
+  'GET /api/carts/:id': {
+    tag: 'Carts', summary: 'A cart with the state of each bill and its running total', permission: 'sell', params: v.object({ id }), response: ref('Cart')
+  },
+  'PUT /api/carts/:id': {
+    tag: 'Carts', summary: 'Change the target or note of an open cart (its seller only)', permission: 'sell',
+    params: v.object({ id }),
+    body: v.object({ target_total: amount.optional().nullable(), note: text(500) }, { aliases: { targetTotal: 'target_total' } }),
+    response: ref('Cart')
+  },
+  'POST /api/carts/:id/items': {
+    tag: 'Carts', summary: 'Hold bills for the cart', permission: 'sell',
+    description: `Holds last CART_HOLD_MINUTES and every add moves the expiry of the whole cart forward. Bills not in KHO or held in another cart come back in refused and are not added. At most ${CART_MAX_KEYS} bills per cart (400 cart_full).`,
+    params: v.object({ id }),
+    body: v.object({ keys: v.array(v.string({ min: 1, max: 200 }), { min: 1, max: 1000 }) }),
+    response: v.object({ held: v.array(v.string()), refused: v.array(ref('SellSkip')), cart: ref('Cart') })
+  },
+  'POST /api/carts/:id/items/remove': {
+    tag: 'Carts', summary: 'Take bills out of the cart (their holds are dropped)', permission: 'sell',
+    params: v.object({ id }),
+    body: v.object({ keys: v.array(v.string({ min: 1, max: 200 }), { min: 1, max: 1000 }) }),
+    response: ref('Cart')
+  },
+  'POST /api/carts/:id/extend': {
+    tag: 'Carts', summary: 'Renew the holds of the cart for CART_HOLD_MINUTES', permission: 'sell',
+    params: v.object({ id }),
+    response: v.object({ refused: v.array(ref('SellSkip')).describe('Lapsed holds another cart took meanwhile'), cart: ref('Cart') })
+  },
+  'POST /api/carts/:id/confirm': {
+    tag: 'Carts', summary: 'Sell the bills of the cart in one step', permission: 'sell',
+    description: 'Same checks and response as POST /api/sell (409 stale_bills, 409 credit_limit), plus the closed cart. ' +
+      'Bills sold, removed or taken by another cart meanwhile are listed in skipped. Nothing sold: 409 nothing_sold ' +
+      '(or not_all_sellable with all_or_nothing) with skipped, and the cart stays open. 409 cart_closed once confirmed or released.',
+    params: v.object({ id }),
+    body: v.object({
+      note: text(500),
+      accept_stale: v.boolean().default(false),
+      all_or_nothing: v.boolean().default(false).describe('Sell nothing unless every bill of the cart can be sold')
+    }, { aliases: { acceptStale: 'accept_stale', allOrNothing: 'all_or_nothing' } }).optional()
+  },
+  'POST /api/carts/:id/release': {
+    tag: 'Carts', summary: 'Drop every hold of the cart and close it unsold', permission: 'sell',
+    params: v.object({ id }),
+    response: v.object({ ok: v.boolean(), released: v.array(v.string()), cart: ref('Cart') })
+  },
+  'GET /api/history': {
+    tag: 'Sales', summary: 'Sold bills, newest first (export=csv needs the export permission)', permission: 'history.view',
+    query: v.object({
+      search: v.string({ max: 200 }).optional(),
+      fromDate: dateTime.describe('soldAt lower bound'),
+      toDate: dateTime,
+      minTotal: amount.optional(),
+      maxTotal: amount.optional(),
+      member_id: id.optional(),
+      reversed: v.enum(['exclude', 'include', 'only']).default('exclude').describe('Reversed sales are left out by default'),
+      limit: limit(5000),
+      offset,
+      export: v.enum(['csv']).optional()
+    }, { aliases: { q: 'search', from_date: 'fromDate', to_date: 'toDate', size: 'limit' } }),
+    response: v.array(ref('HistoryRow'))
+  },
+  'POST /api/history/reverse': {
+    tag: 'Sales', summary: 'Reverse sold bills: back to KHO with their original nhapAt, history rows kept and marked reversed',
+    permission: 'sell.reverse',
+    description: 'Send either ids (history rows) or sale_id (every row of one sale). Rows already reversed, or whose bill is in KHO again, are listed in skipped.',
+    body: v.object({
+      ids: v.array(id, { min: 1, max: 1000 }).optional(),
+      sale_id: id.optional(),
+      reason: v.string({ min: 1, max: 500 })
+    }),
+    response: v.object({
+      ok: v.boolean(),
+      reversed_count: v.number({ integer: true }),
+      reversed: v.array(ref('HistoryRow')),
+      skipped: v.array(v.object({ id: v.string(), key: v.string().nullable(), reason: v.enum(['not_found', 'already_reversed', 'in_kho']) }))
+    })
+  },
+  'GET /api/sales': {
+    tag: 'Sales', summary: 'Sales (the history rows of one /api/sell call), newest first', permission: 'history.view',
+    query: v.object({
+      member_id: id.optional(),
+      employee_id: id.optional(),
+      fromDate: dateTime.describe('soldAt lower bound'),
+      toDate: dateTime,
+      limit: limit(5000),
+      offset
+    }, { aliases: { from_date: 'fromDate', to_date: 'toDate' } }),
+    response: v.array(ref('SaleSummary'))
+  },
+  'GET /api/sales/:id': {
+    tag: 'Sales', summary: 'One sale with its bills (reversed bills included, marked reversed_at)', permission: 'history.view',
+    params: v.object({ id }),
+    response: v.object({ ...SaleFields, items: v.array(ref('HistoryRow')) })
+  },
+  'GET /api/sales/:id/receipt': {
+    tag: 'Sales', summary: 'Printable receipt of a sale (HTML page or .xlsx)', permission: 'history.view',
+    description: 'Opened as a plain link, so ?ticket= (POST /api/auth/ticket) is accepted in place of the Authorization header.',
+    params: v.object({ id }),
+    query: v.object({
+      format: v.enum(['html', 'xlsx']).default('html'),
+      ticket: v.string().optional().describe('From POST /api/auth/ticket; links cannot send headers')
+    }),
+    responseType: 'text/html'
+  },
+  'GET /api/reports/sales': {
+    tag: 'Reports', summary: 'Sold bills (not reversed) grouped by day, week, month, provider, member or employee', permission: 'reports.view',
+    query: v.object({
+      group: v.enum(SALES_REPORT_GROUPS).default('day'),
+      fromDate: dateTime.describe('soldAt lower bound (inclusive)'),
+      toDate: dateTime,
+      format: v.enum(['json', 'xlsx']).default('json')
+    }, { aliases: { from: 'fromDate', to: 'toDate' } }),
+    response: ref('SalesReport')
+  },
+  'GET /api/reports/kho': {
+    tag: 'Reports', summary: 'KHO count and value by provider and by age (days since nhapAt)', permission: 'reports.view',
+    query: v.object({
+      fromDate: dateTime.describe('nhapAt lower bound (inclusive)'),
+      toDate: dateTime,
+      format: v.enum(['json', 'xlsx']).default('json')
+    }, { aliases: { from: 'fromDate', to: 'toDate' } }),
+    response: ref('KhoReport')
+  },
+  'GET /api/live/events': {
+    tag: 'Live', summary: 'KHO, sale and member changes as text/event-stream (change, reset)',
+    description: 'Each `change` event is { id, type, at, actor, keys, rows } with type one of ' + LIVE_EVENT_TYPES.join(', ') + ', limited to what the role may read. ' +
+      'After a reconnect (Last-Event-ID header or last_event_id) missed events are replayed; `reset` means they are gone and the client should reload.',
+    query: v.object({
+      ticket: v.string().optional().describe('From POST /api/auth/ticket; EventSource cannot send headers'),
+      last_event_id: v.string({ max: 100 }).optional().describe('Same as the Last-Event-ID header')
+    }),
+    responseType: 'text/event-stream'
+  },
+  'GET /api/audit': {
+    tag: 'Audit', summary: 'Audit trail of KHO, sales, member and employee changes, newest first (export=csv needs the export permission)',
+    permission: 'audit.view',
+    query: v.object({
+      actor: v.string({ max: 100 }).optional().describe('Username (case-insensitive) or employee id'),
+      action: v.enum(AUDIT_ACTIONS).optional(),
+      key: v.string({ max: 200 }).optional().describe('Bill key, member:<id> or employee:<id>'),
+      from: dateTime.describe('at lower bound (inclusive)'),
+      to: dateTime,
+      limit: limit(5000),
+      offset,
+      export: v.enum(['csv']).optional()
+    }, { aliases: { fromDate: 'from', toDate: 'to' } }),
+    response: v.array(ref('AuditEntry'))
+  },
+  'GET /api/export-excel': {
+    tag: 'Sales', summary: 'KHO, history or members as a streamed .xlsx workbook', permission: 'export',
+    description: 'Filters are those of the dataset\'s list endpoint (GET /api/kho/list, GET /api/history); the dataset\'s view permission is needed too. ' +
+      'columns and sheets are comma-separated keys from GET /api/export-excel/columns.',
+    query: v.object({
+      dataset: v.enum(EXPORT_DATASETS).default('kho'),
+      columns: v.string({ max: 1000 }).optional().describe('Column keys in order; default = the dataset\'s default columns'),
+      sheets: v.string({ max: 200 }).optional().describe('data (default), by_provider, by_member (history)'),
+      limit: limit(EXPORT_MAX_ROWS).describe('Stop after this many rows (default and max EXPORT_MAX_ROWS)'),
+      provider_id: v.string({ max: 32 }).optional(),
+      fromAmount: amount.optional(),
+      toAmount: amount.optional(),
+      search: v.string({ max: 200 }).optional(),
+      unverified_hours: unverifiedHours,
+      fromDate: dateTime.describe('history: soldAt lower bound'),
+      toDate: dateTime,
+      minTotal: amount.optional(),
+      maxTotal: amount.optional(),
+      member_id: id.optional(),
+      reversed: v.enum(['exclude', 'include', 'only']).default('exclude')
+    }, { aliases: { type: 'dataset', sku: 'provider_id', q: 'search', from_date: 'fromDate', to_date: 'toDate' } }),
+    responseType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  'GET /api/export-excel/columns': {
+    tag: 'Sales', summary: 'Columns (with the default set) and sheets each export dataset offers', permission: 'export'
+  }
+};
+
+/* ---- OpenAPI document ---- */
+const IDEMPOTENCY_PARAMETER = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Retries with the same key and body within IDEMPOTENCY_TTL_HOURS get the first response again (header Idempotent-Replayed: true) instead of running twice',
+  schema: { type: 'string', minLength: 1, maxLength: 255 }
+};
+
+function parameters(where: 'path' | 'query', schema?: Schema) {
+  if (!schema) return [];
+  const j = schema.json();
+  const required: string[] = j.required || [];
+  return Object.entries(j.properties || {}).map(([name, s]: [string, any]) => ({
+    name,
+    in: where,
+    required: where === 'path' || required.includes(name),
+    ...(s.deprecated ? { deprecated: true } : {}),
+    ...(s.description ? { description: s.description } : {}),
+    schema: s
+  }));
+}
+
+export function buildOpenApi(opts: { serverUrl?: string } = {}) {
+  const paths: Record<string, any> = {};
+  for (const [key, spec] of Object.entries(API_ROUTES)) {
+    const [method, route] = key.split(' ');
+    const path = route.replace(/:(\w+)/g, '{$1}');
+    const responses: Record<string, any> = {
+      [String(spec.status || 200)]: {
+        description: 'OK',
+        content: spec.responseType
+          ? { [spec.responseType]: { schema: { type: 'string', format: spec.responseType.startsWith('text/') ? undefined : 'binary' } } }
+          : { 'application/json': { schema: spec.response ? spec.response.json() : { type: 'object' } } }
+      }
+    };
+    if (spec.body || spec.query || spec.params) {
+      responses['400'] = { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } };
+    }
+    if (!spec.public) responses['401'] = { description: 'Missing or expired access token', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    if (spec.permission) responses['403'] = { description: `Needs permission "${spec.permission}"`, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    if (spec.idempotent) {
+      responses['409'] = { description: 'A request with the same Idempotency-Key is still running (code idempotency_in_progress)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+      responses['422'] = { description: 'Idempotency-Key already used with a different body (code idempotency_key_reused)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    }
+
+    paths[path] = paths[path] || {};
+    paths[path][method.toLowerCase()] = {
+      tags: [spec.tag],
+      summary: spec.summary,
+      ...(spec.description || spec.permission ? {
+        description: [spec.description, spec.permission ? `Permission: \`${spec.permission}\`.` : ''].filter(Boolean).join('\n\n')
+      } : {}),
+      operationId: `${method.toLowerCase()}${path.replace(/^\/api/, '').replace(/[{}]/g, '').split(/[\/.-]/).filter(Boolean).map(s => s[0].toUpperCase() + s.slice(1)).join('')}`,
+      ...(spec.public ? { security: [] } : {}),
+      parameters: [...parameters('path', spec.params), ...parameters('query', spec.query), ...(spec.idempotent ? [IDEMPOTENCY_PARAMETER] : [])],
+      ...(spec.body ? {
+        requestBody: { required: !spec.body.isOptional, content: { 'application/json': { schema: spec.body.json() } } }
+      } : {}),
+      responses
+    };
+  }
+
+  const schemas: Record<string, any> = {};
+  for (const [name, schema] of Object.entries(COMPONENT_SCHEMAS)) schemas[name] = schema.json();
+  schemas.KhoBillInput = KhoBillInput.json();
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Tra cứu & Bán Bill API',
+      version: process.env.npm_package_version || '1.0.0',
+      description: 'Lookup of electricity bills via CheckBill Pro, KHO (stock) management, sales and staff. ' +
+        'Authenticate with POST /api/auth/login and send `Authorization: Bearer <access_token>`.'
+    },
+    ...(opts.serverUrl ? { servers: [{ url: opts.serverUrl }] } : {}),
+    tags: [...new Set(Object.values(API_ROUTES).map(r => r.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas
+    },
+    security: [{ bearerAuth: [] }]
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * src/audit.ts
+ *
+ * Append-only audit trail of data changes: who imported, updated, removed or sold which bill and who
+ * created or edited members and employees, from which IP, with the values before and after.
+ * - Backends follow src/repository.ts: Postgres table audit_log (migrations/008_audit_log.sql), Supabase REST
+ *   (Netlify functions) or the in-process memory store (bounded by AUDIT_MEMORY_MAX_ENTRIES, default 50000).
+ * - keys lists what changed: bill keys (`${provider_id}::${account}`), or member:<id> / employee:<id>,
+ *   so ?key= finds every entry that touched a bill or a person.
+ * - KHO rows are stored without `raw` (the upstream payload stays in kho / history) and employees
+ *   through publicEmployee(), so no password_hash ever reaches the log.
+ * - record() runs after the change has been committed and never throws: a failed write is logged
+ *   ([audit]) but does not turn a completed import or sale into an error for the caller.
+ */
+
+import type { Pool } from 'pg';
+import type { KhoItem, HistoryRow } from './repository.js';
+
+export const AUDIT_ACTIONS = [
+  'kho.import',       // new KHO keys (after only)
+  'kho.update',       // re-imported KHO keys (before + after)
+  'kho.remove',       // before only
+  'sell',             // after: the history rows created
+  'sell.reverse',     // after: the history rows marked reversed (their bills are back in KHO)
+  'member.create',
+  'member.update',
+  'ledger.payment',   // after: the ledger entry (keys: member:<id>)
+  'ledger.adjustment',
+  'employee.create',
+  'employee.update',
+  'employee.delete'
+] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+export type AuditActor = { id: string | number | null; username: string | null } | null | undefined;
+
+export type AuditInput = {
+  action: AuditAction;
+  actor: AuditActor;
+  ip?: string | null;
+  keys?: string[];
+  before?: any;
+  after?: any;
+};
+
+export type AuditEntry = {
+  id: string | number;
+  at: string;
+  actor_id: string | null;
+  actor_username: string | null;
+  ip: string | null;
+  action: string;
+  keys: string[];
+  before: any;
+  after: any;
+};
+
+export type AuditQuery = {
+  actor?: string | null;     // username (case-insensitive) or employee id
+  action?: string | null;
+  key?: string | null;
+  from?: string | null;      // inclusive bounds on `at`
+  to?: string | null;
+  limit?: number;
+  offset?: number;
+};
+
+export const AUDIT_LIST_DEFAULT_LIMIT = 100;
+const AUDIT_MEMORY_MAX_ENTRIES = Number(process.env.AUDIT_MEMORY_MAX_ENTRIES || 50000);
+
+/* ---- Value helpers ---- */
+
+/* KHO / history row without the upstream payload */
+export function auditRow<T extends KhoItem | HistoryRow>(row: T): Omit<T, 'raw'> {
+  const { raw, ...rest } = row;
+  return rest;
+}
+
+/* Entries for a KHO upsert: new keys are one 'kho.import', re-imported keys one 'kho.update' with their previous values */
+export function khoUpsertAudit(rows: KhoItem[], previous: KhoItem[]): Omit<AuditInput, 'actor' | 'ip'>[] {
+  const before = new Set(previous.map(r => r.key));
+  const fresh = rows.filter(r => !before.has(r.key));
+  const changed = rows.filter(r => before.has(r.key));
+  const out: Omit<AuditInput, 'actor' | 'ip'>[] = [];
+  if (fresh.length) out.push({ action: 'kho.import', keys: fresh.map(r => r.key), after: fresh.map(auditRow) });
+  if (changed.length) out.push({ action: 'kho.update', keys: changed.map(r => r.key), before: previous.map(auditRow), after: changed.map(auditRow) });
+  return out;
+}
+
+export const memberRef = (id: string | number) => `member:${id}`;
+export const employeeRef = (id: string | number) => `employee:${id}`;
+
+/* Client IP of a Netlify event (Express handlers use req.ip) */
+export function requestIp(headers: Record<string, any> | null | undefined): string | null {
+  const h = headers || {};
+  const direct = h['x-nf-client-connection-ip'] || h['client-ip'];
+  if (direct) return String(direct);
+  const fwd = String(h['x-forwarded-for'] || '').split(',')[0].trim();
+  return fwd || null;
+}
+
+function iso(v: string | null | undefined) {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function toEntry(r: any): AuditEntry {
+  return {
+    id: r.id,
+    at: r.at instanceof Date ? r.at.toISOString() : String(r.at),
+    actor_id: r.actor_id ?? null,
+    actor_username: r.actor_username ?? null,
+    ip: r.ip ?? null,
+    action: r.action,
+    keys: Array.isArray(r.keys) ? r.keys : [],
+    before: r.before ?? null,
+    after: r.after ?? null
+  };
+}
+
+/* ---- Backends ---- */
+
+interface AuditBackend {
+  mode: 'db' | 'supabase' | 'memory';
+  insert(entry: Omit<AuditEntry, 'id'>): Promise<AuditEntry>;
+  list(q: AuditQuery): Promise<AuditEntry[]>;
+}
+
+function memoryBackend(): AuditBackend {
+  // Shared with the other Netlify functions of a warm instance, like the repository's memory tables
+  const g = globalThis as any;
+  const mem = g.__PROJECT_TRA_CUU_MEM__ || (g.__PROJECT_TRA_CUU_MEM__ = {});
+  mem.AUDIT = mem.AUDIT || [];
+  mem.AUDIT_SEQ = mem.AUDIT_SEQ || 0;
+
+  return {
+    mode: 'memory',
+
+    async insert(entry) {
+      const row: AuditEntry = { id: ++mem.AUDIT_SEQ, ...JSON.parse(JSON.stringify(entry)) };
+      mem.AUDIT.push(row);
+      if (mem.AUDIT.length > AUDIT_MEMORY_MAX_ENTRIES) mem.AUDIT.splice(0, mem.AUDIT.length - AUDIT_MEMORY_MAX_ENTRIES);
+      return row;
+    },
+
+    async list(q) {
+      const actor = q.actor ? q.actor.toLowerCase() : null;
+      const offset = q.offset || 0;
+      return (mem.AUDIT as AuditEntry[])
+        .filter(e => {
+          if (actor && String(e.actor_username || '').toLowerCase() !== actor && String(e.actor_id ?? '') !== q.actor) return false;
+          if (q.action && e.action !== q.action) return false;
+          if (q.key && !e.keys.includes(q.key)) return false;
+          if (q.from && e.at < q.from) return false;
+          if (q.to && e.at > q.to) return false;
+          return true;
+        })
+        .reverse()
+        .slice(offset, offset + (q.limit || AUDIT_LIST_DEFAULT_LIMIT));
+    }
+  };
+}
+
+function pgBackend(pool: Pool): AuditBackend {
+  return {
+    mode: 'db',
+
+    async insert(e) {
+      const { rows } = await pool.query(
+        `INSERT INTO audit_log (at, actor_id, actor_username, ip, action, keys, before, after)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+        [e.at, e.actor_id, e.actor_username, e.ip, e.action, e.keys,
+          e.before == null ? null : JSON.stringify(e.before), e.after == null ? null : JSON.stringify(e.after)]
+      );
+      return toEntry(rows[0]);
+    },
+
+    async list(q) {
+      const where: string[] = [];
+      const params: any[] = [];
+      const add = (sql: string, v: any) => { params.push(v); where.push(sql.replace(/\?/g, `$${params.length}`)); };
+      if (q.actor) add('(lower(actor_username) = lower(?) OR actor_id = ?)', q.actor);
+      if (q.action) add('action = ?', q.action);
+      if (q.key) add('keys @> ARRAY[?]::text[]', q.key);
+      if (q.from) add('at >= ?', q.from);
+      if (q.to) add('at <= ?', q.to);
+      params.push(q.limit || AUDIT_LIST_DEFAULT_LIMIT, q.offset || 0);
+      const { rows } = await pool.query(
+        `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         ORDER BY at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return rows.map(toEntry);
+    }
+  };
+}
+
+function supabaseBackend(url: string, key: string): AuditBackend {
+  const endpoint = url.replace(/\/$/, '') + '/rest/v1/audit_log';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', Accept: 'application/json' };
+  const quoted = (s: string) => `"${s.replace(/["\\]/g, '\\$&')}"`;
+
+  async function call(params: URLSearchParams | null, init: RequestInit = {}) {
+    const resp = await fetch(endpoint + (params ? '?' + params.toString() : ''), { ...init, headers: { ...headers, ...(init.headers as any || {}) } });
+    const text = await resp.text().catch(() => '');
+    if (!resp.ok) throw new Error(`Supabase audit_log request failed: ${resp.status} ${text.slice(0, 300)}`);
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    mode: 'supabase',
+
+    async insert(e) {
+      const rows = await call(null, { method: 'POST', headers: { Prefer: 'return=representation' }, body: JSON.stringify(e) });
+      return toEntry(rows[0]);
+    },
+
+    async list(q) {
+      const p = new URLSearchParams();
+      p.append('select', '*');
+      p.append('order', 'at.desc,id.desc');
+      p.append('limit', String(q.limit || AUDIT_LIST_DEFAULT_LIMIT));
+      p.append('offset', String(q.offset || 0));
+      // ilike without wildcards = case-insensitive equality; escape the LIKE metacharacters
+      if (q.actor) p.append('or', `(actor_username.ilike.${quoted(q.actor.replace(/[\\%_*]/g, '\\$&'))},actor_id.eq.${quoted(q.actor)})`);
+      if (q.action) p.append('action', `eq.${q.action}`);
+      if (q.key) p.append('keys', `cs.{${quoted(q.key)}}`);
+      if (q.from) p.append('at', `gte.${q.from}`);
+      if (q.to) p.append('at', `lte.${q.to}`);
+      return ((await call(p)) || []).map(toEntry);
+    }
+  };
+}
+
+/* ---- Audit log ---- */
+
+export function createAuditLog(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const db: AuditBackend = opts.pool ? pgBackend(opts.pool)
+    : opts.supabase ? supabaseBackend(opts.supabase.url, opts.supabase.key)
+    : memoryBackend();
+
+  return {
+    mode: db.mode,
+
+    async record(input: AuditInput): Promise<AuditEntry | null> {
+      const entry = {
+        at: new Date().toISOString(),
+        actor_id: input.actor?.id != null ? String(input.actor.id) : null,
+        actor_username: input.actor?.username ?? null,
+        ip: input.ip ?? null,
+        action: input.action,
+        keys: Array.from(new Set(input.keys || [])),
+        before: input.before ?? null,
+        after: input.after ?? null
+      };
+      try {
+        return await db.insert(entry);
+      } catch (err: any) {
+        console.error('[audit] could not record', entry.action, entry.keys.slice(0, 20), err?.message || err);
+        return null;
+      }
+    },
+
+    /* Newest first; every filter is optional */
+    list: (q: AuditQuery = {}) => db.list({ ...q, from: iso(q.from), to: iso(q.to) })
+  };
+}
+
+export type AuditLog = ReturnType<typeof createAuditLog>;
@@ -0,0 +1,207 @@
+/**
+ * src/auth.ts
+ *
+ * Signed session tokens shared by server.ts and the Netlify functions.
+ * - Access tokens are compact HS256 JWTs signed with SESSION_SECRET (no external jwt dependency).
+ * - Refresh tokens are opaque random strings; only their SHA-256 hash is stored server-side.
+ *
+ * Access token claims:
+ *   { sub: employee id, sid: session id, usr: username, role, typ: 'access', iat, exp }
+ *
+ * Link tickets (POST /api/auth/ticket):
+ * - EventSource and plain links cannot send an Authorization header, so event streams and receipts are
+ *   opened with ?ticket= instead: a token of typ 'ticket' for one path (pth) that lives LINK_TICKET_TTL_SEC
+ *   (default 60). It is no access token, so a URL that ends up in a proxy log or the browser history
+ *   opens nothing else and soon nothing at all.
+ *
+ * Notes:
+ * - If SESSION_SECRET is missing a random per-process secret is generated, so tokens stop
+ *   validating after a restart. Always set SESSION_SECRET outside local dev.
+ */
+
+import crypto from 'crypto';
+
+export const ACCESS_TOKEN_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_SEC || 15 * 60);
+export const REFRESH_TOKEN_TTL_SEC = Number(process.env.REFRESH_TOKEN_TTL_SEC || 7 * 24 * 3600);
+export const LINK_TICKET_TTL_SEC = Number(process.env.LINK_TICKET_TTL_SEC || 60);
+
+/* The paths a link ticket may open: event streams and sale receipts */
+export const LINK_TICKET_PATH = /^\/api\/(live\/events|lookup-jobs\/[^/]+\/events|sales\/[^/]+\/receipt)$/;
+
+let generatedSecret: string | null = null;
+
+export function getSessionSecret(): string {
+  const s = (process.env.SESSION_SECRET || '').trim();
+  if (s && !s.startsWith('REPLACE_ME')) return s;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[auth] SESSION_SECRET not set; using a random per-process secret (sessions reset on restart)');
+  }
+  return generatedSecret;
+}
+
+export type AccessClaims = {
+  sub: string;
+  sid: string;
+  usr: string;
+  role: string;
+  typ: 'access';
+  iat: number;
+  exp: number;
+};
+
+export type TicketClaims = Omit<AccessClaims, 'typ'> & { typ: 'ticket'; pth: string };
+
+function b64url(input: Buffer | string) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+function fromB64url(s: string) {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+function hmac(data: string, secret: string) {
+  return b64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function signClaims(claims: object, secret: string) {
+  const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(claims));
+  return `${head}.${body}.${hmac(`${head}.${body}`, secret)}`;
+}
+
+/* Claims of a token signed by signClaims and not expired, or null */
+function verifyClaims(token: string, secret: string): any | null {
+  try {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+    const [head, body, sig] = parts;
+    const expected = hmac(`${head}.${body}`, secret);
+    const a = Buffer.from(sig);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    const header = JSON.parse(fromB64url(head).toString('utf8'));
+    if (header?.alg !== 'HS256') return null;
+    const claims = JSON.parse(fromB64url(body).toString('utf8'));
+    if (!claims?.sub || !claims.sid) return null;
+    if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/* Sign an access token for an employee session */
+export function signAccessToken(
+  employee: { id: string | number; username: string; role?: string | null },
+  sid: string,
+  ttlSec = ACCESS_TOKEN_TTL_SEC,
+  secret = getSessionSecret()
+): { token: string; claims: AccessClaims } {
+  const iat = Math.floor(Date.now() / 1000);
+  const claims: AccessClaims = {
+    sub: String(employee.id),
+    sid,
+    usr: employee.username,
+    role: employee.role || 'user',
+    typ: 'access',
+    iat,
+    exp: iat + ttlSec
+  };
+  return { token: signClaims(claims, secret), claims };
+}
+
+/* Verify signature and expiry; returns claims or null (never throws) */
+export function verifyAccessToken(token: string, secret = getSessionSecret()): AccessClaims | null {
+  const claims = verifyClaims(token, secret);
+  return claims?.typ === 'access' ? claims as AccessClaims : null;
+}
+
+/* Sign a link ticket for one path (LINK_TICKET_PATH) of the session an access token belongs to */
+export function signLinkTicket(
+  access: Pick<AccessClaims, 'sub' | 'sid' | 'usr' | 'role'>,
+  path: string,
+  ttlSec = LINK_TICKET_TTL_SEC,
+  secret = getSessionSecret()
+): { ticket: string; claims: TicketClaims } {
+  const iat = Math.floor(Date.now() / 1000);
+  const claims: TicketClaims = { sub: access.sub, sid: access.sid, usr: access.usr, role: access.role, typ: 'ticket', pth: path, iat, exp: iat + ttlSec };
+  return { ticket: signClaims(claims, secret), claims };
+}
+
+/* Claims of a ticket signed for exactly this path, or null (never throws) */
+export function verifyLinkTicket(ticket: string, path: string, secret = getSessionSecret()): TicketClaims | null {
+  const claims = verifyClaims(ticket, secret);
+  return claims?.typ === 'ticket' && claims.pth === path ? claims as TicketClaims : null;
+}
+
+/* Opaque refresh token + the hash that gets persisted */
+export function newRefreshToken(): { token: string; hash: string } {
+  const token = b64url(crypto.randomBytes(32));
+  return { token, hash: hashToken(token) };
+}
+
+export function hashToken(token: string) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/* Extract the bearer token from an Authorization header value */
+export function readBearer(header: string | string[] | undefined | null): string | null {
+  const v = Array.isArray(header) ? header[0] : header;
+  const m = /^Bearer\s+(.+)$/i.exec(String(v || '').trim());
+  return m ? m[1].trim() : null;
+}
+
+/* Public employee shape returned by auth endpoints (never includes password_hash) */
+export function publicEmployee(e: any) {
+  if (!e) return null;
+  return {
+    id: e.id,
+    username: e.username,
+    role: e.role || 'user',
+    full_name: e.full_name ?? null,
+    phone: e.phone ?? null,
+    address: e.address ?? null
+  };
+}
+
+/*
+ * Session check for the Netlify functions. They have no pool, so the `sessions` row of the token is read
+ * over Supabase REST (SUPABASE_URL + SUPABASE_SERVICE_ROLE) with its employee: a logged-out or expired
+ * session, or a deleted employee, is refused like requireAuth in server.ts does, and the role comes from
+ * the employees row. Without Supabase there is no session store to ask and only signature / expiry count.
+ * A failed Supabase request throws (the handler answers 500), it does not log anyone out.
+ */
+async function loadLiveSession(sid: string): Promise<AuthEmployee | null | undefined> {
+  const url = (process.env.SUPABASE_URL || '').replace(/\/$/, '');
+  const key = process.env.SUPABASE_SERVICE_ROLE || '';
+  if (!url || !key) return undefined;
+  const params = new URLSearchParams({
+    select: 'id,employee:employees(id,username,role,full_name,phone,address)',
+    id: `eq.${sid}`,
+    revoked_at: 'is.null',
+    expires_at: `gt.${new Date().toISOString()}`
+  });
+  const resp = await fetch(`${url}/rest/v1/sessions?${params}`, { headers: { apikey: key, Authorization: `Bearer ${key}` } });
+  if (!resp.ok) throw new Error(`Supabase sessions ${resp.status}: ${await resp.text()}`);
+  const rows = await resp.json() as any[];
+  return rows[0]?.employee ? publicEmployee(rows[0].employee) as AuthEmployee : null;
+}
+
+/*
+ * Authenticate a Netlify function request: the bearer access token, or for a link (LINK_TICKET_PATH) a ticket
+ * signed for `link.path`. SKIP_AUTH=true yields the same synthetic 'dev' admin as server.ts.
+ */
+export async function authenticateHeaders(
+  headers: Record<string, any> | null | undefined,
+  link?: { path: string; ticket?: string | null }
+): Promise<AuthEmployee | null> {
+  if (process.env.SKIP_AUTH === 'true') {
+    return { id: null, username: 'dev', role: 'admin', full_name: 'SKIP_AUTH', phone: null, address: null };
+  }
+  const h = headers || {};
+  const bearer = readBearer(h.authorization || h.Authorization);
+  const claims = bearer ? verifyAccessToken(bearer) : link?.ticket ? verifyLinkTicket(link.ticket, link.path) : null;
+  if (!claims) return null;
+  const live = await loadLiveSession(claims.sid);
+  if (live !== undefined) return live;
+  return { id: claims.sub, username: claims.usr, role: claims.role, full_name: null, phone: null, address: null };
+}
@@ -0,0 +1,332 @@
+/**
+ * src/carts.ts
+ *
+ * Sales carts, used by /api/carts (server.ts): a seller gathers KHO bills for one member, the bills are held
+ * for that cart while it is open, and the cart is then confirmed (sold) or released in one step.
+ * - One open cart per seller and member: open() hands back the existing one.
+ * - add() holds the bills (repo.holds.place(), kho_holds) until CART_HOLD_MINUTES from now and pushes the
+ *   expiry of the cart's other bills forward too; extend() only does the latter. Bills not in KHO, or held by
+ *   another cart whose hold has not expired, come back in `refused` with the reason and are not added.
+ * - Other sellers see held bills marked (withHolds(), GET /api/kho/list) or not at all (?held=hide,
+ *   select-by-target), and /api/sell skips them with reason 'held'.
+ * - view() lists each bill with its state and the running total against target_total:
+ *     held        held for this cart
+ *     expired     the hold lapsed; still sellable by this cart unless someone else takes it first
+ *     taken       another cart holds it now
+ *     not_in_kho  sold or removed meanwhile
+ * - confirm() sells the cart's bills in one repository sell() (cart_id: its holds do not block it and all of
+ *   them are dropped with the sale); the result lists every key not sold and why. Nothing sold leaves the
+ *   cart open. release() drops the holds without selling.
+ *
+ * Persistence: Postgres (carts, migrations/015_carts.sql) when a pool is given, otherwise an in-memory store
+ * (dev); the holds themselves live with KHO in src/repository.ts.
+ */
+
+import crypto from 'crypto';
+import type { Pool } from 'pg';
+import type { HoldRefusal, KhoHold, KhoItem, Repository, SellResult } from './repository.js';
+
+export const CART_STATUSES = ['open', 'confirmed', 'released'] as const;
+export type CartStatus = typeof CART_STATUSES[number];
+export const CART_ITEM_STATES = ['held', 'expired', 'taken', 'not_in_kho'] as const;
+export type CartItemState = typeof CART_ITEM_STATES[number];
+
+export const CART_HOLD_MINUTES = Number(process.env.CART_HOLD_MINUTES || 15);
+export const CART_MAX_KEYS = Number(process.env.CART_MAX_KEYS || 2000);
+
+export type Cart = {
+  id: string;
+  member_id: string;
+  seller: string;
+  seller_id: string | null;
+  keys: string[];
+  target_total: number | null;
+  note: string | null;
+  status: CartStatus;
+  expires_at: string;
+  sale_id: string | null;
+  created_at: string;
+  updated_at: string;
+  closed_at: string | null;
+};
+
+export type CartItem = {
+  key: string;
+  account: string | null;
+  provider_id: string | null;
+  name: string | null;
+  address: string | null;
+  total: number | null;
+  state: CartItemState;
+  held_by: string | null;      // the other seller, when taken
+  expires_at: string | null;
+};
+
+export type CartQuery = { seller?: string | null; member_id?: string | null; status?: CartStatus | null; limit?: number };
+
+/* What an employee sees on a KHO row somebody holds */
+export type HoldMark = { cart_id: string; held_by: string | null; expires_at: string; mine: boolean };
+
+export class CartError extends Error {
+  code: string;
+  status: number;
+  constructor(message: string, code: string, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+interface CartStore {
+  list(q: CartQuery): Promise<Cart[]>;
+  get(id: string): Promise<Cart | null>;
+  findOpen(seller: string, memberId: string): Promise<Cart | null>;
+  // false when the seller already has an open cart for the member (lost a race with another open())
+  insert(cart: Cart): Promise<boolean>;
+  save(cart: Cart): Promise<void>;
+}
+
+function nowISO() { return new Date().toISOString(); }
+function holdUntil(from = Date.now()) { return new Date(from + CART_HOLD_MINUTES * 60 * 1000).toISOString(); }
+
+/* KHO rows with the hold on each (null = free); hide drops the rows other sellers hold */
+export async function withHolds(repo: Repository, items: KhoItem[], username: string | null, hide = false) {
+  const holds = new Map((await repo.holds.active(items.map(i => i.key))).map(h => [h.key, h]));
+  const mark = (h: KhoHold | undefined): HoldMark | null =>
+    h ? { cart_id: h.cart_id, held_by: h.held_by, expires_at: h.expires_at, mine: !!username && h.held_by === username } : null;
+  return items
+    .map(it => ({ ...it, hold: mark(holds.get(it.key)) }))
+    .filter(it => !hide || !it.hold || it.hold.mine);
+}
+
+/* ----------------------------------------------------------------------
+   Stores
+   ---------------------------------------------------------------------- */
+
+function memoryStore(): CartStore {
+  const CARTS = new Map<string, Cart>();
+  const copy = (c: Cart): Cart => ({ ...c, keys: [...c.keys] });
+  return {
+    async list(q) {
+      return Array.from(CARTS.values())
+        .filter(c => (!q.seller || c.seller === q.seller) && (!q.member_id || c.member_id === q.member_id) && (!q.status || c.status === q.status))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, q.limit || 100)
+        .map(copy);
+    },
+    async get(id) { const c = CARTS.get(id); return c ? copy(c) : null; },
+    async findOpen(seller, memberId) {
+      const c = Array.from(CARTS.values()).find(x => x.status === 'open' && x.seller === seller && x.member_id === memberId);
+      return c ? copy(c) : null;
+    },
+    async insert(cart) {
+      if (Array.from(CARTS.values()).some(x => x.status === 'open' && x.seller === cart.seller && x.member_id === cart.member_id)) return false;
+      CARTS.set(cart.id, copy(cart));
+      return true;
+    },
+    async save(cart) { CARTS.set(cart.id, copy(cart)); }
+  };
+}
+
+function pgStore(pool: Pool): CartStore {
+  const iso = (v: any) => (v ? new Date(v).toISOString() : null);
+  const toCart = (r: any): Cart => ({
+    id: r.id, member_id: String(r.member_id), seller: r.seller, seller_id: r.seller_id ?? null, keys: r.keys || [],
+    target_total: r.target_total == null ? null : Number(r.target_total), note: r.note ?? null, status: r.status,
+    expires_at: iso(r.expires_at)!, sale_id: r.sale_id ?? null, created_at: iso(r.created_at)!, updated_at: iso(r.updated_at)!,
+    closed_at: iso(r.closed_at)
+  });
+  const cartParams = (c: Cart) => [
+    c.id, c.member_id, c.seller, c.seller_id, c.keys, c.target_total, c.note, c.status, c.expires_at, c.sale_id,
+    c.created_at, c.updated_at, c.closed_at
+  ];
+  return {
+    async list(q) {
+      const where: string[] = [];
+      const params: any[] = [];
+      if (q.seller) { params.push(q.seller); where.push(`seller = $${params.length}`); }
+      if (q.member_id) { params.push(q.member_id); where.push(`member_id = $${params.length}`); }
+      if (q.status) { params.push(q.status); where.push(`status = $${params.length}`); }
+      params.push(q.limit || 100);
+      const { rows } = await pool.query(
+        `SELECT * FROM carts ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY updated_at DESC LIMIT $${params.length}`,
+        params
+      );
+      return rows.map(toCart);
+    },
+    async get(id) {
+      const { rows } = await pool.query('SELECT * FROM carts WHERE id = $1', [id]);
+      return rows[0] ? toCart(rows[0]) : null;
+    },
+    async findOpen(seller, memberId) {
+      const { rows } = await pool.query(`SELECT * FROM carts WHERE seller = $1 AND member_id = $2 AND status = 'open'`, [seller, memberId]);
+      return rows[0] ? toCart(rows[0]) : null;
+    },
+    async insert(cart) {
+      // carts_open_idx: one open cart per seller and member
+      const { rowCount } = await pool.query(
+        `INSERT INTO carts (id, member_id, seller, seller_id, keys, target_total, note, status, expires_at, sale_id, created_at, updated_at, closed_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+         ON CONFLICT DO NOTHING`,
+        cartParams(cart)
+      );
+      return (rowCount || 0) > 0;
+    },
+    async save(cart) {
+      await pool.query(
+        `UPDATE carts SET member_id = $2, seller = $3, seller_id = $4, keys = $5, target_total = $6, note = $7, status = $8,
+           expires_at = $9, sale_id = $10, created_at = $11, updated_at = $12, closed_at = $13
+         WHERE id = $1`,
+        cartParams(cart)
+      );
+    }
+  };
+}
+
+/* ----------------------------------------------------------------------
+   Carts
+   ---------------------------------------------------------------------- */
+
+export function createCarts(opts: { pool: Pool | null; repo: Repository }) {
+  const store = opts.pool ? pgStore(opts.pool) : memoryStore();
+  const { repo } = opts;
+  const busy = new Set<string>();   // carts being confirmed or released in this process
+
+  function mustBeOpen(cart: Cart) {
+    if (cart.status !== 'open') throw new CartError(`The cart is ${cart.status}`, 'cart_closed', 409);
+    if (busy.has(cart.id)) throw new CartError('The cart is being confirmed or released', 'cart_busy', 409);
+  }
+
+  async function touch(cart: Cart, patch: Partial<Cart>) {
+    Object.assign(cart, patch, { updated_at: nowISO() });
+    await store.save(cart);
+    return cart;
+  }
+
+  /* Run fn with the cart marked busy, so confirm and release never overlap */
+  async function exclusive<T>(cart: Cart, fn: () => Promise<T>) {
+    mustBeOpen(cart);
+    busy.add(cart.id);
+    try {
+      return await fn();
+    } finally {
+      busy.delete(cart.id);
+    }
+  }
+
+  return {
+    list: (q: CartQuery) => store.list(q),
+    get: (id: string) => store.get(id),
+
+    /* The seller's open cart for the member, created when there is none */
+    async open(input: { member_id: string; seller: string; seller_id: string | null; target_total?: number | null; note?: string | null }) {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const existing = await store.findOpen(input.seller, input.member_id);
+        if (existing) return { cart: existing, created: false };
+        const now = nowISO();
+        const cart: Cart = {
+          id: crypto.randomUUID(), member_id: input.member_id, seller: input.seller, seller_id: input.seller_id, keys: [],
+          target_total: input.target_total ?? null, note: input.note ?? null, status: 'open', expires_at: holdUntil(),
+          sale_id: null, created_at: now, updated_at: now, closed_at: null
+        };
+        if (await store.insert(cart)) return { cart, created: true };
+      }
+      throw new CartError('Could not open the cart, try again', 'cart_conflict', 409);
+    },
+
+    async update(cart: Cart, patch: { target_total?: number | null; note?: string | null }) {
+      mustBeOpen(cart);
+      return touch(cart, patch);
+    },
+
+    /* The cart with the state of each bill and its totals (total = what would sell now, against target_total) */
+    async view(cart: Cart) {
+      const [rows, holds] = await Promise.all([repo.kho.get(cart.keys), repo.holds.active(cart.keys)]);
+      const kho = new Map(rows.map(r => [r.key, r]));
+      const held = new Map(holds.map(h => [h.key, h]));
+      const items = cart.keys.map((key): CartItem => {
+        const it = kho.get(key), h = held.get(key);
+        const state: CartItemState = !it ? 'not_in_kho' : h && h.cart_id !== cart.id ? 'taken' : h ? 'held' : 'expired';
+        return {
+          key, account: it?.account ?? null, provider_id: it?.provider_id ?? null, name: it?.name ?? null, address: it?.address ?? null,
+          total: it?.total ?? null, state, held_by: state === 'taken' ? h!.held_by : null,
+          expires_at: state === 'held' || state === 'taken' ? h!.expires_at : null
+        };
+      });
+      const sellable = cart.status === 'open' ? items.filter(i => i.state === 'held' || i.state === 'expired') : [];
+      const total = sellable.reduce((s, i) => s + (i.total || 0), 0);
+      const counts = Object.fromEntries(CART_ITEM_STATES.map(s => [s, items.filter(i => i.state === s).length])) as Record<CartItemState, number>;
+      return {
+        ...cart,
+        expired: cart.status === 'open' && cart.expires_at <= nowISO(),
+        items,
+        totals: {
+          count: sellable.length,
+          total,
+          target_total: cart.target_total,
+          remaining: cart.target_total == null ? null : cart.target_total - total,
+          states: counts
+        }
+      };
+    },
+
+    /* Hold more bills for the cart; refused keys are not added */
+    async add(cart: Cart, keys: string[]): Promise<{ cart: Cart; held: string[]; refused: HoldRefusal[] }> {
+      mustBeOpen(cart);
+      const fresh = Array.from(new Set(keys)).filter(k => !cart.keys.includes(k));
+      if (cart.keys.length + fresh.length > CART_MAX_KEYS) {
+        throw new CartError(`A cart holds at most ${CART_MAX_KEYS} bills`, 'cart_full');
+      }
+      const expiresAt = holdUntil();
+      const out = await repo.holds.place(cart.id, Array.from(new Set(keys)), cart.seller, expiresAt);
+      const held = out.held.map(h => h.key);
+      await touch(cart, { keys: [...cart.keys, ...held.filter(k => !cart.keys.includes(k))], expires_at: expiresAt });
+      return { cart, held, refused: out.refused };
+    },
+
+    /* Take bills out of the cart and drop their holds */
+    async remove(cart: Cart, keys: string[]) {
+      mustBeOpen(cart);
+      const drop = new Set(keys);
+      await repo.holds.release(cart.id, keys);
+      return touch(cart, { keys: cart.keys.filter(k => !drop.has(k)) });
+    },
+
+    /* Push the expiry of every hold of the cart forward (re-holding lapsed bills nobody took) */
+    async extend(cart: Cart) {
+      mustBeOpen(cart);
+      const expiresAt = holdUntil();
+      const out = await repo.holds.place(cart.id, cart.keys, cart.seller, expiresAt);
+      await touch(cart, { expires_at: expiresAt });
+      return { cart, refused: out.refused };
+    },
+
+    /*
+     * Sell the cart's bills. sale carries what repository sell() needs besides the keys (member, employee,
+     * price, note); all_or_nothing: sell nothing when any bill cannot go. The cart is confirmed when
+     * something sold, and stays open otherwise.
+     */
+    async confirm(cart: Cart, sale: Omit<Parameters<Repository['sell']>[0], 'keys' | 'member_id' | 'cart_id'>): Promise<{ cart: Cart; result: SellResult }> {
+      return exclusive(cart, async () => {
+        if (!cart.keys.length) throw new CartError('The cart is empty', 'cart_empty');
+        const result = await repo.sell({ ...sale, keys: cart.keys, member_id: cart.member_id, cart_id: cart.id });
+        if (result.sold.length) {
+          const now = nowISO();
+          await touch(cart, { status: 'confirmed', sale_id: result.sold[0].sale_id ?? null, closed_at: now });
+        }
+        return { cart, result };
+      });
+    },
+
+    /* Drop every hold of the cart and close it unsold */
+    async release(cart: Cart) {
+      return exclusive(cart, async () => {
+        const released = await repo.holds.release(cart.id);
+        await touch(cart, { status: 'released', closed_at: nowISO() });
+        return { cart, released };
+      });
+    }
+  };
+}
+
+export type Carts = ReturnType<typeof createCarts>;
@@ -0,0 +1,277 @@
+/**
+ * src/exports.ts
+ *
+ * Excel exports of KHO, history and members (GET /api/export-excel, netlify/functions/export-excel.ts).
+ * - Filters are the list endpoints' own: parseKhoQuery() / parseHistoryQuery() from src/repository.ts, so an
+ *   export holds exactly the rows /api/kho/list or /api/history would page through. Members have no filters.
+ * - Columns are picked from the dataset's catalogue by key (?columns=key,account,total); without a choice the
+ *   dataset's default columns are used, in catalogue order.
+ * - Sheets: 'data' (the rows) plus optional summaries accumulated while the rows go by ('by_provider',
+ *   'by_member' for history). A workbook cut at `limit` rows gets a 'Ghi chú' sheet saying so.
+ * - writeExport() uses ExcelJS's streaming writer: rows are read from the repository one page at a time and
+ *   committed as they are written, so memory stays flat however large the export. server.ts streams straight
+ *   into the response; the Netlify function collects the stream into a buffer (its responses are not streamed).
+ */
+
+import ExcelJS from 'exceljs';
+import type { Writable } from 'stream';
+import type { KhoItem, HistoryRow, Member, Repository } from './repository.js';
+import { parseKhoQuery, parseHistoryQuery, LIST_MAX_LIMIT } from './repository.js';
+import type { Ledger } from './ledger.js';
+import type { Permission } from './permissions.js';
+
+export const EXPORT_DATASETS = ['kho', 'history', 'members'] as const;
+export const EXPORT_SHEETS = ['data', 'by_provider', 'by_member'] as const;
+
+export type ExportDataset = typeof EXPORT_DATASETS[number];
+export type ExportSheet = typeof EXPORT_SHEETS[number];
+
+export const EXPORT_MAX_ROWS = Number(process.env.EXPORT_MAX_ROWS || 200000);
+
+/* Permission needed on top of 'export' to export a dataset (the one its list endpoint asks for) */
+export const EXPORT_VIEW_PERMISSION: Record<ExportDataset, Permission> = {
+  kho: 'kho.view',
+  history: 'history.view',
+  members: 'members.view'
+};
+
+type Context = { providerNames: Map<string, string> };
+
+type ExportColumn<T> = {
+  key: string;
+  header: string;
+  width: number;
+  numFmt?: string;
+  default?: boolean;
+  value?: (row: T, ctx: Context) => any;
+};
+
+const MONEY = '#,##0';
+const providerName = (r: { provider_id: string }, ctx: Context) => ctx.providerNames.get(r.provider_id) || '';
+
+const KHO_COLUMNS: ExportColumn<KhoItem>[] = [
+  { key: 'key', header: 'Key', width: 36, default: true },
+  { key: 'provider_id', header: 'Nhà cung cấp', width: 14, default: true },
+  { key: 'provider_name', header: 'Tên nhà cung cấp', width: 24, default: true, value: providerName },
+  { key: 'account', header: 'Mã khách hàng', width: 20, default: true },
+  { key: 'name', header: 'Tên', width: 32, default: true },
+  { key: 'address', header: 'Địa chỉ', width: 48, default: true },
+  { key: 'amount_previous', header: 'Nợ kỳ trước', width: 16, numFmt: MONEY },
+  { key: 'amount_current', header: 'Kỳ này', width: 16, numFmt: MONEY, default: true },
+  { key: 'total', header: 'Tổng tiền', width: 16, numFmt: MONEY, default: true },
+  { key: 'nhapAt', header: 'Nhập lúc', width: 24, default: true },
+  { key: 'customer', header: 'Khách', width: 20 },
+  { key: 'created_at', header: 'Tạo lúc', width: 24 },
+  { key: 'updated_at', header: 'Cập nhật lúc', width: 24 },
+  { key: 'last_verified_at', header: 'Kiểm tra lại lúc', width: 24 },
+  { key: 'verify_status', header: 'Kết quả kiểm tra', width: 16 },
+  { key: 'verified_total', header: 'Tổng tiền khi kiểm tra', width: 18, numFmt: MONEY },
+  { key: 'verify_error', header: 'Lỗi kiểm tra', width: 32 }
+];
+
+const HISTORY_COLUMNS: ExportColumn<HistoryRow>[] = [
+  { key: 'id', header: 'ID', width: 10, default: true },
+  { key: 'sale_id', header: 'Mã giao dịch', width: 38, default: true },
+  { key: 'key', header: 'Key', width: 36, default: true },
+  { key: 'provider_id', header: 'Nhà cung cấp', width: 14 },
+  { key: 'provider_name', header: 'Tên nhà cung cấp', width: 24, default: true, value: providerName },
+  { key: 'account', header: 'Mã khách hàng', width: 20, default: true },
+  { key: 'name', header: 'Tên', width: 32, default: true },
+  { key: 'address', header: 'Địa chỉ', width: 48 },
+  { key: 'amount_previous', header: 'Nợ kỳ trước', width: 16, numFmt: MONEY },
+  { key: 'amount_current', header: 'Kỳ này', width: 16, numFmt: MONEY },
+  { key: 'total', header: 'Mệnh giá', width: 16, numFmt: MONEY, default: true },
+  { key: 'discount_rate', header: 'Chiết khấu', width: 12, numFmt: '0.00%' },
+  { key: 'fee', header: 'Phí', width: 12, numFmt: MONEY },
+  { key: 'sale_price', header: 'Thành tiền', width: 16, numFmt: MONEY, default: true, value: r => r.sale_price ?? r.total },
+  { key: 'margin', header: 'Chênh lệch', width: 16, numFmt: MONEY, default: true },
+  { key: 'nhapAt', header: 'Nhập lúc', width: 24 },
+  { key: 'soldAt', header: 'Bán lúc', width: 24, default: true },
+  { key: 'member_id', header: 'Mã KHT', width: 10 },
+  { key: 'member_name', header: 'Khách Hàng Thẻ', width: 24, default: true },
+  { key: 'employee_username', header: 'Nhân viên', width: 16, default: true },
+  { key: 'note', header: 'Ghi chú', width: 30, default: true },
+  { key: 'reversed_at', header: 'Hoàn lúc', width: 24 },
+  { key: 'reversal_reason', header: 'Lý do hoàn', width: 30 }
+];
+
+type MemberRow = Member & { balance: number };
+
+const MEMBER_COLUMNS: ExportColumn<MemberRow>[] = [
+  { key: 'id', header: 'ID', width: 10, default: true },
+  { key: 'name', header: 'Tên', width: 30, default: true },
+  { key: 'zalo', header: 'Zalo', width: 16, default: true },
+  { key: 'bank', header: 'Ngân hàng', width: 30, default: true },
+  { key: 'credit_limit', header: 'Hạn mức', width: 16, numFmt: MONEY, default: true },
+  { key: 'balance', header: 'Công nợ', width: 16, numFmt: MONEY, default: true },
+  { key: 'created_at', header: 'Tạo lúc', width: 24, default: true }
+];
+
+const COLUMNS: Record<ExportDataset, ExportColumn<any>[]> = { kho: KHO_COLUMNS, history: HISTORY_COLUMNS, members: MEMBER_COLUMNS };
+
+const SHEETS_BY_DATASET: Record<ExportDataset, ExportSheet[]> = {
+  kho: ['data', 'by_provider'],
+  history: ['data', 'by_provider', 'by_member'],
+  members: ['data']
+};
+
+const SHEET_NAMES: Record<ExportSheet, string> = { data: '', by_provider: 'Theo nhà cung cấp', by_member: 'Theo KHT' };
+const DATA_SHEET_NAMES: Record<ExportDataset, string> = { kho: 'KHO', history: 'Lịch sử', members: 'Khách Hàng Thẻ' };
+
+export class ExportError extends Error {
+  code: string;
+  constructor(message: string, code = 'invalid_export') {
+    super(message);
+    this.code = code;
+  }
+}
+
+/* What the export UI offers: per dataset, the columns (with the default set marked) and sheets */
+export function exportCatalog() {
+  return Object.fromEntries(EXPORT_DATASETS.map(d => [d, {
+    columns: COLUMNS[d].map(c => ({ key: c.key, header: c.header, default: !!c.default })),
+    sheets: SHEETS_BY_DATASET[d]
+  }]));
+}
+
+export type ExportPlan = {
+  dataset: ExportDataset;
+  columns: ExportColumn<any>[];
+  sheets: ExportSheet[];
+  limit: number;
+  query: Record<string, any>;
+};
+
+function splitList(v: any) {
+  return String(v ?? '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/*
+ * Validated query (GET /api/export-excel) -> plan. Unknown column or sheet names are errors rather than
+ * silently dropped, so a typo does not produce a workbook missing the column that was asked for.
+ */
+export function planExport(q: Record<string, any>): ExportPlan {
+  const dataset: ExportDataset = EXPORT_DATASETS.includes(q.dataset) ? q.dataset : 'kho';
+  const catalog = COLUMNS[dataset];
+
+  const wanted = splitList(q.columns);
+  const unknown = wanted.filter(k => !catalog.some(c => c.key === k));
+  if (unknown.length) throw new ExportError(`Unknown ${dataset} columns: ${unknown.join(', ')}`, 'unknown_column');
+  const columns = wanted.length
+    ? Array.from(new Set(wanted)).map(k => catalog.find(c => c.key === k)!)
+    : catalog.filter(c => c.default);
+
+  const sheets = splitList(q.sheets || 'data') as ExportSheet[];
+  const badSheets = sheets.filter(s => !SHEETS_BY_DATASET[dataset].includes(s));
+  if (badSheets.length) throw new ExportError(`Sheets not available for ${dataset}: ${badSheets.join(', ')}`, 'unknown_sheet');
+
+  const limit = Math.min(Math.max(1, Math.trunc(Number(q.limit)) || EXPORT_MAX_ROWS), EXPORT_MAX_ROWS);
+  return { dataset, columns, sheets: Array.from(new Set(sheets)), limit, query: q };
+}
+
+export function exportFileName(plan: ExportPlan) {
+  return `${plan.dataset}-${Date.now()}.xlsx`;
+}
+
+/* Rows of the dataset, one repository page at a time, up to `limit` (+1 to tell whether more were left) */
+async function* readRows(plan: ExportPlan, deps: { repo: Repository; ledger: Ledger }): AsyncGenerator<any> {
+  const max = plan.limit + 1;
+  if (plan.dataset === 'members') {
+    const [members, balances] = await Promise.all([deps.repo.members.list(), deps.ledger.balances()]);
+    for (const m of members.slice(0, max)) yield { ...m, balance: balances[String(m.id)] || 0 };
+    return;
+  }
+  const filters = plan.dataset === 'kho' ? parseKhoQuery(plan.query) : parseHistoryQuery(plan.query);
+  let seen = 0;
+  for (let offset = 0; seen < max; offset += LIST_MAX_LIMIT) {
+    const page: any[] = plan.dataset === 'kho'
+      ? await deps.repo.kho.list({ ...filters, limit: LIST_MAX_LIMIT, offset })
+      : await deps.repo.history.list({ ...filters, limit: LIST_MAX_LIMIT, offset });
+    for (const r of page) {
+      if (seen++ >= max) return;
+      yield r;
+    }
+    if (page.length < LIST_MAX_LIMIT) return;
+  }
+}
+
+type Group = { key: string; label: string; count: number; total: number; amount_due: number; margin: number };
+
+function addTo(groups: Map<string, Group>, key: string, label: string, r: any, sale: boolean) {
+  const g = groups.get(key) || { key, label, count: 0, total: 0, amount_due: 0, margin: 0 };
+  g.count += 1;
+  g.total += Number(r.total || 0);
+  if (sale) {
+    g.amount_due += Number(r.sale_price ?? r.total ?? 0);
+    g.margin += Number(r.margin || 0);
+  }
+  groups.set(key, g);
+}
+
+function writeSummary(wb: ExcelJS.stream.xlsx.WorkbookWriter, name: string, heading: string, groups: Map<string, Group>, sale: boolean) {
+  const ws = wb.addWorksheet(name);
+  ws.columns = [
+    { header: heading, key: 'key', width: 20 },
+    { header: 'Tên', key: 'label', width: 30 },
+    { header: 'Số bill', key: 'count', width: 10 },
+    { header: sale ? 'Mệnh giá' : 'Tổng tiền', key: 'total', width: 18, style: { numFmt: MONEY } },
+    ...(sale ? [
+      { header: 'Phải thu', key: 'amount_due', width: 18, style: { numFmt: MONEY } },
+      { header: 'Chênh lệch', key: 'margin', width: 18, style: { numFmt: MONEY } }
+    ] : [])
+  ];
+  ws.getRow(1).font = { bold: true };
+  const rows = Array.from(groups.values()).sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+  for (const g of rows) ws.addRow(g).commit();
+  const sum = rows.reduce((t, g) => ({ count: t.count + g.count, total: t.total + g.total, amount_due: t.amount_due + g.amount_due, margin: t.margin + g.margin }),
+    { count: 0, total: 0, amount_due: 0, margin: 0 });
+  const totalRow = ws.addRow({ key: 'Tổng', ...sum });
+  totalRow.font = { bold: true };
+  totalRow.commit();
+  ws.commit();
+}
+
+/*
+ * Stream the workbook of `plan` into `stream` (ended when the workbook is complete).
+ * Returns how many data rows were written and whether the export stopped at plan.limit.
+ */
+export async function writeExport(
+  plan: ExportPlan,
+  deps: { repo: Repository; ledger: Ledger; providerNames: Map<string, string> },
+  stream: Writable
+) {
+  const ctx: Context = { providerNames: deps.providerNames };
+  const sale = plan.dataset === 'history';
+  const byProvider = new Map<string, Group>();
+  const byMember = new Map<string, Group>();
+
+  const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const ws = plan.sheets.includes('data')
+    ? wb.addWorksheet(DATA_SHEET_NAMES[plan.dataset], { views: [{ state: 'frozen', ySplit: 1 }] })
+    : null;
+  if (ws) {
+    ws.columns = plan.columns.map(c => ({ header: c.header, key: c.key, width: c.width, ...(c.numFmt ? { style: { numFmt: c.numFmt } } : {}) }));
+    ws.getRow(1).font = { bold: true };
+  }
+
+  let count = 0;
+  let truncated = false;
+  for await (const r of readRows(plan, deps)) {
+    if (count === plan.limit) { truncated = true; break; }
+    count++;
+    if (ws) ws.addRow(Object.fromEntries(plan.columns.map(c => [c.key, c.value ? c.value(r, ctx) : r[c.key] ?? null]))).commit();
+    if (plan.dataset !== 'members') addTo(byProvider, r.provider_id, providerName(r, ctx), r, sale);
+    if (sale) addTo(byMember, String(r.member_id ?? ''), r.member_name || '', r, sale);
+  }
+  if (ws) ws.commit();
+
+  if (plan.sheets.includes('by_provider')) writeSummary(wb, SHEET_NAMES.by_provider, 'Nhà cung cấp', byProvider, sale);
+  if (plan.sheets.includes('by_member')) writeSummary(wb, SHEET_NAMES.by_member, 'Mã KHT', byMember, sale);
+  if (truncated) {
+    const note = wb.addWorksheet('Ghi chú');
+    note.addRow([`Chỉ xuất ${count} dòng đầu (giới hạn ${plan.limit}); các bảng tổng hợp tính trên những dòng này. Thu hẹp bộ lọc để xuất phần còn lại.`]).commit();
+    note.commit();
+  }
+  await wb.commit();
+  return { rows: count, truncated };
+}
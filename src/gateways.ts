@@ -0,0 +1,301 @@
+/**
+ * src/gateways.ts
+ *
+ * Pluggable upstream bill gateways with automatic failover.
+ * - A GatewayAdapter knows one gateway's protocol:
+ *     buildRequest(account, sku)        -> { url, init } for fetch
+ *     parseResponse(body, account, sku) -> internal bill shape (see Bill)
+ *     classifyError(failure)            -> 'no_debt' | 'fatal' | 'retryable'
+ * - CheckBill Pro is the built-in 'checkbill' adapter; other protocols register with registerGatewayAdapter().
+ * - createGatewayClient() tries gateways in order (primary, then secondary). Each gateway has its own
+ *   governor (src/upstream-governor.ts), so a failing primary opens its breaker and later lookups go
+ *   straight to the secondary until a half-open probe succeeds.
+ *   Only retryable failures (network, timeout, 5xx, 429, breaker open) fail over; 'fatal' answers are
+ *   about the request itself and are returned as errors.
+ * - Every bill records the gateway that answered in `gateway`.
+ *
+ * Configuration (gatewaysFromEnv):
+ *   primary:   GATEWAY_PRIMARY_ID / GATEWAY_PRIMARY_TYPE (default 'checkbill'), NEW_API_BASE_URL, NEW_API_PATH, EXTERNAL_API_KEY
+ *   secondary: GATEWAY_SECONDARY_BASE_URL (enables it), GATEWAY_SECONDARY_PATH, GATEWAY_SECONDARY_TYPE,
+ *              GATEWAY_SECONDARY_ID, GATEWAY_SECONDARY_API_KEY, GATEWAY_SECONDARY_RATE_PER_SEC
+ */
+
+import { createUpstreamGovernor, UpstreamGovernor, UpstreamUnavailableError, parseRetryAfter } from './upstream-governor.js';
+
+export type Bill = {
+  key: string;
+  provider_id: string;
+  account: string;
+  name: string;
+  address: string;
+  month: string;
+  amount_previous: string;
+  amount_current: string;
+  total: string;
+  raw: any;
+  created_at: string;
+  gateway?: string;
+};
+
+/* A failed HTTP exchange as seen by the adapter (status is undefined for network errors / timeouts) */
+export type UpstreamFailure = { status?: number; body?: string; message: string };
+
+export type ErrorClass = 'no_debt' | 'fatal' | 'retryable';
+
+export interface GatewayAdapter {
+  type: string;
+  buildRequest(account: string, sku: string): { url: string; init: RequestInit };
+  parseResponse(body: any, account: string, sku: string): Bill;
+  classifyError(failure: UpstreamFailure): ErrorClass;
+}
+
+export type GatewayConfig = {
+  id: string;
+  type: string;
+  baseUrl: string;
+  path: string;
+  apiKey?: string;
+  ratePerSec?: number;
+};
+
+const NO_DEBT_TEXT = 'Không nợ cước / không có dữ liệu';
+
+function safeNumber(v: any) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+/* "Nothing to pay" bill for an account; reason ends up in address like the UI expects */
+export function emptyBill(account: string, sku: string, reason: string, raw: any): Bill {
+  return {
+    key: `${sku}::${account}`,
+    provider_id: sku,
+    account,
+    name: `(Mã ${account})`,
+    address: reason || NO_DEBT_TEXT,
+    month: '',
+    amount_previous: '0',
+    amount_current: '0',
+    total: '0',
+    raw,
+    created_at: new Date().toISOString()
+  };
+}
+
+/* Robust URL join: ensures base+path combine sensibly */
+export function joinUrl(base: string, path: string) {
+  if (!base) return path;
+  try {
+    if (/^https?:\/\//i.test(base)) {
+      return new URL(path, base).toString();
+    }
+    return (base.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, '')).replace(/([^:])\/{2,}/g, '$1/');
+  } catch {
+    return (base.replace(/\/+$/, '') + '/' + path.replace(/^\/+/, ''));
+  }
+}
+
+/* ----------------------------------------------------------------------
+   CheckBill Pro
+   - POST { contract_number, sku }
+   - Answer: { success, data: { success, status_code?, response_text?, data: { bills: [...] } } }
+   - HTTP 400 / data.status_code 400 mean "no debt / invalid account", not an outage
+   ---------------------------------------------------------------------- */
+
+function checkbillReason(resp: any) {
+  const data = resp?.data || {};
+  let reason = '';
+  if (data?.parsed_response_text) {
+    const pr = data.parsed_response_text;
+    if (typeof pr === 'string') reason = pr.slice(0, 400);
+    else if (pr && typeof pr === 'object') reason = pr?.error?.message || pr?.message || JSON.stringify(pr).slice(0, 400);
+    else reason = String(pr).slice(0, 400);
+  }
+  if (!reason && resp?.error) reason = typeof resp.error === 'string' ? resp.error : JSON.stringify(resp.error).slice(0, 400);
+  if (!reason && data?.status_code && Number(data.status_code) !== 400) reason = `Upstream status ${data.status_code}`;
+  return reason || NO_DEBT_TEXT;
+}
+
+function checkbillAdapter(config: GatewayConfig): GatewayAdapter {
+  const url = joinUrl(config.baseUrl, config.path);
+  return {
+    type: 'checkbill',
+    buildRequest(account, sku) {
+      const headers: Record<string, string> = { 'Content-Type': 'application/json', 'User-Agent': '7ty-check-bills/1.0' };
+      if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+      return { url, init: { method: 'POST', headers, body: JSON.stringify({ contract_number: account, sku }) } };
+    },
+    parseResponse(resp, account, sku) {
+      try {
+        if (resp?.data?.response_text && typeof resp.data.response_text === 'string') {
+          try { resp.data.parsed_response_text = JSON.parse(resp.data.response_text); } catch { resp.data.parsed_response_text = resp.data.response_text; }
+        }
+        const bills = Array.isArray(resp?.data?.data?.bills) ? resp.data.data.bills : [];
+        if (resp?.success && resp?.data?.success && bills.length > 0) {
+          const bill = bills[0];
+          const money = safeNumber(bill.moneyAmount ?? bill.money_amount ?? bill.amount ?? 0);
+          return {
+            key: `${sku}::${account}`,
+            provider_id: sku,
+            account,
+            name: bill.customerName || bill.customer_name || '-',
+            address: bill.address || '-',
+            month: bill.month || '',
+            amount_previous: '0',
+            amount_current: String(money),
+            total: String(money),
+            raw: resp,
+            created_at: new Date().toISOString()
+          };
+        }
+        return emptyBill(account, sku, checkbillReason(resp), resp);
+      } catch {
+        return emptyBill(account, sku, 'Lỗi parse', resp);
+      }
+    },
+    classifyError(failure) {
+      const status = Number(failure.status);
+      if (status === 400) return 'no_debt';
+      if (status >= 400 && status < 500 && status !== 429) return 'fatal';
+      return 'retryable';
+    }
+  };
+}
+
+const ADAPTERS: Record<string, (config: GatewayConfig) => GatewayAdapter> = {
+  checkbill: checkbillAdapter
+};
+
+export function registerGatewayAdapter(type: string, factory: (config: GatewayConfig) => GatewayAdapter) {
+  ADAPTERS[type] = factory;
+}
+
+export function gatewaysFromEnv(env: Record<string, string | undefined> = process.env): GatewayConfig[] {
+  const list: GatewayConfig[] = [{
+    id: env.GATEWAY_PRIMARY_ID || 'checkbill',
+    type: env.GATEWAY_PRIMARY_TYPE || 'checkbill',
+    baseUrl: env.NEW_API_BASE_URL || 'https://bill.7ty.vn/api',
+    path: env.NEW_API_PATH || '/check-electricity',
+    apiKey: env.EXTERNAL_API_KEY || undefined
+  }];
+  if (env.GATEWAY_SECONDARY_BASE_URL) {
+    list.push({
+      id: env.GATEWAY_SECONDARY_ID || 'secondary',
+      type: env.GATEWAY_SECONDARY_TYPE || 'checkbill',
+      baseUrl: env.GATEWAY_SECONDARY_BASE_URL,
+      path: env.GATEWAY_SECONDARY_PATH || env.NEW_API_PATH || '/check-electricity',
+      apiKey: env.GATEWAY_SECONDARY_API_KEY || undefined,
+      ratePerSec: env.GATEWAY_SECONDARY_RATE_PER_SEC ? Number(env.GATEWAY_SECONDARY_RATE_PER_SEC) : undefined
+    });
+  }
+  return list;
+}
+
+type Gateway = { config: GatewayConfig; adapter: GatewayAdapter; governor: UpstreamGovernor };
+
+export function createGatewayClient(opts: {
+  gateways?: GatewayConfig[];
+  timeoutMs: number;
+  maxRetries: number;
+  backoffBaseMs?: number;
+}) {
+  const backoffBase = opts.backoffBaseMs ?? 300;
+  const gateways: Gateway[] = (opts.gateways || gatewaysFromEnv()).map(config => {
+    const factory = ADAPTERS[config.type];
+    if (!factory) throw new Error(`Unknown gateway type '${config.type}' for gateway '${config.id}'`);
+    return { config, adapter: factory(config), governor: createUpstreamGovernor({ name: config.id, ratePerSec: config.ratePerSec }) };
+  });
+
+  /* One HTTP exchange through the gateway's governor; throws an Error carrying UpstreamFailure fields */
+  async function exchange(gw: Gateway, account: string, sku: string, timeoutMs: number) {
+    const { url, init } = gw.adapter.buildRequest(account, sku);
+    return gw.governor.run(async () => {
+      const controller = new AbortController();
+      const id = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const res = await fetch(url, { ...init, signal: controller.signal });
+        const text = await res.text();
+        if (!res.ok) {
+          const snippet = text ? text.slice(0, 1000) : `Status ${res.status}`;
+          const err: any = new Error(`Upstream ${res.status}: ${snippet}`);
+          err.status = res.status;
+          err.body = snippet;
+          if (res.status === 429 || res.status === 503) err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+          throw err;
+        }
+        try {
+          return JSON.parse(text || '{}');
+        } catch {
+          const err: any = new Error('Upstream returned non-JSON/invalid JSON');
+          err.body = text.slice(0, 1000);
+          err.status = res.status;
+          err.fatal = true;
+          throw err;
+        }
+      } finally {
+        clearTimeout(id);
+      }
+    });
+  }
+
+  /* Lookup against one gateway with retry/backoff (at least Retry-After); no retry once its breaker is open */
+  async function lookupOn(gw: Gateway, account: string, sku: string, timeoutMs: number): Promise<Bill> {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const body = await exchange(gw, account, sku, timeoutMs);
+        return { ...gw.adapter.parseResponse(body, account, sku), gateway: gw.config.id };
+      } catch (err: any) {
+        if (err instanceof UpstreamUnavailableError) throw err;
+        const kind: ErrorClass = err?.fatal ? 'fatal' : gw.adapter.classifyError({ status: err?.status, body: err?.body, message: String(err?.message || err) });
+        if (kind === 'no_debt') return { ...emptyBill(account, sku, String(err?.body || '').slice(0, 400), null), gateway: gw.config.id };
+        err.retryable = kind === 'retryable';
+        if (kind === 'fatal' || attempt >= opts.maxRetries) throw err;
+        const backoff = Math.max(Math.min(backoffBase * Math.pow(2, attempt), 10000), Number(err?.retryAfterMs) || 0);
+        console.warn(`[gateways] ${gw.config.id} failed, retry in ${backoff}ms`, { account, attempt: attempt + 1, err: err?.message || err });
+        await new Promise(r => setTimeout(r, backoff + Math.floor(Math.random() * 200)));
+      }
+    }
+  }
+
+  return {
+    /* Bill for sku/account from the first gateway that answers; bill.gateway names it.
+       timeoutMs overrides the client timeout per attempt (provider catalog override) */
+    async lookup(account: string, sku: string, lookupOpts: { timeoutMs?: number | null } = {}): Promise<Bill> {
+      const timeoutMs = lookupOpts.timeoutMs || opts.timeoutMs;
+      let lastErr: any = null;
+      for (const gw of gateways) {
+        try {
+          return await lookupOn(gw, account, sku, timeoutMs);
+        } catch (err: any) {
+          lastErr = err;
+          const failover = err instanceof UpstreamUnavailableError || err?.retryable;
+          if (!failover) throw err;
+          if (gw !== gateways[gateways.length - 1]) console.warn(`[gateways] ${gw.config.id} unavailable, failing over`, { account, err: err?.message || err });
+        }
+      }
+      throw lastErr;
+    },
+
+    /* Per-gateway breaker / limiter state for /api/upstream/status */
+    status() {
+      return gateways.map((gw, i) => ({
+        id: gw.config.id,
+        type: gw.adapter.type,
+        role: i === 0 ? 'primary' : 'secondary',
+        url: joinUrl(gw.config.baseUrl, gw.config.path),
+        ...gw.governor.status()
+      }));
+    },
+
+    /* { [gateway id]: breaker state } for /api/health */
+    states() {
+      return Object.fromEntries(gateways.map(gw => [gw.config.id, gw.governor.state()]));
+    },
+
+    describe() {
+      return gateways.map(gw => `${gw.config.id}=${joinUrl(gw.config.baseUrl, gw.config.path)}`).join(', ');
+    }
+  };
+}
+
+export type GatewayClient = ReturnType<typeof createGatewayClient>;
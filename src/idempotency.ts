@@ -0,0 +1,308 @@
+/**
+ * src/idempotency.ts
+ *
+ * Idempotency-Key support for the mutating routes a flaky connection tends to retry (sell, KHO import /
+ * remove, member creation; `idempotent: true` in src/api-schemas.ts).
+ * - A request carrying `Idempotency-Key: <1-255 visible ASCII chars>` runs once per route, employee and key;
+ *   its response is stored for IDEMPOTENCY_TTL_HOURS (default 24) and replayed to retries with the same
+ *   body (compared through a SHA-256 of the validated body, so key order and aliases do not matter).
+ * - The same key with another body: 422 { code: 'idempotency_key_reused' }. A retry while the first
+ *   request still runs: 409 { code: 'idempotency_in_progress' }; a request that never finished (crash)
+ *   frees its key after IDEMPOTENCY_LOCK_SEC (default 300).
+ * - 5xx responses are not stored: the key is released and the retry runs again.
+ * - Backends follow src/audit.ts: Postgres table idempotency_keys (migrations/016_idempotency_keys.sql),
+ *   Supabase REST (Netlify functions) or the in-process memory store (bounded by IDEMPOTENCY_MEMORY_MAX_ENTRIES).
+ * - Requests without the header are not affected.
+ */
+
+import type { Pool } from 'pg';
+import crypto from 'crypto';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENCY_REPLAYED_HEADER = 'Idempotent-Replayed';
+export const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+export const IDEMPOTENCY_LOCK_SEC = Number(process.env.IDEMPOTENCY_LOCK_SEC || 300);
+const IDEMPOTENCY_MEMORY_MAX_ENTRIES = Number(process.env.IDEMPOTENCY_MEMORY_MAX_ENTRIES || 10000);
+
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+/* Who sent the request with which key on which route ('POST /api/sell') */
+export type IdempotencyId = { scope: string; actor: string; key: string };
+
+export type StoredResponse = { status: number; body: any };
+
+export type IdempotencyClaim =
+  | { state: 'new'; id: IdempotencyId }
+  | { state: 'replay'; response: StoredResponse }
+  | { state: 'in_progress' }
+  | { state: 'mismatch' };
+
+type Row = { fingerprint: string; status_code: number | null; response: any };
+
+/* ---- Request helpers ---- */
+
+/* The Idempotency-Key header of an Express request or Netlify event; key null = not sent */
+export function readIdempotencyKey(headers: Record<string, any> | null | undefined):
+  | { ok: true; key: string | null }
+  | { ok: false; status: 400; body: { error: string; code: 'invalid_idempotency_key' } } {
+  const h = headers || {};
+  const name = Object.keys(h).find(k => k.toLowerCase() === 'idempotency-key');
+  const raw = name ? h[name] : undefined;
+  const value = Array.isArray(raw) ? raw[0] : raw;
+  if (value == null || value === '') return { ok: true, key: null };
+  const key = String(value).trim();
+  if (!KEY_RE.test(key)) {
+    return { ok: false, status: 400, body: { error: `${IDEMPOTENCY_HEADER} must be 1-255 visible ASCII characters`, code: 'invalid_idempotency_key' } };
+  }
+  return { ok: true, key };
+}
+
+/* JSON with sorted object keys, so { a, b } and { b, a } hash the same */
+function stableJson(v: any): string {
+  if (Array.isArray(v)) return '[' + v.map(stableJson).join(',') + ']';
+  if (v && typeof v === 'object') {
+    return '{' + Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => JSON.stringify(k) + ':' + stableJson(v[k])).join(',') + '}';
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export function requestFingerprint(body: any) {
+  return crypto.createHash('sha256').update(stableJson(body)).digest('hex');
+}
+
+/* Answer for a claim that does not run the request (replays are sent as stored) */
+export function idempotencyRefusal(claim: { state: 'in_progress' | 'mismatch' }): StoredResponse {
+  return claim.state === 'mismatch'
+    ? { status: 422, body: { error: `This ${IDEMPOTENCY_HEADER} was already used with a different request`, code: 'idempotency_key_reused' } }
+    : { status: 409, body: { error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed; retry later`, code: 'idempotency_in_progress' } };
+}
+
+/* ---- Backends ---- */
+
+interface IdempotencyBackend {
+  mode: 'db' | 'supabase' | 'memory';
+  /* Insert the pending row, or take over an expired / abandoned one; false = another row holds the key */
+  claim(id: IdempotencyId, fingerprint: string, expiresAt: Date, staleBefore: Date): Promise<boolean>;
+  get(id: IdempotencyId): Promise<Row | null>;
+  complete(id: IdempotencyId, response: StoredResponse): Promise<void>;
+  release(id: IdempotencyId): Promise<void>;
+  purgeExpired(): Promise<number>;
+}
+
+type MemEntry = Row & { locked_at: number; expires_at: number };
+
+function memoryBackend(): IdempotencyBackend {
+  // Shared with the other Netlify functions of a warm instance, like the repository's memory tables
+  const g = globalThis as any;
+  const mem = g.__PROJECT_TRA_CUU_MEM__ || (g.__PROJECT_TRA_CUU_MEM__ = {});
+  const MEM: Map<string, MemEntry> = mem.IDEMPOTENCY || (mem.IDEMPOTENCY = new Map());
+  const memKey = (id: IdempotencyId) => `${id.scope}\n${id.actor}\n${id.key}`;
+
+  return {
+    mode: 'memory',
+
+    async claim(id, fingerprint, expiresAt, staleBefore) {
+      const k = memKey(id);
+      const e = MEM.get(k);
+      if (e && e.expires_at > Date.now() && (e.status_code != null || e.locked_at > staleBefore.getTime())) return false;
+      MEM.delete(k);
+      MEM.set(k, { fingerprint, status_code: null, response: null, locked_at: Date.now(), expires_at: expiresAt.getTime() });
+      // Map keeps insertion order: drop the oldest entries once over the cap
+      while (MEM.size > IDEMPOTENCY_MEMORY_MAX_ENTRIES) {
+        const oldest = MEM.keys().next().value;
+        if (oldest === undefined) break;
+        MEM.delete(oldest);
+      }
+      return true;
+    },
+
+    async get(id) {
+      const e = MEM.get(memKey(id));
+      return e ? { fingerprint: e.fingerprint, status_code: e.status_code, response: e.response } : null;
+    },
+
+    async complete(id, response) {
+      const e = MEM.get(memKey(id));
+      if (!e) return;
+      e.status_code = response.status;
+      e.response = JSON.parse(JSON.stringify(response.body ?? null));
+    },
+
+    async release(id) {
+      MEM.delete(memKey(id));
+    },
+
+    async purgeExpired() {
+      let n = 0;
+      for (const [k, e] of MEM) {
+        if (e.expires_at <= Date.now()) { MEM.delete(k); n++; }
+      }
+      return n;
+    }
+  };
+}
+
+function pgBackend(pool: Pool): IdempotencyBackend {
+  return {
+    mode: 'db',
+
+    async claim(id, fingerprint, expiresAt, staleBefore) {
+      const { rowCount } = await pool.query(
+        `INSERT INTO idempotency_keys (scope, actor, key, fingerprint, locked_at, expires_at)
+         VALUES ($1, $2, $3, $4, now(), $5)
+         ON CONFLICT (scope, actor, key) DO UPDATE SET fingerprint = EXCLUDED.fingerprint, status_code = NULL, response = NULL,
+           locked_at = now(), created_at = now(), expires_at = EXCLUDED.expires_at
+         WHERE idempotency_keys.expires_at <= now()
+            OR (idempotency_keys.status_code IS NULL AND idempotency_keys.locked_at <= $6)`,
+        [id.scope, id.actor, id.key, fingerprint, expiresAt, staleBefore]
+      );
+      return (rowCount || 0) > 0;
+    },
+
+    async get(id) {
+      const { rows } = await pool.query(
+        'SELECT fingerprint, status_code, response FROM idempotency_keys WHERE scope = $1 AND actor = $2 AND key = $3',
+        [id.scope, id.actor, id.key]
+      );
+      return rows[0] || null;
+    },
+
+    async complete(id, response) {
+      await pool.query(
+        'UPDATE idempotency_keys SET status_code = $4, response = $5 WHERE scope = $1 AND actor = $2 AND key = $3',
+        [id.scope, id.actor, id.key, response.status, JSON.stringify(response.body ?? null)]
+      );
+    },
+
+    async release(id) {
+      await pool.query('DELETE FROM idempotency_keys WHERE scope = $1 AND actor = $2 AND key = $3', [id.scope, id.actor, id.key]);
+    },
+
+    async purgeExpired() {
+      const { rowCount } = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= now()');
+      return rowCount || 0;
+    }
+  };
+}
+
+function supabaseBackend(url: string, key: string): IdempotencyBackend {
+  const endpoint = url.replace(/\/$/, '') + '/rest/v1/idempotency_keys';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', Accept: 'application/json' };
+  const quoted = (s: string) => `"${s.replace(/["\\]/g, '\\$&')}"`;
+
+  async function call(params: URLSearchParams | null, init: RequestInit = {}) {
+    const resp = await fetch(endpoint + (params ? '?' + params.toString() : ''), { ...init, headers: { ...headers, ...(init.headers as any || {}) } });
+    const text = await resp.text().catch(() => '');
+    if (!resp.ok) throw new Error(`Supabase idempotency_keys request failed: ${resp.status} ${text.slice(0, 300)}`);
+    return text ? JSON.parse(text) : null;
+  }
+
+  function one(id: IdempotencyId) {
+    const p = new URLSearchParams();
+    p.append('scope', `eq.${quoted(id.scope)}`);
+    p.append('actor', `eq.${quoted(id.actor)}`);
+    p.append('key', `eq.${quoted(id.key)}`);
+    return p;
+  }
+
+  return {
+    mode: 'supabase',
+
+    // No upsert-with-condition over REST: drop an expired / abandoned row first, then insert-or-ignore
+    async claim(id, fingerprint, expiresAt, staleBefore) {
+      const stale = one(id);
+      stale.append('or', `(expires_at.lte.${new Date().toISOString()},and(status_code.is.null,locked_at.lte.${staleBefore.toISOString()}))`);
+      await call(stale, { method: 'DELETE' });
+      const rows = await call(null, {
+        method: 'POST',
+        headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+        body: JSON.stringify({ ...id, fingerprint, locked_at: new Date().toISOString(), expires_at: expiresAt.toISOString() })
+      });
+      return Array.isArray(rows) && rows.length > 0;
+    },
+
+    async get(id) {
+      const p = one(id);
+      p.append('select', 'fingerprint,status_code,response');
+      const rows = await call(p);
+      return rows?.[0] || null;
+    },
+
+    async complete(id, response) {
+      await call(one(id), { method: 'PATCH', body: JSON.stringify({ status_code: response.status, response: response.body ?? null }) });
+    },
+
+    async release(id) {
+      await call(one(id), { method: 'DELETE' });
+    },
+
+    async purgeExpired() {
+      const p = new URLSearchParams();
+      p.append('expires_at', `lte.${new Date().toISOString()}`);
+      const rows = await call(p, { method: 'DELETE', headers: { Prefer: 'return=representation' } });
+      return Array.isArray(rows) ? rows.length : 0;
+    }
+  };
+}
+
+/* ---- Idempotency keys ---- */
+
+export function createIdempotency(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const db: IdempotencyBackend = opts.pool ? pgBackend(opts.pool)
+    : opts.supabase ? supabaseBackend(opts.supabase.url, opts.supabase.key)
+    : memoryBackend();
+
+  const self = {
+    mode: db.mode,
+
+    /* Claim the key for this request: 'new' runs it (then finish() or release()), 'replay' sends the stored answer */
+    async begin(scope: string, actor: string | null | undefined, key: string, body: any): Promise<IdempotencyClaim> {
+      const id: IdempotencyId = { scope, actor: actor || '', key };
+      const fingerprint = requestFingerprint(body);
+      const now = Date.now();
+      if (await db.claim(id, fingerprint, new Date(now + IDEMPOTENCY_TTL_HOURS * 3600 * 1000), new Date(now - IDEMPOTENCY_LOCK_SEC * 1000))) {
+        return { state: 'new', id };
+      }
+      const row = await db.get(id);
+      // Gone between the two calls (released or purged): let the client retry
+      if (!row) return { state: 'in_progress' };
+      if (row.fingerprint !== fingerprint) return { state: 'mismatch' };
+      if (row.status_code == null) return { state: 'in_progress' };
+      return { state: 'replay', response: { status: row.status_code, body: row.response } };
+    },
+
+    /* Store the answer of a claimed request; 5xx answers release the key instead */
+    async finish(id: IdempotencyId, response: StoredResponse) {
+      if (response.status >= 500) return db.release(id);
+      return db.complete(id, response);
+    },
+
+    release: (id: IdempotencyId) => db.release(id),
+
+    /*
+     * begin() + fn() + finish() for handlers that build their answer as a value (Netlify functions).
+     * key null runs fn() as is; a thrown error releases the key and is rethrown.
+     */
+    async run(scope: string, actor: string | null | undefined, key: string | null, body: any,
+      fn: () => Promise<StoredResponse>): Promise<StoredResponse & { replayed: boolean }> {
+      if (!key) return { ...(await fn()), replayed: false };
+      const claim = await self.begin(scope, actor, key, body);
+      if (claim.state === 'replay') return { ...claim.response, replayed: true };
+      if (claim.state !== 'new') return { ...idempotencyRefusal(claim), replayed: false };
+      let out: StoredResponse;
+      try {
+        out = await fn();
+      } catch (err) {
+        await db.release(claim.id).catch(() => {});
+        throw err;
+      }
+      await self.finish(claim.id, out).catch((err: any) => console.error('[idempotency] could not store', scope, key, err?.message || err));
+      return { ...out, replayed: false };
+    },
+
+    purgeExpired: () => db.purgeExpired()
+  };
+  return self;
+}
+
+export type Idempotency = ReturnType<typeof createIdempotency>;
@@ -0,0 +1,148 @@
+/**
+ * src/kho-verify.ts
+ *
+ * Re-verification of KHO bills: a KHO row is a snapshot from its import, and the customer may have paid the
+ * bill elsewhere since. verify() re-queries the gateway (fresh, never from the lookup cache) and records on
+ * each row when it was checked and what the answer meant (kho.markVerified() in src/repository.ts):
+ *   ok       same total as the KHO row
+ *   paid     nothing left to pay
+ *   changed  another total (verified_total)
+ *   error    the lookup failed (verify_error); says nothing about the bill, so it is not sold blindly either
+ *
+ * beforeSale() is what /api/sell runs first (server.ts and netlify/functions/sell.ts). Bills not verified in the
+ * last SELL_VERIFY_MAX_AGE_HOURS are re-checked on the spot, at most SELL_VERIFY_MAX_LOOKUPS per sale (the rest
+ * count as 'unverified': run a verification pass first). Then, by SELL_VERIFY_MODE:
+ *   off    sell as before
+ *   warn   (default) bills not 'ok' refuse the sale with 409 { code: 'stale_bills', can_override: true, problems };
+ *          the same call with accept_stale: true sells them anyway
+ *   block  the same 409 with can_override: false; accept_stale is ignored
+ */
+
+import pLimit from 'p-limit';
+import type { KhoItem, KhoVerifyMark, Repository, VerifyStatus } from './repository.js';
+
+export const SELL_VERIFY_MODES = ['off', 'warn', 'block'] as const;
+export type SellVerifyMode = typeof SELL_VERIFY_MODES[number];
+
+const envMode = (process.env.SELL_VERIFY_MODE || 'warn').toLowerCase() as SellVerifyMode;
+export const SELL_VERIFY_MODE: SellVerifyMode = SELL_VERIFY_MODES.includes(envMode) ? envMode : 'warn';
+export const SELL_VERIFY_MAX_AGE_HOURS = Number(process.env.SELL_VERIFY_MAX_AGE_HOURS ?? 6);
+export const SELL_VERIFY_MAX_LOOKUPS = Number(process.env.SELL_VERIFY_MAX_LOOKUPS || 200);
+/* Bills re-queried by one POST /api/kho/verify call */
+export const KHO_VERIFY_MAX = Number(process.env.KHO_VERIFY_MAX || 500);
+
+export type VerifyResult = KhoVerifyMark & { account: string; provider_id: string; total: number };
+
+export type SaleProblem = {
+  key: string;
+  account: string;
+  provider_id: string;
+  total: number;
+  reason: Exclude<VerifyStatus, 'ok'> | 'unverified';
+  verified_total: number | null;
+  verify_error: string | null;
+  last_verified_at: string | null;
+};
+
+/* What a fresh gateway answer (normalized bill, src/gateways.ts) says about a KHO row */
+export function classifyAnswer(item: Pick<KhoItem, 'total'>, normalized: any): Pick<KhoVerifyMark, 'verify_status' | 'verified_total' | 'verify_error'> {
+  const n = Number(normalized?.total ?? normalized?.amount_current ?? 0);
+  const total = Number.isFinite(n) ? n : 0;
+  if (!(total > 0)) return { verify_status: 'paid', verified_total: 0, verify_error: null };
+  if (total !== item.total) return { verify_status: 'changed', verified_total: total, verify_error: null };
+  return { verify_status: 'ok', verified_total: total, verify_error: null };
+}
+
+/* Verified within the last maxAgeHours */
+export function isFresh(item: Pick<KhoItem, 'last_verified_at'>, maxAgeHours: number, now = Date.now()) {
+  return !!item.last_verified_at && now - Date.parse(item.last_verified_at) < maxAgeHours * 3600 * 1000;
+}
+
+/* Verification fields shown next to a quoted bill; stale = /api/sell re-queries it first */
+export function verificationOf(item: Pick<KhoItem, 'last_verified_at' | 'verify_status' | 'verified_total'>) {
+  return {
+    last_verified_at: item.last_verified_at,
+    verify_status: item.verify_status,
+    verified_total: item.verified_total,
+    stale: !isFresh(item, SELL_VERIFY_MAX_AGE_HOURS)
+  };
+}
+
+function problemOf(item: KhoItem, maxAgeHours: number): SaleProblem | null {
+  const reason = item.verify_status && item.verify_status !== 'ok' ? item.verify_status
+    : !isFresh(item, maxAgeHours) ? 'unverified' : null;
+  if (!reason) return null;
+  return {
+    key: item.key, account: item.account, provider_id: item.provider_id, total: item.total, reason,
+    verified_total: item.verified_total, verify_error: item.verify_error, last_verified_at: item.last_verified_at
+  };
+}
+
+export function verifyCounts(results: Pick<KhoVerifyMark, 'verify_status'>[]) {
+  const counts: Record<VerifyStatus, number> = { ok: 0, paid: 0, changed: 0, error: 0 };
+  for (const r of results) if (r.verify_status) counts[r.verify_status]++;
+  return counts;
+}
+
+export function createKhoVerifier(opts: {
+  repo: Repository;
+  /* Fresh normalized bill for account/sku; throws on upstream or catalog errors */
+  lookup: (account: string, sku: string) => Promise<any>;
+  concurrency: number;
+}) {
+  const limit = pLimit(Math.max(1, opts.concurrency));
+
+  async function verify(items: KhoItem[]): Promise<VerifyResult[]> {
+    const results = await Promise.all(items.map(item => limit(async (): Promise<VerifyResult> => {
+      const base = { key: item.key, account: item.account, provider_id: item.provider_id, total: item.total };
+      try {
+        const normalized = await opts.lookup(item.account, item.provider_id);
+        return { ...base, last_verified_at: new Date().toISOString(), ...classifyAnswer(item, normalized) };
+      } catch (err: any) {
+        const error = String(err?.message || err || 'Lookup failed').slice(0, 500);
+        return { ...base, last_verified_at: new Date().toISOString(), verify_status: 'error', verified_total: null, verify_error: error };
+      }
+    })));
+    await opts.repo.kho.markVerified(results.map(({ key, last_verified_at, verify_status, verified_total, verify_error }) =>
+      ({ key, last_verified_at, verify_status, verified_total, verify_error })));
+    return results;
+  }
+
+  return {
+    verify,
+
+    /*
+     * Check the bills of a sale (keys not in KHO are left to the sale to skip).
+     * ok: false comes with the 409 body to send back.
+     */
+    async beforeSale(keys: string[], check: { acceptStale?: boolean; mode?: SellVerifyMode } = {}) {
+      const mode = check.mode ?? SELL_VERIFY_MODE;
+      if (mode === 'off') return { ok: true as const, checked: 0, problems: [] as SaleProblem[] };
+
+      const items = await opts.repo.kho.get(keys);
+      const toCheck = items.filter(it => !isFresh(it, SELL_VERIFY_MAX_AGE_HOURS)).slice(0, SELL_VERIFY_MAX_LOOKUPS);
+      const marks = new Map((await verify(toCheck)).map(r => [r.key, r]));
+      const current = items.map(it => (marks.has(it.key) ? { ...it, ...marks.get(it.key)! } : it));
+      const problems = current.map(it => problemOf(it, SELL_VERIFY_MAX_AGE_HOURS)).filter((p): p is SaleProblem => !!p);
+
+      if (!problems.length || (mode === 'warn' && check.acceptStale)) return { ok: true as const, checked: toCheck.length, problems };
+      return {
+        ok: false as const,
+        checked: toCheck.length,
+        problems,
+        body: {
+          error: mode === 'block'
+            ? 'Some bills are paid, changed or could not be verified; remove them from the sale'
+            : 'Some bills are paid, changed or could not be verified; send accept_stale: true to sell them anyway',
+          code: 'stale_bills',
+          mode,
+          can_override: mode === 'warn',
+          checked: toCheck.length,
+          problems
+        }
+      };
+    }
+  };
+}
+
+export type KhoVerifier = ReturnType<typeof createKhoVerifier>;
@@ -0,0 +1,403 @@
+/**
+ * src/ledger.ts
+ *
+ * Per-member account ledger (table `member_ledger`, migrations/011_member_ledger.sql): what each
+ * Khách Hàng Thẻ owes us for bills bought on credit.
+ * - amount > 0 is a debit (the member owes more), amount < 0 a credit; the balance is the sum.
+ * - Every sale is debited the amount due (src/pricing.ts) by repository sell() itself, in the same step
+ *   as the history rows (src/repository.ts): a sale without its debit never commits. history.reverse()
+ *   writes the matching 'reversal' credit the same way; staff record 'payment' and 'adjustment' entries.
+ * - members.credit_limit (null = no limit): creditCheck() refuses a sale that would take the balance
+ *   above it. sell() checks it against the balance read under a lock on the member row (Postgres), so
+ *   two sales for the same member at the same instant cannot both pass; it throws CreditLimitError.
+ * - A sale is debited at most once per (member_id, sale_id), so re-posting it is harmless.
+ * - Backends follow src/audit.ts: Postgres, Supabase REST (Netlify functions) or the in-process memory store.
+ */
+
+import type { Pool, PoolClient } from 'pg';
+import type { HistoryRow, Member } from './repository.js';
+import type { AuditActor } from './audit.js';
+
+export const LEDGER_KINDS = ['sale', 'reversal', 'payment', 'adjustment'] as const;
+
+export type LedgerKind = typeof LEDGER_KINDS[number];
+
+export type LedgerEntry = {
+  id: string | number;
+  member_id: string;
+  at: string;
+  kind: LedgerKind;
+  amount: number;
+  sale_id: string | null;
+  note: string | null;
+  actor_id: string | null;
+  actor_username: string | null;
+};
+
+export type LedgerInput = {
+  member_id: string | number;
+  kind: LedgerKind;
+  amount: number;
+  at?: string | null;
+  sale_id?: string | null;
+  note?: string | null;
+  actor?: AuditActor;
+};
+
+export type LedgerQuery = {
+  member_id: string;
+  from?: string | null;      // inclusive bounds on `at`
+  to?: string | null;
+  limit?: number;
+  offset?: number;
+};
+
+export const LEDGER_LIST_DEFAULT_LIMIT = 500;
+
+/* ---- Value helpers ---- */
+
+/* What the member pays for a sold row: the priced amount, or the face value for rows sold before pricing */
+const amountDue = (r: HistoryRow) => r.sale_price ?? r.total;
+
+function perMember(rows: HistoryRow[]) {
+  const out = new Map<string, HistoryRow[]>();
+  for (const r of rows) {
+    if (r.member_id == null) continue;
+    const id = String(r.member_id);
+    out.set(id, [...(out.get(id) || []), r]);
+  }
+  return out;
+}
+
+/* 'sale' debits for the rows of one /api/sell call */
+export function saleDebits(sold: HistoryRow[], actor: AuditActor): LedgerInput[] {
+  return Array.from(perMember(sold), ([memberId, rows]) => ({
+    member_id: memberId,
+    kind: 'sale' as const,
+    amount: rows.reduce((n, r) => n + amountDue(r), 0),
+    at: rows[0].soldAt,
+    sale_id: rows[0].sale_id,
+    note: `${rows.length} bill`,
+    actor
+  }));
+}
+
+/* 'reversal' credits for history rows marked reversed */
+export function reversalCredits(reversed: HistoryRow[], reason: string, actor: AuditActor): LedgerInput[] {
+  return Array.from(perMember(reversed), ([memberId, rows]) => ({
+    member_id: memberId,
+    kind: 'reversal' as const,
+    amount: -rows.reduce((n, r) => n + amountDue(r), 0),
+    sale_id: new Set(rows.map(r => r.sale_id)).size === 1 ? rows[0].sale_id : null,
+    note: `${rows.length} bill: ${reason}`,
+    actor
+  }));
+}
+
+export type CreditRefusal = {
+  error: string;
+  code: 'credit_limit';
+  balance: number;
+  credit_limit: number;
+  amount_due: number;
+  available: number;
+};
+
+/* null when the sale may go ahead, otherwise the 409 body */
+export function creditCheck(member: Pick<Member, 'credit_limit'>, balance: number, amountDue: number): CreditRefusal | null {
+  if (member.credit_limit == null || balance + amountDue <= member.credit_limit) return null;
+  return {
+    error: 'Credit limit exceeded',
+    code: 'credit_limit',
+    balance,
+    credit_limit: member.credit_limit,
+    amount_due: amountDue,
+    available: Math.max(0, member.credit_limit - balance)
+  };
+}
+
+/* Thrown by repository sell() when the sale would take the member above the credit limit; nothing was sold */
+export class CreditLimitError extends Error {
+  status = 409;
+  code = 'credit_limit';
+  body: CreditRefusal;
+  constructor(body: CreditRefusal) {
+    super(body.error);
+    this.body = body;
+  }
+}
+
+function iso(v: string | null | undefined) {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function toEntry(r: any): LedgerEntry {
+  return {
+    id: r.id,
+    member_id: String(r.member_id),
+    at: r.at instanceof Date ? r.at.toISOString() : String(r.at),
+    kind: r.kind,
+    amount: Number(r.amount),
+    sale_id: r.sale_id ?? null,
+    note: r.note ?? null,
+    actor_id: r.actor_id ?? null,
+    actor_username: r.actor_username ?? null
+  };
+}
+
+/* ---- Backends ---- */
+
+export type NewEntry = Omit<LedgerEntry, 'id'>;
+
+/* The row an input is stored as: amount rounded, actor flattened, `at` now unless given */
+export function ledgerRow(i: LedgerInput, now = new Date().toISOString()): NewEntry {
+  return {
+    member_id: String(i.member_id),
+    at: iso(i.at) || now,
+    kind: i.kind,
+    amount: Math.round(i.amount),
+    sale_id: i.sale_id ?? null,
+    note: i.note ?? null,
+    actor_id: i.actor?.id != null ? String(i.actor.id) : null,
+    actor_username: i.actor?.username ?? null
+  };
+}
+
+interface LedgerBackend {
+  mode: 'db' | 'supabase' | 'memory';
+  /* Inserted rows; a 'sale' already posted for the member and sale_id is left out */
+  insert(entries: NewEntry[]): Promise<LedgerEntry[]>;
+  /* Oldest first */
+  list(q: LedgerQuery): Promise<LedgerEntry[]>;
+  /* Sum of amounts, optionally only entries before `before` */
+  sum(memberId: string, before?: string | null): Promise<number>;
+  balances(): Promise<Record<string, number>>;
+}
+
+const byTime = (a: LedgerEntry, b: LedgerEntry) => a.at.localeCompare(b.at) || Number(a.id) - Number(b.id);
+
+/*
+ * The memory store's entries, shared with the other Netlify functions of a warm instance like the repository's
+ * memory tables. Synchronous, so repository sell() can check and debit in the same step as the sale.
+ */
+export function memoryLedger() {
+  const g = globalThis as any;
+  const mem = g.__PROJECT_TRA_CUU_MEM__ || (g.__PROJECT_TRA_CUU_MEM__ = {});
+  mem.LEDGER = mem.LEDGER || [];
+  mem.LEDGER_SEQ = mem.LEDGER_SEQ || 0;
+  const rows = () => mem.LEDGER as LedgerEntry[];
+  return {
+    rows,
+    sum: (memberId: string, before?: string | null) =>
+      rows().filter(r => r.member_id === memberId && (!before || r.at < before)).reduce((n, r) => n + r.amount, 0),
+    /* Inserted rows; a 'sale' already posted for the member and sale_id is left out */
+    insert(entries: NewEntry[]) {
+      const out: LedgerEntry[] = [];
+      for (const e of entries) {
+        if (e.kind === 'sale' && rows().some(r => r.kind === 'sale' && r.member_id === e.member_id && r.sale_id === e.sale_id)) continue;
+        const row = { id: ++mem.LEDGER_SEQ, ...e };
+        rows().push(row);
+        out.push({ ...row });
+      }
+      return out;
+    }
+  };
+}
+
+/* Postgres insert of entries, on the pool or inside a caller's transaction (repository sell()) */
+export async function insertLedgerRows(db: Pool | PoolClient, entries: NewEntry[]): Promise<LedgerEntry[]> {
+  const out: LedgerEntry[] = [];
+  for (const e of entries) {
+    const { rows } = await db.query(
+      `INSERT INTO member_ledger (member_id, at, kind, amount, sale_id, note, actor_id, actor_username)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+       ON CONFLICT (member_id, sale_id) WHERE kind = 'sale' DO NOTHING RETURNING *`,
+      [e.member_id, e.at, e.kind, e.amount, e.sale_id, e.note, e.actor_id, e.actor_username]
+    );
+    if (rows[0]) out.push(toEntry(rows[0]));
+  }
+  return out;
+}
+
+/* Postgres balance of a member, optionally only entries before `before` */
+export async function sumLedger(db: Pool | PoolClient, memberId: string, before?: string | null): Promise<number> {
+  const { rows } = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS n FROM member_ledger WHERE member_id = $1 ${before ? 'AND at < $2' : ''}`,
+    before ? [memberId, before] : [memberId]
+  );
+  return Number(rows[0].n);
+}
+
+function memoryBackend(): LedgerBackend {
+  const store = memoryLedger();
+  const rows = store.rows;
+
+  return {
+    mode: 'memory',
+
+    async insert(entries) { return store.insert(entries); },
+
+    async list(q) {
+      const offset = q.offset || 0;
+      return rows()
+        .filter(r => r.member_id === q.member_id && (!q.from || r.at >= q.from) && (!q.to || r.at <= q.to))
+        .sort(byTime)
+        .slice(offset, offset + (q.limit || LEDGER_LIST_DEFAULT_LIMIT))
+        .map(r => ({ ...r }));
+    },
+
+    async sum(memberId, before) { return store.sum(memberId, before); },
+
+    async balances() {
+      const out: Record<string, number> = {};
+      for (const r of rows()) out[r.member_id] = (out[r.member_id] || 0) + r.amount;
+      return out;
+    }
+  };
+}
+
+function pgBackend(pool: Pool): LedgerBackend {
+  return {
+    mode: 'db',
+
+    insert: (entries) => insertLedgerRows(pool, entries),
+
+    async list(q) {
+      const where = ['member_id = $1'];
+      const params: any[] = [q.member_id];
+      if (q.from) { params.push(q.from); where.push(`at >= $${params.length}`); }
+      if (q.to) { params.push(q.to); where.push(`at <= $${params.length}`); }
+      params.push(q.limit || LEDGER_LIST_DEFAULT_LIMIT, q.offset || 0);
+      const { rows } = await pool.query(
+        `SELECT * FROM member_ledger WHERE ${where.join(' AND ')}
+         ORDER BY at ASC, id ASC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return rows.map(toEntry);
+    },
+
+    sum: (memberId, before) => sumLedger(pool, memberId, before),
+
+    async balances() {
+      const { rows } = await pool.query('SELECT member_id, SUM(amount) AS n FROM member_ledger GROUP BY member_id');
+      return Object.fromEntries(rows.map((r: any) => [String(r.member_id), Number(r.n)]));
+    }
+  };
+}
+
+function supabaseBackend(url: string, key: string): LedgerBackend {
+  const endpoint = url.replace(/\/$/, '') + '/rest/v1/member_ledger';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', Accept: 'application/json' };
+  const PAGE = 1000;
+
+  async function call(params: URLSearchParams | null, init: RequestInit = {}) {
+    const resp = await fetch(endpoint + (params ? '?' + params.toString() : ''), { ...init, headers: { ...headers, ...(init.headers as any || {}) } });
+    const text = await resp.text().catch(() => '');
+    if (!resp.ok) {
+      const err: any = new Error(`Supabase member_ledger request failed: ${resp.status} ${text.slice(0, 300)}`);
+      err.status = resp.status;
+      throw err;
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  /* Every amount matching the filters, page by page (PostgREST aggregates are off by default) */
+  async function amounts(filters: [string, string][]) {
+    const out: { member_id: string; amount: number }[] = [];
+    for (let offset = 0; ; offset += PAGE) {
+      const p = new URLSearchParams([['select', 'member_id,amount'], ['order', 'id.asc'], ['limit', String(PAGE)], ['offset', String(offset)], ...filters]);
+      const rows = (await call(p)) || [];
+      out.push(...rows.map((r: any) => ({ member_id: String(r.member_id), amount: Number(r.amount) })));
+      if (rows.length < PAGE) return out;
+    }
+  }
+
+  return {
+    mode: 'supabase',
+
+    async insert(entries) {
+      const out: LedgerEntry[] = [];
+      for (const e of entries) {
+        try {
+          const rows = await call(null, { method: 'POST', headers: { Prefer: 'return=representation' }, body: JSON.stringify(e) });
+          out.push(toEntry(rows[0]));
+        } catch (err: any) {
+          // 409 = member_ledger_sale_key: this sale is already debited
+          if (!(e.kind === 'sale' && err?.status === 409)) throw err;
+        }
+      }
+      return out;
+    },
+
+    async list(q) {
+      const p = new URLSearchParams();
+      p.append('select', '*');
+      p.append('member_id', `eq.${q.member_id}`);
+      p.append('order', 'at.asc,id.asc');
+      p.append('limit', String(q.limit || LEDGER_LIST_DEFAULT_LIMIT));
+      p.append('offset', String(q.offset || 0));
+      if (q.from) p.append('at', `gte.${q.from}`);
+      if (q.to) p.append('at', `lte.${q.to}`);
+      return ((await call(p)) || []).map(toEntry);
+    },
+
+    async sum(memberId, before) {
+      const filters: [string, string][] = [['member_id', `eq.${memberId}`]];
+      if (before) filters.push(['at', `lt.${before}`]);
+      return (await amounts(filters)).reduce((n, r) => n + r.amount, 0);
+    },
+
+    async balances() {
+      const out: Record<string, number> = {};
+      for (const r of await amounts([])) out[r.member_id] = (out[r.member_id] || 0) + r.amount;
+      return out;
+    }
+  };
+}
+
+/* ---- Ledger ---- */
+
+export function createLedger(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const db: LedgerBackend = opts.pool ? pgBackend(opts.pool)
+    : opts.supabase ? supabaseBackend(opts.supabase.url, opts.supabase.key)
+    : memoryBackend();
+
+  return {
+    mode: db.mode,
+
+    /* Zero amounts are dropped; throws when the store does */
+    post(inputs: LedgerInput[]): Promise<LedgerEntry[]> {
+      const now = new Date().toISOString();
+      return db.insert(inputs.filter(i => i.amount !== 0).map(i => ledgerRow(i, now)));
+    },
+
+    /* Oldest first */
+    list: (q: LedgerQuery) => db.list({ ...q, member_id: String(q.member_id), from: iso(q.from), to: iso(q.to) }),
+
+    balance: (memberId: string | number) => db.sum(String(memberId)),
+
+    /* member_id -> balance, for members with at least one entry */
+    balances: () => db.balances(),
+
+    /* Opening balance before `from`, the entries of the period with a running balance, and the totals */
+    async statement(memberId: string | number, from: string | null, to: string | null) {
+      const id = String(memberId);
+      const fromIso = iso(from);
+      const opening = fromIso ? await db.sum(id, fromIso) : 0;
+      const entries: (LedgerEntry & { balance: number })[] = [];
+      let running = opening;
+      for (let offset = 0; ; offset += LEDGER_LIST_DEFAULT_LIMIT) {
+        const page = await db.list({ member_id: id, from: fromIso, to: iso(to), limit: LEDGER_LIST_DEFAULT_LIMIT, offset });
+        for (const e of page) entries.push({ ...e, balance: (running += e.amount) });
+        if (page.length < LEDGER_LIST_DEFAULT_LIMIT) break;
+      }
+      const debits = entries.filter(e => e.amount > 0).reduce((n, e) => n + e.amount, 0);
+      const credits = entries.filter(e => e.amount < 0).reduce((n, e) => n - e.amount, 0);
+      return { member_id: id, from: fromIso, to: iso(to), opening_balance: opening, debits, credits, closing_balance: running, entries };
+    }
+  };
+}
+
+export type Ledger = ReturnType<typeof createLedger>;
@@ -0,0 +1,123 @@
+/**
+ * src/live-feed.ts
+ *
+ * Push channel for changes other employees must see at once (GET /api/live/events in server.ts), so nobody
+ * tries to sell a bill a colleague already sold from a table loaded minutes ago.
+ * - Every committed KHO import / update / removal, sale, sale reversal and member change becomes one
+ *   LiveEvent. They are derived from the audit entry each route already records (liveEventOf), so a
+ *   change that is audited is also pushed.
+ * - Events are numbered `${boot}-${seq}`; the last LIVE_FEED_BUFFER (default 500) are kept so a stream
+ *   that reconnects with Last-Event-ID gets what it missed. A gap (older id, server restarted) is
+ *   answered with 'reset': the client reloads what it shows.
+ * - Each stream only gets what its role may read (visibleTo): KHO and sale events need kho.view,
+ *   history rows of a sale also history.view, member events members.view.
+ * - In-process only, like the lookup job progress: with several server instances a stream hears the
+ *   changes made through its own instance (and catches up on the others at its next reload).
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import type { AuditAction, AuditInput } from './audit.js';
+import type { Permission } from './permissions.js';
+
+export const LIVE_EVENT_TYPES = [
+  'kho.upsert',       // rows: the KHO rows as stored now (new or re-imported)
+  'kho.remove',       // rows: []
+  'sell',             // rows: the history rows created; their keys left KHO
+  'sell.reverse',     // rows: the history rows marked reversed; their keys are back in KHO
+  'member',           // rows: the member after create / update
+  'member.balance'    // rows: []; a payment or adjustment changed the balance of keys (member ids)
+] as const;
+
+export type LiveEventType = typeof LIVE_EVENT_TYPES[number];
+
+export type LiveEvent = {
+  id: string;
+  type: LiveEventType;
+  at: string;
+  actor: string | null;     // employee username
+  keys: string[];           // bill keys, or member ids for member events
+  rows: any[];
+};
+
+const LIVE_FEED_BUFFER = Number(process.env.LIVE_FEED_BUFFER || 500);
+
+const FROM_AUDIT: Partial<Record<AuditAction, LiveEventType>> = {
+  'kho.import': 'kho.upsert',
+  'kho.update': 'kho.upsert',
+  'kho.remove': 'kho.remove',
+  sell: 'sell',
+  'sell.reverse': 'sell.reverse',
+  'member.create': 'member',
+  'member.update': 'member',
+  'ledger.payment': 'member.balance',
+  'ledger.adjustment': 'member.balance'
+};
+
+/* The live event of an audit entry, or null when the change is not pushed (employees) */
+export function liveEventOf(entry: Pick<AuditInput, 'action' | 'keys' | 'after'>): Pick<LiveEvent, 'type' | 'keys' | 'rows'> | null {
+  const type = FROM_AUDIT[entry.action];
+  if (!type) return null;
+  const keys = (entry.keys || []).map(k => k.replace(/^member:/, ''));
+  const rows = type === 'kho.remove' || type === 'member.balance' ? []
+    : Array.isArray(entry.after) ? entry.after
+    : entry.after != null ? [entry.after] : [];
+  return { type, keys, rows };
+}
+
+/* The event as a role sees it, or null when it may not see it at all */
+export function visibleTo(ev: LiveEvent, can: (p: Permission) => boolean): LiveEvent | null {
+  if (ev.type === 'member' || ev.type === 'member.balance') return can('members.view') ? ev : null;
+  if (!can('kho.view')) return null;
+  if ((ev.type === 'sell' || ev.type === 'sell.reverse') && !can('history.view')) return { ...ev, rows: [] };
+  return ev;
+}
+
+export function createLiveFeed() {
+  const boot = crypto.randomBytes(4).toString('hex');
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const buffer: LiveEvent[] = [];
+  let seq = 0;
+
+  function publish(input: Pick<LiveEvent, 'type' | 'keys' | 'rows' | 'actor'>): LiveEvent {
+    const ev: LiveEvent = { id: `${boot}-${++seq}`, at: new Date().toISOString(), ...input };
+    buffer.push(ev);
+    if (buffer.length > LIVE_FEED_BUFFER) buffer.splice(0, buffer.length - LIVE_FEED_BUFFER);
+    events.emit('event', ev);
+    return ev;
+  }
+
+  return {
+    publish,
+
+    /* Push the change an audit entry describes; entries without a live event are ignored */
+    publishAudit(entry: Pick<AuditInput, 'action' | 'keys' | 'after'>, actor: string | null | undefined) {
+      const ev = liveEventOf(entry);
+      return ev && ev.keys.length ? publish({ ...ev, actor: actor ?? null }) : null;
+    },
+
+    /* Events after lastId; null when they are no longer all known (the client must reload) */
+    since(lastId: string | null | undefined): LiveEvent[] | null {
+      if (!lastId) return [];
+      const [b, n] = lastId.split('-');
+      const last = Number(n);
+      if (b !== boot || !Number.isInteger(last) || last > seq) return null;
+      if (last === seq) return [];
+      const first = buffer.length ? Number(buffer[0].id.split('-')[1]) : seq + 1;
+      if (last + 1 < first) return null;
+      return buffer.slice(last + 1 - first);
+    },
+
+    lastId: () => (seq ? `${boot}-${seq}` : null),
+
+    subscribe(fn: (ev: LiveEvent) => void) {
+      events.on('event', fn);
+      return () => { events.off('event', fn); };
+    },
+
+    listeners: () => events.listenerCount('event')
+  };
+}
+
+export type LiveFeed = ReturnType<typeof createLiveFeed>;
@@ -0,0 +1,129 @@
+/**
+ * src/lookup-cache.ts
+ *
+ * Cache of normalized gateway answers (src/gateways.ts), keyed like the bill `key`: `${sku}::${account}`.
+ * - Two TTLs: answers with a debt (total > 0) go stale quickly because the bill can be paid elsewhere;
+ *   "no debt" answers only change when a new billing cycle starts.
+ *     LOOKUP_CACHE_TTL_SEC        (default 900)    positive answers
+ *     LOOKUP_CACHE_EMPTY_TTL_SEC  (default 21600)  "no debt / no data" answers
+ *   A TTL of 0 disables caching for that kind of answer.
+ * - Upstream errors are never cached.
+ * - Backends: Postgres table lookup_cache (migrations/006_lookup_cache.sql) when a pool is given,
+ *   otherwise a bounded in-process Map (LOOKUP_CACHE_MAX_ENTRIES, default 20000).
+ * - Callers pass fresh=true to skip the read (the new answer still refreshes the entry).
+ *
+ * Every answer is reported with { cached: boolean, cache_age_sec: number | null }.
+ */
+
+import type { Pool } from 'pg';
+
+export const LOOKUP_CACHE_TTL_SEC = Number(process.env.LOOKUP_CACHE_TTL_SEC ?? 15 * 60);
+export const LOOKUP_CACHE_EMPTY_TTL_SEC = Number(process.env.LOOKUP_CACHE_EMPTY_TTL_SEC ?? 6 * 3600);
+const LOOKUP_CACHE_MAX_ENTRIES = Number(process.env.LOOKUP_CACHE_MAX_ENTRIES || 20000);
+
+type Entry = { normalized: any; cached_at: number; expires_at: number };
+
+export type CachedLookup = { normalized: any; cached: boolean; cache_age_sec: number | null };
+
+export function cacheKey(sku: string, account: string) {
+  return `${sku}::${account}`;
+}
+
+function hasDebt(normalized: any) {
+  const n = Number(normalized?.total ?? normalized?.amount_current ?? 0);
+  return Number.isFinite(n) && n > 0;
+}
+
+function ttlFor(normalized: any) {
+  return hasDebt(normalized) ? LOOKUP_CACHE_TTL_SEC : LOOKUP_CACHE_EMPTY_TTL_SEC;
+}
+
+export function createLookupCache(opts: { pool: Pool | null }) {
+  const pool = opts.pool;
+  const MEM = new Map<string, Entry>();
+
+  async function read(key: string): Promise<Entry | null> {
+    if (pool) {
+      const { rows } = await pool.query(
+        'SELECT result, cached_at, expires_at FROM lookup_cache WHERE key = $1 AND expires_at > now()',
+        [key]
+      );
+      if (!rows.length) return null;
+      return {
+        normalized: rows[0].result,
+        cached_at: new Date(rows[0].cached_at).getTime(),
+        expires_at: new Date(rows[0].expires_at).getTime()
+      };
+    }
+    const e = MEM.get(key);
+    if (!e) return null;
+    if (e.expires_at <= Date.now()) { MEM.delete(key); return null; }
+    return e;
+  }
+
+  async function write(key: string, normalized: any) {
+    const ttl = ttlFor(normalized);
+    if (!(ttl > 0)) return;
+    const now = Date.now();
+    if (pool) {
+      await pool.query(
+        `INSERT INTO lookup_cache (key, result, has_debt, cached_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (key) DO UPDATE SET result = EXCLUDED.result, has_debt = EXCLUDED.has_debt,
+           cached_at = EXCLUDED.cached_at, expires_at = EXCLUDED.expires_at`,
+        [key, JSON.stringify(normalized), hasDebt(normalized), new Date(now), new Date(now + ttl * 1000)]
+      );
+      return;
+    }
+    MEM.delete(key);
+    MEM.set(key, { normalized, cached_at: now, expires_at: now + ttl * 1000 });
+    // Map keeps insertion order: drop the oldest entries once over the cap
+    while (MEM.size > LOOKUP_CACHE_MAX_ENTRIES) {
+      const oldest = MEM.keys().next().value;
+      if (oldest === undefined) break;
+      MEM.delete(oldest);
+    }
+  }
+
+  return {
+    /*
+     * Cached answer for sku::account, or the result of fetchFresh() (which is then stored).
+     * Cache backend failures are logged and treated as a miss so lookups keep working.
+     */
+    async lookup(sku: string, account: string, fresh: boolean, fetchFresh: () => Promise<any>): Promise<CachedLookup> {
+      const key = cacheKey(sku, account);
+      if (!fresh) {
+        try {
+          const hit = await read(key);
+          if (hit) {
+            return { normalized: hit.normalized, cached: true, cache_age_sec: Math.max(0, Math.round((Date.now() - hit.cached_at) / 1000)) };
+          }
+        } catch (err: any) {
+          console.warn('[lookup-cache] read failed', key, err?.message || err);
+        }
+      }
+      const normalized = await fetchFresh();
+      try {
+        await write(key, normalized);
+      } catch (err: any) {
+        console.warn('[lookup-cache] write failed', key, err?.message || err);
+      }
+      return { normalized, cached: false, cache_age_sec: null };
+    },
+
+    async invalidate(sku: string, account: string) {
+      const key = cacheKey(sku, account);
+      if (pool) await pool.query('DELETE FROM lookup_cache WHERE key = $1', [key]);
+      else MEM.delete(key);
+    },
+
+    /* Drop expired rows (Postgres); the memory backend expires lazily */
+    async purgeExpired() {
+      if (!pool) return 0;
+      const { rowCount } = await pool.query('DELETE FROM lookup_cache WHERE expires_at <= now()');
+      return rowCount || 0;
+    }
+  };
+}
+
+export type LookupCache = ReturnType<typeof createLookupCache>;
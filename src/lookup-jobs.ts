@@ -0,0 +1,454 @@
+/**
+ * src/lookup-jobs.ts
+ *
+ * Asynchronous bulk-lookup jobs used by /api/lookup-jobs (server.ts).
+ * - A job holds one row per account (lookup_job_items) with its own status:
+ *     pending -> running -> ok | failed, or pending -> cancelled
+ * - Accounts are looked up in the background through one limiter shared by every job,
+ *   so several jobs never multiply the load on the upstream.
+ * - Each finished item gets a per-job sequence number (seq) so clients can page through
+ *   partial results with ?since=<seq> while the job is still running.
+ * - Progress is published on an in-process emitter (subscribe) for the event stream.
+ *
+ * Persistence:
+ * - Postgres (lookup_jobs + lookup_job_items, see migrations/005_lookup_jobs.sql) when a pool is given;
+ *   jobs left 'running' by a restart are picked up again by resumeInterrupted().
+ * - Otherwise an in-memory store (dev): jobs are lost on restart.
+ *
+ * Job summary shape:
+ *   { id, sku, fresh, status: 'running'|'completed'|'cancelled', total, ok, failed, cancelled, pending,
+ *     done, percent, created_by, created_at, updated_at, finished_at }
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import pLimit from 'p-limit';
+import type { Pool } from 'pg';
+
+export type JobStatus = 'running' | 'completed' | 'cancelled';
+export type ItemStatus = 'pending' | 'running' | 'ok' | 'failed' | 'cancelled';
+
+export type LookupJob = {
+  id: string;
+  sku: string;
+  fresh: boolean;      // bypass the lookup cache for every account
+  status: JobStatus;
+  total: number;
+  ok: number;
+  failed: number;
+  cancelled: number;
+  seq: number;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+  finished_at: string | null;
+};
+
+export type LookupJobItem = {
+  job_id: string;
+  idx: number;
+  account: string;
+  status: ItemStatus;
+  attempts: number;
+  seq: number | null;
+  result: any;
+  error: string | null;
+  updated_at: string | null;
+};
+
+export type JobEvent =
+  | { type: 'progress' | 'done'; job: ReturnType<typeof summarize> }
+  | { type: 'item'; job: ReturnType<typeof summarize>; item: ReturnType<typeof publicItem> };
+
+type ItemCounts = { ok: number; failed: number; cancelled: number };
+
+interface JobStore {
+  insertJob(job: LookupJob, accounts: string[]): Promise<void>;
+  getJob(id: string): Promise<LookupJob | null>;
+  listJobs(limit: number, createdBy: string | null): Promise<LookupJob[]>;
+  saveJob(job: LookupJob): Promise<void>;
+  saveItem(item: LookupJobItem): Promise<void>;
+  pendingItems(jobId: string): Promise<LookupJobItem[]>;
+  listItems(jobId: string, q: { statuses: ItemStatus[] | null; since: number | null; offset: number; limit: number }): Promise<LookupJobItem[]>;
+  resetItems(jobId: string, from: ItemStatus[], to: ItemStatus): Promise<number>;
+  countItems(jobId: string): Promise<ItemCounts>;
+  runningJobIds(): Promise<string[]>;
+}
+
+function nowISO() { return new Date().toISOString(); }
+
+/* ----------------------------------------------------------------------
+   Stores
+   ---------------------------------------------------------------------- */
+
+function memoryStore(): JobStore {
+  const JOBS = new Map<string, LookupJob>();
+  const ITEMS = new Map<string, LookupJobItem[]>();
+  const items = (id: string) => ITEMS.get(id) || [];
+  return {
+    async insertJob(job, accounts) {
+      JOBS.set(job.id, job);
+      ITEMS.set(job.id, accounts.map((account, idx) => ({
+        job_id: job.id, idx, account, status: 'pending', attempts: 0, seq: null, result: null, error: null, updated_at: null
+      })));
+    },
+    async getJob(id) { return JOBS.get(id) || null; },
+    async listJobs(limit, createdBy) {
+      return Array.from(JOBS.values())
+        .filter(j => !createdBy || j.created_by === createdBy)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    },
+    async saveJob(job) { JOBS.set(job.id, job); },
+    async saveItem() { /* items are mutated in place */ },
+    async pendingItems(jobId) { return items(jobId).filter(i => i.status === 'pending'); },
+    async listItems(jobId, q) {
+      let arr = items(jobId).filter(i => (q.statuses ? q.statuses.includes(i.status) : true));
+      if (q.since != null) arr = arr.filter(i => i.seq != null && i.seq > q.since!).sort((a, b) => a.seq! - b.seq!);
+      return arr.slice(q.offset, q.offset + q.limit);
+    },
+    async resetItems(jobId, from, to) {
+      let n = 0;
+      items(jobId).forEach(i => { if (from.includes(i.status)) { i.status = to; n++; } });
+      return n;
+    },
+    async countItems(jobId) {
+      const c: ItemCounts = { ok: 0, failed: 0, cancelled: 0 };
+      items(jobId).forEach(i => { if (i.status === 'ok' || i.status === 'failed' || i.status === 'cancelled') c[i.status]++; });
+      return c;
+    },
+    async runningJobIds() { return Array.from(JOBS.values()).filter(j => j.status === 'running').map(j => j.id); }
+  };
+}
+
+function pgStore(pool: Pool): JobStore {
+  const toJob = (r: any): LookupJob => ({
+    id: r.id, sku: r.sku, fresh: !!r.fresh, status: r.status, total: Number(r.total), ok: Number(r.ok), failed: Number(r.failed),
+    cancelled: Number(r.cancelled), seq: Number(r.seq), created_by: r.created_by,
+    created_at: new Date(r.created_at).toISOString(), updated_at: new Date(r.updated_at).toISOString(),
+    finished_at: r.finished_at ? new Date(r.finished_at).toISOString() : null
+  });
+  const toItem = (r: any): LookupJobItem => ({
+    job_id: r.job_id, idx: Number(r.idx), account: r.account, status: r.status, attempts: Number(r.attempts),
+    seq: r.seq == null ? null : Number(r.seq), result: r.result, error: r.error,
+    updated_at: r.updated_at ? new Date(r.updated_at).toISOString() : null
+  });
+  return {
+    async insertJob(job, accounts) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(
+          `INSERT INTO lookup_jobs (id, sku, fresh, status, total, ok, failed, cancelled, seq, created_by, created_at, updated_at)
+           VALUES ($1,$2,$3,$4,$5,0,0,0,0,$6,$7,$7)`,
+          [job.id, job.sku, job.fresh, job.status, job.total, job.created_by, job.created_at]
+        );
+        await client.query(
+          `INSERT INTO lookup_job_items (job_id, idx, account)
+           SELECT $1, t.i - 1, t.a FROM unnest($2::text[]) WITH ORDINALITY AS t(a, i)`,
+          [job.id, accounts]
+        );
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+      } finally {
+        client.release();
+      }
+    },
+    async getJob(id) {
+      const { rows } = await pool.query('SELECT * FROM lookup_jobs WHERE id = $1', [id]);
+      return rows[0] ? toJob(rows[0]) : null;
+    },
+    async listJobs(limit, createdBy) {
+      const { rows } = createdBy
+        ? await pool.query('SELECT * FROM lookup_jobs WHERE created_by = $1 ORDER BY created_at DESC LIMIT $2', [createdBy, limit])
+        : await pool.query('SELECT * FROM lookup_jobs ORDER BY created_at DESC LIMIT $1', [limit]);
+      return rows.map(toJob);
+    },
+    async saveJob(job) {
+      await pool.query(
+        `UPDATE lookup_jobs SET status = $2, ok = $3, failed = $4, cancelled = $5, seq = $6, updated_at = $7, finished_at = $8
+         WHERE id = $1`,
+        [job.id, job.status, job.ok, job.failed, job.cancelled, job.seq, job.updated_at, job.finished_at]
+      );
+    },
+    async saveItem(item) {
+      await pool.query(
+        `UPDATE lookup_job_items SET status = $3, attempts = $4, seq = $5, result = $6, error = $7, updated_at = $8
+         WHERE job_id = $1 AND idx = $2`,
+        [item.job_id, item.idx, item.status, item.attempts, item.seq,
+          item.result == null ? null : JSON.stringify(item.result), item.error, item.updated_at]
+      );
+    },
+    async pendingItems(jobId) {
+      const { rows } = await pool.query(`SELECT * FROM lookup_job_items WHERE job_id = $1 AND status = 'pending' ORDER BY idx`, [jobId]);
+      return rows.map(toItem);
+    },
+    async listItems(jobId, q) {
+      const where = ['job_id = $1'];
+      const params: any[] = [jobId];
+      if (q.statuses) { params.push(q.statuses); where.push(`status = ANY($${params.length})`); }
+      if (q.since != null) { params.push(q.since); where.push(`seq > $${params.length}`); }
+      params.push(q.limit, q.offset);
+      const { rows } = await pool.query(
+        `SELECT * FROM lookup_job_items WHERE ${where.join(' AND ')}
+         ORDER BY ${q.since != null ? 'seq' : 'idx'} LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return rows.map(toItem);
+    },
+    async resetItems(jobId, from, to) {
+      const { rowCount } = await pool.query(
+        'UPDATE lookup_job_items SET status = $3 WHERE job_id = $1 AND status = ANY($2)',
+        [jobId, from, to]
+      );
+      return rowCount || 0;
+    },
+    async countItems(jobId) {
+      const { rows } = await pool.query(
+        `SELECT count(*) FILTER (WHERE status = 'ok') AS ok,
+                count(*) FILTER (WHERE status = 'failed') AS failed,
+                count(*) FILTER (WHERE status = 'cancelled') AS cancelled
+         FROM lookup_job_items WHERE job_id = $1`,
+        [jobId]
+      );
+      return { ok: Number(rows[0].ok), failed: Number(rows[0].failed), cancelled: Number(rows[0].cancelled) };
+    },
+    async runningJobIds() {
+      const { rows } = await pool.query(`SELECT id FROM lookup_jobs WHERE status = 'running' ORDER BY created_at`);
+      return rows.map((r: any) => r.id);
+    }
+  };
+}
+
+/* ----------------------------------------------------------------------
+   Public shapes
+   ---------------------------------------------------------------------- */
+
+export function summarize(job: LookupJob) {
+  const done = job.ok + job.failed;
+  return {
+    id: job.id,
+    sku: job.sku,
+    fresh: job.fresh,
+    status: job.status,
+    total: job.total,
+    ok: job.ok,
+    failed: job.failed,
+    cancelled: job.cancelled,
+    pending: Math.max(0, job.total - done - job.cancelled),
+    done,
+    percent: job.total ? Math.round((done + job.cancelled) * 1000 / job.total) / 10 : 100,
+    created_by: job.created_by,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at
+  };
+}
+
+/* Same per-account shape as the old /api/check-electricity/bulk response, plus job bookkeeping */
+export function publicItem(item: LookupJobItem) {
+  return {
+    idx: item.idx,
+    seq: item.seq,
+    account: item.account,
+    status: item.status,
+    ok: item.status === 'ok',
+    normalized: item.result?.normalized ?? null,
+    gateway: item.result?.normalized?.gateway ?? null,
+    cached: !!item.result?.cached,
+    cache_age_sec: item.result?.cache_age_sec ?? null,
+    error: item.error,
+    attempts: item.attempts,
+    updated_at: item.updated_at
+  };
+}
+
+/* ----------------------------------------------------------------------
+   Job manager
+   ---------------------------------------------------------------------- */
+
+export function createLookupJobs(opts: {
+  pool: Pool | null;
+  // Resolves to { normalized, cached, cache_age_sec } (see src/lookup-cache.ts); rejects on upstream failure
+  lookup: (account: string, sku: string, fresh: boolean) => Promise<any>;
+  concurrency: number;
+  // Per-SKU cap (provider catalog override); null = only the shared limit applies
+  concurrencyFor?: (sku: string) => Promise<number | null>;
+}) {
+  const store = opts.pool ? pgStore(opts.pool) : memoryStore();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const limit = pLimit(Math.max(1, opts.concurrency));
+  const skuLimits = new Map<string, { cap: number; limit: ReturnType<typeof pLimit> }>();
+
+  // Shared across jobs for the same SKU; rebuilt when the provider's cap changes
+  async function skuLimit(sku: string) {
+    const cap = opts.concurrencyFor ? await opts.concurrencyFor(sku).catch(() => null) : null;
+    if (!cap) return null;
+    let entry = skuLimits.get(sku);
+    if (!entry || entry.cap !== cap) {
+      entry = { cap, limit: pLimit(cap) };
+      skuLimits.set(sku, entry);
+    }
+    return entry.limit;
+  }
+  const active = new Map<string, LookupJob>();      // jobs with a worker in this process
+  const saveChains = new Map<string, Promise<void>>();
+
+  function emit(job: LookupJob, type: 'progress' | 'done') {
+    events.emit(job.id, { type, job: summarize(job) } as JobEvent);
+  }
+
+  // Job rows are written after every item; chain the writes so an older snapshot never lands last
+  function persistJob(job: LookupJob) {
+    const next = (saveChains.get(job.id) || Promise.resolve())
+      .then(() => store.saveJob(job))
+      .catch((err: any) => console.warn('[lookup-jobs] Failed to save job', job.id, err?.message || err));
+    saveChains.set(job.id, next);
+    return next;
+  }
+
+  async function recount(job: LookupJob) {
+    Object.assign(job, await store.countItems(job.id));
+  }
+
+  async function run(job: LookupJob) {
+    if (active.has(job.id)) return;
+    active.set(job.id, job);
+    try {
+      await recount(job);
+      job.status = 'running';
+      job.finished_at = null;
+      job.updated_at = nowISO();
+      await persistJob(job);
+      emit(job, 'progress');
+
+      const items = await store.pendingItems(job.id);
+      const perSku = await skuLimit(job.sku);
+      const schedule = <T>(fn: () => Promise<T>) => perSku ? perSku(() => limit(fn)) : limit(fn);
+      await Promise.all(items.map(item => schedule(async () => {
+        if (job.status === 'cancelled' || item.status !== 'pending') return;
+        item.status = 'running';
+        item.attempts += 1;
+        try {
+          item.result = await opts.lookup(item.account, job.sku, job.fresh);
+          item.status = 'ok';
+          item.error = null;
+          job.ok += 1;
+        } catch (err: any) {
+          item.status = 'failed';
+          item.error = err?.message || 'Upstream error';
+          job.failed += 1;
+        }
+        item.seq = ++job.seq;
+        item.updated_at = job.updated_at = nowISO();
+        try {
+          await store.saveItem(item);
+        } catch (err: any) {
+          console.warn('[lookup-jobs] Failed to save item', job.id, item.idx, err?.message || err);
+        }
+        persistJob(job);
+        events.emit(job.id, { type: 'item', job: summarize(job), item: publicItem(item) } as JobEvent);
+      })));
+
+      await recount(job);
+      // cancel() may have flipped the status while items were running
+      if ((job.status as JobStatus) !== 'cancelled') job.status = 'completed';
+      job.finished_at = job.updated_at = nowISO();
+      await persistJob(job);
+      emit(job, 'done');
+    } catch (err: any) {
+      console.warn('[lookup-jobs] Job worker stopped', job.id, err?.message || err);
+    } finally {
+      active.delete(job.id);
+      saveChains.delete(job.id);
+    }
+  }
+
+  async function load(id: string) {
+    return active.get(id) || await store.getJob(id);
+  }
+
+  return {
+    async create(input: { accounts: string[]; sku: string; fresh: boolean; createdBy: string | null }) {
+      const now = nowISO();
+      const job: LookupJob = {
+        id: crypto.randomUUID(), sku: input.sku, fresh: input.fresh, status: 'running', total: input.accounts.length,
+        ok: 0, failed: 0, cancelled: 0, seq: 0, created_by: input.createdBy,
+        created_at: now, updated_at: now, finished_at: null
+      };
+      await store.insertJob(job, input.accounts);
+      void run(job);
+      return summarize(job);
+    },
+
+    async get(id: string) {
+      const job = await load(id);
+      return job ? summarize(job) : null;
+    },
+
+    async list(limitCount: number, createdBy: string | null) {
+      const rows = await store.listJobs(limitCount, createdBy);
+      return rows.map(j => summarize(active.get(j.id) || j));
+    },
+
+    async results(id: string, q: { statuses: ItemStatus[] | null; since: number | null; offset: number; limit: number }) {
+      return (await store.listItems(id, q)).map(publicItem);
+    },
+
+    /* Stop scheduling new accounts; lookups already in flight still finish and are kept */
+    async cancel(id: string) {
+      const job = await load(id);
+      if (!job) return null;
+      if (job.status !== 'running') return summarize(job);
+      job.status = 'cancelled';
+      await store.resetItems(id, ['pending'], 'cancelled');
+      await recount(job);
+      job.updated_at = nowISO();
+      if (!active.has(id)) job.finished_at = job.updated_at;
+      await persistJob(job);
+      emit(job, active.has(id) ? 'progress' : 'done');
+      return summarize(job);
+    },
+
+    /* Re-queue only the failed accounts (and, on request, the cancelled ones) */
+    async retry(id: string, includeCancelled = false) {
+      const job = await load(id);
+      if (!job) return null;
+      if (active.has(id)) throw Object.assign(new Error('Job is still running'), { status: 409 });
+      const n = await store.resetItems(id, includeCancelled ? ['failed', 'cancelled'] : ['failed'], 'pending');
+      if (n > 0) {
+        await recount(job);
+        job.status = 'running';
+        job.finished_at = null;
+        void run(job);
+      }
+      return { requeued: n, job: summarize(job) };
+    },
+
+    /* Pick up jobs a previous process left 'running' (Postgres mode) */
+    async resumeInterrupted() {
+      const ids = await store.runningJobIds();
+      for (const id of ids) {
+        if (active.has(id)) continue;
+        const job = await store.getJob(id);
+        if (!job) continue;
+        await store.resetItems(id, ['running'], 'pending');
+        console.info('[lookup-jobs] Resuming interrupted job', id);
+        void run(job);
+      }
+      return ids.length;
+    },
+
+    isActive(id: string) { return active.has(id); },
+
+    subscribe(id: string, fn: (ev: JobEvent) => void) {
+      events.on(id, fn);
+      return () => { events.off(id, fn); };
+    }
+  };
+}
+
+export type LookupJobs = ReturnType<typeof createLookupJobs>;
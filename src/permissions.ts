@@ -0,0 +1,75 @@
+/**
+ * src/permissions.ts
+ *
+ * Role -> permission map enforced by server.ts (requirePermission) and the Netlify functions.
+ * - Roles come from employees.role ('admin' | 'user').
+ * - 'admin' holds every permission ('*'); 'user' (staff) gets the day-to-day set below.
+ * - ROLE_PERMISSIONS env (JSON, e.g. {"user":["lookup","sell"]}) replaces the list for the roles it names.
+ *
+ * Denied calls answer 403 with forbiddenBody(permission):
+ *   { error: 'Forbidden', code: 'forbidden', permission }
+ */
+
+export const PERMISSIONS = [
+  'lookup',            // POST /api/check-electricity (+ bulk)
+  'kho.view',          // GET  /api/kho/list
+  'kho.import',        // POST /api/kho/import
+  'kho.remove',        // POST /api/kho/remove
+  'kho.verify',        // POST /api/kho/verify (re-query the gateway for KHO bills)
+  'members.view',      // GET  /api/members
+  'members.create',    // POST /api/members
+  'members.update',    // PUT  /api/members/:id
+  'ledger.view',       // GET  /api/members/:id/ledger, /api/members/:id/statement
+  'ledger.record',     // POST /api/members/:id/payments
+  'ledger.adjust',     // POST /api/members/:id/adjustments, setting members.credit_limit
+  'sell',              // POST /api/sell
+  'sell.reverse',      // POST /api/history/reverse
+  'history.view',      // GET  /api/history
+  'export',            // GET  /api/export-excel, history CSV
+  'employees.view',    // GET  /api/employees, employee notes (list/add/delete own)
+  'employees.manage',  // POST/PUT/DELETE /api/employees, delete any note
+  'providers.manage',  // POST/PUT/DELETE /api/providers, list disabled providers
+  'pricing.manage',    // POST/PUT/DELETE /api/pricing/rules
+  'audit.view',        // GET  /api/audit
+  'reports.view',      // GET  /api/reports/*, dashboard
+  'watchlists',        // /api/watchlists: view and run every list, create / change / delete own lists
+  'watchlists.manage'  // change / delete lists owned by others
+] as const;
+
+export type Permission = typeof PERMISSIONS[number];
+
+const DEFAULT_ROLE_PERMISSIONS: Record<string, readonly string[]> = {
+  admin: ['*'],
+  user: ['lookup', 'kho.view', 'kho.import', 'kho.verify', 'members.view', 'ledger.view', 'ledger.record', 'sell', 'history.view', 'export', 'employees.view', 'watchlists']
+};
+
+function loadRolePermissions(): Record<string, readonly string[]> {
+  const map: Record<string, readonly string[]> = { ...DEFAULT_ROLE_PERMISSIONS };
+  const raw = (process.env.ROLE_PERMISSIONS || '').trim();
+  if (!raw) return map;
+  try {
+    const parsed = JSON.parse(raw);
+    for (const [role, list] of Object.entries(parsed || {})) {
+      if (Array.isArray(list)) map[role] = list.map(String);
+    }
+  } catch (err: any) {
+    console.warn('[permissions] Ignoring invalid ROLE_PERMISSIONS JSON', err?.message || err);
+  }
+  return map;
+}
+
+const ROLE_PERMISSIONS = loadRolePermissions();
+
+export function can(role: string | null | undefined, permission: Permission): boolean {
+  const granted = ROLE_PERMISSIONS[String(role || '')] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+/* Expanded permission list for a role (used by /api/auth/me so the UI stops guessing) */
+export function permissionsFor(role: string | null | undefined): Permission[] {
+  return PERMISSIONS.filter(p => can(role, p));
+}
+
+export function forbiddenBody(permission: Permission) {
+  return { error: 'Forbidden', code: 'forbidden', permission };
+}
@@ -0,0 +1,269 @@
+/**
+ * src/pricing.ts
+ *
+ * Sale pricing rules (table `pricing_rules`, migrations/010_pricing.sql) and the price of each sold bill.
+ * - A rule has an optional member_id and provider_id and sets discount_rate (fraction of the bill total
+ *   taken off, 0.025 = 2.5%) and/or fee (fixed VND added per bill).
+ * - For a bill, each field comes from the most specific rule that sets it:
+ *     member + provider  >  member  >  provider  >  default (neither)  >  PRICING_DEFAULT_RATE / PRICING_DEFAULT_FEE
+ * - sale_price = round(total * (1 - discount_rate)) + fee is what the Khách Hàng Thẻ pays;
+ *   margin = sale_price - total (against the bill's face value).
+ * - Backends: Postgres pool, Supabase REST (Netlify functions) or an in-process list, as in src/providers.ts;
+ *   reads are cached for PRICING_CACHE_SEC (default 30) and writes in this process clear the cache.
+ */
+
+import crypto from 'crypto';
+import type { Pool } from 'pg';
+import type { KhoItem, Member } from './repository.js';
+import { verificationOf } from './kho-verify.js';
+import { creditCheck } from './ledger.js';
+
+export type PricingRule = {
+  id: string | number;
+  member_id: string | null;
+  provider_id: string | null;
+  discount_rate: number | null;
+  fee: number | null;
+  note: string | null;
+  created_at?: string;
+  updated_at?: string;
+};
+
+export type PricingRuleInput = Partial<Pick<PricingRule, 'member_id' | 'provider_id' | 'discount_rate' | 'fee' | 'note'>>;
+
+export type BillPrice = { discount_rate: number; fee: number; sale_price: number; margin: number };
+
+const PRICING_CACHE_SEC = Number(process.env.PRICING_CACHE_SEC ?? 30);
+const PRICING_DEFAULT_RATE = Number(process.env.PRICING_DEFAULT_RATE || 0);
+const PRICING_DEFAULT_FEE = Number(process.env.PRICING_DEFAULT_FEE || 0);
+
+const COLUMNS = ['member_id', 'provider_id', 'discount_rate', 'fee', 'note'] as const;
+
+function toRule(r: any): PricingRule {
+  const n = (v: any) => (v == null ? null : Number(v));
+  return {
+    id: r.id,
+    member_id: r.member_id == null ? null : String(r.member_id),
+    provider_id: r.provider_id ?? null,
+    discount_rate: n(r.discount_rate),
+    fee: n(r.fee),
+    note: r.note ?? null,
+    created_at: r.created_at instanceof Date ? r.created_at.toISOString() : r.created_at,
+    updated_at: r.updated_at instanceof Date ? r.updated_at.toISOString() : r.updated_at
+  };
+}
+
+export function priceBill(total: number, discountRate: number, fee: number): BillPrice {
+  const sale_price = Math.round(total * (1 - discountRate)) + fee;
+  return { discount_rate: discountRate, fee, sale_price, margin: sale_price - total };
+}
+
+/* Most specific first: member + provider, member, provider, default */
+function specificity(rule: PricingRule) {
+  return (rule.member_id != null ? 2 : 0) + (rule.provider_id != null ? 1 : 0);
+}
+
+/*
+ * Price function for one member over a rule set; each field falls back independently
+ * to the next less specific rule that sets it.
+ */
+export function pricerFor(rules: PricingRule[], memberId: string | number | null) {
+  const member = memberId == null ? null : String(memberId);
+  const relevant = rules
+    .filter(r => r.member_id == null || r.member_id === member)
+    .sort((a, b) => specificity(b) - specificity(a));
+  return (item: { provider_id: string; total: number }): BillPrice => {
+    const matching = relevant.filter(r => r.provider_id == null || r.provider_id === item.provider_id);
+    const rate = matching.find(r => r.discount_rate != null)?.discount_rate ?? PRICING_DEFAULT_RATE;
+    const fee = matching.find(r => r.fee != null)?.fee ?? PRICING_DEFAULT_FEE;
+    return priceBill(item.total, rate, fee);
+  };
+}
+
+/* ---- Stores ---- */
+
+interface PricingStore {
+  list(): Promise<PricingRule[]>;
+  insert(r: PricingRuleInput): Promise<PricingRule>;
+  update(id: string, patch: PricingRuleInput): Promise<PricingRule | null>;
+  remove(id: string): Promise<boolean>;
+}
+
+function memoryStore(): PricingStore {
+  const rows = new Map<string, PricingRule>();
+  return {
+    async list() { return Array.from(rows.values()).map(r => ({ ...r })); },
+    async insert(r) {
+      const now = new Date().toISOString();
+      const row: PricingRule = {
+        id: crypto.randomUUID(), member_id: null, provider_id: null, discount_rate: null, fee: null, note: null,
+        ...r, created_at: now, updated_at: now
+      };
+      rows.set(String(row.id), row);
+      return { ...row };
+    },
+    async update(id, patch) {
+      const cur = rows.get(id);
+      if (!cur) return null;
+      const next = { ...cur, ...patch, updated_at: new Date().toISOString() };
+      rows.set(id, next);
+      return { ...next };
+    },
+    async remove(id) { return rows.delete(id); }
+  };
+}
+
+function pgStore(pool: Pool): PricingStore {
+  return {
+    async list() {
+      const { rows } = await pool.query('SELECT * FROM pricing_rules ORDER BY member_id NULLS FIRST, provider_id NULLS FIRST, id');
+      return rows.map(toRule);
+    },
+    async insert(r) {
+      const { rows } = await pool.query(
+        `INSERT INTO pricing_rules (${COLUMNS.join(', ')}, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, now(), now()) RETURNING *`,
+        COLUMNS.map(c => r[c] ?? null)
+      );
+      return toRule(rows[0]);
+    },
+    async update(id, patch) {
+      const keys = COLUMNS.filter(c => patch[c] !== undefined);
+      if (!keys.length) {
+        const { rows } = await pool.query('SELECT * FROM pricing_rules WHERE id::text = $1', [id]);
+        return rows[0] ? toRule(rows[0]) : null;
+      }
+      const sets = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+      const { rows } = await pool.query(
+        `UPDATE pricing_rules SET ${sets}, updated_at = now() WHERE id::text = $${keys.length + 1} RETURNING *`,
+        [...keys.map(k => patch[k]), id]
+      );
+      return rows[0] ? toRule(rows[0]) : null;
+    },
+    async remove(id) {
+      const { rowCount } = await pool.query('DELETE FROM pricing_rules WHERE id::text = $1', [id]);
+      return (rowCount || 0) > 0;
+    }
+  };
+}
+
+function supabaseStore(url: string, key: string): PricingStore {
+  const base = url.replace(/\/$/, '') + '/rest/v1/pricing_rules';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', Accept: 'application/json' };
+  async function call(path: string, init: RequestInit = {}) {
+    const resp = await fetch(base + path, { ...init, headers: { ...headers, ...(init.headers as any || {}) } });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      const err: any = new Error(`Supabase pricing_rules request failed: ${resp.status} ${txt.slice(0, 300)}`);
+      err.status = resp.status;
+      throw err;
+    }
+    const text = await resp.text();
+    return text ? JSON.parse(text) : null;
+  }
+  return {
+    async list() { return ((await call('?select=*&order=member_id.asc.nullsfirst,provider_id.asc.nullsfirst,id.asc')) || []).map(toRule); },
+    async insert(r) {
+      const rows = await call('', { method: 'POST', headers: { Prefer: 'return=representation' }, body: JSON.stringify(r) });
+      return toRule(rows[0]);
+    },
+    async update(id, patch) {
+      const rows = await call(`?id=eq.${encodeURIComponent(id)}`, {
+        method: 'PATCH', headers: { Prefer: 'return=representation' }, body: JSON.stringify({ ...patch, updated_at: new Date().toISOString() })
+      });
+      return rows?.[0] ? toRule(rows[0]) : null;
+    },
+    async remove(id) {
+      const rows = await call(`?id=eq.${encodeURIComponent(id)}`, { method: 'DELETE', headers: { Prefer: 'return=representation' } });
+      return Array.isArray(rows) && rows.length > 0;
+    }
+  };
+}
+
+/* ---- Pricing ---- */
+
+export function createPricing(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const store = opts.pool ? pgStore(opts.pool)
+    : opts.supabase ? supabaseStore(opts.supabase.url, opts.supabase.key)
+    : memoryStore();
+  let cache: { at: number; rows: PricingRule[] } | null = null;
+
+  async function all() {
+    if (cache && Date.now() - cache.at < PRICING_CACHE_SEC * 1000) return cache.rows;
+    const rows = await store.list();
+    cache = { at: Date.now(), rows };
+    return rows;
+  }
+
+  /* One rule per (member_id, provider_id) scope; throws err.code = 'duplicate' otherwise */
+  async function assertFreeScope(scope: PricingRuleInput, exceptId: string | null) {
+    const rows = await store.list();
+    const clash = rows.find(r => String(r.id) !== exceptId
+      && r.member_id === (scope.member_id ?? null) && r.provider_id === (scope.provider_id ?? null));
+    if (clash) throw Object.assign(new Error('A rule for this member / provider already exists'), { code: 'duplicate', id: clash.id });
+  }
+
+  return {
+    list: all,
+
+    async create(input: PricingRuleInput) {
+      await assertFreeScope(input, null);
+      cache = null;
+      return store.insert(input);
+    },
+
+    async update(id: string, patch: PricingRuleInput) {
+      const cur = (await store.list()).find(r => String(r.id) === id);
+      if (!cur) return null;
+      if (patch.member_id !== undefined || patch.provider_id !== undefined) {
+        await assertFreeScope({
+          member_id: patch.member_id !== undefined ? patch.member_id : cur.member_id,
+          provider_id: patch.provider_id !== undefined ? patch.provider_id : cur.provider_id
+        }, id);
+      }
+      cache = null;
+      return store.update(id, patch);
+    },
+
+    async remove(id: string) {
+      cache = null;
+      return store.remove(id);
+    },
+
+    /* Price function for a member's sale (rules are read once, the function itself is synchronous) */
+    async pricerFor(memberId: string | number | null) {
+      return pricerFor(await all(), memberId);
+    }
+  };
+}
+
+export type Pricing = ReturnType<typeof createPricing>;
+
+/* Sum of priced bills, as shown before confirming a sale and returned by /api/sell */
+export function priceTotals(rows: { total: number; sale_price: number | null; fee: number | null; margin: number | null }[]) {
+  return rows.reduce((acc, r) => ({
+    count: acc.count + 1,
+    total: acc.total + r.total,
+    fee: acc.fee + (r.fee ?? 0),
+    amount_due: acc.amount_due + (r.sale_price ?? r.total),
+    margin: acc.margin + (r.margin ?? 0)
+  }), { count: 0, total: 0, fee: 0, amount_due: 0, margin: 0 });
+}
+
+/* Body of POST /api/sell/quote (server.ts and netlify/functions/sell.ts): the requested bills found in KHO
+   priced for the member with their verification fields, the keys a sale would skip and the credit position */
+export function saleQuote(
+  keys: string[], items: KhoItem[], price: (item: KhoItem) => BillPrice, member: Pick<Member, 'credit_limit'> | null | undefined, balance: number
+) {
+  const priced = items.map(it => ({ key: it.key, account: it.account, provider_id: it.provider_id, total: it.total, ...price(it) }));
+  const found = new Set(items.map(it => it.key));
+  const totals = priceTotals(priced);
+  return {
+    items: priced.map((p, i) => ({ ...p, ...verificationOf(items[i]) })),
+    missing: keys.filter(k => !found.has(k)),
+    totals,
+    balance,
+    credit_limit: member?.credit_limit ?? null,
+    over_limit: !!member && !!creditCheck(member, balance, totals.amount_due)
+  };
+}
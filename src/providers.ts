@@ -0,0 +1,260 @@
+/**
+ * src/providers.ts
+ *
+ * Provider / SKU catalog (table `providers`, migrations/007_providers.sql).
+ * - Each provider: sku, name, region, enabled, account_pattern (regex for contract numbers),
+ *   concurrency and timeout_ms overrides (null = use NEW_API_CONCURRENCY / NEW_API_TIMEOUT_MS).
+ * - Backends: Postgres pool, Supabase REST (Netlify functions) or an in-process list seeded with
+ *   DEFAULT_PROVIDERS.
+ * - Reads go through a short cache (PROVIDERS_CACHE_SEC, default 30) because every lookup consults
+ *   the catalog; writes in this process clear it.
+ * - checkLookup() is the gate in front of every upstream lookup: unknown or disabled SKUs and
+ *   account numbers that do not match the provider's pattern never reach the gateway.
+ */
+
+import type { Pool } from 'pg';
+
+export type Provider = {
+  sku: string;
+  name: string;
+  region: string | null;
+  enabled: boolean;
+  account_pattern: string | null;
+  concurrency: number | null;
+  timeout_ms: number | null;
+  created_at?: string;
+  updated_at?: string;
+};
+
+export const DEFAULT_PROVIDERS: Provider[] = [
+  { sku: '00906815', name: 'Điện lực miền Nam', region: 'Miền Nam', enabled: true, account_pattern: null, concurrency: null, timeout_ms: null },
+  { sku: '00906819', name: 'Điện lực miền Bắc', region: 'Miền Bắc', enabled: true, account_pattern: null, concurrency: null, timeout_ms: null },
+  { sku: '00906818', name: 'Điện EVNHCMC', region: 'TP. Hồ Chí Minh', enabled: true, account_pattern: null, concurrency: null, timeout_ms: null },
+  { sku: '00906820', name: 'Điện EVN Hà Nội', region: 'Hà Nội', enabled: true, account_pattern: null, concurrency: null, timeout_ms: null },
+  { sku: '00906817', name: 'Điện An Giang', region: 'An Giang', enabled: true, account_pattern: null, concurrency: null, timeout_ms: null }
+];
+
+const PROVIDERS_CACHE_SEC = Number(process.env.PROVIDERS_CACHE_SEC ?? 30);
+
+const COLUMNS = ['sku', 'name', 'region', 'enabled', 'account_pattern', 'concurrency', 'timeout_ms'] as const;
+
+export type ProviderInput = Partial<Omit<Provider, 'created_at' | 'updated_at'>>;
+
+/*
+ * Validate and coerce a create/update body. Returns { value } or { error } (message for a 400).
+ * On update (partial=true) only the fields present are returned.
+ */
+export function parseProviderInput(body: any, partial: boolean): { value?: ProviderInput; error?: string } {
+  const out: ProviderInput = {};
+  const has = (k: string) => body && body[k] !== undefined;
+  if (!partial || has('sku')) {
+    const sku = String(body?.sku ?? '').trim();
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(sku)) return { error: 'sku is required (letters, digits, - or _, max 32)' };
+    out.sku = sku;
+  }
+  if (!partial || has('name')) {
+    const name = String(body?.name ?? '').trim();
+    if (!name) return { error: 'name is required' };
+    out.name = name.slice(0, 200);
+  }
+  if (has('region')) out.region = body.region == null || body.region === '' ? null : String(body.region).trim().slice(0, 100);
+  if (has('enabled')) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    out.enabled = body.enabled;
+  }
+  if (has('account_pattern')) {
+    const p = body.account_pattern == null || body.account_pattern === '' ? null : String(body.account_pattern);
+    if (p != null) {
+      try { new RegExp(p); } catch { return { error: 'account_pattern is not a valid regular expression' }; }
+    }
+    out.account_pattern = p;
+  }
+  for (const k of ['concurrency', 'timeout_ms'] as const) {
+    if (!has(k)) continue;
+    if (body[k] == null || body[k] === '') { out[k] = null; continue; }
+    const n = Number(body[k]);
+    if (!Number.isInteger(n) || n < 1) return { error: `${k} must be a positive integer or null` };
+    out[k] = n;
+  }
+  if (!partial) {
+    out.region = out.region ?? null;
+    out.enabled = out.enabled ?? true;
+    out.account_pattern = out.account_pattern ?? null;
+    out.concurrency = out.concurrency ?? null;
+    out.timeout_ms = out.timeout_ms ?? null;
+  }
+  return { value: out };
+}
+
+/* Whole-string match of an account number against a provider pattern (no pattern = anything goes) */
+export function matchesAccountPattern(provider: Provider, account: string) {
+  if (!provider.account_pattern) return true;
+  try {
+    return new RegExp(`^(?:${provider.account_pattern})$`).test(account);
+  } catch {
+    return true;
+  }
+}
+
+export type LookupCheck =
+  | { ok: true; provider: Provider; invalid: string[] }
+  | { ok: false; status: number; body: { error: string; code: string; sku: string } };
+
+interface ProviderStore {
+  list(): Promise<Provider[]>;
+  insert(p: Provider): Promise<Provider>;
+  update(sku: string, patch: ProviderInput): Promise<Provider | null>;
+  remove(sku: string): Promise<boolean>;
+}
+
+function memoryStore(): ProviderStore {
+  const rows = new Map<string, Provider>();
+  const now = new Date().toISOString();
+  for (const p of DEFAULT_PROVIDERS) rows.set(p.sku, { ...p, created_at: now, updated_at: now });
+  return {
+    async list() { return Array.from(rows.values()).map(p => ({ ...p })); },
+    async insert(p) {
+      const row = { ...p, created_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+      rows.set(p.sku, row);
+      return { ...row };
+    },
+    async update(sku, patch) {
+      const cur = rows.get(sku);
+      if (!cur) return null;
+      const next = { ...cur, ...patch, sku: patch.sku ?? sku, updated_at: new Date().toISOString() };
+      rows.delete(sku);
+      rows.set(next.sku, next);
+      return { ...next };
+    },
+    async remove(sku) { return rows.delete(sku); }
+  };
+}
+
+function pgStore(pool: Pool): ProviderStore {
+  return {
+    async list() {
+      const { rows } = await pool.query(`SELECT ${COLUMNS.join(', ')}, created_at, updated_at FROM providers ORDER BY sku`);
+      return rows;
+    },
+    async insert(p) {
+      const { rows } = await pool.query(
+        `INSERT INTO providers (${COLUMNS.join(', ')}, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, now(), now()) RETURNING *`,
+        COLUMNS.map(c => p[c])
+      );
+      return rows[0];
+    },
+    async update(sku, patch) {
+      const keys = COLUMNS.filter(c => patch[c] !== undefined);
+      if (!keys.length) {
+        const { rows } = await pool.query('SELECT * FROM providers WHERE sku = $1', [sku]);
+        return rows[0] || null;
+      }
+      const sets = keys.map((k, i) => `${k} = $${i + 1}`).join(', ');
+      const { rows } = await pool.query(
+        `UPDATE providers SET ${sets}, updated_at = now() WHERE sku = $${keys.length + 1} RETURNING *`,
+        [...keys.map(k => patch[k]), sku]
+      );
+      return rows[0] || null;
+    },
+    async remove(sku) {
+      const { rowCount } = await pool.query('DELETE FROM providers WHERE sku = $1', [sku]);
+      return (rowCount || 0) > 0;
+    }
+  };
+}
+
+function supabaseStore(url: string, key: string): ProviderStore {
+  const base = url.replace(/\/$/, '') + '/rest/v1/providers';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', Accept: 'application/json' };
+  async function call(path: string, init: RequestInit = {}) {
+    const resp = await fetch(base + path, { ...init, headers: { ...headers, ...(init.headers as any || {}) } });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      const err: any = new Error(`Supabase providers request failed: ${resp.status} ${txt.slice(0, 300)}`);
+      err.status = resp.status;
+      throw err;
+    }
+    const text = await resp.text();
+    return text ? JSON.parse(text) : null;
+  }
+  return {
+    async list() { return await call('?select=*&order=sku.asc') as Provider[]; },
+    async insert(p) {
+      const rows = await call('', { method: 'POST', headers: { Prefer: 'return=representation' }, body: JSON.stringify(p) });
+      return rows[0];
+    },
+    async update(sku, patch) {
+      const rows = await call(`?sku=eq.${encodeURIComponent(sku)}`, {
+        method: 'PATCH', headers: { Prefer: 'return=representation' }, body: JSON.stringify({ ...patch, updated_at: new Date().toISOString() })
+      });
+      return rows?.[0] || null;
+    },
+    async remove(sku) {
+      const rows = await call(`?sku=eq.${encodeURIComponent(sku)}`, { method: 'DELETE', headers: { Prefer: 'return=representation' } });
+      return Array.isArray(rows) && rows.length > 0;
+    }
+  };
+}
+
+export function createProviderCatalog(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const store = opts.pool ? pgStore(opts.pool)
+    : opts.supabase ? supabaseStore(opts.supabase.url, opts.supabase.key)
+    : memoryStore();
+  let cache: { at: number; rows: Provider[] } | null = null;
+
+  async function all() {
+    if (cache && Date.now() - cache.at < PROVIDERS_CACHE_SEC * 1000) return cache.rows;
+    const rows = await store.list();
+    cache = { at: Date.now(), rows };
+    return rows;
+  }
+
+  async function find(sku: string) {
+    return (await all()).find(p => p.sku === sku) || null;
+  }
+
+  return {
+    async list(q: { includeDisabled?: boolean } = {}) {
+      const rows = await all();
+      return q.includeDisabled ? rows : rows.filter(p => p.enabled);
+    },
+
+    get: find,
+
+    /* Throws err.code = 'duplicate' when the sku exists */
+    async create(input: ProviderInput) {
+      if ((await store.list()).some(p => p.sku === input.sku)) {
+        throw Object.assign(new Error('Provider already exists'), { code: 'duplicate' });
+      }
+      cache = null;
+      return store.insert(input as Provider);
+    },
+
+    async update(sku: string, patch: ProviderInput) {
+      if (patch.sku && patch.sku !== sku && (await store.list()).some(p => p.sku === patch.sku)) {
+        throw Object.assign(new Error('Provider already exists'), { code: 'duplicate' });
+      }
+      cache = null;
+      return store.update(sku, patch);
+    },
+
+    async remove(sku: string) {
+      cache = null;
+      return store.remove(sku);
+    },
+
+    /*
+     * Gate for lookups: 400 for unknown / disabled SKUs; `invalid` lists accounts that do not
+     * match the provider's account_pattern (callers decide whether that fails the request or the item).
+     */
+    async checkLookup(sku: string, accounts: string[]): Promise<LookupCheck> {
+      const provider = await find(sku);
+      if (!provider) return { ok: false, status: 400, body: { error: 'Unknown provider', code: 'unknown_provider', sku } };
+      if (!provider.enabled) return { ok: false, status: 400, body: { error: 'Provider is disabled', code: 'provider_disabled', sku } };
+      return { ok: true, provider, invalid: accounts.filter(a => !matchesAccountPattern(provider, a)) };
+    }
+  };
+}
+
+export type ProviderCatalog = ReturnType<typeof createProviderCatalog>;
@@ -0,0 +1,139 @@
+/**
+ * src/receipt.ts
+ *
+ * Receipt of one sale (SaleDetail from src/repository.ts), shared by server.ts and the Netlify sales function.
+ * - receiptHtml(): standalone printable page (its "In" button and the browser print both give an A4 sheet).
+ * - receiptWorkbook(): the same content as an ExcelJS workbook.
+ * - One line per bill: account, name, address, face value and the price charged. Reversed bills stay
+ *   listed, struck through, and are not counted in the totals (the sale's amounts already leave them out).
+ */
+
+import ExcelJS from 'exceljs';
+import type { SaleDetail } from './repository.js';
+
+export type ReceiptOptions = {
+  providerNames?: Map<string, string>;
+  shopName?: string;
+};
+
+const RECEIPT_SHOP_NAME = process.env.RECEIPT_SHOP_NAME || 'Tra cứu & Bán Bill';
+
+function money(v: number | null | undefined) {
+  return Number(v || 0).toLocaleString('vi-VN') + ' ₫';
+}
+
+function dateTime(v: string | null) {
+  if (!v) return '';
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? v : d.toLocaleString('vi-VN', { timeZone: process.env.RECEIPT_TIME_ZONE || 'Asia/Ho_Chi_Minh' });
+}
+
+function escapeHtml(v: any) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]!));
+}
+
+const providerLabel = (opts: ReceiptOptions) => (id: string) => opts.providerNames?.get(id) || id;
+
+export function receiptFileName(sale: SaleDetail, ext: 'xlsx' | 'html') {
+  return `hoa-don-${(sale.soldAt || '').slice(0, 10) || 'ban'}-${sale.sale_id.slice(0, 8)}.${ext}`;
+}
+
+export function receiptHtml(sale: SaleDetail, opts: ReceiptOptions = {}) {
+  const provider = providerLabel(opts);
+  const rows = sale.items.map((h, i) => `
+      <tr class="${h.reversed_at ? 'reversed' : ''}">
+        <td>${i + 1}</td>
+        <td>${escapeHtml(h.account)}<div class="muted">${escapeHtml(provider(h.provider_id))}</div></td>
+        <td>${escapeHtml(h.name)}</td>
+        <td>${escapeHtml(h.address)}</td>
+        <td class="num">${money(h.total)}</td>
+        <td class="num">${money(h.sale_price ?? h.total)}${h.reversed_at ? '<div class="muted">đã hoàn</div>' : ''}</td>
+      </tr>`).join('');
+
+  return `<!doctype html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<title>Hóa đơn ${escapeHtml(sale.sale_id)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #222; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .muted { color: #777; font-size: 11px; }
+  .meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 12px 0 16px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 4px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  .num { text-align: right; white-space: nowrap; }
+  tr.reversed td { text-decoration: line-through; color: #999; }
+  tfoot td { border: none; font-weight: 600; }
+  .actions { margin-bottom: 16px; }
+  @media print { .actions { display: none; } body { margin: 0; } @page { size: A4; margin: 12mm; } }
+</style>
+</head>
+<body>
+  <div class="actions"><button onclick="window.print()">In hóa đơn</button></div>
+  <h1>${escapeHtml(opts.shopName || RECEIPT_SHOP_NAME)} — Hóa đơn bán bill</h1>
+  <div class="muted">Mã giao dịch ${escapeHtml(sale.sale_id)}</div>
+  <div class="meta">
+    <span>Thời gian</span><span>${escapeHtml(dateTime(sale.soldAt))}</span>
+    <span>Khách Hàng Thẻ</span><span>${escapeHtml(sale.member_name || sale.member_id || '')}</span>
+    <span>Nhân viên</span><span>${escapeHtml(sale.employee_username || '')}</span>
+    ${sale.note ? `<span>Ghi chú</span><span>${escapeHtml(sale.note)}</span>` : ''}
+  </div>
+  <table>
+    <thead>
+      <tr><th>#</th><th>Mã khách hàng</th><th>Tên</th><th>Địa chỉ</th><th class="num">Mệnh giá</th><th class="num">Thành tiền</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="4" class="num">Số bill</td><td></td><td class="num">${sale.count}${sale.reversed_count ? ` (${sale.reversed_count} đã hoàn)` : ''}</td></tr>
+      <tr><td colspan="4" class="num">Tổng mệnh giá</td><td></td><td class="num">${money(sale.total)}</td></tr>
+      ${sale.fee ? `<tr><td colspan="4" class="num">Phí</td><td></td><td class="num">${money(sale.fee)}</td></tr>` : ''}
+      <tr><td colspan="4" class="num">Phải thu</td><td></td><td class="num">${money(sale.amount_due)}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>`;
+}
+
+export function receiptWorkbook(sale: SaleDetail, opts: ReceiptOptions = {}) {
+  const provider = providerLabel(opts);
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Hóa đơn');
+  ws.columns = [
+    { key: 'n', width: 6 },
+    { key: 'account', width: 20 },
+    { key: 'provider', width: 20 },
+    { key: 'name', width: 30 },
+    { key: 'address', width: 44 },
+    { key: 'total', width: 16 },
+    { key: 'sale_price', width: 16 },
+    { key: 'status', width: 12 }
+  ];
+  ws.addRow({ n: `${opts.shopName || RECEIPT_SHOP_NAME} — Hóa đơn bán bill` }).font = { bold: true, size: 14 };
+  ws.addRow({ n: 'Mã giao dịch', account: sale.sale_id });
+  ws.addRow({ n: 'Thời gian', account: dateTime(sale.soldAt) });
+  ws.addRow({ n: 'Khách Hàng Thẻ', account: sale.member_name || sale.member_id || '' });
+  ws.addRow({ n: 'Nhân viên', account: sale.employee_username || '' });
+  if (sale.note) ws.addRow({ n: 'Ghi chú', account: sale.note });
+  ws.addRow({});
+  ws.addRow({
+    n: '#', account: 'Mã khách hàng', provider: 'Nhà cung cấp', name: 'Tên', address: 'Địa chỉ',
+    total: 'Mệnh giá', sale_price: 'Thành tiền', status: ''
+  }).font = { bold: true };
+  sale.items.forEach((h, i) => {
+    const row = ws.addRow({
+      n: i + 1, account: h.account, provider: provider(h.provider_id), name: h.name || '', address: h.address || '',
+      total: h.total, sale_price: h.sale_price ?? h.total, status: h.reversed_at ? 'Đã hoàn' : ''
+    });
+    if (h.reversed_at) row.font = { strike: true, color: { argb: 'FF999999' } };
+  });
+  ws.addRow({});
+  ws.addRow({ address: 'Số bill', sale_price: sale.count }).font = { bold: true };
+  ws.addRow({ address: 'Tổng mệnh giá', sale_price: sale.total }).font = { bold: true };
+  if (sale.fee) ws.addRow({ address: 'Phí', sale_price: sale.fee }).font = { bold: true };
+  ws.addRow({ address: 'Phải thu', sale_price: sale.amount_due }).font = { bold: true };
+  for (const col of ['total', 'sale_price']) ws.getColumn(col).numFmt = '#,##0';
+  return wb;
+}
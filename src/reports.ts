@@ -0,0 +1,392 @@
+/**
+ * src/reports.ts
+ *
+ * Aggregate reports over history and KHO (GET /api/reports/sales, /api/reports/kho and the dashboard).
+ * - Sales: bills sold in [fromDate, toDate] (soldAt, inclusive), grouped by day / week / month or by
+ *   provider SKU / member / employee. Reversed rows are left out, so the amounts match /api/sales.
+ *   Days, weeks (starting Monday) and months are cut in REPORT_TIME_ZONE (default Asia/Ho_Chi_Minh).
+ * - KHO: bills imported in [fromDate, toDate] (nhapAt), count and value per provider and per age bucket
+ *   (days since nhapAt: AGE_BUCKETS; bills without nhapAt are counted as 'unknown').
+ * - Backends follow src/ledger.ts: Postgres groups in SQL; Supabase REST reads the matching columns page by
+ *   page and memory reads the repository's tables, both grouping in process with the same rules.
+ * - salesReportWorkbook() / khoReportWorkbook() give the XLSX form of a report.
+ */
+
+import ExcelJS from 'exceljs';
+import type { Pool } from 'pg';
+import { memoryTables } from './repository.js';
+
+export const SALES_REPORT_GROUPS = ['day', 'week', 'month', 'provider', 'member', 'employee'] as const;
+
+export type SalesReportGroup = typeof SALES_REPORT_GROUPS[number];
+
+export type ReportRange = { fromDate?: string | null; toDate?: string | null };
+
+export type SalesReportRow = {
+  key: string;            // YYYY-MM-DD (day, week start), YYYY-MM (month), SKU, member id or employee id/username
+  label: string;
+  count: number;
+  total: number;
+  fee: number;
+  amount_due: number;
+  margin: number;
+};
+
+export type SalesReport = {
+  group: SalesReportGroup;
+  from: string | null;
+  to: string | null;
+  rows: SalesReportRow[];
+  totals: Omit<SalesReportRow, 'key' | 'label'>;
+};
+
+export type KhoReportRow = { key: string; label: string; count: number; total: number };
+
+export type KhoReport = {
+  from: string | null;
+  to: string | null;
+  as_of: string;
+  by_provider: KhoReportRow[];
+  by_age: KhoReportRow[];
+  totals: { count: number; total: number };
+};
+
+/* Age buckets in whole days since nhapAt; max is inclusive, the last bucket is open-ended */
+export const AGE_BUCKETS: { key: string; label: string; max: number | null }[] = [
+  { key: '0-7', label: '0–7 ngày', max: 7 },
+  { key: '8-30', label: '8–30 ngày', max: 30 },
+  { key: '31-90', label: '31–90 ngày', max: 90 },
+  { key: '90+', label: 'Trên 90 ngày', max: null }
+];
+
+const REPORT_TIME_ZONE = process.env.REPORT_TIME_ZONE || 'Asia/Ho_Chi_Minh';
+
+/* ---- Value helpers ---- */
+
+function iso(v: string | null | undefined) {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+const localDay = new Intl.DateTimeFormat('en-CA', { timeZone: REPORT_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+/* Period key of a timestamp, the same strings the Postgres backend builds with to_char() */
+function periodKey(at: string, group: 'day' | 'week' | 'month') {
+  const day = localDay.format(new Date(at));   // YYYY-MM-DD
+  if (group === 'day') return day;
+  if (group === 'month') return day.slice(0, 7);
+  const d = new Date(day + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function ageBucket(ageDays: number | null) {
+  if (ageDays == null) return 'unknown';
+  return (AGE_BUCKETS.find(b => b.max == null || ageDays <= b.max) || AGE_BUCKETS[AGE_BUCKETS.length - 1]).key;
+}
+
+const isPeriod = (g: SalesReportGroup): g is 'day' | 'week' | 'month' => g === 'day' || g === 'week' || g === 'month';
+
+/* Periods oldest first, everything else by amount due (largest first) */
+function sortRows(group: SalesReportGroup, rows: SalesReportRow[]) {
+  return rows.sort(isPeriod(group)
+    ? (a, b) => a.key.localeCompare(b.key)
+    : (a, b) => b.amount_due - a.amount_due || a.key.localeCompare(b.key));
+}
+
+function sumRows<T extends { count: number; total: number }>(rows: T[], fields: (keyof T)[]) {
+  const out: any = {};
+  for (const f of fields) out[f] = rows.reduce((n, r) => n + Number(r[f] || 0), 0);
+  return out;
+}
+
+/* ---- Backends ---- */
+
+/* One sold row as the reports need it (reversed rows are never passed in) */
+type SoldRow = {
+  soldAt: string | null;
+  provider_id: string;
+  member_id: string | null;
+  member_name: string | null;
+  employee_id: string | null;
+  employee_username: string | null;
+  total: number;
+  fee: number | null;
+  sale_price: number | null;
+  margin: number | null;
+};
+
+/* Per (provider, age in days) aggregates of KHO; every backend returns these and the report folds them */
+type KhoCell = { provider_id: string; age_days: number | null; count: number; total: number };
+
+interface ReportsBackend {
+  mode: 'db' | 'supabase' | 'memory';
+  sales(group: SalesReportGroup, range: ReportRange): Promise<SalesReportRow[]>;
+  kho(range: ReportRange, asOf: string): Promise<KhoCell[]>;
+}
+
+function groupSold(group: SalesReportGroup, rows: SoldRow[]): SalesReportRow[] {
+  const out = new Map<string, SalesReportRow>();
+  for (const r of rows) {
+    let key: string;
+    let label: string;
+    if (isPeriod(group)) {
+      if (!r.soldAt) continue;
+      key = label = periodKey(r.soldAt, group);
+    } else if (group === 'provider') {
+      key = label = r.provider_id;
+    } else if (group === 'member') {
+      key = r.member_id ?? '';
+      label = r.member_name || key;
+    } else {
+      key = r.employee_id ?? r.employee_username ?? '';
+      label = r.employee_username || key;
+    }
+    const row = out.get(key) || { key, label, count: 0, total: 0, fee: 0, amount_due: 0, margin: 0 };
+    row.count += 1;
+    row.total += r.total;
+    row.fee += r.fee || 0;
+    row.amount_due += r.sale_price ?? r.total;
+    row.margin += r.margin || 0;
+    out.set(key, row);
+  }
+  return Array.from(out.values());
+}
+
+function khoCells(rows: { provider_id: string; nhapAt: string | null; total: number }[], asOf: string): KhoCell[] {
+  const now = new Date(asOf).getTime();
+  const out = new Map<string, KhoCell>();
+  for (const r of rows) {
+    const t = r.nhapAt ? new Date(r.nhapAt).getTime() : NaN;
+    const age_days = isNaN(t) ? null : Math.max(0, Math.floor((now - t) / 86400000));
+    const id = `${r.provider_id}|${age_days}`;
+    const cell = out.get(id) || { provider_id: r.provider_id, age_days, count: 0, total: 0 };
+    cell.count += 1;
+    cell.total += r.total;
+    out.set(id, cell);
+  }
+  return Array.from(out.values());
+}
+
+const inRange = (at: string | null, range: ReportRange) =>
+  (!range.fromDate || (!!at && at >= range.fromDate)) && (!range.toDate || (!!at && at <= range.toDate));
+
+function memoryBackend(): ReportsBackend {
+  const mem = memoryTables();
+  return {
+    mode: 'memory',
+    async sales(group, range) {
+      return groupSold(group, mem.HISTORY.filter(h => !h.reversed_at && inRange(h.soldAt, range)).map(h => ({
+        ...h,
+        member_id: h.member_id != null ? String(h.member_id) : null,
+        employee_id: h.employee_id != null ? String(h.employee_id) : null
+      })));
+    },
+    async kho(range, asOf) {
+      return khoCells(Object.values(mem.KHO).filter(k => inRange(k.nhapAt, range)), asOf);
+    }
+  };
+}
+
+/* Period keys use $1 = REPORT_TIME_ZONE */
+const SALES_GROUP_SQL: Record<SalesReportGroup, { key: string; label: string }> = {
+  day: { key: `to_char(soldat AT TIME ZONE $1, 'YYYY-MM-DD')`, label: '' },
+  week: { key: `to_char(date_trunc('week', soldat AT TIME ZONE $1), 'YYYY-MM-DD')`, label: '' },
+  month: { key: `to_char(soldat AT TIME ZONE $1, 'YYYY-MM')`, label: '' },
+  provider: { key: 'provider_id', label: '' },
+  member: { key: `COALESCE(member_id, '')`, label: 'MIN(member_name)' },
+  employee: { key: `COALESCE(employee_id, employee_username, '')`, label: 'MIN(employee_username)' }
+};
+
+function pgBackend(pool: Pool): ReportsBackend {
+  return {
+    mode: 'db',
+
+    async sales(group, range) {
+      const g = SALES_GROUP_SQL[group];
+      const params: any[] = isPeriod(group) ? [REPORT_TIME_ZONE] : [];
+      const where = ['reversed_at IS NULL', 'soldat IS NOT NULL'];
+      if (range.fromDate) { params.push(range.fromDate); where.push(`soldat >= $${params.length}`); }
+      if (range.toDate) { params.push(range.toDate); where.push(`soldat <= $${params.length}`); }
+      const { rows } = await pool.query(
+        `SELECT ${g.key} AS key, ${g.label || 'NULL'} AS label, COUNT(*) AS count,
+                COALESCE(SUM(total), 0) AS total, COALESCE(SUM(fee), 0) AS fee,
+                COALESCE(SUM(COALESCE(sale_price, total)), 0) AS amount_due, COALESCE(SUM(margin), 0) AS margin
+           FROM history WHERE ${where.join(' AND ')} GROUP BY 1`,
+        params
+      );
+      return rows.map((r: any) => ({
+        key: String(r.key), label: r.label || String(r.key), count: Number(r.count), total: Number(r.total),
+        fee: Number(r.fee), amount_due: Number(r.amount_due), margin: Number(r.margin)
+      }));
+    },
+
+    async kho(range, asOf) {
+      const params: any[] = [asOf];
+      const where: string[] = [];
+      if (range.fromDate) { params.push(range.fromDate); where.push(`nhapat >= $${params.length}`); }
+      if (range.toDate) { params.push(range.toDate); where.push(`nhapat <= $${params.length}`); }
+      const { rows } = await pool.query(
+        `SELECT provider_id,
+                CASE WHEN nhapat IS NOT NULL THEN GREATEST(0, floor(extract(epoch FROM ($1::timestamptz - nhapat)) / 86400)) END AS age_days,
+                COUNT(*) AS count, COALESCE(SUM(total), 0) AS total
+           FROM kho ${where.length ? 'WHERE ' + where.join(' AND ') : ''} GROUP BY 1, 2`,
+        params
+      );
+      return rows.map((r: any) => ({
+        provider_id: String(r.provider_id), age_days: r.age_days == null ? null : Number(r.age_days),
+        count: Number(r.count), total: Number(r.total)
+      }));
+    }
+  };
+}
+
+function supabaseBackend(url: string, key: string): ReportsBackend {
+  const base = url.replace(/\/$/, '') + '/rest/v1/';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, Accept: 'application/json' };
+  const PAGE = 1000;
+
+  /* Every row matching the filters, page by page (PostgREST aggregates are off by default) */
+  async function all(table: string, select: string, order: string, filters: [string, string][]) {
+    const out: any[] = [];
+    for (let offset = 0; ; offset += PAGE) {
+      const p = new URLSearchParams([['select', select], ['order', order], ['limit', String(PAGE)], ['offset', String(offset)], ...filters]);
+      const resp = await fetch(base + table + '?' + p.toString(), { headers });
+      const text = await resp.text().catch(() => '');
+      if (!resp.ok) throw new Error(`Supabase ${table} request failed: ${resp.status} ${text.slice(0, 300)}`);
+      const rows = text ? JSON.parse(text) : [];
+      out.push(...rows);
+      if (rows.length < PAGE) return out;
+    }
+  }
+  const rangeFilters = (column: string, range: ReportRange) => {
+    const f: [string, string][] = [];
+    if (range.fromDate) f.push([column, `gte.${range.fromDate}`]);
+    if (range.toDate) f.push([column, `lte.${range.toDate}`]);
+    return f;
+  };
+  const numOrNull = (v: any) => (v == null ? null : Number(v));
+
+  return {
+    mode: 'supabase',
+
+    async sales(group, range) {
+      const rows = await all('history', 'soldat,provider_id,member_id,member_name,employee_id,employee_username,total,fee,sale_price,margin', 'id.asc',
+        [['reversed_at', 'is.null'], ['soldat', 'not.is.null'], ...rangeFilters('soldat', range)]);
+      return groupSold(group, rows.map((r: any) => ({
+        soldAt: iso(r.soldat), provider_id: String(r.provider_id),
+        member_id: r.member_id != null ? String(r.member_id) : null, member_name: r.member_name ?? null,
+        employee_id: r.employee_id != null ? String(r.employee_id) : null, employee_username: r.employee_username ?? null,
+        total: Number(r.total || 0), fee: numOrNull(r.fee), sale_price: numOrNull(r.sale_price), margin: numOrNull(r.margin)
+      })));
+    },
+
+    async kho(range, asOf) {
+      const rows = await all('kho', 'provider_id,nhapat,total', 'key.asc', rangeFilters('nhapat', range));
+      return khoCells(rows.map((r: any) => ({ provider_id: String(r.provider_id), nhapAt: iso(r.nhapat), total: Number(r.total || 0) })), asOf);
+    }
+  };
+}
+
+/* ---- Reports ---- */
+
+export function createReports(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const db: ReportsBackend = opts.pool ? pgBackend(opts.pool)
+    : opts.supabase ? supabaseBackend(opts.supabase.url, opts.supabase.key)
+    : memoryBackend();
+
+  return {
+    mode: db.mode,
+
+    /* providerNames labels the rows of group=provider (SKU -> name) */
+    async sales(group: SalesReportGroup, range: ReportRange, opts: { providerNames?: Map<string, string> } = {}): Promise<SalesReport> {
+      const r = { fromDate: iso(range.fromDate), toDate: iso(range.toDate) };
+      const rows = sortRows(group, await db.sales(group, r));
+      if (group === 'provider' && opts.providerNames) for (const row of rows) row.label = opts.providerNames.get(row.key) || row.key;
+      return { group, from: r.fromDate, to: r.toDate, rows, totals: sumRows(rows, ['count', 'total', 'fee', 'amount_due', 'margin']) };
+    },
+
+    async kho(range: ReportRange, opts: { providerNames?: Map<string, string> } = {}): Promise<KhoReport> {
+      const r = { fromDate: iso(range.fromDate), toDate: iso(range.toDate) };
+      const asOf = new Date().toISOString();
+      const cells = await db.kho(r, asOf);
+
+      const providers = new Map<string, KhoReportRow>();
+      const ages = new Map<string, KhoReportRow>([
+        ...AGE_BUCKETS.map(b => [b.key, { key: b.key, label: b.label, count: 0, total: 0 }] as const),
+        ['unknown', { key: 'unknown', label: 'Không rõ ngày nhập', count: 0, total: 0 }] as const
+      ]);
+      for (const c of cells) {
+        const p = providers.get(c.provider_id) || { key: c.provider_id, label: opts.providerNames?.get(c.provider_id) || c.provider_id, count: 0, total: 0 };
+        p.count += c.count;
+        p.total += c.total;
+        providers.set(c.provider_id, p);
+        const a = ages.get(ageBucket(c.age_days))!;
+        a.count += c.count;
+        a.total += c.total;
+      }
+      const byProvider = Array.from(providers.values()).sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+      const byAge = Array.from(ages.values()).filter(a => a.key !== 'unknown' || a.count > 0);
+      return { from: r.fromDate, to: r.toDate, as_of: asOf, by_provider: byProvider, by_age: byAge, totals: sumRows(byProvider, ['count', 'total']) };
+    }
+  };
+}
+
+export type Reports = ReturnType<typeof createReports>;
+
+/* ---- XLSX ---- */
+
+const SALES_GROUP_LABELS: Record<SalesReportGroup, string> = {
+  day: 'Ngày', week: 'Tuần (từ thứ Hai)', month: 'Tháng', provider: 'Nhà cung cấp', member: 'Khách Hàng Thẻ', employee: 'Nhân viên'
+};
+
+function rangeRow(from: string | null, to: string | null) {
+  return { key: 'Từ', label: from || '(đầu)', count: 'Đến', total: to || '(nay)' };
+}
+
+export function salesReportWorkbook(report: SalesReport) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Doanh số');
+  ws.columns = [
+    { key: 'key', width: 24 },
+    { key: 'label', width: 30 },
+    { key: 'count', width: 10 },
+    { key: 'total', width: 16 },
+    { key: 'fee', width: 14 },
+    { key: 'amount_due', width: 16 },
+    { key: 'margin', width: 16 }
+  ];
+  ws.addRow({ key: `Doanh số theo ${SALES_GROUP_LABELS[report.group].toLowerCase()}` }).font = { bold: true };
+  ws.addRow(rangeRow(report.from, report.to));
+  ws.addRow({});
+  ws.addRow({ key: SALES_GROUP_LABELS[report.group], label: 'Tên', count: 'Số bill', total: 'Mệnh giá', fee: 'Phí', amount_due: 'Phải thu', margin: 'Chênh lệch' }).font = { bold: true };
+  for (const r of report.rows) ws.addRow(r);
+  ws.addRow({ key: 'Tổng', ...report.totals }).font = { bold: true };
+  for (const col of ['total', 'fee', 'amount_due', 'margin']) ws.getColumn(col).numFmt = '#,##0';
+  return wb;
+}
+
+export function khoReportWorkbook(report: KhoReport) {
+  const wb = new ExcelJS.Workbook();
+  const sheet = (name: string, title: string, heading: string, rows: KhoReportRow[]) => {
+    const ws = wb.addWorksheet(name);
+    ws.columns = [{ key: 'key', width: 20 }, { key: 'label', width: 30 }, { key: 'count', width: 10 }, { key: 'total', width: 18 }];
+    ws.addRow({ key: title }).font = { bold: true };
+    ws.addRow(rangeRow(report.from, report.to));
+    ws.addRow({ key: 'Tính đến', label: report.as_of });
+    ws.addRow({});
+    ws.addRow({ key: heading, label: 'Tên', count: 'Số bill', total: 'Giá trị' }).font = { bold: true };
+    for (const r of rows) ws.addRow(r);
+    ws.addRow({ key: 'Tổng', ...report.totals }).font = { bold: true };
+    ws.getColumn('total').numFmt = '#,##0';
+  };
+  sheet('Theo nhà cung cấp', 'Tồn KHO theo nhà cung cấp', 'SKU', report.by_provider);
+  sheet('Theo tuổi', 'Tồn KHO theo thời gian nằm kho', 'Nhóm', report.by_age);
+  return wb;
+}
+
+export function reportFileName(name: string, from: string | null, to: string | null) {
+  const day = (v: string | null) => (v || '').slice(0, 10);
+  return `bao-cao-${name}${from || to ? `-${day(from) || 'dau'}-${day(to) || 'nay'}` : ''}.xlsx`;
+}
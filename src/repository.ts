@@ -0,0 +1,1636 @@
+/**
+ * src/repository.ts
+ *
+ * One storage layer for KHO, history, members and employees, shared by server.ts and the Netlify functions.
+ * - Backends: Postgres pool (server.ts with DATABASE_URL), Supabase REST (Netlify functions with
+ *   SUPABASE_URL + SUPABASE_SERVICE_ROLE) or the in-process memory store. They are interchangeable:
+ *   the same operation returns the same rows, in the same order, whichever backend answers.
+ * - Rows come back in one shape (KhoItem, HistoryRow, Member, Employee): amounts are numbers, timestamps
+ *   ISO strings, and the unquoted SQL columns nhapat / xuatat / soldat are exposed as nhapAt / xuatAt / soldAt.
+ * - Filters mean the same everywhere:
+ *     search   case-insensitive substring of name, address, account (+ member_name, employee_username for history)
+ *     amounts  fromAmount / toAmount (KHO) and minTotal / maxTotal (history) are inclusive bounds on total
+ *     order    KHO newest first by nhapAt (oldest first on request), history newest first by soldAt; ties by key
+ * - Re-importing a KHO key refreshes amounts / raw but keeps the original nhapAt (and any name, address or
+ *   customer the new row leaves empty); it also clears the row's verification (last_verified_at, verify_status,
+ *   verified_total, verify_error), which kho.markVerified() sets from src/kho-verify.ts.
+ * - sell() moves bills KHO -> history: a transaction with Postgres, a single synchronous step in memory;
+ *   Supabase has no multi-request transaction, so rows are claimed by deleting them first and put back if
+ *   the history insert fails. Every row of one sell() call shares a sale_id and, when the caller passes a
+ *   price function (src/pricing.ts), carries its discount_rate / fee / sale_price / margin.
+ * - sell() also writes the member's 'sale' ledger debit (member_ledger, src/ledger.ts) in the same step, after
+ *   checking it against members.credit_limit (CreditLimitError, nothing sold). Postgres locks the member row
+ *   first, so concurrent sales to one member are checked one after the other; memory has no await in between;
+ *   Supabase reads the balance just before writing and deletes the history rows again if the debit fails.
+ * - sales.list() / sales.get() read one sell() call as a whole (rows grouped by sale_id: member, employee,
+ *   totals over the bills not reversed); Postgres groups in SQL, Supabase reads the `sales` view
+ *   (migrations/012_sales.sql), memory groups in process.
+ * - KHO holds (kho_holds, migrations/015_carts.sql) reserve bills for one cart of src/carts.ts until expires_at:
+ *   sell() skips bills another cart holds (reason 'held') and, given the cart_id of the sale, drops that cart's
+ *   holds in the same step. Placing holds is atomic per bill (Postgres: the KHO row is locked while the hold is
+ *   written); Supabase only reads holds, since carts are a server.ts feature.
+ * - history.reverse() is the way back: the bill returns to KHO with its original nhapAt and the history row
+ *   stays, marked reversed_at / reversed_by_* / reversal_reason. History lists leave reversed rows out
+ *   unless asked (reversed: 'include' | 'only'). A bill that is back in KHO meanwhile is not overwritten.
+ *   The members' 'reversal' ledger credits are written in the same step as the marks, like the sale's debit;
+ *   Supabase un-marks the rows and takes the bills out of KHO again if the credit fails.
+ * - The memory store lives on globalThis.__PROJECT_TRA_CUU_MEM__ so every Netlify function in a warm
+ *   instance (kho-list, kho-import, sell, history, members, ...) sees the same data.
+ */
+
+import crypto from 'crypto';
+import type { Pool, PoolClient } from 'pg';
+import type { BillPrice } from './pricing.js';
+import {
+  createLedger, saleDebits, reversalCredits, creditCheck, CreditLimitError, ledgerRow, memoryLedger, insertLedgerRows, sumLedger, LedgerInput
+} from './ledger.js';
+
+export const VERIFY_STATUSES = ['ok', 'paid', 'changed', 'error'] as const;
+export type VerifyStatus = typeof VERIFY_STATUSES[number];
+
+export type KhoItem = {
+  key: string;
+  account: string;
+  provider_id: string;
+  name: string | null;
+  address: string | null;
+  amount_previous: number;
+  amount_current: number;
+  total: number;
+  nhapAt: string | null;
+  customer: string | null;
+  raw: any;
+  created_at: string | null;
+  updated_at: string | null;
+  last_verified_at: string | null;   // last re-check against the gateway (src/kho-verify.ts); null = never
+  verify_status: VerifyStatus | null;
+  verified_total: number | null;     // what the gateway said the bill is worth at that check
+  verify_error: string | null;
+};
+
+export type HistoryRow = {
+  id: string | number;
+  key: string;
+  account: string;
+  provider_id: string;
+  name: string | null;
+  address: string | null;
+  amount_previous: number;
+  amount_current: number;
+  total: number;
+  nhapAt: string | null;
+  xuatAt: string | null;
+  soldAt: string | null;
+  member_id: string | number | null;
+  member_name: string | null;
+  employee_id: string | number | null;
+  employee_username: string | null;
+  raw: any;
+  created_at: string | null;
+  sale_id: string | null;
+  reversed_at: string | null;
+  reversed_by_id: string | number | null;
+  reversed_by_username: string | null;
+  reversal_reason: string | null;
+  discount_rate: number | null;
+  fee: number | null;
+  sale_price: number | null;
+  margin: number | null;
+  note: string | null;
+};
+
+export type Member = {
+  id: string | number;
+  name: string;
+  zalo: string;
+  bank: string;
+  credit_limit: number | null;   // VND; null = no limit (see src/ledger.ts)
+  created_at: string | null;
+};
+
+export type Employee = {
+  id: string | number;
+  username: string;
+  password_hash: string;
+  role: string;
+  full_name: string | null;
+  phone: string | null;
+  address: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+};
+
+export type KhoInput = Omit<KhoItem, 'created_at' | 'updated_at' | keyof KhoVerification>;
+export type KhoVerification = Pick<KhoItem, 'last_verified_at' | 'verify_status' | 'verified_total' | 'verify_error'>;
+export type KhoVerifyMark = { key: string } & KhoVerification;
+export type MemberInput = { name: string; zalo?: string; bank?: string; credit_limit?: number | null };
+export type MemberPatch = Partial<Pick<Member, 'name' | 'zalo' | 'bank' | 'credit_limit'>>;
+export type EmployeeInput = Omit<Employee, 'id' | 'created_at' | 'updated_at'>;
+export type EmployeePatch = Partial<EmployeeInput>;
+
+export type KhoQuery = {
+  provider_id?: string | null;
+  fromAmount?: number | null;
+  toAmount?: number | null;
+  search?: string | null;
+  positiveOnly?: boolean;
+  verifiedBefore?: string | null;   // never verified, or last verified before this instant
+  order?: 'newest' | 'oldest';
+  limit?: number;
+  offset?: number;
+};
+
+export type HistoryQuery = {
+  search?: string | null;
+  fromDate?: string | null;
+  toDate?: string | null;
+  minTotal?: number | null;
+  maxTotal?: number | null;
+  member_id?: string | null;
+  reversed?: 'exclude' | 'include' | 'only';
+  limit?: number;
+  offset?: number;
+};
+
+/* One sell() call: the history rows sharing a sale_id. Amounts leave reversed rows out */
+export type SaleSummary = {
+  sale_id: string;
+  soldAt: string | null;
+  member_id: string | null;
+  member_name: string | null;
+  employee_id: string | null;
+  employee_username: string | null;
+  note: string | null;
+  count: number;             // bills not reversed
+  reversed_count: number;
+  total: number;             // face value
+  fee: number;
+  amount_due: number;        // sum of sale_price (total for rows sold before pricing)
+  margin: number;
+};
+
+/* The sale with every row, reversed ones included (marked reversed_at), ordered by key */
+export type SaleDetail = SaleSummary & { items: HistoryRow[] };
+
+export type SalesQuery = {
+  member_id?: string | null;
+  employee_id?: string | null;
+  fromDate?: string | null;  // soldAt bounds
+  toDate?: string | null;
+  limit?: number;
+  offset?: number;
+};
+
+export type Sale = {
+  sale_id: string;
+  member_id: string | number;
+  member_name: string | null;
+  employee_id: string | number | null;
+  employee_username: string | null;
+  note: string | null;
+  price: ((item: KhoItem) => BillPrice) | null;
+  cart_id: string | null;        // the cart being confirmed: its holds do not block the sale and are dropped with it
+  all_or_nothing: boolean;       // sell nothing when any key would be skipped
+};
+
+/* Why a key of a sale was not sold */
+export type SellSkip = { key: string; reason: 'not_in_kho' | 'held'; held_by: string | null; expires_at: string | null };
+export type SellResult = { sold: HistoryRow[]; skipped: SellSkip[] };
+
+/* A bill reserved for a cart (src/carts.ts); expired holds bind nobody */
+export type KhoHold = { key: string; cart_id: string; held_by: string | null; expires_at: string; created_at: string | null };
+export type HoldRefusal = SellSkip;
+export type HoldResult = { held: KhoHold[]; refused: HoldRefusal[] };
+
+/* Which history rows to reverse: explicit ids, or every row of one sale */
+export type ReverseSelection = { ids: string[] } | { sale_id: string };
+export type Reversal = { reason: string; actor: { id: string | number | null; username: string | null } | null };
+export type ReverseSkip = { id: string | number; key: string | null; reason: 'not_found' | 'already_reversed' | 'in_kho' };
+export type ReverseResult = { reversed: HistoryRow[]; restored: KhoItem[]; skipped: ReverseSkip[] };
+
+/* previous: the stored rows (as they were before the call) of keys that already existed */
+export type UpsertResult = { rows: KhoItem[]; added: number; updated: number; previous: KhoItem[] };
+
+export const KHO_LIST_DEFAULT_LIMIT = 2000;
+export const HISTORY_LIST_DEFAULT_LIMIT = 100;
+export const SALES_LIST_DEFAULT_LIMIT = 100;
+export const LIST_MAX_LIMIT = 5000;
+
+const MEMBER_COLUMNS = ['name', 'zalo', 'bank', 'credit_limit'] as const;
+const EMPLOYEE_COLUMNS = ['username', 'password_hash', 'role', 'full_name', 'phone', 'address'] as const;
+
+/* ----------------------------------------------------------------------
+   Row normalization and shared filter semantics
+   ---------------------------------------------------------------------- */
+
+function num(v: any) {
+  if (v == null) return 0;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const n2 = Number(String(v).replace(/[^\d.-]/g, ''));
+  return Number.isFinite(n2) ? n2 : 0;
+}
+
+function iso(v: any): string | null {
+  if (v == null || v === '') return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function str(v: any): string | null {
+  return v == null || v === '' ? null : String(v);
+}
+
+export function toKhoItem(r: any): KhoItem {
+  return {
+    key: String(r.key),
+    account: String(r.account ?? ''),
+    provider_id: String(r.provider_id ?? ''),
+    name: str(r.name),
+    address: str(r.address),
+    amount_previous: num(r.amount_previous),
+    amount_current: num(r.amount_current),
+    total: num(r.total),
+    nhapAt: iso(r.nhapAt ?? r.nhapat),
+    customer: str(r.customer),
+    raw: r.raw ?? null,
+    created_at: iso(r.created_at),
+    updated_at: iso(r.updated_at),
+    last_verified_at: iso(r.last_verified_at),
+    verify_status: VERIFY_STATUSES.includes(r.verify_status) ? r.verify_status : null,
+    verified_total: r.verified_total == null ? null : num(r.verified_total),
+    verify_error: str(r.verify_error)
+  };
+}
+
+export function toHistoryRow(r: any): HistoryRow {
+  return {
+    id: r.id,
+    key: String(r.key),
+    account: String(r.account ?? ''),
+    provider_id: String(r.provider_id ?? ''),
+    name: str(r.name),
+    address: str(r.address),
+    amount_previous: num(r.amount_previous),
+    amount_current: num(r.amount_current),
+    total: num(r.total),
+    nhapAt: iso(r.nhapAt ?? r.nhapat),
+    xuatAt: iso(r.xuatAt ?? r.xuatat),
+    soldAt: iso(r.soldAt ?? r.soldat),
+    member_id: r.member_id ?? null,
+    member_name: str(r.member_name),
+    employee_id: r.employee_id ?? null,
+    employee_username: str(r.employee_username),
+    raw: r.raw ?? null,
+    created_at: iso(r.created_at),
+    sale_id: str(r.sale_id),
+    reversed_at: iso(r.reversed_at),
+    reversed_by_id: r.reversed_by_id ?? null,
+    reversed_by_username: str(r.reversed_by_username),
+    reversal_reason: str(r.reversal_reason),
+    discount_rate: optNum(r.discount_rate),
+    fee: optNum(r.fee),
+    sale_price: optNum(r.sale_price),
+    margin: optNum(r.margin),
+    note: str(r.note)
+  };
+}
+
+export function toSaleSummary(r: any): SaleSummary {
+  return {
+    sale_id: String(r.sale_id),
+    soldAt: iso(r.soldAt ?? r.soldat),
+    member_id: str(r.member_id),
+    member_name: str(r.member_name),
+    employee_id: str(r.employee_id),
+    employee_username: str(r.employee_username),
+    note: str(r.note),
+    count: num(r.count),
+    reversed_count: num(r.reversed_count),
+    total: num(r.total),
+    fee: num(r.fee),
+    amount_due: num(r.amount_due),
+    margin: num(r.margin)
+  };
+}
+
+/* Summary of the rows of one sale (memory backend; Postgres computes the same with SALE_AGGREGATES) */
+function summarizeSale(rows: HistoryRow[]): SaleSummary {
+  const first = rows[0];
+  const active = rows.filter(r => !r.reversed_at);
+  const sum = (f: (r: HistoryRow) => number) => active.reduce((n, r) => n + f(r), 0);
+  return {
+    sale_id: first.sale_id!,
+    soldAt: rows.reduce<string | null>((min, r) => (r.soldAt && (!min || r.soldAt < min) ? r.soldAt : min), null),
+    member_id: str(first.member_id),
+    member_name: first.member_name,
+    employee_id: str(first.employee_id),
+    employee_username: first.employee_username,
+    note: first.note,
+    count: active.length,
+    reversed_count: rows.length - active.length,
+    total: sum(r => r.total),
+    fee: sum(r => r.fee ?? 0),
+    amount_due: sum(r => r.sale_price ?? r.total),
+    margin: sum(r => r.margin ?? 0)
+  };
+}
+
+/* Same columns as the `sales` view in migrations/012_sales.sql */
+const SALE_AGGREGATES = `sale_id, MIN(soldat) AS soldat, MIN(member_id) AS member_id, MIN(member_name) AS member_name,
+  MIN(employee_id) AS employee_id, MIN(employee_username) AS employee_username, MIN(note) AS note,
+  COUNT(*) FILTER (WHERE reversed_at IS NULL) AS count,
+  COUNT(*) FILTER (WHERE reversed_at IS NOT NULL) AS reversed_count,
+  COALESCE(SUM(total) FILTER (WHERE reversed_at IS NULL), 0) AS total,
+  COALESCE(SUM(COALESCE(fee, 0)) FILTER (WHERE reversed_at IS NULL), 0) AS fee,
+  COALESCE(SUM(COALESCE(sale_price, total)) FILTER (WHERE reversed_at IS NULL), 0) AS amount_due,
+  COALESCE(SUM(COALESCE(margin, 0)) FILTER (WHERE reversed_at IS NULL), 0) AS margin`;
+
+export function toMember(r: any): Member {
+  return {
+    id: r.id, name: String(r.name ?? ''), zalo: r.zalo ?? '', bank: r.bank ?? '',
+    credit_limit: optNum(r.credit_limit), created_at: iso(r.created_at)
+  };
+}
+
+export function toKhoHold(r: any): KhoHold {
+  return { key: String(r.key), cart_id: String(r.cart_id), held_by: r.held_by ?? null, expires_at: iso(r.expires_at)!, created_at: iso(r.created_at) };
+}
+
+export function toEmployee(r: any): Employee {
+  return {
+    id: r.id,
+    username: String(r.username),
+    password_hash: r.password_hash,
+    role: r.role,
+    full_name: r.full_name ?? null,
+    phone: r.phone ?? null,
+    address: r.address ?? null,
+    created_at: iso(r.created_at),
+    updated_at: iso(r.updated_at)
+  };
+}
+
+/*
+ * Map an import body row to a KHO item. Returns null without an account or provider_id;
+ * key defaults to `${provider_id}::${account}`, total to amount_current and nhapAt to now.
+ */
+export function parseKhoBill(b: any, now = new Date().toISOString()): KhoInput | null {
+  const account = String(b?.account ?? '').trim();
+  const provider_id = String(b?.provider_id ?? b?.sku ?? '').trim();
+  if (!account || !provider_id) return null;
+  return {
+    key: String(b.key || `${provider_id}::${account}`),
+    account,
+    provider_id,
+    name: str(b.name),
+    address: str(b.address),
+    amount_previous: num(b.amount_previous),
+    amount_current: num(b.amount_current),
+    total: num(b.total ?? b.amount_current),
+    nhapAt: iso(b.nhapAt) || now,
+    customer: str(b.customer),
+    raw: b.raw ?? b
+  };
+}
+
+function clampLimit(v: any, fallback: number) {
+  const n = Math.trunc(Number(v));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, LIST_MAX_LIMIT) : fallback;
+}
+
+function optNum(v: any): number | null {
+  if (v == null || v === '') return null;
+  const n = num(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* Query-string parsers used by both server.ts and the Netlify functions */
+export function parseKhoQuery(qp: Record<string, any>): KhoQuery {
+  return {
+    provider_id: String(qp.provider_id || qp.sku || '').trim() || null,
+    fromAmount: optNum(qp.fromAmount),
+    toAmount: optNum(qp.toAmount),
+    search: String(qp.search || '').trim() || null,
+    verifiedBefore: optNum(qp.unverified_hours) != null
+      ? new Date(Date.now() - optNum(qp.unverified_hours)! * 3600 * 1000).toISOString()
+      : null,
+    limit: clampLimit(qp.limit, KHO_LIST_DEFAULT_LIMIT),
+    offset: Math.max(0, Math.trunc(Number(qp.offset || 0)) || 0)
+  };
+}
+
+export function parseSalesQuery(qp: Record<string, any>): SalesQuery {
+  return {
+    member_id: qp.member_id != null && qp.member_id !== '' ? String(qp.member_id) : null,
+    employee_id: qp.employee_id != null && qp.employee_id !== '' ? String(qp.employee_id) : null,
+    fromDate: iso(qp.fromDate || qp.from_date),
+    toDate: iso(qp.toDate || qp.to_date),
+    limit: clampLimit(qp.limit, SALES_LIST_DEFAULT_LIMIT),
+    offset: Math.max(0, Math.trunc(Number(qp.offset || 0)) || 0)
+  };
+}
+
+export function parseHistoryQuery(qp: Record<string, any>): HistoryQuery {
+  return {
+    search: String(qp.search || qp.q || '').trim() || null,
+    fromDate: iso(qp.fromDate || qp.from_date),
+    toDate: iso(qp.toDate || qp.to_date),
+    minTotal: optNum(qp.minTotal),
+    maxTotal: optNum(qp.maxTotal),
+    member_id: qp.member_id != null && qp.member_id !== '' ? String(qp.member_id) : null,
+    reversed: qp.reversed === 'include' || qp.reversed === 'only' ? qp.reversed : 'exclude',
+    limit: clampLimit(qp.limit ?? qp.size, HISTORY_LIST_DEFAULT_LIMIT),
+    offset: Math.max(0, Math.trunc(Number(qp.offset || 0)) || 0)
+  };
+}
+
+function includesCi(values: any[], needle: string) {
+  const s = needle.toLowerCase();
+  return values.some(v => String(v ?? '').toLowerCase().includes(s));
+}
+
+/* Descending by a timestamp (nulls last), then key ascending */
+function byTimeThenKey<T extends { key: string }>(get: (r: T) => string | null, dir: 'asc' | 'desc') {
+  return (a: T, b: T) => {
+    const A = get(a), B = get(b);
+    if (A !== B) {
+      if (A == null) return 1;
+      if (B == null) return -1;
+      return dir === 'desc' ? (A < B ? 1 : -1) : (A < B ? -1 : 1);
+    }
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  };
+}
+
+/* Re-import keeps nhapAt / created_at and any descriptive field the new row leaves empty */
+const UNVERIFIED: KhoVerification = { last_verified_at: null, verify_status: null, verified_total: null, verify_error: null };
+
+/* A (re-)imported row is a new snapshot: its earlier verification no longer applies */
+function mergeKho(existing: KhoItem | null, input: KhoInput, now: string): KhoItem {
+  if (!existing) return { ...input, ...UNVERIFIED, created_at: now, updated_at: now };
+  return {
+    ...input,
+    ...UNVERIFIED,
+    name: input.name || existing.name,
+    address: input.address || existing.address,
+    customer: input.customer ?? existing.customer,
+    nhapAt: existing.nhapAt || input.nhapAt,
+    created_at: existing.created_at,
+    updated_at: now
+  };
+}
+
+function historyFromKho(item: KhoItem, sale: Sale, now: string): Omit<HistoryRow, 'id'> {
+  const price = sale.price ? sale.price(item) : null;
+  return {
+    key: item.key,
+    account: item.account,
+    provider_id: item.provider_id,
+    name: item.name,
+    address: item.address,
+    amount_previous: item.amount_previous,
+    amount_current: item.amount_current,
+    total: item.total,
+    nhapAt: item.nhapAt ?? item.created_at,
+    xuatAt: now,
+    soldAt: now,
+    member_id: sale.member_id,
+    member_name: sale.member_name,
+    employee_id: sale.employee_id,
+    employee_username: sale.employee_username,
+    raw: item.raw ?? {},
+    created_at: now,
+    sale_id: sale.sale_id,
+    reversed_at: null,
+    reversed_by_id: null,
+    reversed_by_username: null,
+    reversal_reason: null,
+    discount_rate: price?.discount_rate ?? null,
+    fee: price?.fee ?? null,
+    sale_price: price?.sale_price ?? null,
+    margin: price?.margin ?? null,
+    note: sale.note
+  };
+}
+
+/* The KHO row a reversed sale puts back: same bill, original nhapAt */
+function khoFromHistory(h: HistoryRow, now: string): KhoItem {
+  return {
+    key: h.key,
+    account: h.account,
+    provider_id: h.provider_id,
+    name: h.name,
+    address: h.address,
+    amount_previous: h.amount_previous,
+    amount_current: h.amount_current,
+    total: h.total,
+    nhapAt: h.nhapAt,
+    customer: null,
+    raw: h.raw ?? {},
+    created_at: now,
+    updated_at: now,
+    ...UNVERIFIED
+  };
+}
+
+function reversalMarks(rev: Reversal, now: string) {
+  return {
+    reversed_at: now,
+    reversed_by_id: rev.actor?.id != null ? String(rev.actor.id) : null,
+    reversed_by_username: rev.actor?.username ?? null,
+    reversal_reason: rev.reason
+  };
+}
+
+/* Keys of a sale that cannot go: gone from KHO, or under an active hold (`holds`) of another cart */
+function sellSkips(keys: string[], inKho: Set<string>, holds: KhoHold[], cartId: string | null): SellSkip[] {
+  const held = new Map(holds.filter(h => h.cart_id !== cartId).map(h => [h.key, h]));
+  return keys.flatMap((key): SellSkip[] => {
+    if (!inKho.has(key)) return [{ key, reason: 'not_in_kho', held_by: null, expires_at: null }];
+    const h = held.get(key);
+    return h ? [{ key, reason: 'held', held_by: h.held_by, expires_at: h.expires_at }] : [];
+  });
+}
+
+/* not_found entries for requested ids that matched no history row */
+function missingIds(sel: ReverseSelection, found: HistoryRow[]): ReverseSkip[] {
+  if (!('ids' in sel)) return [];
+  const seen = new Set(found.map(h => String(h.id)));
+  return sel.ids.filter(id => !seen.has(id)).map(id => ({ id, key: null, reason: 'not_found' as const }));
+}
+
+/* The ledger debit of a sale (src/ledger.ts): the amount due of its rows, by its employee */
+function saleDebitInputs(sold: Omit<HistoryRow, 'id'>[], sale: Sale): LedgerInput[] {
+  return saleDebits(sold as HistoryRow[], { id: sale.employee_id, username: sale.employee_username }).filter(d => d.amount !== 0);
+}
+
+/* The ledger credits of a reversal: the amount due of the reversed rows, per member */
+function reversalCreditInputs(reversed: HistoryRow[], rev: Reversal): LedgerInput[] {
+  return reversalCredits(reversed, rev.reason, rev.actor).filter(c => c.amount !== 0);
+}
+
+/* Throws CreditLimitError when the debits would take the member's balance above credit_limit */
+function checkCredit(member: Pick<Member, 'credit_limit'> | null | undefined, balance: number, debits: LedgerInput[]) {
+  const refused = member ? creditCheck(member, balance, debits.reduce((n, d) => n + Math.round(d.amount), 0)) : null;
+  if (refused) throw new CreditLimitError(refused);
+}
+
+/* ----------------------------------------------------------------------
+   Backends
+   ---------------------------------------------------------------------- */
+
+interface Backend {
+  mode: 'db' | 'supabase' | 'memory';
+  khoList(q: KhoQuery): Promise<KhoItem[]>;
+  khoCount(): Promise<number>;
+  khoGet(keys: string[]): Promise<KhoItem[]>;
+  khoUpsert(items: KhoInput[]): Promise<UpsertResult>;
+  khoRemove(keys: string[]): Promise<KhoItem[]>;
+  khoMarkVerified(marks: KhoVerifyMark[]): Promise<number>;
+  sell(keys: string[], sale: Sale): Promise<SellResult>;
+  holdsGet(keys: string[]): Promise<KhoHold[]>;
+  holdsOfCart(cartId: string): Promise<KhoHold[]>;
+  holdsPlace(cartId: string, keys: string[], heldBy: string | null, expiresAt: string): Promise<HoldResult>;
+  holdsRelease(cartId: string, keys: string[] | null): Promise<string[]>;
+  historyList(q: HistoryQuery): Promise<HistoryRow[]>;
+  historyReverse(sel: ReverseSelection, rev: Reversal): Promise<ReverseResult>;
+  salesList(q: SalesQuery): Promise<SaleSummary[]>;
+  saleGet(saleId: string): Promise<SaleDetail | null>;
+  memberList(): Promise<Member[]>;
+  memberGet(id: string): Promise<Member | null>;
+  memberCreate(input: MemberInput): Promise<Member>;
+  memberUpdate(id: string, patch: MemberPatch): Promise<Member | null>;
+  employeeList(): Promise<Employee[]>;
+  employeeGet(id: string): Promise<Employee | null>;
+  employeeFindByUsername(username: string): Promise<Employee | null>;
+  employeeCreate(input: EmployeeInput): Promise<Employee>;
+  employeeUpdate(id: string, patch: EmployeePatch): Promise<Employee | null>;
+  employeeRemove(id: string): Promise<boolean>;
+}
+
+export type MemoryTables = {
+  KHO: Record<string, KhoItem>;
+  HISTORY: HistoryRow[];
+  MEMBERS: Record<string, Member>;
+  EMPLOYEES: Record<string, Employee>;
+  HOLDS: Record<string, KhoHold>;
+};
+
+/* The process-wide memory tables (one object per warm runtime, whoever asks first creates it) */
+export function memoryTables(): MemoryTables {
+  const g = globalThis as any;
+  const mem = g.__PROJECT_TRA_CUU_MEM__ || (g.__PROJECT_TRA_CUU_MEM__ = {});
+  mem.KHO = mem.KHO || {};
+  mem.HISTORY = mem.HISTORY || [];
+  mem.MEMBERS = mem.MEMBERS || {};
+  mem.EMPLOYEES = mem.EMPLOYEES || {};
+  mem.HOLDS = mem.HOLDS || {};
+  return mem;
+}
+
+function memoryBackend(mem: MemoryTables): Backend {
+  const copy = <T>(r: T): T => ({ ...r });
+  const activeHolds = (keys: string[], now: string) => keys.map(k => mem.HOLDS[k]).filter(h => h && h.expires_at > now);
+
+  function khoFilter(q: KhoQuery) {
+    return (r: KhoItem) => {
+      if (q.provider_id && r.provider_id !== q.provider_id) return false;
+      if (q.positiveOnly && !(r.total > 0)) return false;
+      if (q.fromAmount != null && r.total < q.fromAmount) return false;
+      if (q.toAmount != null && r.total > q.toAmount) return false;
+      if (q.verifiedBefore && r.last_verified_at && r.last_verified_at >= q.verifiedBefore) return false;
+      return !q.search || includesCi([r.name, r.address, r.account], q.search);
+    };
+  }
+
+  return {
+    mode: 'memory',
+
+    async khoList(q) {
+      const offset = q.offset || 0;
+      return Object.values(mem.KHO)
+        .filter(khoFilter(q))
+        .sort(byTimeThenKey<KhoItem>(r => r.nhapAt, q.order === 'oldest' ? 'asc' : 'desc'))
+        .slice(offset, offset + (q.limit || KHO_LIST_DEFAULT_LIMIT))
+        .map(copy);
+    },
+
+    async khoCount() { return Object.keys(mem.KHO).length; },
+
+    async khoGet(keys) { return keys.filter(k => mem.KHO[k]).map(k => copy(mem.KHO[k])); },
+
+    async khoUpsert(items) {
+      const now = new Date().toISOString();
+      let added = 0, updated = 0;
+      const rows: KhoItem[] = [];
+      const previous = Array.from(new Set(items.map(i => i.key))).filter(k => mem.KHO[k]).map(k => copy(mem.KHO[k]));
+      for (const it of items) {
+        const existing = mem.KHO[it.key] || null;
+        existing ? updated++ : added++;
+        mem.KHO[it.key] = mergeKho(existing, it, now);
+        rows.push(copy(mem.KHO[it.key]));
+      }
+      return { rows, added, updated, previous };
+    },
+
+    async khoRemove(keys) {
+      const removed: KhoItem[] = [];
+      for (const k of keys) {
+        if (mem.KHO[k]) { removed.push(copy(mem.KHO[k])); delete mem.KHO[k]; }
+      }
+      return removed;
+    },
+
+    async khoMarkVerified(marks) {
+      let n = 0;
+      for (const { key, ...v } of marks) {
+        if (mem.KHO[key]) { Object.assign(mem.KHO[key], v); n++; }
+      }
+      return n;
+    },
+
+    // No await between the reads and the writes: nothing can interleave, the credit check included
+    async sell(keys, sale) {
+      const now = new Date().toISOString();
+      const skipped = sellSkips(keys, new Set(keys.filter(k => mem.KHO[k])), activeHolds(keys, now), sale.cart_id);
+      if (skipped.length && sale.all_or_nothing) return { sold: [], skipped };
+      const skip = new Set(skipped.map(s => s.key));
+      const sold: HistoryRow[] = keys.filter(k => mem.KHO[k] && !skip.has(k))
+        .map(k => ({ id: crypto.randomUUID(), ...historyFromKho(mem.KHO[k], sale, now) }));
+      if (!sold.length) return { sold, skipped };
+      const ledger = memoryLedger();
+      const debits = saleDebitInputs(sold, sale);
+      checkCredit(mem.MEMBERS[String(sale.member_id)], ledger.sum(String(sale.member_id)), debits);
+      for (const row of sold) {
+        mem.HISTORY.push(row);
+        delete mem.KHO[row.key];
+        delete mem.HOLDS[row.key];
+      }
+      ledger.insert(debits.map(d => ledgerRow(d, now)));
+      if (sale.cart_id) {
+        for (const h of Object.values(mem.HOLDS)) if (h.cart_id === sale.cart_id) delete mem.HOLDS[h.key];
+      }
+      return { sold: sold.map(copy), skipped };
+    },
+
+    async holdsGet(keys) { return activeHolds(keys, new Date().toISOString()).map(copy); },
+
+    async holdsOfCart(cartId) {
+      return Object.values(mem.HOLDS).filter(h => h.cart_id === cartId).sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || a.key.localeCompare(b.key)).map(copy);
+    },
+
+    // Synchronous like sell()
+    async holdsPlace(cartId, keys, heldBy, expiresAt) {
+      const now = new Date().toISOString();
+      const held: KhoHold[] = [];
+      const refused: HoldRefusal[] = [];
+      for (const key of keys) {
+        const h = mem.HOLDS[key];
+        if (!mem.KHO[key]) refused.push({ key, reason: 'not_in_kho', held_by: null, expires_at: null });
+        else if (h && h.cart_id !== cartId && h.expires_at > now) refused.push({ key, reason: 'held', held_by: h.held_by, expires_at: h.expires_at });
+        else held.push(mem.HOLDS[key] = { key, cart_id: cartId, held_by: heldBy, expires_at: expiresAt, created_at: h?.cart_id === cartId ? h.created_at : now });
+      }
+      for (const h of Object.values(mem.HOLDS)) if (h.cart_id === cartId) h.expires_at = expiresAt;
+      return { held: held.map(copy), refused };
+    },
+
+    async holdsRelease(cartId, keys) {
+      const released = (keys ?? Object.keys(mem.HOLDS)).filter(k => mem.HOLDS[k]?.cart_id === cartId);
+      for (const k of released) delete mem.HOLDS[k];
+      return released;
+    },
+
+    async historyList(q) {
+      const offset = q.offset || 0;
+      return mem.HISTORY
+        .filter(r => {
+          if (q.fromDate && !(r.soldAt && r.soldAt >= q.fromDate)) return false;
+          if (q.toDate && !(r.soldAt && r.soldAt <= q.toDate)) return false;
+          if (q.minTotal != null && r.total < q.minTotal) return false;
+          if (q.maxTotal != null && r.total > q.maxTotal) return false;
+          if (q.member_id != null && String(r.member_id) !== q.member_id) return false;
+          if ((q.reversed || 'exclude') !== 'include' && !!r.reversed_at !== (q.reversed === 'only')) return false;
+          return !q.search || includesCi([r.name, r.address, r.account, r.member_name, r.employee_username], q.search);
+        })
+        .sort(byTimeThenKey<HistoryRow>(r => r.soldAt, 'desc'))
+        .slice(offset, offset + (q.limit || HISTORY_LIST_DEFAULT_LIMIT))
+        .map(copy);
+    },
+
+    // Synchronous like sell(): the KHO check and both writes happen without an await in between
+    async historyReverse(sel, rev) {
+      const now = new Date().toISOString();
+      const rows = mem.HISTORY.filter(h => 'ids' in sel ? sel.ids.includes(String(h.id)) : h.sale_id === sel.sale_id);
+      const out: ReverseResult = { reversed: [], restored: [], skipped: missingIds(sel, rows) };
+      for (const h of rows) {
+        if (h.reversed_at) { out.skipped.push({ id: h.id, key: h.key, reason: 'already_reversed' }); continue; }
+        if (mem.KHO[h.key]) { out.skipped.push({ id: h.id, key: h.key, reason: 'in_kho' }); continue; }
+        mem.KHO[h.key] = khoFromHistory(h, now);
+        Object.assign(h, reversalMarks(rev, now));
+        out.restored.push(copy(mem.KHO[h.key]));
+        out.reversed.push(copy(h));
+      }
+      memoryLedger().insert(reversalCreditInputs(out.reversed, rev).map(c => ledgerRow(c, now)));
+      return out;
+    },
+
+    async salesList(q) {
+      const groups = new Map<string, HistoryRow[]>();
+      for (const r of mem.HISTORY) {
+        if (!r.sale_id) continue;
+        if (q.member_id != null && String(r.member_id) !== q.member_id) continue;
+        if (q.employee_id != null && String(r.employee_id) !== q.employee_id) continue;
+        if (q.fromDate && !(r.soldAt && r.soldAt >= q.fromDate)) continue;
+        if (q.toDate && !(r.soldAt && r.soldAt <= q.toDate)) continue;
+        groups.set(r.sale_id, [...(groups.get(r.sale_id) || []), r]);
+      }
+      const offset = q.offset || 0;
+      return Array.from(groups.values(), summarizeSale)
+        .sort((a, b) => String(b.soldAt ?? '').localeCompare(String(a.soldAt ?? '')) || a.sale_id.localeCompare(b.sale_id))
+        .slice(offset, offset + (q.limit || SALES_LIST_DEFAULT_LIMIT));
+    },
+
+    async saleGet(saleId) {
+      const rows = mem.HISTORY.filter(r => r.sale_id === saleId).sort((a, b) => a.key.localeCompare(b.key)).map(copy);
+      return rows.length ? { ...summarizeSale(rows), items: rows } : null;
+    },
+
+    async memberList() {
+      return Object.values(mem.MEMBERS)
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)) || a.name.localeCompare(b.name))
+        .map(copy);
+    },
+
+    async memberGet(id) { return mem.MEMBERS[id] ? copy(mem.MEMBERS[id]) : null; },
+
+    async memberCreate(input) {
+      const id = crypto.randomUUID();
+      mem.MEMBERS[id] = {
+        id, name: input.name, zalo: input.zalo ?? '', bank: input.bank ?? '', credit_limit: input.credit_limit ?? null,
+        created_at: new Date().toISOString()
+      };
+      return copy(mem.MEMBERS[id]);
+    },
+
+    async memberUpdate(id, patch) {
+      if (!mem.MEMBERS[id]) return null;
+      for (const c of MEMBER_COLUMNS) if (patch[c] !== undefined) (mem.MEMBERS[id] as any)[c] = patch[c];
+      return copy(mem.MEMBERS[id]);
+    },
+
+    async employeeList() {
+      return Object.values(mem.EMPLOYEES).sort((a, b) => a.username.localeCompare(b.username)).map(copy);
+    },
+
+    async employeeGet(id) { return mem.EMPLOYEES[id] ? copy(mem.EMPLOYEES[id]) : null; },
+
+    async employeeFindByUsername(username) {
+      const u = username.toLowerCase();
+      const e = Object.values(mem.EMPLOYEES).find(x => x.username.toLowerCase() === u);
+      return e ? copy(e) : null;
+    },
+
+    async employeeCreate(input) {
+      const id = crypto.randomUUID();
+      const now = new Date().toISOString();
+      mem.EMPLOYEES[id] = { ...input, id, created_at: now, updated_at: now };
+      return copy(mem.EMPLOYEES[id]);
+    },
+
+    async employeeUpdate(id, patch) {
+      if (!mem.EMPLOYEES[id]) return null;
+      const next = { ...mem.EMPLOYEES[id] };
+      for (const c of EMPLOYEE_COLUMNS) if (patch[c] !== undefined) (next as any)[c] = patch[c];
+      next.updated_at = new Date().toISOString();
+      mem.EMPLOYEES[id] = next;
+      return copy(next);
+    },
+
+    async employeeRemove(id) {
+      if (!mem.EMPLOYEES[id]) return false;
+      delete mem.EMPLOYEES[id];
+      return true;
+    }
+  };
+}
+
+/* LIKE pattern for a literal substring (backslash is Postgres' default escape character) */
+function likePattern(s: string) {
+  return `%${s.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function pgBackend(pool: Pool): Backend {
+  async function tx<T>(fn: (client: PoolClient) => Promise<T>): Promise<T> {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await fn(client);
+      await client.query('COMMIT');
+      return out;
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function patchRow(table: string, columns: readonly string[], id: string, patch: Record<string, any>, touch: boolean) {
+    const keys = columns.filter(c => patch[c] !== undefined);
+    if (!keys.length) {
+      const { rows } = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+      return rows[0] || null;
+    }
+    const sets = keys.map((k, i) => `${k} = $${i + 2}`).join(', ') + (touch ? ', updated_at = now()' : '');
+    const { rows } = await pool.query(`UPDATE ${table} SET ${sets} WHERE id = $1 RETURNING *`, [id, ...keys.map(k => patch[k])]);
+    return rows[0] || null;
+  }
+
+  async function memberGet(id: string) {
+    const { rows } = await pool.query('SELECT * FROM members WHERE id::text = $1', [id]);
+    return rows[0] ? toMember(rows[0]) : null;
+  }
+
+  return {
+    mode: 'db',
+
+    async khoList(q) {
+      const where: string[] = [];
+      const params: any[] = [];
+      const add = (sql: string, v: any) => { params.push(v); where.push(sql.replace('?', `$${params.length}`)); };
+      if (q.provider_id) add('provider_id = ?', q.provider_id);
+      if (q.positiveOnly) where.push('total > 0');
+      if (q.fromAmount != null) add('total >= ?', q.fromAmount);
+      if (q.toAmount != null) add('total <= ?', q.toAmount);
+      if (q.verifiedBefore) add('(last_verified_at IS NULL OR last_verified_at < ?)', q.verifiedBefore);
+      if (q.search) {
+        params.push(likePattern(q.search));
+        const p = `$${params.length}`;
+        where.push(`(name ILIKE ${p} OR address ILIKE ${p} OR account ILIKE ${p})`);
+      }
+      const dir = q.order === 'oldest' ? 'ASC' : 'DESC';
+      params.push(q.limit || KHO_LIST_DEFAULT_LIMIT, q.offset || 0);
+      const { rows } = await pool.query(
+        `SELECT * FROM kho ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         ORDER BY nhapat ${dir} NULLS LAST, key ASC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return rows.map(toKhoItem);
+    },
+
+    async khoCount() {
+      const { rows } = await pool.query('SELECT count(*)::int AS n FROM kho');
+      return rows[0].n;
+    },
+
+    async khoGet(keys) {
+      const { rows } = await pool.query('SELECT * FROM kho WHERE key = ANY($1::text[])', [keys]);
+      const byKey = new Map(rows.map((r: any) => [String(r.key), toKhoItem(r)]));
+      return keys.filter(k => byKey.has(k)).map(k => byKey.get(k)!);
+    },
+
+    async khoUpsert(items) {
+      return tx(async client => {
+        const rows: KhoItem[] = [];
+        let added = 0;
+        // Lock the existing rows first so `previous` is what this upsert overwrote
+        const { rows: prev } = await client.query('SELECT * FROM kho WHERE key = ANY($1::text[]) ORDER BY key FOR UPDATE', [Array.from(new Set(items.map(i => i.key)))]);
+        for (const it of items) {
+          const { rows: r } = await client.query(
+            `INSERT INTO kho (key, account, provider_id, name, address, amount_previous, amount_current, total, nhapat, customer, raw, created_at, updated_at)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,now(),now())
+             ON CONFLICT (key) DO UPDATE SET
+               account = EXCLUDED.account,
+               provider_id = EXCLUDED.provider_id,
+               name = COALESCE(NULLIF(EXCLUDED.name, ''), kho.name),
+               address = COALESCE(NULLIF(EXCLUDED.address, ''), kho.address),
+               amount_previous = EXCLUDED.amount_previous,
+               amount_current = EXCLUDED.amount_current,
+               total = EXCLUDED.total,
+               nhapat = COALESCE(kho.nhapat, EXCLUDED.nhapat),
+               customer = COALESCE(EXCLUDED.customer, kho.customer),
+               raw = EXCLUDED.raw,
+               updated_at = now(),
+               last_verified_at = NULL, verify_status = NULL, verified_total = NULL, verify_error = NULL
+             RETURNING *, (xmax = 0) AS inserted`,
+            [it.key, it.account, it.provider_id, it.name, it.address, it.amount_previous, it.amount_current, it.total,
+              it.nhapAt, it.customer, JSON.stringify(it.raw ?? {})]
+          );
+          if (r[0].inserted) added++;
+          rows.push(toKhoItem(r[0]));
+        }
+        return { rows, added, updated: items.length - added, previous: prev.map(toKhoItem) };
+      });
+    },
+
+    async khoRemove(keys) {
+      const { rows } = await pool.query('DELETE FROM kho WHERE key = ANY($1::text[]) RETURNING *', [keys]);
+      return rows.map(toKhoItem);
+    },
+
+    // Rows sold or removed meanwhile are simply not matched
+    async khoMarkVerified(marks) {
+      const { rowCount } = await pool.query(
+        `UPDATE kho SET last_verified_at = m.at, verify_status = m.status, verified_total = m.total, verify_error = m.error
+           FROM unnest($1::text[], $2::timestamptz[], $3::text[], $4::numeric[], $5::text[]) AS m(key, at, status, total, error)
+          WHERE kho.key = m.key`,
+        [marks.map(m => m.key), marks.map(m => m.last_verified_at), marks.map(m => m.verify_status), marks.map(m => m.verified_total), marks.map(m => m.verify_error)]
+      );
+      return rowCount || 0;
+    },
+
+    async sell(keys, sale) {
+      return tx(async client => {
+        const now = new Date().toISOString();
+        // The member row is locked first: sales to one member run one after the other, so the balance the credit
+        // limit is checked against cannot change before this sale's debit commits
+        const { rows: members } = await client.query('SELECT * FROM members WHERE id::text = $1 FOR UPDATE', [String(sale.member_id)]);
+        const { rows } = await client.query('SELECT * FROM kho WHERE key = ANY($1::text[]) FOR UPDATE', [keys]);
+        const byKey = new Map(rows.map((r: any) => [String(r.key), toKhoItem(r)]));
+        // Read after the KHO rows are locked: a hold being placed on them (holdsPlace) has committed by now
+        const { rows: holds } = await client.query('SELECT * FROM kho_holds WHERE key = ANY($1::text[]) AND expires_at > now()', [keys]);
+        const skipped = sellSkips(keys, new Set(byKey.keys()), holds.map(toKhoHold), sale.cart_id);
+        if (skipped.length && sale.all_or_nothing) return { sold: [], skipped };
+        const skip = new Set(skipped.map(s => s.key));
+        const sold: HistoryRow[] = [];
+        for (const key of keys) {
+          const item = byKey.get(key);
+          if (!item || skip.has(key)) continue;
+          byKey.delete(key);
+          const h = historyFromKho(item, sale, now);
+          const r = await client.query(
+            `INSERT INTO history (key, account, provider_id, name, address, amount_previous, amount_current, total, nhapat, xuatat, soldat,
+                                  member_id, member_name, employee_id, employee_username, raw, created_at, sale_id,
+                                  discount_rate, fee, sale_price, margin, note)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23) RETURNING *`,
+            [h.key, h.account, h.provider_id, h.name, h.address, h.amount_previous, h.amount_current, h.total, h.nhapAt, h.xuatAt, h.soldAt,
+              h.member_id, h.member_name, h.employee_id, h.employee_username, JSON.stringify(h.raw), h.created_at, h.sale_id,
+              h.discount_rate, h.fee, h.sale_price, h.margin, h.note]
+          );
+          sold.push(toHistoryRow(r.rows[0]));
+        }
+        if (sold.length) {
+          // A refusal throws, which rolls the history rows back
+          const debits = saleDebitInputs(sold, sale);
+          checkCredit(members[0] ? toMember(members[0]) : null, await sumLedger(client, String(sale.member_id)), debits);
+          await insertLedgerRows(client, debits.map(d => ledgerRow(d, now)));
+          await client.query('DELETE FROM kho WHERE key = ANY($1::text[])', [sold.map(s => s.key)]);
+          await client.query('DELETE FROM kho_holds WHERE key = ANY($1::text[]) OR cart_id = $2', [sold.map(s => s.key), sale.cart_id]);
+        }
+        return { sold, skipped };
+      });
+    },
+
+    async holdsGet(keys) {
+      const { rows } = await pool.query('SELECT * FROM kho_holds WHERE key = ANY($1::text[]) AND expires_at > now()', [keys]);
+      return rows.map(toKhoHold);
+    },
+
+    async holdsOfCart(cartId) {
+      const { rows } = await pool.query('SELECT * FROM kho_holds WHERE cart_id = $1 ORDER BY created_at, key', [cartId]);
+      return rows.map(toKhoHold);
+    },
+
+    async holdsPlace(cartId, keys, heldBy, expiresAt) {
+      return tx(async client => {
+        // FOR SHARE: a concurrent sell() of these bills (FOR UPDATE) either finishes first, and the hold finds no
+        // KHO row, or waits for the hold and then sees it
+        const { rows } = await client.query(
+          `INSERT INTO kho_holds (key, cart_id, held_by, expires_at)
+           SELECT k.key, $2, $3, $4 FROM kho k WHERE k.key = ANY($1::text[]) ORDER BY k.key FOR SHARE
+           ON CONFLICT (key) DO UPDATE
+             SET cart_id = EXCLUDED.cart_id, held_by = EXCLUDED.held_by, expires_at = EXCLUDED.expires_at,
+                 created_at = CASE WHEN kho_holds.cart_id = EXCLUDED.cart_id THEN kho_holds.created_at ELSE now() END
+             WHERE kho_holds.cart_id = EXCLUDED.cart_id OR kho_holds.expires_at <= now()
+           RETURNING *`,
+          [keys, cartId, heldBy, expiresAt]
+        );
+        await client.query('UPDATE kho_holds SET expires_at = $2 WHERE cart_id = $1', [cartId, expiresAt]);
+        const held = new Map(rows.map((r: any) => [String(r.key), toKhoHold(r)]));
+        const rest = keys.filter(k => !held.has(k));
+        const { rows: inKho } = rest.length ? await client.query('SELECT key FROM kho WHERE key = ANY($1::text[])', [rest]) : { rows: [] };
+        const { rows: others } = rest.length ? await client.query('SELECT * FROM kho_holds WHERE key = ANY($1::text[])', [rest]) : { rows: [] };
+        return {
+          held: keys.filter(k => held.has(k)).map(k => held.get(k)!),
+          refused: sellSkips(rest, new Set(inKho.map((r: any) => String(r.key))), others.map(toKhoHold), cartId)
+        };
+      });
+    },
+
+    async holdsRelease(cartId, keys) {
+      const { rows } = keys
+        ? await pool.query('DELETE FROM kho_holds WHERE cart_id = $1 AND key = ANY($2::text[]) RETURNING key', [cartId, keys])
+        : await pool.query('DELETE FROM kho_holds WHERE cart_id = $1 RETURNING key', [cartId]);
+      return rows.map((r: any) => String(r.key));
+    },
+
+    async historyList(q) {
+      const where: string[] = [];
+      const params: any[] = [];
+      const add = (sql: string, v: any) => { params.push(v); where.push(sql.replace('?', `$${params.length}`)); };
+      if (q.fromDate) add('soldat >= ?', q.fromDate);
+      if (q.toDate) add('soldat <= ?', q.toDate);
+      if (q.minTotal != null) add('total >= ?', q.minTotal);
+      if (q.maxTotal != null) add('total <= ?', q.maxTotal);
+      if (q.member_id != null) add('member_id = ?', q.member_id);
+      if ((q.reversed || 'exclude') === 'exclude') where.push('reversed_at IS NULL');
+      if (q.reversed === 'only') where.push('reversed_at IS NOT NULL');
+      if (q.search) {
+        params.push(likePattern(q.search));
+        const p = `$${params.length}`;
+        where.push(`(name ILIKE ${p} OR address ILIKE ${p} OR account ILIKE ${p} OR member_name ILIKE ${p} OR employee_username ILIKE ${p})`);
+      }
+      params.push(q.limit || HISTORY_LIST_DEFAULT_LIMIT, q.offset || 0);
+      const { rows } = await pool.query(
+        `SELECT * FROM history ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         ORDER BY soldat DESC NULLS LAST, key ASC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return rows.map(toHistoryRow);
+    },
+
+    async historyReverse(sel, rev) {
+      return tx(async client => {
+        const now = new Date().toISOString();
+        const marks = reversalMarks(rev, now);
+        const { rows } = 'ids' in sel
+          ? await client.query('SELECT * FROM history WHERE id::text = ANY($1::text[]) ORDER BY id FOR UPDATE', [sel.ids])
+          : await client.query('SELECT * FROM history WHERE sale_id = $1 ORDER BY id FOR UPDATE', [sel.sale_id]);
+        const found = rows.map(toHistoryRow);
+        const out: ReverseResult = { reversed: [], restored: [], skipped: missingIds(sel, found) };
+        for (const h of found) {
+          if (h.reversed_at) { out.skipped.push({ id: h.id, key: h.key, reason: 'already_reversed' }); continue; }
+          const k = khoFromHistory(h, now);
+          const ins = await client.query(
+            `INSERT INTO kho (key, account, provider_id, name, address, amount_previous, amount_current, total, nhapat, customer, raw, created_at, updated_at)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,now(),now())
+             ON CONFLICT (key) DO NOTHING RETURNING *`,
+            [k.key, k.account, k.provider_id, k.name, k.address, k.amount_previous, k.amount_current, k.total, k.nhapAt, k.customer, JSON.stringify(k.raw)]
+          );
+          if (!ins.rows.length) { out.skipped.push({ id: h.id, key: h.key, reason: 'in_kho' }); continue; }
+          const upd = await client.query(
+            `UPDATE history SET reversed_at = $2, reversed_by_id = $3, reversed_by_username = $4, reversal_reason = $5
+             WHERE id = $1 RETURNING *`,
+            [h.id, marks.reversed_at, marks.reversed_by_id, marks.reversed_by_username, marks.reversal_reason]
+          );
+          out.restored.push(toKhoItem(ins.rows[0]));
+          out.reversed.push(toHistoryRow(upd.rows[0]));
+        }
+        await insertLedgerRows(client, reversalCreditInputs(out.reversed, rev).map(c => ledgerRow(c, now)));
+        return out;
+      });
+    },
+
+    async salesList(q) {
+      const where = ['sale_id IS NOT NULL'];
+      const params: any[] = [];
+      const add = (sql: string, v: any) => { params.push(v); where.push(sql.replace('?', `$${params.length}`)); };
+      if (q.member_id != null) add('member_id = ?', q.member_id);
+      if (q.employee_id != null) add('employee_id = ?', q.employee_id);
+      if (q.fromDate) add('soldat >= ?', q.fromDate);
+      if (q.toDate) add('soldat <= ?', q.toDate);
+      params.push(q.limit || SALES_LIST_DEFAULT_LIMIT, q.offset || 0);
+      const { rows } = await pool.query(
+        `SELECT ${SALE_AGGREGATES} FROM history WHERE ${where.join(' AND ')} GROUP BY sale_id
+         ORDER BY MIN(soldat) DESC NULLS LAST, sale_id LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return rows.map(toSaleSummary);
+    },
+
+    async saleGet(saleId) {
+      const { rows } = await pool.query('SELECT * FROM history WHERE sale_id = $1 ORDER BY key', [saleId]);
+      if (!rows.length) return null;
+      const items = rows.map(toHistoryRow);
+      return { ...summarizeSale(items), items };
+    },
+
+    async memberList() {
+      const { rows } = await pool.query('SELECT * FROM members ORDER BY created_at DESC, name ASC LIMIT 2000');
+      return rows.map(toMember);
+    },
+
+    memberGet,
+
+    async memberCreate(input) {
+      const { rows } = await pool.query(
+        'INSERT INTO members (name, zalo, bank, credit_limit, created_at) VALUES ($1,$2,$3,$4,now()) RETURNING *',
+        [input.name, input.zalo ?? '', input.bank ?? '', input.credit_limit ?? null]
+      );
+      return toMember(rows[0]);
+    },
+
+    async memberUpdate(id, patch) {
+      if (!await memberGet(id)) return null;
+      const row = await patchRow('members', MEMBER_COLUMNS, id, patch, false);
+      return row ? toMember(row) : null;
+    },
+
+    async employeeList() {
+      const { rows } = await pool.query('SELECT * FROM employees ORDER BY username ASC LIMIT 2000');
+      return rows.map(toEmployee);
+    },
+
+    async employeeGet(id) {
+      const { rows } = await pool.query('SELECT * FROM employees WHERE id::text = $1', [id]);
+      return rows[0] ? toEmployee(rows[0]) : null;
+    },
+
+    async employeeFindByUsername(username) {
+      const { rows } = await pool.query('SELECT * FROM employees WHERE lower(username) = lower($1) LIMIT 1', [username]);
+      return rows[0] ? toEmployee(rows[0]) : null;
+    },
+
+    async employeeCreate(input) {
+      const { rows } = await pool.query(
+        `INSERT INTO employees (${EMPLOYEE_COLUMNS.join(', ')}, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,now(),now()) RETURNING *`,
+        EMPLOYEE_COLUMNS.map(c => input[c] ?? null)
+      );
+      return toEmployee(rows[0]);
+    },
+
+    async employeeUpdate(id, patch) {
+      const row = await patchRow('employees', EMPLOYEE_COLUMNS, id, patch, true);
+      return row ? toEmployee(row) : null;
+    },
+
+    // sessions and work_notes rows go with it (ON DELETE CASCADE)
+    async employeeRemove(id) {
+      const { rowCount } = await pool.query('DELETE FROM employees WHERE id::text = $1', [id]);
+      return (rowCount || 0) > 0;
+    }
+  };
+}
+
+/* PostgREST value list for in.(...) with every value quoted */
+function inList(values: string[]) {
+  return `(${values.map(v => `"${v.replace(/["\\]/g, '\\$&')}"`).join(',')})`;
+}
+
+/* PostgREST or=(...) substring match; * is the wildcard, % and _ are escaped to stay literal */
+function orIlike(columns: string[], s: string) {
+  const v = `"*${s.replace(/[\\%_]/g, '\\\\$&').replace(/"/g, '\\"')}*"`;
+  return `(${columns.map(c => `${c}.ilike.${v}`).join(',')})`;
+}
+
+function supabaseBackend(url: string, key: string): Backend {
+  const base = url.replace(/\/$/, '') + '/rest/v1/';
+  const headers = { apikey: key, Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', Accept: 'application/json' };
+
+  async function call(table: string, params: URLSearchParams | null, init: RequestInit = {}) {
+    const resp = await fetch(base + table + (params ? '?' + params.toString() : ''), {
+      ...init, headers: { ...headers, ...(init.headers as any || {}) }
+    });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => '');
+      const err: any = new Error(`Supabase ${table} request failed: ${resp.status} ${txt.slice(0, 300)}`);
+      err.status = resp.status;
+      throw err;
+    }
+    return resp;
+  }
+  async function json(table: string, params: URLSearchParams | null, init: RequestInit = {}) {
+    const text = await (await call(table, params, init)).text();
+    return text ? JSON.parse(text) : null;
+  }
+  const q = (entries: [string, string][]) => {
+    const p = new URLSearchParams();
+    for (const [k, v] of entries) p.append(k, v);
+    return p;
+  };
+  const returning = { Prefer: 'return=representation' };
+
+  const khoRow = (it: KhoItem) => ({
+    key: it.key, account: it.account, provider_id: it.provider_id, name: it.name, address: it.address,
+    amount_previous: it.amount_previous, amount_current: it.amount_current, total: it.total,
+    nhapat: it.nhapAt, customer: it.customer, raw: it.raw ?? {}, created_at: it.created_at, updated_at: it.updated_at,
+    last_verified_at: it.last_verified_at, verify_status: it.verify_status, verified_total: it.verified_total, verify_error: it.verify_error
+  });
+  const historyRow = (h: Omit<HistoryRow, 'id'>) => {
+    const { nhapAt, xuatAt, soldAt, ...rest } = h;
+    return { ...rest, nhapat: nhapAt, xuatat: xuatAt, soldat: soldAt };
+  };
+
+  async function holdsGet(keys: string[]): Promise<KhoHold[]> {
+    if (!keys.length) return [];
+    const rows = await json('kho_holds', q([['select', '*'], ['key', `in.${inList(keys)}`], ['expires_at', `gt.${new Date().toISOString()}`]]));
+    return ((rows || []) as any[]).map(toKhoHold);
+  }
+
+  async function khoByKeys(keys: string[]): Promise<KhoItem[]> {
+    if (!keys.length) return [];
+    return ((await json('kho', q([['select', '*'], ['key', `in.${inList(keys)}`]]))) || []).map(toKhoItem);
+  }
+
+  async function one(table: string, filter: [string, string], map: (r: any) => any) {
+    const rows = await json(table, q([['select', '*'], filter]));
+    return Array.isArray(rows) && rows.length ? map(rows[0]) : null;
+  }
+
+  const memberGet = (id: string) => one('members', ['id', `eq.${id}`], toMember);
+  // member_ledger over the same REST endpoint, for the debit sell() and the credit history.reverse() write
+  const ledger = createLedger({ pool: null, supabase: { url, key } });
+
+  return {
+    mode: 'supabase',
+
+    async khoList(query) {
+      const dir = query.order === 'oldest' ? 'asc' : 'desc';
+      const p: [string, string][] = [['select', '*'], ['order', `nhapat.${dir}.nullslast,key.asc`],
+        ['limit', String(query.limit || KHO_LIST_DEFAULT_LIMIT)], ['offset', String(query.offset || 0)]];
+      if (query.provider_id) p.push(['provider_id', `eq.${query.provider_id}`]);
+      if (query.positiveOnly) p.push(['total', 'gt.0']);
+      if (query.fromAmount != null) p.push(['total', `gte.${query.fromAmount}`]);
+      if (query.toAmount != null) p.push(['total', `lte.${query.toAmount}`]);
+      if (query.verifiedBefore) p.push(['and', `(or(last_verified_at.is.null,last_verified_at.lt.${query.verifiedBefore}))`]);
+      if (query.search) p.push(['or', orIlike(['name', 'address', 'account'], query.search)]);
+      return ((await json('kho', q(p))) || []).map(toKhoItem);
+    },
+
+    async khoCount() {
+      const resp = await call('kho', q([['select', 'key'], ['limit', '1']]), { headers: { Prefer: 'count=exact' } });
+      return Number((resp.headers.get('content-range') || '').split('/')[1]) || 0;
+    },
+
+    async khoGet(keys) {
+      const byKey = new Map((await khoByKeys(keys)).map(r => [r.key, r]));
+      return keys.filter(k => byKey.has(k)).map(k => byKey.get(k)!);
+    },
+
+    async khoUpsert(items) {
+      const now = new Date().toISOString();
+      const existing = new Map((await khoByKeys(items.map(i => i.key))).map(r => [r.key, r]));
+      const merged = new Map<string, KhoItem>();
+      let added = 0;
+      for (const it of items) {
+        const prev = merged.get(it.key) || existing.get(it.key) || null;
+        if (!prev) added++;
+        merged.set(it.key, mergeKho(prev, it, now));
+      }
+      const rows = await json('kho', q([['on_conflict', 'key']]), {
+        method: 'POST',
+        headers: { Prefer: 'return=representation,resolution=merge-duplicates' },
+        body: JSON.stringify(Array.from(merged.values()).map(khoRow))
+      });
+      const byKey = new Map(((rows || []) as any[]).map(r => [String(r.key), toKhoItem(r)]));
+      return { rows: items.map(it => byKey.get(it.key) || merged.get(it.key)!), added, updated: items.length - added, previous: Array.from(existing.values()) };
+    },
+
+    async khoRemove(keys) {
+      const rows = await json('kho', q([['key', `in.${inList(keys)}`]]), { method: 'DELETE', headers: returning });
+      return ((rows || []) as any[]).map(toKhoItem);
+    },
+
+    // One PATCH per row (an upsert could re-insert a row sold meanwhile); rows gone are not matched
+    async khoMarkVerified(marks) {
+      let n = 0;
+      for (let i = 0; i < marks.length; i += 8) {
+        const done = await Promise.all(marks.slice(i, i + 8).map(({ key: k, ...v }) =>
+          json('kho', q([['key', `eq.${k}`]]), { method: 'PATCH', headers: returning, body: JSON.stringify(v) })));
+        n += done.filter(rows => Array.isArray(rows) && rows.length).length;
+      }
+      return n;
+    },
+
+    async sell(keys, sale) {
+      const now = new Date().toISOString();
+      // Holds are read before the claim, not under a lock: a hold placed in between does not stop this sale
+      const holds = await holdsGet(keys);
+      const heldSkips = sellSkips(keys, new Set(keys), holds, sale.cart_id);
+      if (heldSkips.length && sale.all_or_nothing) return { sold: [], skipped: heldSkips };
+      const heldKeys = new Set(heldSkips.map(s => s.key));
+      const free = keys.filter(k => !heldKeys.has(k));
+      // Claim the rows: of two concurrent sells only one gets each deleted row back
+      const claimed: any[] = free.length ? (await json('kho', q([['key', `in.${inList(free)}`]]), { method: 'DELETE', headers: returning })) || [] : [];
+      const byKey = new Map(claimed.map(r => [String(r.key), toKhoItem(r)]));
+      const items = free.filter(k => byKey.has(k)).map(k => byKey.get(k)!);
+      const skipped = [...heldSkips, ...sellSkips(free, new Set(byKey.keys()), [], null)];
+      const restore = () => json('kho', null, { method: 'POST', body: JSON.stringify(items.map(khoRow)) })
+        .catch((e: any) => console.warn('[repository] could not restore KHO rows after failed sell', items.map(i => i.key), e?.message || e));
+      if (skipped.length && sale.all_or_nothing) {
+        if (items.length) await restore();
+        return { sold: [], skipped };
+      }
+      if (!items.length) return { sold: [], skipped };
+      const pending = items.map(it => historyFromKho(it, sale, now));
+      const debits = saleDebitInputs(pending, sale);
+      let rows: any[] = [];
+      try {
+        // No lock over REST: the balance is read once the bills are claimed, just before the rows are written
+        const [member, balance] = await Promise.all([memberGet(String(sale.member_id)), ledger.balance(sale.member_id)]);
+        checkCredit(member, balance, debits);
+        rows = await json('history', null, { method: 'POST', headers: returning, body: JSON.stringify(pending.map(historyRow)) }) || [];
+        await ledger.post(debits);
+      } catch (err) {
+        // The debit failed after the history rows were written: take them out again with the claim
+        if (rows.length) {
+          await json('history', q([['id', `in.${inList(rows.map(r => String(r.id)))}`]]), { method: 'DELETE' })
+            .catch((e: any) => console.warn('[repository] could not delete history rows of failed sell', rows.map(r => r.id), e?.message || e));
+        }
+        await restore();
+        throw err;
+      }
+      const filters: [string, string][] = [['or', `(key.in.${inList(items.map(i => i.key))}${sale.cart_id ? `,cart_id.eq.${sale.cart_id}` : ''})`]];
+      await json('kho_holds', q(filters), { method: 'DELETE' })
+        .catch((e: any) => console.warn('[repository] could not drop holds of sold bills', e?.message || e));
+      return { sold: rows.map(toHistoryRow), skipped };
+    },
+
+    holdsGet,
+
+    async holdsOfCart(cartId) {
+      const rows = await json('kho_holds', q([['select', '*'], ['cart_id', `eq.${cartId}`], ['order', 'created_at.asc,key.asc']]));
+      return ((rows || []) as any[]).map(toKhoHold);
+    },
+
+    async holdsPlace() { throw new Error('KHO holds are placed by server.ts carts (Postgres or memory backend)'); },
+    async holdsRelease() { throw new Error('KHO holds are released by server.ts carts (Postgres or memory backend)'); },
+
+    async historyList(query) {
+      const p: [string, string][] = [['select', '*'], ['order', 'soldat.desc.nullslast,key.asc'],
+        ['limit', String(query.limit || HISTORY_LIST_DEFAULT_LIMIT)], ['offset', String(query.offset || 0)]];
+      if (query.fromDate) p.push(['soldat', `gte.${query.fromDate}`]);
+      if (query.toDate) p.push(['soldat', `lte.${query.toDate}`]);
+      if (query.minTotal != null) p.push(['total', `gte.${query.minTotal}`]);
+      if (query.maxTotal != null) p.push(['total', `lte.${query.maxTotal}`]);
+      if (query.member_id != null) p.push(['member_id', `eq.${query.member_id}`]);
+      if ((query.reversed || 'exclude') === 'exclude') p.push(['reversed_at', 'is.null']);
+      if (query.reversed === 'only') p.push(['reversed_at', 'not.is.null']);
+      if (query.search) p.push(['or', orIlike(['name', 'address', 'account', 'member_name', 'employee_username'], query.search)]);
+      return ((await json('history', q(p))) || []).map(toHistoryRow);
+    },
+
+    // No transaction: the KHO insert (ignoring keys already there) claims each bill, then the history
+    // rows are marked and the ledger credited; if either fails the marks are cleared and the restored
+    // KHO rows deleted again
+    async historyReverse(sel, rev) {
+      const now = new Date().toISOString();
+      const filter: [string, string] = 'ids' in sel ? ['id', `in.${inList(sel.ids)}`] : ['sale_id', `eq.${sel.sale_id}`];
+      const found: HistoryRow[] = ((await json('history', q([['select', '*'], filter, ['order', 'id.asc']]))) || []).map(toHistoryRow);
+      const out: ReverseResult = { reversed: [], restored: [], skipped: missingIds(sel, found) };
+      const candidates: HistoryRow[] = [];
+      for (const h of found) {
+        if (h.reversed_at) out.skipped.push({ id: h.id, key: h.key, reason: 'already_reversed' });
+        else if (candidates.some(c => c.key === h.key)) out.skipped.push({ id: h.id, key: h.key, reason: 'in_kho' });
+        else candidates.push(h);
+      }
+      if (!candidates.length) return out;
+
+      const inserted: any[] = (await json('kho', q([['on_conflict', 'key']]), {
+        method: 'POST',
+        headers: { Prefer: 'return=representation,resolution=ignore-duplicates' },
+        body: JSON.stringify(candidates.map(h => khoRow(khoFromHistory(h, now))))
+      })) || [];
+      const restored = new Map(inserted.map(r => [String(r.key), toKhoItem(r)]));
+      const claimed = candidates.filter(h => restored.has(h.key));
+      for (const h of candidates) if (!restored.has(h.key)) out.skipped.push({ id: h.id, key: h.key, reason: 'in_kho' });
+      if (!claimed.length) return out;
+
+      let marked: HistoryRow[] = [];
+      try {
+        const rows = await json('history', q([['id', `in.${inList(claimed.map(h => String(h.id)))}`], ['reversed_at', 'is.null']]), {
+          method: 'PATCH', headers: returning, body: JSON.stringify(reversalMarks(rev, now))
+        });
+        marked = ((rows || []) as any[]).map(toHistoryRow);
+        await ledger.post(reversalCreditInputs(marked, rev));
+        out.reversed = marked;
+        out.restored = out.reversed.map(h => restored.get(h.key)!);
+        return out;
+      } catch (err) {
+        if (marked.length) {
+          const unmark = { reversed_at: null, reversed_by_id: null, reversed_by_username: null, reversal_reason: null };
+          await json('history', q([['id', `in.${inList(marked.map(h => String(h.id)))}`]]), { method: 'PATCH', body: JSON.stringify(unmark) })
+            .catch((e: any) => console.warn('[repository] could not clear reversal marks after failed credit', marked.map(h => h.id), e?.message || e));
+        }
+        await json('kho', q([['key', `in.${inList(claimed.map(h => h.key))}`]]), { method: 'DELETE' })
+          .catch((e: any) => console.warn('[repository] could not remove KHO rows after failed reversal', claimed.map(h => h.key), e?.message || e));
+        throw err;
+      }
+    },
+
+    async salesList(query) {
+      const p: [string, string][] = [['select', '*'], ['order', 'soldat.desc.nullslast,sale_id.asc'],
+        ['limit', String(query.limit || SALES_LIST_DEFAULT_LIMIT)], ['offset', String(query.offset || 0)]];
+      if (query.member_id != null) p.push(['member_id', `eq.${query.member_id}`]);
+      if (query.employee_id != null) p.push(['employee_id', `eq.${query.employee_id}`]);
+      if (query.fromDate) p.push(['soldat', `gte.${query.fromDate}`]);
+      if (query.toDate) p.push(['soldat', `lte.${query.toDate}`]);
+      return ((await json('sales', q(p))) || []).map(toSaleSummary);
+    },
+
+    async saleGet(saleId) {
+      const rows = await json('history', q([['select', '*'], ['sale_id', `eq.${saleId}`], ['order', 'key.asc']]));
+      if (!rows?.length) return null;
+      const items = rows.map(toHistoryRow);
+      return { ...summarizeSale(items), items };
+    },
+
+    async memberList() {
+      const rows = await json('members', q([['select', '*'], ['order', 'created_at.desc,name.asc'], ['limit', '2000']]));
+      return (rows || []).map(toMember);
+    },
+
+    memberGet,
+
+    async memberCreate(input) {
+      const rows = await json('members', null, {
+        method: 'POST', headers: returning, body: JSON.stringify({ name: input.name, zalo: input.zalo ?? '', bank: input.bank ?? '', credit_limit: input.credit_limit ?? null })
+      });
+      return toMember(rows[0]);
+    },
+
+    async memberUpdate(id, patch) {
+      const body: Record<string, any> = {};
+      for (const c of MEMBER_COLUMNS) if (patch[c] !== undefined) body[c] = patch[c];
+      if (!Object.keys(body).length) return memberGet(id);
+      const rows = await json('members', q([['id', `eq.${id}`]]), { method: 'PATCH', headers: returning, body: JSON.stringify(body) });
+      return rows?.[0] ? toMember(rows[0]) : null;
+    },
+
+    async employeeList() {
+      const rows = await json('employees', q([['select', '*'], ['order', 'username.asc'], ['limit', '2000']]));
+      return (rows || []).map(toEmployee);
+    },
+
+    async employeeGet(id) { return one('employees', ['id', `eq.${id}`], toEmployee); },
+
+    async employeeFindByUsername(username) {
+      // ilike without wildcards = case-insensitive equality; escape the LIKE metacharacters
+      return one('employees', ['username', `ilike.${username.replace(/[\\%_*]/g, '\\$&')}`], toEmployee);
+    },
+
+    async employeeCreate(input) {
+      const now = new Date().toISOString();
+      const rows = await json('employees', null, {
+        method: 'POST', headers: returning, body: JSON.stringify({ ...input, created_at: now, updated_at: now })
+      });
+      return toEmployee(rows[0]);
+    },
+
+    async employeeUpdate(id, patch) {
+      const body: Record<string, any> = {};
+      for (const c of EMPLOYEE_COLUMNS) if (patch[c] !== undefined) body[c] = patch[c];
+      body.updated_at = new Date().toISOString();
+      const rows = await json('employees', q([['id', `eq.${id}`]]), { method: 'PATCH', headers: returning, body: JSON.stringify(body) });
+      return rows?.[0] ? toEmployee(rows[0]) : null;
+    },
+
+    async employeeRemove(id) {
+      const rows = await json('employees', q([['id', `eq.${id}`]]), { method: 'DELETE', headers: returning });
+      return Array.isArray(rows) && rows.length > 0;
+    }
+  };
+}
+
+/* ----------------------------------------------------------------------
+   Repository
+   ---------------------------------------------------------------------- */
+
+export function createRepository(opts: { pool: Pool | null; supabase?: { url: string; key: string } | null }) {
+  const db: Backend = opts.pool ? pgBackend(opts.pool)
+    : opts.supabase ? supabaseBackend(opts.supabase.url, opts.supabase.key)
+    : memoryBackend(memoryTables());
+
+  return {
+    mode: db.mode,
+
+    kho: {
+      list: (q: KhoQuery = {}) => db.khoList(q),
+      count: () => db.khoCount(),
+      /* Rows for these keys, in the order given (keys not in KHO are left out) */
+      get: (keys: string[]): Promise<KhoItem[]> => keys.length ? db.khoGet(Array.from(new Set(keys))) : Promise.resolve([]),
+      /* Later rows win when the same key appears twice in one call */
+      upsert: (items: KhoInput[]): Promise<UpsertResult> => items.length ? db.khoUpsert(items) : Promise.resolve({ rows: [], added: 0, updated: 0, previous: [] }),
+      /* Returns the removed rows (keys not in KHO are ignored) */
+      remove: (keys: string[]): Promise<KhoItem[]> => keys.length ? db.khoRemove(Array.from(new Set(keys))) : Promise.resolve([]),
+      /* Record re-verification results (src/kho-verify.ts); returns how many rows were still there */
+      markVerified: (marks: KhoVerifyMark[]): Promise<number> => marks.length ? db.khoMarkVerified(marks) : Promise.resolve(0)
+    },
+
+    /* Bills reserved for carts (src/carts.ts); see sell() for how they bind */
+    holds: {
+      /* Unexpired holds on these keys */
+      active: (keys: string[]): Promise<KhoHold[]> => keys.length ? db.holdsGet(Array.from(new Set(keys))) : Promise.resolve([]),
+      /* Every hold of the cart, expired ones included, oldest first */
+      ofCart: (cartId: string) => db.holdsOfCart(cartId),
+      /*
+       * Hold bills in KHO that no other cart holds (or whose hold expired) until expiresAt, and move the
+       * expiry of the cart's other holds to expiresAt as well
+       */
+      place: (cartId: string, keys: string[], heldBy: string | null, expiresAt: string): Promise<HoldResult> =>
+        db.holdsPlace(cartId, Array.from(new Set(keys)), heldBy, expiresAt),
+      /* Drop the cart's holds on these keys (null = all); returns the keys released */
+      release: (cartId: string, keys: string[] | null = null): Promise<string[]> =>
+        keys && !keys.length ? Promise.resolve([]) : db.holdsRelease(cartId, keys && Array.from(new Set(keys)))
+    },
+
+    history: {
+      list: (q: HistoryQuery = {}) => db.historyList(q),
+      /*
+       * Undo sales: each selected row that is not reversed yet puts its bill back in KHO (original nhapAt)
+       * and is marked reversed. Rows whose key is in KHO again are skipped ('in_kho'), never overwritten.
+       */
+      reverse: (sel: ReverseSelection, rev: Reversal) => db.historyReverse(
+        'ids' in sel ? { ids: Array.from(new Set(sel.ids.map(String))) } : sel, rev
+      )
+    },
+
+    sales: {
+      /* Newest first */
+      list: (q: SalesQuery = {}) => db.salesList(q),
+      get: (saleId: string) => db.saleGet(String(saleId))
+    },
+
+    members: {
+      list: () => db.memberList(),
+      get: (id: string | number) => db.memberGet(String(id)),
+      create: (input: MemberInput) => db.memberCreate(input),
+      update: (id: string | number, patch: MemberPatch) => db.memberUpdate(String(id), patch)
+    },
+
+    employees: {
+      list: () => db.employeeList(),
+      get: (id: string | number) => db.employeeGet(String(id)),
+      findByUsername: (username: string) => db.employeeFindByUsername(username),
+      create: (input: EmployeeInput) => db.employeeCreate(input),
+      update: (id: string | number, patch: EmployeePatch) => db.employeeUpdate(String(id), patch),
+      remove: (id: string | number) => db.employeeRemove(String(id))
+    },
+
+    /*
+     * Move KHO bills to history for a member. Keys not in KHO (already sold, removed) or held by another cart
+     * are skipped and listed with the reason; `sold` are the history rows created, in the order of `keys`.
+     * cart_id: the cart being confirmed (its holds are dropped once something sells); all_or_nothing: sell
+     * nothing when any key would be skipped. The amount due is debited to the member's ledger with the sale;
+     * above the member's credit_limit nothing is sold and CreditLimitError is thrown.
+     */
+    async sell(input: {
+      keys: string[];
+      member_id: string | number;
+      employee?: { id: string | number | null; username: string | null } | null;
+      note?: string | null;
+      price?: ((item: KhoItem) => BillPrice) | null;
+      cart_id?: string | null;
+      all_or_nothing?: boolean;
+    }): Promise<SellResult> {
+      const keys = Array.from(new Set(input.keys));
+      if (!keys.length) return { sold: [], skipped: [] };
+      const member = await db.memberGet(String(input.member_id));
+      return db.sell(keys, {
+        sale_id: crypto.randomUUID(),
+        member_id: input.member_id,
+        member_name: member?.name ?? null,
+        employee_id: input.employee?.id ?? null,
+        employee_username: input.employee?.username ?? null,
+        note: input.note ?? null,
+        price: input.price ?? null,
+        cart_id: input.cart_id ?? null,
+        all_or_nothing: !!input.all_or_nothing
+      });
+    }
+  };
+}
+
+export type Repository = ReturnType<typeof createRepository>;
@@ -0,0 +1,151 @@
+/**
+ * src/select-by-target.ts
+ *
+ * Subset-sum selection of KHO bills for /api/select-by-target (server.ts + Netlify function).
+ * - Input: candidate bills ({ key, total, ... }) already narrowed by the caller (from/to bounds, provider).
+ * - Modes:
+ *     'exact'  -> a set whose sum equals target (empty selection if none exists)
+ *     'under'  -> the largest sum <= target (default; "as close as possible without going over")
+ *     'over'   -> the smallest sum >= target
+ * - maxCount caps the number of bills in the selection.
+ * - timeBudgetMs bounds the search; when it runs out the best selection found so far is returned
+ *   with complete=false.
+ *
+ * Notes:
+ * - Depth-first branch and bound over totals sorted descending, seeded with a greedy pick.
+ *   Bills with equal totals are interchangeable, so only one branch per distinct total is explored.
+ * - Totals are rounded to whole VND.
+ */
+
+export type SelectMode = 'exact' | 'under' | 'over';
+
+export const SELECT_MODES: SelectMode[] = ['exact', 'under', 'over'];
+
+export type SelectOptions = {
+  target: number;
+  mode?: SelectMode;
+  maxCount?: number;
+  timeBudgetMs?: number;
+};
+
+export type SelectResult<T> = {
+  items: T[];
+  keys: string[];
+  sum: number;
+  count: number;
+  target: number;
+  mode: SelectMode;
+  diff: number;          // sum - target (negative when under)
+  found: boolean;        // false when no selection satisfies the mode
+  complete: boolean;     // false when the time budget stopped the search early
+  candidates: number;
+  elapsed_ms: number;
+};
+
+export const DEFAULT_MAX_COUNT = 50;
+export const DEFAULT_TIME_BUDGET_MS = 1500;
+export const MAX_TIME_BUDGET_MS = 10000;
+
+function amountOf(v: any) {
+  const n = Number(String(v ?? '').replace(/[^\d.-]/g, ''));
+  return Number.isFinite(n) ? Math.round(n) : 0;
+}
+
+export function selectByTarget<T extends { key: string; total?: any }>(bills: T[], opts: SelectOptions): SelectResult<T> {
+  const started = Date.now();
+  const target = Math.round(Number(opts.target) || 0);
+  const mode: SelectMode = opts.mode || 'under';
+  const maxCount = Math.max(1, Math.floor(Number(opts.maxCount) || DEFAULT_MAX_COUNT));
+  const budget = Math.min(Math.max(1, Number(opts.timeBudgetMs) || DEFAULT_TIME_BUDGET_MS), MAX_TIME_BUDGET_MS);
+  const deadline = started + budget;
+
+  const items = bills
+    .map(b => ({ bill: b, amount: amountOf(b.total) }))
+    .filter(x => x.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+  const n = items.length;
+  const a = items.map(x => x.amount);
+
+  // prefix[i] = a[0] + ... + a[i-1]; with a sorted descending, prefix[min(n, i+k)] - prefix[i]
+  // is the most that k more bills starting at i can add
+  const prefix = new Array(n + 1).fill(0);
+  for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + a[i];
+  const reach = (i: number, left: number) => prefix[Math.min(n, i + left)] - prefix[i];
+
+  // over: smallest sum >= target, so "best" starts at +Infinity; under/exact: largest sum <= target
+  const over = mode === 'over';
+  let bestSum = over ? Infinity : -1;
+  let best: number[] = [];
+  const path: number[] = [];
+  let nodes = 0;
+  let timedOut = false;
+
+  function record(sum: number) {
+    if (over ? (sum >= target && sum < bestSum) : (sum <= target && sum > bestSum)) {
+      bestSum = sum;
+      best = path.slice();
+    }
+  }
+
+  // Greedy seed so even an interrupted search returns something sensible
+  {
+    let sum = 0;
+    for (let i = 0; i < n && path.length < maxCount; i++) {
+      if (over) {
+        if (sum >= target) break;
+        path.push(i); sum += a[i];
+      } else if (sum + a[i] <= target) {
+        path.push(i); sum += a[i];
+      }
+    }
+    record(sum);
+    path.length = 0;
+  }
+
+  function dfs(start: number, sum: number) {
+    if (timedOut) return;
+    if ((++nodes & 1023) === 0 && Date.now() > deadline) { timedOut = true; return; }
+    const left = maxCount - path.length;
+    if (left <= 0) return;
+    for (let i = start; i < n; i++) {
+      if (timedOut || bestSum === target) return;
+      if (i > start && a[i] === a[i - 1]) continue;
+      const bound = sum + reach(i, left);
+      const next = sum + a[i];
+      if (over) {
+        if (bound < target) return;        // even the largest remaining bills cannot reach target
+        if (next >= bestSum) continue;     // a smaller bill may still land closer
+        path.push(i);
+        if (next >= target) record(next);
+        else dfs(i + 1, next);
+        path.pop();
+      } else {
+        if (bound <= bestSum) return;      // cannot beat the current best
+        if (next > target) continue;
+        path.push(i);
+        record(next);
+        dfs(i + 1, next);
+        path.pop();
+      }
+    }
+  }
+
+  if (n > 0 && target > 0) dfs(0, 0);
+
+  const found = mode === 'exact' ? bestSum === target : Number.isFinite(bestSum) && bestSum >= 0 && best.length > 0;
+  const chosen = found ? best.map(i => items[i].bill) : [];
+  const sum = found ? bestSum : 0;
+  return {
+    items: chosen,
+    keys: chosen.map(b => b.key),
+    sum,
+    count: chosen.length,
+    target,
+    mode,
+    diff: found ? sum - target : 0,
+    found,
+    complete: !timedOut,
+    candidates: n,
+    elapsed_ms: Date.now() - started
+  };
+}
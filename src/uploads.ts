@@ -0,0 +1,316 @@
+/**
+ * src/uploads.ts
+ *
+ * .xlsx / .csv uploads of contract numbers or KHO bills (POST /api/uploads, netlify/functions/uploads.ts).
+ * - readUploadTable(): the cells of one sheet (first by default) or of a CSV file (UTF-8, BOM allowed,
+ *   delimiter , ; or tab guessed from the first line), as text.
+ * - resolveColumns(): which column holds account / sku / name / address / amount. Explicit mapping
+ *   entries win (header text, column letter "B" or 1-based number); other fields are recognised from
+ *   the header row (Vietnamese headers with or without accents). A file whose first row names no known
+ *   field has no header row: column A is the account, column B the SKU when present.
+ * - checkUploadRows(): one report line per non-empty row, 'accepted' | 'duplicate' | 'invalid' with a
+ *   reason code (UPLOAD_REASONS). Providers are checked like a lookup (src/providers.ts). Duplicates are
+ *   repeats of an earlier row of the file and, for target 'kho', bills already in KHO (they are never
+ *   overwritten from a file).
+ * - What happens to the accepted rows (lookup jobs, KHO upsert) is up to the caller.
+ */
+
+import ExcelJS from 'exceljs';
+import type { Provider } from './providers.js';
+import { matchesAccountPattern } from './providers.js';
+
+export const UPLOAD_FIELDS = ['account', 'sku', 'name', 'address', 'amount'] as const;
+export const UPLOAD_TARGETS = ['lookup', 'kho'] as const;
+export const UPLOAD_REASONS = [
+  'missing_account', 'missing_sku', 'unknown_provider', 'provider_disabled', 'invalid_account', 'invalid_amount',
+  'duplicate_in_file', 'in_kho'
+] as const;
+
+export type UploadField = typeof UPLOAD_FIELDS[number];
+export type UploadTarget = typeof UPLOAD_TARGETS[number];
+export type UploadReason = typeof UPLOAD_REASONS[number];
+export type UploadMapping = Partial<Record<UploadField, string | number | null>>;
+export type UploadColumns = Partial<Record<UploadField, number>>;   // 0-based column index
+
+export type UploadRow = {
+  row: number;                 // row number in the sheet / file (1-based, as the user sees it)
+  status: 'accepted' | 'duplicate' | 'invalid';
+  reason: UploadReason | null;
+  account: string | null;
+  sku: string | null;
+  name: string | null;
+  address: string | null;
+  amount: number | null;
+  key: string | null;          // `${sku}::${account}` when both are known
+};
+
+export type UploadTable = { format: 'xlsx' | 'csv'; sheet: string | null; rows: string[][] };
+
+export const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 5 * 1024 * 1024);
+export const UPLOAD_MAX_ROWS = Number(process.env.UPLOAD_MAX_ROWS || 20000);
+
+/* Thrown for files we cannot read; callers answer 400 with its message */
+export class UploadError extends Error {
+  constructor(message: string, public code = 'invalid_file') {
+    super(message);
+  }
+}
+
+/* ---- Reading ---- */
+
+function detectFormat(buf: Buffer, filename: string | null): 'xlsx' | 'csv' {
+  if (buf.length >= 4 && buf[0] === 0x50 && buf[1] === 0x4b) return 'xlsx';   // zip container
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0xd0cf11e0) {
+    throw new UploadError('Old .xls files are not supported; save the sheet as .xlsx or .csv', 'unsupported_format');
+  }
+  if (/\.xlsx$/i.test(filename || '')) throw new UploadError('File is not a valid .xlsx workbook');
+  // text files never carry NUL bytes; anything else binary is not something we can read as CSV
+  if (buf.subarray(0, 4096).includes(0)) throw new UploadError('File is neither .xlsx nor a text .csv', 'unsupported_format');
+  return 'csv';
+}
+
+function guessDelimiter(firstLine: string) {
+  let best = ',';
+  let bestCount = 0;
+  for (const d of [',', ';', '\t']) {
+    const n = firstLine.split(d).length - 1;
+    if (n > bestCount) { best = d; bestCount = n; }
+  }
+  return best;
+}
+
+/* RFC 4180: quoted fields may hold the delimiter, doubled quotes and line breaks */
+function parseCsv(text: string): string[][] {
+  const src = text.replace(/^\uFEFF/, '');
+  const delim = guessDelimiter(src.split(/\r?\n/, 1)[0] || '');
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+async function readUploadTable(buf: Buffer, opts: { filename?: string | null; sheet?: string | number | null } = {}): Promise<UploadTable> {
+  if (!buf.length) throw new UploadError('File is empty');
+  if (buf.length > UPLOAD_MAX_BYTES) throw new UploadError(`File is larger than ${UPLOAD_MAX_BYTES} bytes`, 'file_too_large');
+  const format = detectFormat(buf, opts.filename ?? null);
+  if (format === 'csv') return { format, sheet: null, rows: parseCsv(buf.toString('utf8')) };
+
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(buf as any);
+  } catch (err: any) {
+    throw new UploadError('File is not a valid .xlsx workbook');
+  }
+  const ws = typeof opts.sheet === 'number' ? wb.worksheets[opts.sheet - 1]
+    : opts.sheet ? wb.getWorksheet(opts.sheet)
+    : wb.worksheets[0];
+  if (!ws) throw new UploadError(opts.sheet != null ? `Sheet not found: ${opts.sheet}` : 'Workbook has no sheets', 'sheet_not_found');
+
+  const rows: string[][] = [];
+  ws.eachRow({ includeEmpty: true }, (r, n) => {
+    const cells: string[] = [];
+    for (let c = 1; c <= r.cellCount; c++) cells.push(r.getCell(c).text ?? '');
+    rows[n - 1] = cells;
+  });
+  for (let i = 0; i < rows.length; i++) rows[i] = rows[i] || [];
+  return { format, sheet: ws.name, rows };
+}
+
+/* ---- Column mapping ---- */
+
+const HEADER_ALIASES: Record<UploadField, string[]> = {
+  account: ['account', 'accounts', 'contract', 'contract number', 'contract numbers', 'ma kh', 'ma khach hang', 'ma hop dong', 'so hop dong', 'ma hd', 'ma'],
+  sku: ['sku', 'provider', 'provider id', 'nha cung cap', 'ncc', 'ma ncc'],
+  name: ['name', 'customer', 'ten', 'ten kh', 'ten khach hang', 'ho ten', 'ho va ten'],
+  address: ['address', 'dia chi'],
+  amount: ['amount', 'total', 'amount current', 'so tien', 'tien', 'tong', 'tong cong', 'tong tien', 'ky nay']
+};
+
+function normHeader(s: string) {
+  return s.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/gi, 'd')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function columnIndex(spec: string | number, headers: string[]): number | null {
+  if (typeof spec === 'number') return spec >= 1 ? spec - 1 : null;
+  const byHeader = headers.findIndex(h => normHeader(h) === normHeader(spec));
+  if (byHeader >= 0) return byHeader;
+  if (/^[A-Za-z]{1,2}$/.test(spec)) {
+    return spec.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  }
+  if (/^\d+$/.test(spec) && Number(spec) >= 1) return Number(spec) - 1;
+  return null;
+}
+
+/*
+ * Columns of each field and whether the first non-empty row is a header row.
+ * Returns an error message when an explicit mapping names a column that is not there.
+ */
+function resolveColumns(rows: string[][], mapping: UploadMapping = {}): { columns: UploadColumns; headerRow: number | null; headers: string[]; error?: string } {
+  const first = rows.findIndex(r => r.some(c => c.trim() !== ''));
+  const headers = first >= 0 ? rows[first].map(c => c.trim()) : [];
+  const columns: UploadColumns = {};
+
+  for (const f of UPLOAD_FIELDS) {
+    const spec = mapping[f];
+    if (spec == null || spec === '') continue;
+    const idx = columnIndex(spec, headers);
+    if (idx == null) return { columns, headerRow: null, headers, error: `Column not found for ${f}: ${spec}` };
+    columns[f] = idx;
+  }
+  for (const f of UPLOAD_FIELDS) {
+    if (columns[f] != null) continue;
+    const idx = headers.findIndex(h => HEADER_ALIASES[f].includes(normHeader(h)));
+    if (idx >= 0 && !Object.values(columns).includes(idx)) columns[f] = idx;
+  }
+
+  const named = headers.some(h => UPLOAD_FIELDS.some(f => HEADER_ALIASES[f].includes(normHeader(h))));
+  const mappedByHeader = UPLOAD_FIELDS.some(f => typeof mapping[f] === 'string' && headers.some(h => normHeader(h) === normHeader(String(mapping[f]))));
+  if (named || mappedByHeader) return { columns, headerRow: first, headers };
+
+  // No header row: account list in column A (SKU in B if the file has one)
+  if (columns.account == null) columns.account = 0;
+  if (columns.sku == null && headers.length > 1 && !Object.values(columns).includes(1)) columns.sku = 1;
+  return { columns, headerRow: null, headers: [] };
+}
+
+/* ---- Row checks ---- */
+
+/* "150000", "150.000", "1,234,567", "150000 ₫" -> number; null when empty, NaN when unreadable */
+function parseAmount(s: string): number | null {
+  const t = s.replace(/[\s₫]|vnđ|vnd|đ/gi, '');
+  if (!t) return null;
+  if (/^-?\d{1,3}([.,]\d{3})+$/.test(t)) return Number(t.replace(/[.,]/g, ''));
+  return Number(t.replace(',', '.'));
+}
+
+function checkUploadRows(table: UploadTable, columns: UploadColumns, headerRow: number | null, opts: {
+  defaultSku?: string | null;
+  providers: Provider[];
+}): UploadRow[] {
+  const bySku = new Map(opts.providers.map(p => [p.sku, p]));
+  const seen = new Set<string>();
+  const cell = (r: string[], f: UploadField) => (columns[f] != null ? String(r[columns[f]!] ?? '').trim() : '');
+  const out: UploadRow[] = [];
+
+  table.rows.forEach((r, i) => {
+    if (i === headerRow || !r.some(c => String(c).trim() !== '')) return;
+    const account = cell(r, 'account') || null;
+    const sku = cell(r, 'sku') || opts.defaultSku || null;
+    const amount = parseAmount(cell(r, 'amount'));
+    const line: UploadRow = {
+      row: i + 1, status: 'accepted', reason: null, account, sku,
+      name: cell(r, 'name') || null, address: cell(r, 'address') || null,
+      amount: amount != null && Number.isFinite(amount) ? Math.round(amount) : null,
+      key: account && sku ? `${sku}::${account}` : null
+    };
+    const provider = sku ? bySku.get(sku) : undefined;
+    const invalid: UploadReason | null = !account ? 'missing_account'
+      : !sku ? 'missing_sku'
+      : !provider ? 'unknown_provider'
+      : !provider.enabled ? 'provider_disabled'
+      : !matchesAccountPattern(provider, account) ? 'invalid_account'
+      : amount != null && !(Number.isFinite(amount) && amount >= 0) ? 'invalid_amount'
+      : null;
+    if (invalid) {
+      out.push({ ...line, status: 'invalid', reason: invalid });
+    } else if (seen.has(line.key!)) {
+      out.push({ ...line, status: 'duplicate', reason: 'duplicate_in_file' });
+    } else {
+      seen.add(line.key!);
+      out.push(line);
+    }
+  });
+  return out;
+}
+
+function uploadCounts(rows: UploadRow[]) {
+  return {
+    total: rows.length,
+    accepted: rows.filter(r => r.status === 'accepted').length,
+    duplicate: rows.filter(r => r.status === 'duplicate').length,
+    invalid: rows.filter(r => r.status === 'invalid').length
+  };
+}
+
+/* Accepted rows as lookup batches, one per SKU, in file order */
+export function lookupBatches(rows: UploadRow[]) {
+  const out = new Map<string, string[]>();
+  for (const r of rows) {
+    if (r.status !== 'accepted') continue;
+    out.set(r.sku!, [...(out.get(r.sku!) || []), r.account!]);
+  }
+  return Array.from(out, ([sku, accounts]) => ({ sku, accounts }));
+}
+
+/* Accepted rows as KHO bills (parseKhoBill input) */
+export function khoBills(rows: UploadRow[], source: string | null) {
+  return rows.filter(r => r.status === 'accepted').map(r => ({
+    account: r.account, provider_id: r.sku, name: r.name, address: r.address,
+    amount_current: r.amount ?? 0, total: r.amount ?? 0,
+    raw: { source: 'upload', file: source, row: r.row }
+  }));
+}
+
+/*
+ * Everything short of acting on the rows: read the file, map the columns, check each row.
+ * inKho(keys) is asked for the keys of target 'kho' (bills already in KHO are duplicates).
+ */
+export async function checkUpload(input: {
+  content: string;             // base64
+  filename?: string | null;
+  sheet?: string | number | null;
+  mapping?: UploadMapping | null;
+  sku?: string | null;
+  target: UploadTarget;
+}, deps: { providers: Provider[]; inKho: (keys: string[]) => Promise<string[]> }) {
+  const table = await readUploadTable(Buffer.from(input.content, 'base64'), { filename: input.filename, sheet: input.sheet });
+  const { columns, headerRow, headers, error } = resolveColumns(table.rows, input.mapping || {});
+  if (error) throw new UploadError(error, 'invalid_mapping');
+  if (columns.account == null) throw new UploadError('No account column found; map it explicitly (mapping.account)', 'invalid_mapping');
+  if (table.rows.length - (headerRow != null ? 1 : 0) > UPLOAD_MAX_ROWS) {
+    throw new UploadError(`Too many rows (max ${UPLOAD_MAX_ROWS})`, 'too_many_rows');
+  }
+
+  let rows = checkUploadRows(table, columns, headerRow, { defaultSku: input.sku, providers: deps.providers });
+  if (input.target === 'kho') {
+    const keys = rows.filter(r => r.status === 'accepted').map(r => r.key!);
+    const inKho = new Set(keys.length ? await deps.inKho(keys) : []);
+    if (inKho.size) rows = rows.map(r => (r.status === 'accepted' && inKho.has(r.key!) ? { ...r, status: 'duplicate', reason: 'in_kho' } : r));
+  }
+
+  const named = (idx: number | undefined) => (idx == null ? null : { index: idx + 1, header: headers[idx] ?? null });
+  return {
+    format: table.format,
+    sheet: table.sheet,
+    headers,
+    columns: Object.fromEntries(UPLOAD_FIELDS.map(f => [f, named(columns[f])])) as Record<UploadField, { index: number; header: string | null } | null>,
+    counts: uploadCounts(rows),
+    rows
+  };
+}
+
+export type UploadCheck = Awaited<ReturnType<typeof checkUpload>>;
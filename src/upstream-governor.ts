@@ -0,0 +1,208 @@
+/**
+ * src/upstream-governor.ts
+ *
+ * Process-wide guard in front of one upstream gateway; src/gateways.ts keeps one per gateway,
+ * shared by every lookup path (server.ts single/bulk/jobs and the get-bill / get-bills Netlify functions).
+ * - Token bucket: at most UPSTREAM_RATE_PER_SEC requests per second (burst UPSTREAM_BURST),
+ *   whatever the number of concurrent bulk lookups. Waiters are served in FIFO order.
+ * - Retry-After: a 429/503 carrying Retry-After pauses the whole bucket until that time.
+ * - Circuit breaker:
+ *     closed    -> normal; BREAKER_FAILURE_THRESHOLD consecutive failures open it
+ *     open      -> calls fail fast with UpstreamUnavailableError for BREAKER_OPEN_MS
+ *                  (doubled on every failed probe, capped at BREAKER_MAX_OPEN_MS)
+ *     half_open -> up to BREAKER_HALF_OPEN_PROBES calls go through; one success closes it,
+ *                  a failure re-opens it
+ *   Failures are network errors, timeouts, 5xx and 429. Other 4xx are answers, not outages.
+ *
+ * Use governor.run(fn) around each single upstream attempt; errors may carry
+ * `status` (HTTP status) and `retryAfterMs`.
+ */
+
+export type BreakerState = 'closed' | 'open' | 'half_open';
+
+export class UpstreamUnavailableError extends Error {
+  status = 503;
+  code = 'upstream_unavailable';
+  retryAfterSec: number;
+  constructor(retryAfterSec: number) {
+    super('Upstream unavailable (circuit breaker open)');
+    this.name = 'UpstreamUnavailableError';
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
+/* Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null */
+export function parseRetryAfter(value: string | null | undefined): number | null {
+  const v = String(value || '').trim();
+  if (!v) return null;
+  if (/^\d+(\.\d+)?$/.test(v)) return Math.round(Number(v) * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/* Whether an upstream error should count against the breaker */
+export function isUpstreamFailure(err: any) {
+  if (err instanceof UpstreamUnavailableError) return false;
+  const status = Number(err?.status);
+  if (!Number.isFinite(status) || status === 0) return true;   // network error, timeout, abort
+  return status >= 500 || status === 429;
+}
+
+export function createUpstreamGovernor(opts: {
+  name?: string;
+  ratePerSec?: number;
+  burst?: number;
+  failureThreshold?: number;
+  openMs?: number;
+  maxOpenMs?: number;
+  halfOpenProbes?: number;
+} = {}) {
+  const ratePerSec = Math.max(0.1, opts.ratePerSec ?? Number(process.env.UPSTREAM_RATE_PER_SEC || 8));
+  const burst = Math.max(1, opts.burst ?? Number(process.env.UPSTREAM_BURST || ratePerSec));
+  const failureThreshold = Math.max(1, opts.failureThreshold ?? Number(process.env.BREAKER_FAILURE_THRESHOLD || 5));
+  const baseOpenMs = Math.max(1000, opts.openMs ?? Number(process.env.BREAKER_OPEN_MS || 30000));
+  const maxOpenMs = Math.max(baseOpenMs, opts.maxOpenMs ?? Number(process.env.BREAKER_MAX_OPEN_MS || 5 * 60 * 1000));
+  const halfOpenProbes = Math.max(1, opts.halfOpenProbes ?? Number(process.env.BREAKER_HALF_OPEN_PROBES || 1));
+  const tag = opts.name ? `[upstream:${opts.name}]` : '[upstream]';
+
+  // Token bucket
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  const waiters: Array<() => void> = [];
+  let timer: NodeJS.Timeout | null = null;
+
+  // Breaker
+  let state: BreakerState = 'closed';
+  let consecutiveFailures = 0;
+  let openMs = baseOpenMs;
+  let openedAt: number | null = null;
+  let probesInFlight = 0;
+  let lastError: string | null = null;
+  let lastFailureAt: number | null = null;
+  const totals = { calls: 0, failures: 0, rejected: 0 };
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSec);
+    lastRefill = now;
+  }
+
+  function drain() {
+    timer = null;
+    refill();
+    const now = Date.now();
+    while (waiters.length && now >= pausedUntil && tokens >= 1) {
+      tokens -= 1;
+      waiters.shift()!();
+    }
+    if (waiters.length) {
+      const wait = now < pausedUntil ? pausedUntil - now : Math.ceil(((1 - tokens) / ratePerSec) * 1000);
+      timer = setTimeout(drain, Math.max(5, wait));
+    }
+  }
+
+  function acquire(): Promise<void> {
+    return new Promise(resolve => {
+      waiters.push(resolve);
+      if (!timer) drain();
+    });
+  }
+
+  function pause(ms: number) {
+    if (!(ms > 0)) return;
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (waiters.length) timer = setTimeout(drain, ms);
+  }
+
+  function currentState(): BreakerState {
+    if (state === 'open' && openedAt != null && Date.now() - openedAt >= openMs) {
+      state = 'half_open';
+      probesInFlight = 0;
+      console.info(tag, 'Circuit half-open: probing upstream');
+    }
+    return state;
+  }
+
+  function open(reason: string) {
+    if (state === 'half_open') openMs = Math.min(maxOpenMs, openMs * 2);
+    state = 'open';
+    openedAt = Date.now();
+    console.warn(tag, `Circuit OPEN for ${Math.round(openMs / 1000)}s after ${consecutiveFailures} failure(s): ${reason}`);
+  }
+
+  function onSuccess() {
+    consecutiveFailures = 0;
+    if (state !== 'closed') console.info(tag, 'Circuit closed: upstream recovered');
+    state = 'closed';
+    openMs = baseOpenMs;
+    openedAt = null;
+  }
+
+  function onFailure(err: any) {
+    consecutiveFailures += 1;
+    totals.failures += 1;
+    lastError = String(err?.message || err).slice(0, 300);
+    lastFailureAt = Date.now();
+    if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) open(lastError);
+  }
+
+  return {
+    async run<T>(fn: () => Promise<T>): Promise<T> {
+      const s = currentState();
+      const retryAt = () => Math.max(1, Math.ceil(((openedAt || Date.now()) + openMs - Date.now()) / 1000));
+      if (s === 'open' || (s === 'half_open' && probesInFlight >= halfOpenProbes)) {
+        totals.rejected += 1;
+        throw new UpstreamUnavailableError(s === 'open' ? retryAt() : 1);
+      }
+      const probe = s === 'half_open';
+      if (probe) probesInFlight += 1;
+      try {
+        await acquire();
+        totals.calls += 1;
+        const out = await fn();
+        onSuccess();
+        return out;
+      } catch (err: any) {
+        if (Number(err?.retryAfterMs) > 0) pause(Number(err.retryAfterMs));
+        if (isUpstreamFailure(err)) onFailure(err);
+        else if (Number.isFinite(Number(err?.status))) onSuccess();   // a 4xx answer proves the upstream is up
+        throw err;
+      } finally {
+        if (probe) probesInFlight = Math.max(0, probesInFlight - 1);
+      }
+    },
+
+    /* Snapshot for /api/upstream/status */
+    status() {
+      refill();
+      const s = currentState();
+      return {
+        breaker: {
+          state: s,
+          consecutive_failures: consecutiveFailures,
+          failure_threshold: failureThreshold,
+          opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+          retry_at: s === 'open' && openedAt ? new Date(openedAt + openMs).toISOString() : null,
+          open_ms: openMs,
+          last_error: lastError,
+          last_failure_at: lastFailureAt ? new Date(lastFailureAt).toISOString() : null
+        },
+        limiter: {
+          rate_per_sec: ratePerSec,
+          burst,
+          tokens: Math.floor(tokens * 100) / 100,
+          queued: waiters.length,
+          paused_until: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+        },
+        totals: { ...totals }
+      };
+    },
+
+    state: () => currentState()
+  };
+}
+
+export type UpstreamGovernor = ReturnType<typeof createUpstreamGovernor>;
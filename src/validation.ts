@@ -0,0 +1,255 @@
+/**
+ * src/validation.ts
+ *
+ * Small declarative schema builder for request bodies / query strings (no runtime dependencies).
+ * - Each schema both checks a value (`parse`) and describes itself as an OpenAPI 3 schema (`json`),
+ *   so src/api-schemas.ts is the single source for runtime checks and /api/openapi.json.
+ * - Numbers and booleans accept their string forms ("150000", "true") because query strings and
+ *   form posts are strings; anything else that is not a number is an error, never a silent 0.
+ * - Objects drop undeclared keys (no error) unless built with { passthrough: true }; `aliases` maps legacy
+ *   field names (memberId -> member_id) onto the declared one.
+ * - Optional fields treat undefined, null and '' as absent; nullable fields turn null and '' into null ("clear it").
+ * - checkRequest() collects every failing field: { error, code: 'invalid_request', fields: [{ in, path, message }] }
+ */
+
+export type FieldError = { in: string; path: string; message: string };
+
+export type Schema<T = any> = {
+  parse(value: any, path: string, errors: FieldError[], where: string): T | undefined;
+  json(): Record<string, any>;
+  isOptional: boolean;
+  optional(): Schema<T | undefined>;
+  nullable(): Schema<T | null>;
+  default(value: T): Schema<T>;
+  describe(text: string): Schema<T>;
+  example(value: any): Schema<T>;
+  deprecated(): Schema<T>;
+};
+
+type Core = {
+  check(value: any, path: string, errors: FieldError[], where: string): any;
+  json(): Record<string, any>;
+};
+
+type Flags = { optional: boolean; nullable: boolean; hasDefault: boolean; defaultValue?: any; description?: string; example?: any; deprecated?: boolean };
+
+function build<T>(core: Core, flags: Flags = { optional: false, nullable: false, hasDefault: false }): Schema<T> {
+  const next = (patch: Partial<Flags>) => build<any>(core, { ...flags, ...patch });
+  return {
+    isOptional: flags.optional || flags.hasDefault,
+    parse(value, path, errors, where) {
+      if ((value === null || value === '') && flags.nullable) return null as any;
+      if (value === undefined || value === null || value === '') {
+        if (flags.hasDefault) return flags.defaultValue;
+        if (flags.optional) return undefined;
+        errors.push({ in: where, path, message: 'is required' });
+        return undefined;
+      }
+      return core.check(value, path, errors, where);
+    },
+    json() {
+      const j: Record<string, any> = { ...core.json() };
+      if (flags.nullable) j.nullable = true;
+      if (flags.hasDefault) j.default = flags.defaultValue;
+      if (flags.description) j.description = flags.description;
+      if (flags.example !== undefined) j.example = flags.example;
+      if (flags.deprecated) j.deprecated = true;
+      return j;
+    },
+    optional: () => next({ optional: true }),
+    nullable: () => next({ nullable: true }),
+    default: (value: T) => next({ hasDefault: true, defaultValue: value }),
+    describe: (text: string) => next({ description: text }),
+    example: (value: any) => next({ example: value }),
+    deprecated: () => next({ deprecated: true })
+  };
+}
+
+function fail(errors: FieldError[], where: string, path: string, message: string) {
+  errors.push({ in: where, path, message });
+  return undefined;
+}
+
+/* ---- Builders ---- */
+function string(opts: { min?: number; max?: number; pattern?: RegExp; format?: string; trim?: boolean } = {}) {
+  const trim = opts.trim !== false;
+  return build<string>({
+    check(value, path, errors, where) {
+      if (typeof value !== 'string' && typeof value !== 'number') return fail(errors, where, path, 'must be a string');
+      const s = trim ? String(value).trim() : String(value);
+      if (opts.min != null && s.length < opts.min) return fail(errors, where, path, opts.min === 1 ? 'must not be empty' : `must be at least ${opts.min} characters`);
+      if (opts.max != null && s.length > opts.max) return fail(errors, where, path, `must be at most ${opts.max} characters`);
+      if (opts.pattern && !opts.pattern.test(s)) return fail(errors, where, path, `must match ${opts.pattern.source}`);
+      if (opts.format === 'date-time' && isNaN(new Date(s).getTime())) return fail(errors, where, path, 'must be an ISO date/time');
+      return s;
+    },
+    json: () => ({
+      type: 'string',
+      ...(opts.min != null ? { minLength: opts.min } : {}),
+      ...(opts.max != null ? { maxLength: opts.max } : {}),
+      ...(opts.pattern ? { pattern: opts.pattern.source } : {}),
+      ...(opts.format ? { format: opts.format } : {})
+    })
+  });
+}
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+function number(opts: { min?: number; max?: number; integer?: boolean; positive?: boolean } = {}) {
+  return build<number>({
+    check(value, path, errors, where) {
+      let n: number;
+      if (typeof value === 'number') n = value;
+      else if (typeof value === 'string' && NUMERIC.test(value.trim())) n = Number(value.trim());
+      else return fail(errors, where, path, opts.integer ? 'must be an integer' : 'must be a number');
+      if (!Number.isFinite(n)) return fail(errors, where, path, 'must be a finite number');
+      if (opts.integer && !Number.isInteger(n)) return fail(errors, where, path, 'must be an integer');
+      if (opts.positive && !(n > 0)) return fail(errors, where, path, 'must be greater than 0');
+      if (opts.min != null && n < opts.min) return fail(errors, where, path, `must be >= ${opts.min}`);
+      if (opts.max != null && n > opts.max) return fail(errors, where, path, `must be <= ${opts.max}`);
+      return n;
+    },
+    json: () => ({
+      type: opts.integer ? 'integer' : 'number',
+      ...(opts.positive ? { minimum: 0, exclusiveMinimum: true } : {}),
+      ...(opts.min != null ? { minimum: opts.min } : {}),
+      ...(opts.max != null ? { maximum: opts.max } : {})
+    })
+  });
+}
+
+function boolean() {
+  return build<boolean>({
+    check(value, path, errors, where) {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === '1' || value === 1) return true;
+      if (value === 'false' || value === '0' || value === 0) return false;
+      return fail(errors, where, path, 'must be a boolean');
+    },
+    json: () => ({ type: 'boolean' })
+  });
+}
+
+function enumOf<T extends string>(values: readonly T[]) {
+  return build<T>({
+    check(value, path, errors, where) {
+      const s = String(value).trim();
+      if (!values.includes(s as T)) return fail(errors, where, path, `must be one of ${values.join(', ')}`);
+      return s as T;
+    },
+    json: () => ({ type: 'string', enum: [...values] })
+  });
+}
+
+function array<T>(item: Schema<T>, opts: { min?: number; max?: number } = {}) {
+  return build<T[]>({
+    check(value, path, errors, where) {
+      if (!Array.isArray(value)) return fail(errors, where, path, 'must be an array');
+      if (opts.min != null && value.length < opts.min) return fail(errors, where, path, opts.min === 1 ? 'must not be empty' : `must have at least ${opts.min} items`);
+      if (opts.max != null && value.length > opts.max) return fail(errors, where, path, `must have at most ${opts.max} items`);
+      const before = errors.length;
+      const out = value.map((v, i) => item.parse(v, `${path}[${i}]`, errors, where));
+      return errors.length > before ? undefined : out as T[];
+    },
+    json: () => ({
+      type: 'array',
+      items: item.json(),
+      ...(opts.min != null ? { minItems: opts.min } : {}),
+      ...(opts.max != null ? { maxItems: opts.max } : {})
+    })
+  });
+}
+
+function object<S extends Record<string, Schema>>(shape: S, opts: { passthrough?: boolean; aliases?: Record<string, keyof S & string> } = {}) {
+  type Out = { [K in keyof S]: ReturnType<S[K]['parse']> };
+  return build<Out>({
+    check(value, path, errors, where) {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return fail(errors, where, path || where, 'must be an object');
+      const input: Record<string, any> = { ...value };
+      for (const [alias, target] of Object.entries(opts.aliases || {})) {
+        if (input[target] === undefined && input[alias] !== undefined) input[target] = input[alias];
+        delete input[alias];
+      }
+      const out: Record<string, any> = opts.passthrough ? { ...input } : {};
+      const before = errors.length;
+      for (const [key, schema] of Object.entries(shape)) {
+        const v = schema.parse(input[key], path ? `${path}.${key}` : key, errors, where);
+        if (v !== undefined) out[key] = v;
+        else delete out[key];
+      }
+      return errors.length > before ? undefined : out as Out;
+    },
+    json: () => {
+      const properties: Record<string, any> = {};
+      for (const [key, schema] of Object.entries(shape)) properties[key] = schema.json();
+      for (const [alias, target] of Object.entries(opts.aliases || {})) {
+        properties[alias] = { ...shape[target].json(), deprecated: true, description: `Alias of ${target}` };
+      }
+      const required = Object.entries(shape).filter(([, s]) => !s.isOptional).map(([k]) => k);
+      return {
+        type: 'object',
+        properties,
+        ...(required.length ? { required } : {})
+      };
+    }
+  });
+}
+
+/* First alternative that parses wins; otherwise the errors of the alternative matching the value's JSON type */
+function oneOf(alternatives: Schema[]) {
+  return build<any>({
+    check(value, path, errors, where) {
+      let best: FieldError[] | null = null;
+      for (const alt of alternatives) {
+        const errs: FieldError[] = [];
+        const out = alt.parse(value, path, errs, where);
+        if (!errs.length) return out;
+        const sameType = (alt.json().type === 'array') === Array.isArray(value);
+        if (!best || sameType) best = errs;
+      }
+      errors.push(...(best || []));
+      return undefined;
+    },
+    json: () => ({ oneOf: alternatives.map(a => a.json()) })
+  });
+}
+
+/* Named component schema: emitted as a $ref in the OpenAPI document */
+function ref<T>(name: string, schema: Schema<T>) {
+  return Object.assign(build<T>({
+    check: (value, path, errors, where) => schema.parse(value, path, errors, where),
+    json: () => ({ $ref: `#/components/schemas/${name}` })
+  }), { refName: name, target: schema });
+}
+
+export const v = { string, number, boolean, enum: enumOf, array, object, oneOf, ref };
+
+/* ---- Request checks ---- */
+export type RequestSchemas = { body?: Schema; query?: Schema; params?: Schema };
+
+export type CheckResult =
+  | { ok: true; body: any; query: any; params: any }
+  | { ok: false; status: 400; body: { error: string; code: 'invalid_request'; fields: FieldError[] } };
+
+export function checkRequest(schemas: RequestSchemas, input: { body?: any; query?: any; params?: any }): CheckResult {
+  const errors: FieldError[] = [];
+  const out: Record<string, any> = {};
+  for (const where of ['params', 'query', 'body'] as const) {
+    const schema = schemas[where];
+    out[where] = schema ? schema.parse(input[where] ?? (where === 'body' ? undefined : {}), '', errors, where) : input[where];
+  }
+  if (errors.length) {
+    const first = errors[0];
+    const label = first.path || first.in;
+    return {
+      ok: false,
+      status: 400,
+      body: {
+        error: `${label} ${first.message}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`,
+        code: 'invalid_request',
+        fields: errors
+      }
+    };
+  }
+  return { ok: true, body: out.body, query: out.query, params: out.params };
+}
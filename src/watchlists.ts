@@ -0,0 +1,550 @@
+/**
+ * src/watchlists.ts
+ *
+ * Saved account lists ("watchlists") re-checked on demand or on a schedule, used by /api/watchlists (server.ts).
+ * - A watchlist is a named list of accounts of one SKU, with labels, an owner (employee username) and an
+ *   optional schedule: every day at HH:MM, or on given days of the month at HH:MM (WATCHLIST_TIME_ZONE,
+ *   default REPORT_TIME_ZONE / Asia/Ho_Chi_Minh). Days past the end of a month run on its last day.
+ * - A run re-queries every account fresh through the gateway and stores one snapshot row per account,
+ *   compared with the last known total of that account in the previous runs:
+ *     new_debt   something to pay now, nothing before (every debt of a first run)
+ *     changed    another amount than before
+ *     cleared    nothing to pay now, a debt before
+ *     unchanged  same debt as before
+ *     no_debt    nothing to pay, before or now
+ *     failed     the lookup failed; the previous total is carried over to the next run's comparison
+ * - With push_to_kho (on the list, or for one run) the new_debt bills go into KHO through the pushToKho hook.
+ * - runDue() is called on an in-process timer; each due list is claimed by moving its next_run_at forward
+ *   first, so two server processes sharing Postgres never both run it. One run per list at a time.
+ *
+ * Persistence:
+ * - Postgres (watchlists, watchlist_runs, watchlist_run_items, see migrations/014_watchlists.sql) when a pool is given;
+ *   runs left 'running' by a restart are marked failed by failInterrupted().
+ * - Otherwise an in-memory store (dev): lists are lost on restart.
+ */
+
+import crypto from 'crypto';
+import pLimit from 'p-limit';
+import type { Pool } from 'pg';
+
+export const WATCHLIST_CHANGES = ['new_debt', 'changed', 'cleared', 'unchanged', 'no_debt', 'failed'] as const;
+export type WatchlistChange = typeof WATCHLIST_CHANGES[number];
+export const SCHEDULE_EVERY = ['day', 'month'] as const;
+
+export const WATCHLIST_MAX_ACCOUNTS = Number(process.env.WATCHLIST_MAX_ACCOUNTS || 5000);
+const WATCHLIST_KEEP_RUNS = Number(process.env.WATCHLIST_KEEP_RUNS || 30);
+const WATCHLIST_TIME_ZONE = process.env.WATCHLIST_TIME_ZONE || process.env.REPORT_TIME_ZONE || 'Asia/Ho_Chi_Minh';
+
+export type WatchlistSchedule = { every: typeof SCHEDULE_EVERY[number]; at: string; days?: number[] };
+
+export type Watchlist = {
+  id: string;
+  name: string;
+  sku: string;
+  accounts: string[];
+  labels: string[];
+  owner: string | null;
+  schedule: WatchlistSchedule | null;
+  push_to_kho: boolean;
+  next_run_at: string | null;
+  last_run_at: string | null;
+  created_at: string;
+  updated_at: string;
+};
+
+export type WatchlistInput = Pick<Watchlist, 'name' | 'sku' | 'accounts' | 'labels' | 'schedule' | 'push_to_kho'>;
+
+export type WatchlistRun = {
+  id: string;
+  watchlist_id: string;
+  trigger: 'manual' | 'schedule';
+  status: 'running' | 'completed' | 'failed';
+  total: number;
+  counts: Record<WatchlistChange, number>;
+  debt_total: number;
+  kho_pushed: number | null;   // null = push not asked
+  error: string | null;
+  created_by: string | null;
+  started_at: string;
+  finished_at: string | null;
+};
+
+export type WatchlistRunItem = {
+  run_id: string;
+  account: string;
+  status: 'ok' | 'failed';
+  change: WatchlistChange;
+  total: number | null;
+  previous_total: number | null;
+  name: string | null;
+  address: string | null;
+  bill: any;
+  error: string | null;
+};
+
+export class WatchlistError extends Error {
+  code: string;
+  status: number;
+  constructor(message: string, code: string, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+interface WatchlistStore {
+  list(q: { owner: string | null; label: string | null }): Promise<Watchlist[]>;
+  get(id: string): Promise<Watchlist | null>;
+  insert(w: Watchlist): Promise<void>;
+  save(w: Watchlist): Promise<void>;
+  remove(id: string): Promise<boolean>;
+  due(now: string): Promise<Watchlist[]>;
+  claim(id: string, expected: string, next: string | null): Promise<boolean>;
+  touchLastRun(id: string, at: string): Promise<void>;
+  insertRun(run: WatchlistRun): Promise<void>;
+  saveRun(run: WatchlistRun): Promise<void>;
+  getRun(id: string): Promise<WatchlistRun | null>;
+  listRuns(watchlistId: string, limit: number): Promise<WatchlistRun[]>;
+  lastCompletedRun(watchlistId: string): Promise<WatchlistRun | null>;
+  insertItems(items: WatchlistRunItem[]): Promise<void>;
+  runItems(runId: string, q: { changes: WatchlistChange[] | null; offset: number; limit: number }): Promise<WatchlistRunItem[]>;
+  pruneRuns(watchlistId: string, keep: number): Promise<void>;
+  failRunning(error: string): Promise<number>;
+}
+
+function nowISO() { return new Date().toISOString(); }
+
+const emptyCounts = (): Record<WatchlistChange, number> => ({ new_debt: 0, changed: 0, cleared: 0, unchanged: 0, no_debt: 0, failed: 0 });
+
+/* ----------------------------------------------------------------------
+   Schedule
+   ---------------------------------------------------------------------- */
+
+const zoneParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: WATCHLIST_TIME_ZONE, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+});
+
+/* Wall-clock offset of WATCHLIST_TIME_ZONE at an instant, to the minute */
+function zoneOffsetMs(at: number) {
+  const p: Record<string, string> = {};
+  for (const x of zoneParts.formatToParts(new Date(at))) p[x.type] = x.value;
+  return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute) - Math.floor(at / 60000) * 60000;
+}
+
+/* First scheduled instant strictly after `after` (ms) */
+export function nextRunAt(schedule: WatchlistSchedule, after = Date.now()): string {
+  const [hh, mm] = schedule.at.split(':').map(Number);
+  const local = new Date(after + zoneOffsetMs(after));
+  // 63 days always reach the next listed day of the month
+  for (let i = 0; i < 63; i++) {
+    const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + i));
+    const y = day.getUTCFullYear(), m = day.getUTCMonth(), d = day.getUTCDate();
+    if (schedule.every === 'month') {
+      const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+      if (!(schedule.days || []).some(x => Math.min(x, last) === d)) continue;
+    }
+    const guess = Date.UTC(y, m, d, hh, mm);
+    const at = guess - zoneOffsetMs(guess);
+    if (at > after) return new Date(at).toISOString();
+  }
+  throw new WatchlistError('Schedule never runs', 'invalid_schedule');
+}
+
+export function checkSchedule(schedule: WatchlistSchedule | null): WatchlistSchedule | null {
+  if (!schedule) return null;
+  if (schedule.every === 'month' && !schedule.days?.length) {
+    throw new WatchlistError('schedule.days (days of the month) is required for every=month', 'invalid_schedule');
+  }
+  return {
+    every: schedule.every,
+    at: schedule.at,
+    ...(schedule.every === 'month' ? { days: Array.from(new Set(schedule.days!)).sort((a, b) => a - b) } : {})
+  };
+}
+
+/* Trimmed, de-duplicated, in the order given */
+export function uniqueTrimmed(values: string[]) {
+  return Array.from(new Set(values.map(v => String(v).trim()).filter(Boolean)));
+}
+
+/* ----------------------------------------------------------------------
+   Diff
+   ---------------------------------------------------------------------- */
+
+/* What an account's previous run item says it owed: its total, or for a failed lookup the total carried over */
+function knownTotal(item: WatchlistRunItem | undefined): number | null {
+  if (!item) return null;
+  return item.status === 'ok' ? item.total : item.previous_total;
+}
+
+export function changeOf(previous: number | null, total: number | null, failed: boolean): WatchlistChange {
+  if (failed) return 'failed';
+  const had = (previous ?? 0) > 0;
+  if ((total ?? 0) > 0) return !had ? 'new_debt' : previous !== total ? 'changed' : 'unchanged';
+  return had ? 'cleared' : 'no_debt';
+}
+
+/* ----------------------------------------------------------------------
+   Stores
+   ---------------------------------------------------------------------- */
+
+function memoryStore(): WatchlistStore {
+  const LISTS = new Map<string, Watchlist>();
+  const RUNS = new Map<string, WatchlistRun>();
+  const ITEMS = new Map<string, WatchlistRunItem[]>();
+  const runsOf = (id: string) => Array.from(RUNS.values()).filter(r => r.watchlist_id === id).sort((a, b) => b.started_at.localeCompare(a.started_at));
+  return {
+    async list(q) {
+      return Array.from(LISTS.values())
+        .filter(w => (!q.owner || w.owner === q.owner) && (!q.label || w.labels.includes(q.label)))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+    },
+    async get(id) { return LISTS.get(id) || null; },
+    async insert(w) { LISTS.set(w.id, w); },
+    async save(w) { LISTS.set(w.id, w); },
+    async remove(id) {
+      if (!LISTS.delete(id)) return false;
+      for (const r of runsOf(id)) { RUNS.delete(r.id); ITEMS.delete(r.id); }
+      return true;
+    },
+    async due(now) { return Array.from(LISTS.values()).filter(w => w.next_run_at && w.next_run_at <= now); },
+    async claim(id, expected, next) {
+      const w = LISTS.get(id);
+      if (!w || w.next_run_at !== expected) return false;
+      w.next_run_at = next;
+      return true;
+    },
+    async touchLastRun(id, at) { const w = LISTS.get(id); if (w) w.last_run_at = at; },
+    async insertRun(run) { RUNS.set(run.id, run); },
+    async saveRun(run) { RUNS.set(run.id, run); },
+    async getRun(id) { return RUNS.get(id) || null; },
+    async listRuns(id, limit) { return runsOf(id).slice(0, limit); },
+    async lastCompletedRun(id) { return runsOf(id).find(r => r.status === 'completed') || null; },
+    async insertItems(items) { for (const i of items) ITEMS.set(i.run_id, [...(ITEMS.get(i.run_id) || []), i]); },
+    async runItems(runId, q) {
+      return (ITEMS.get(runId) || []).filter(i => !q.changes || q.changes.includes(i.change)).slice(q.offset, q.offset + q.limit);
+    },
+    async pruneRuns(id, keep) {
+      for (const r of runsOf(id).filter(r => r.status !== 'running').slice(keep)) { RUNS.delete(r.id); ITEMS.delete(r.id); }
+    },
+    async failRunning(error) {
+      let n = 0;
+      for (const r of RUNS.values()) if (r.status === 'running') { Object.assign(r, { status: 'failed', error, finished_at: nowISO() }); n++; }
+      return n;
+    }
+  };
+}
+
+function pgStore(pool: Pool): WatchlistStore {
+  const iso = (v: any) => (v ? new Date(v).toISOString() : null);
+  const toList = (r: any): Watchlist => ({
+    id: r.id, name: r.name, sku: r.sku, accounts: r.accounts || [], labels: r.labels || [], owner: r.owner,
+    schedule: r.schedule || null, push_to_kho: !!r.push_to_kho, next_run_at: iso(r.next_run_at), last_run_at: iso(r.last_run_at),
+    created_at: iso(r.created_at)!, updated_at: iso(r.updated_at)!
+  });
+  const toRun = (r: any): WatchlistRun => ({
+    id: r.id, watchlist_id: r.watchlist_id, trigger: r.trigger, status: r.status, total: Number(r.total),
+    counts: { ...emptyCounts(), ...(r.counts || {}) }, debt_total: Number(r.debt_total),
+    kho_pushed: r.kho_pushed == null ? null : Number(r.kho_pushed), error: r.error, created_by: r.created_by,
+    started_at: iso(r.started_at)!, finished_at: iso(r.finished_at)
+  });
+  const toItem = (r: any): WatchlistRunItem => ({
+    run_id: r.run_id, account: r.account, status: r.status, change: r.change,
+    total: r.total == null ? null : Number(r.total), previous_total: r.previous_total == null ? null : Number(r.previous_total),
+    name: r.name, address: r.address, bill: r.bill, error: r.error
+  });
+  const listParams = (w: Watchlist) => [
+    w.id, w.name, w.sku, w.accounts, w.labels, w.owner, w.schedule == null ? null : JSON.stringify(w.schedule),
+    w.push_to_kho, w.next_run_at, w.last_run_at, w.created_at, w.updated_at
+  ];
+  return {
+    async list(q) {
+      const where: string[] = [];
+      const params: any[] = [];
+      if (q.owner) { params.push(q.owner); where.push(`owner = $${params.length}`); }
+      if (q.label) { params.push(q.label); where.push(`$${params.length} = ANY(labels)`); }
+      const { rows } = await pool.query(`SELECT * FROM watchlists ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY name, id`, params);
+      return rows.map(toList);
+    },
+    async get(id) {
+      const { rows } = await pool.query('SELECT * FROM watchlists WHERE id = $1', [id]);
+      return rows[0] ? toList(rows[0]) : null;
+    },
+    async insert(w) {
+      await pool.query(
+        `INSERT INTO watchlists (id, name, sku, accounts, labels, owner, schedule, push_to_kho, next_run_at, last_run_at, created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+        listParams(w)
+      );
+    },
+    async save(w) {
+      await pool.query(
+        `UPDATE watchlists SET name = $2, sku = $3, accounts = $4, labels = $5, owner = $6, schedule = $7, push_to_kho = $8,
+           next_run_at = $9, last_run_at = $10, created_at = $11, updated_at = $12
+         WHERE id = $1`,
+        listParams(w)
+      );
+    },
+    async remove(id) {
+      const { rowCount } = await pool.query('DELETE FROM watchlists WHERE id = $1', [id]);
+      return (rowCount || 0) > 0;
+    },
+    async due(now) {
+      const { rows } = await pool.query('SELECT * FROM watchlists WHERE next_run_at <= $1 ORDER BY next_run_at', [now]);
+      return rows.map(toList);
+    },
+    async claim(id, expected, next) {
+      const { rowCount } = await pool.query('UPDATE watchlists SET next_run_at = $3 WHERE id = $1 AND next_run_at = $2', [id, expected, next]);
+      return (rowCount || 0) > 0;
+    },
+    async touchLastRun(id, at) {
+      await pool.query('UPDATE watchlists SET last_run_at = $2 WHERE id = $1', [id, at]);
+    },
+    async insertRun(run) {
+      await pool.query(
+        `INSERT INTO watchlist_runs (id, watchlist_id, trigger, status, total, counts, debt_total, kho_pushed, error, created_by, started_at, finished_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+        [run.id, run.watchlist_id, run.trigger, run.status, run.total, JSON.stringify(run.counts), run.debt_total,
+          run.kho_pushed, run.error, run.created_by, run.started_at, run.finished_at]
+      );
+    },
+    async saveRun(run) {
+      await pool.query(
+        `UPDATE watchlist_runs SET status = $2, counts = $3, debt_total = $4, kho_pushed = $5, error = $6, finished_at = $7 WHERE id = $1`,
+        [run.id, run.status, JSON.stringify(run.counts), run.debt_total, run.kho_pushed, run.error, run.finished_at]
+      );
+    },
+    async getRun(id) {
+      const { rows } = await pool.query('SELECT * FROM watchlist_runs WHERE id = $1', [id]);
+      return rows[0] ? toRun(rows[0]) : null;
+    },
+    async listRuns(id, limit) {
+      const { rows } = await pool.query('SELECT * FROM watchlist_runs WHERE watchlist_id = $1 ORDER BY started_at DESC LIMIT $2', [id, limit]);
+      return rows.map(toRun);
+    },
+    async lastCompletedRun(id) {
+      const { rows } = await pool.query(
+        `SELECT * FROM watchlist_runs WHERE watchlist_id = $1 AND status = 'completed' ORDER BY started_at DESC LIMIT 1`, [id]
+      );
+      return rows[0] ? toRun(rows[0]) : null;
+    },
+    async insertItems(items) {
+      if (!items.length) return;
+      await pool.query(
+        `INSERT INTO watchlist_run_items (run_id, account, status, change, total, previous_total, name, address, bill, error)
+         SELECT * FROM jsonb_to_recordset($1::jsonb) AS t(run_id text, account text, status text, change text, total numeric,
+           previous_total numeric, name text, address text, bill jsonb, error text)`,
+        [JSON.stringify(items)]
+      );
+    },
+    async runItems(runId, q) {
+      const params: any[] = [runId];
+      let where = 'run_id = $1';
+      if (q.changes) { params.push(q.changes); where += ` AND change = ANY($${params.length})`; }
+      params.push(q.limit, q.offset);
+      const { rows } = await pool.query(
+        `SELECT * FROM watchlist_run_items WHERE ${where} ORDER BY account LIMIT $${params.length - 1} OFFSET $${params.length}`, params
+      );
+      return rows.map(toItem);
+    },
+    async pruneRuns(id, keep) {
+      await pool.query(
+        `DELETE FROM watchlist_runs WHERE watchlist_id = $1 AND status <> 'running' AND id NOT IN (
+           SELECT id FROM watchlist_runs WHERE watchlist_id = $1 AND status <> 'running' ORDER BY started_at DESC LIMIT $2)`,
+        [id, keep]
+      );
+    },
+    async failRunning(error) {
+      const { rowCount } = await pool.query(
+        `UPDATE watchlist_runs SET status = 'failed', error = $1, finished_at = now() WHERE status = 'running'`, [error]
+      );
+      return rowCount || 0;
+    }
+  };
+}
+
+/* ----------------------------------------------------------------------
+   Public shapes
+   ---------------------------------------------------------------------- */
+
+/* List row without the accounts themselves */
+export function summarizeWatchlist(w: Watchlist, running = false) {
+  const { accounts, ...rest } = w;
+  return { ...rest, account_count: accounts.length, running };
+}
+
+/* ----------------------------------------------------------------------
+   Watchlists
+   ---------------------------------------------------------------------- */
+
+export function createWatchlists(opts: {
+  pool: Pool | null;
+  // Fresh normalized bill (src/gateways.ts) for account/sku; rejects on upstream or catalog errors
+  lookup: (account: string, sku: string) => Promise<any>;
+  concurrency: number;
+  // Puts the new_debt bills (normalized) into KHO; resolves to how many were stored
+  pushToKho?: (bills: any[], ctx: { watchlist: Watchlist; run: WatchlistRun }) => Promise<number>;
+}) {
+  const store = opts.pool ? pgStore(opts.pool) : memoryStore();
+  const limit = pLimit(Math.max(1, opts.concurrency));
+  const active = new Map<string, WatchlistRun>();   // watchlist id -> run in progress in this process
+
+  async function execute(list: Watchlist, run: WatchlistRun, push: boolean) {
+    try {
+      const previous = await store.lastCompletedRun(list.id);
+      const before = new Map(previous ? (await store.runItems(previous.id, { changes: null, offset: 0, limit: WATCHLIST_MAX_ACCOUNTS })).map(i => [i.account, i]) : []);
+
+      const items = await Promise.all(list.accounts.map(account => limit(async (): Promise<WatchlistRunItem> => {
+        const previous_total = knownTotal(before.get(account));
+        try {
+          const bill = await opts.lookup(account, list.sku);
+          const n = Number(bill?.total ?? bill?.amount_current ?? 0);
+          const total = Number.isFinite(n) ? n : 0;
+          return {
+            run_id: run.id, account, status: 'ok', change: changeOf(previous_total, total, false), total, previous_total,
+            name: bill?.name ?? null, address: bill?.address ?? null, bill, error: null
+          };
+        } catch (err: any) {
+          return {
+            run_id: run.id, account, status: 'failed', change: 'failed', total: null, previous_total,
+            name: before.get(account)?.name ?? null, address: before.get(account)?.address ?? null, bill: null,
+            error: String(err?.message || err || 'Lookup failed').slice(0, 500)
+          };
+        }
+      })));
+      await store.insertItems(items);
+
+      run.counts = emptyCounts();
+      for (const i of items) run.counts[i.change]++;
+      run.debt_total = items.reduce((s, i) => s + (i.total && i.total > 0 ? i.total : 0), 0);
+      run.status = 'completed';
+
+      if (push && opts.pushToKho) {
+        const bills = items.filter(i => i.change === 'new_debt').map(i => i.bill);
+        try {
+          run.kho_pushed = bills.length ? await opts.pushToKho(bills, { watchlist: list, run }) : 0;
+        } catch (err: any) {
+          // The snapshot is kept; only the push is reported as failed
+          run.kho_pushed = 0;
+          run.error = `KHO push failed: ${err?.message || err}`;
+        }
+      }
+    } catch (err: any) {
+      run.status = 'failed';
+      run.error = String(err?.message || err || 'Run failed');
+      console.warn('[watchlists] Run failed', list.id, run.id, run.error);
+    } finally {
+      run.finished_at = nowISO();
+      active.delete(list.id);
+      await store.saveRun(run).catch((err: any) => console.warn('[watchlists] Failed to save run', run.id, err?.message || err));
+      await store.touchLastRun(list.id, run.started_at).catch(() => undefined);
+      await store.pruneRuns(list.id, WATCHLIST_KEEP_RUNS).catch(() => undefined);
+    }
+  }
+
+  async function start(list: Watchlist, input: { trigger: WatchlistRun['trigger']; pushToKho?: boolean; createdBy: string | null }) {
+    if (active.has(list.id)) throw new WatchlistError('A run of this watchlist is already in progress', 'already_running', 409);
+    const push = input.pushToKho ?? list.push_to_kho;
+    const run: WatchlistRun = {
+      id: crypto.randomUUID(), watchlist_id: list.id, trigger: input.trigger, status: 'running', total: list.accounts.length,
+      counts: emptyCounts(), debt_total: 0, kho_pushed: push ? 0 : null, error: null, created_by: input.createdBy,
+      started_at: nowISO(), finished_at: null
+    };
+    active.set(list.id, run);
+    try {
+      await store.insertRun(run);
+    } catch (err) {
+      active.delete(list.id);
+      throw err;
+    }
+    void execute(list, run, push);
+    return run;
+  }
+
+  return {
+    async list(q: { owner?: string | null; label?: string | null } = {}) {
+      return (await store.list({ owner: q.owner ?? null, label: q.label ?? null })).map(w => summarizeWatchlist(w, active.has(w.id)));
+    },
+
+    async get(id: string) {
+      const w = await store.get(id);
+      return w ? { ...w, running: active.has(id) } : null;
+    },
+
+    async create(input: WatchlistInput, owner: string | null) {
+      const now = nowISO();
+      const schedule = checkSchedule(input.schedule);
+      const w: Watchlist = {
+        id: crypto.randomUUID(), name: input.name, sku: input.sku, accounts: uniqueTrimmed(input.accounts),
+        labels: uniqueTrimmed(input.labels), owner, schedule, push_to_kho: input.push_to_kho,
+        next_run_at: schedule ? nextRunAt(schedule) : null, last_run_at: null, created_at: now, updated_at: now
+      };
+      await store.insert(w);
+      return w;
+    },
+
+    /* Partial update; a new schedule restarts from the next matching time */
+    async update(id: string, patch: Partial<WatchlistInput>) {
+      const w = await store.get(id);
+      if (!w) return null;
+      if (patch.name !== undefined) w.name = patch.name;
+      if (patch.sku !== undefined) w.sku = patch.sku;
+      if (patch.accounts !== undefined) w.accounts = uniqueTrimmed(patch.accounts);
+      if (patch.labels !== undefined) w.labels = uniqueTrimmed(patch.labels);
+      if (patch.push_to_kho !== undefined) w.push_to_kho = patch.push_to_kho;
+      if (patch.schedule !== undefined) {
+        w.schedule = checkSchedule(patch.schedule);
+        w.next_run_at = w.schedule ? nextRunAt(w.schedule) : null;
+      }
+      w.updated_at = nowISO();
+      await store.save(w);
+      return { ...w, running: active.has(id) };
+    },
+
+    async remove(id: string) {
+      if (active.has(id)) throw new WatchlistError('A run of this watchlist is in progress', 'already_running', 409);
+      return store.remove(id);
+    },
+
+    /* Start a run in the background; resolves to the run row (status 'running') */
+    async run(id: string, input: { pushToKho?: boolean; createdBy: string | null }) {
+      const w = await store.get(id);
+      if (!w) return null;
+      if (!w.accounts.length) throw new WatchlistError('The watchlist has no accounts', 'empty_watchlist');
+      return start(w, { trigger: 'manual', ...input });
+    },
+
+    async runs(id: string, limitCount = 20) {
+      return (await store.listRuns(id, limitCount)).map(r => active.get(id)?.id === r.id ? active.get(id)! : r);
+    },
+
+    /* One run with its snapshot rows (?change=new_debt,cleared to keep only some) */
+    async runDetail(id: string, runId: string, q: { changes: WatchlistChange[] | null; offset: number; limit: number }) {
+      const run = active.get(id)?.id === runId ? active.get(id)! : await store.getRun(runId);
+      if (!run || run.watchlist_id !== id) return null;
+      return { run, items: await store.runItems(runId, q) };
+    },
+
+    /* Start every list whose scheduled time has come; returns the runs started */
+    async runDue(now = new Date()) {
+      const started: WatchlistRun[] = [];
+      for (const w of await store.due(now.toISOString())) {
+        if (!w.next_run_at) continue;
+        // Claimed even when it cannot start (still running, no accounts): that slot is skipped, not retried every tick
+        if (!(await store.claim(w.id, w.next_run_at, w.schedule ? nextRunAt(w.schedule, now.getTime()) : null))) continue;
+        if (!w.schedule || active.has(w.id) || !w.accounts.length) continue;
+        started.push(await start(w, { trigger: 'schedule', createdBy: w.owner }));
+      }
+      return started;
+    },
+
+    /* Runs a previous process left 'running' cannot finish (their lookups are gone) */
+    failInterrupted() {
+      return store.failRunning('Interrupted by a server restart');
+    },
+
+    isRunning(id: string) { return active.has(id); }
+  };
+}
+
+export type Watchlists = ReturnType<typeof createWatchlists>;
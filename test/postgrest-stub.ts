@@ -0,0 +1,248 @@
+/**
+ * test/postgrest-stub.ts
+ *
+ * In-process stand-in for the Supabase REST API (PostgREST), installed as globalThis.fetch by the
+ * contract tests so the Supabase backends of src/repository.ts and src/ledger.ts run without a project.
+ * - Covers what those backends send: select / order / limit / offset, column filters (eq, neq, gt, gte,
+ *   lt, lte, in, is, like, ilike, not.*), or=(...) / and=(...), Prefer return=representation,
+ *   resolution=merge-duplicates / ignore-duplicates with on_conflict, and count=exact.
+ * - Tables are plain arrays of rows; serial ids and defaults are filled in on insert, a duplicate
+ *   primary or unique key is a 409 like Postgres' unique_violation.
+ * - failNext(table, method) makes the next matching request fail with 500, to exercise rollbacks.
+ */
+
+export type StubTable = {
+  primary: string;
+  serial?: boolean;
+  /* Columns (or column sets) that must be unique, with an optional row filter (partial index) */
+  unique?: { columns: string[]; where?: (row: any) => boolean }[];
+  defaults?: () => Record<string, any>;
+};
+
+type Filter = (row: any) => boolean;
+
+/* Split a PostgREST list on top-level commas, leaving quoted strings and parentheses alone */
+function splitTop(s: string): string[] {
+  const out: string[] = [];
+  let depth = 0, quoted = false, cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted && c === '\\') { cur += c + s[++i]; continue; }
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && c === '(') depth++;
+    else if (!quoted && c === ')') depth--;
+    if (c === ',' && depth === 0 && !quoted) { out.push(cur); cur = ''; continue; }
+    cur += c;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+function unquote(v: string) {
+  return v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1).replace(/\\(.)/g, '$1') : v;
+}
+
+/* LIKE pattern (backslash escapes, PostgREST's * for %) as a RegExp */
+function likeRegExp(pattern: string, flags: string) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') re += (pattern[++i] ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (c === '%' || c === '*') re += '.*';
+    else if (c === '_') re += '.';
+    else re += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, flags);
+}
+
+/* Numbers compare as numbers (stored values are JSON, filter values text), everything else as text */
+function compare(a: any, b: any) {
+  if (typeof a === 'number' && b !== '' && Number.isFinite(Number(b))) return a - Number(b);
+  const sa = String(a), sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function condition(column: string, expr: string): Filter {
+  const negate = expr.startsWith('not.');
+  const rest = negate ? expr.slice(4) : expr;
+  const dot = rest.indexOf('.');
+  const op = rest.slice(0, dot), arg = rest.slice(dot + 1);
+  let test: Filter;
+  switch (op) {
+    case 'eq': test = r => r[column] != null && compare(r[column], unquote(arg)) === 0; break;
+    case 'neq': test = r => r[column] != null && compare(r[column], unquote(arg)) !== 0; break;
+    case 'gt': test = r => r[column] != null && compare(r[column], unquote(arg)) > 0; break;
+    case 'gte': test = r => r[column] != null && compare(r[column], unquote(arg)) >= 0; break;
+    case 'lt': test = r => r[column] != null && compare(r[column], unquote(arg)) < 0; break;
+    case 'lte': test = r => r[column] != null && compare(r[column], unquote(arg)) <= 0; break;
+    case 'is': test = r => arg === 'null' ? r[column] == null : String(r[column]) === arg; break;
+    case 'in': {
+      const values = splitTop(arg.replace(/^\(|\)$/g, '')).map(unquote);
+      test = r => r[column] != null && values.some(v => compare(r[column], v) === 0);
+      break;
+    }
+    case 'like':
+    case 'ilike': {
+      const re = likeRegExp(unquote(arg), op === 'ilike' ? 'is' : 's');
+      test = r => r[column] != null && re.test(String(r[column]));
+      break;
+    }
+    default: throw new Error(`postgrest-stub: unsupported operator ${op}`);
+  }
+  return negate ? r => !test(r) : test;
+}
+
+/* or=(a.eq.1,b.is.null) / and=(...): items are column.op.value or nested or(...) / and(...) */
+function logical(kind: 'or' | 'and', list: string): Filter {
+  const parts = splitTop(list.replace(/^\(|\)$/g, '')).map(item => {
+    const nested = /^(or|and)\((.*)\)$/.exec(item);
+    if (nested) return logical(nested[1] as 'or' | 'and', `(${nested[2]})`);
+    const dot = item.indexOf('.');
+    return condition(item.slice(0, dot), item.slice(dot + 1));
+  });
+  return kind === 'or' ? r => parts.some(p => p(r)) : r => parts.every(p => p(r));
+}
+
+/* order=a.desc.nullslast,b.asc (Postgres defaults: nulls last ascending, first descending) */
+function sorter(order: string) {
+  const keys = order.split(',').map(part => {
+    const [column, ...mods] = part.split('.');
+    const desc = mods.includes('desc');
+    return { column, desc, nullsFirst: mods.includes('nullsfirst') || (desc && !mods.includes('nullslast')) };
+  });
+  return (a: any, b: any) => {
+    for (const k of keys) {
+      const A = a[k.column], B = b[k.column];
+      if (A == null && B == null) continue;
+      if (A == null) return k.nullsFirst ? -1 : 1;
+      if (B == null) return k.nullsFirst ? 1 : -1;
+      const c = compare(A, B);
+      if (c) return k.desc ? -c : c;
+    }
+    return 0;
+  };
+}
+
+export function createPostgrestStub(tables: Record<string, StubTable>) {
+  const data: Record<string, any[]> = Object.fromEntries(Object.keys(tables).map(t => [t, []]));
+  const seq: Record<string, number> = {};
+  const failures: { table: string; method: string }[] = [];
+  const requests: { method: string; table: string }[] = [];
+
+  function conflict(table: string, row: any, ignore: any = null) {
+    const spec = tables[table];
+    const sets = [{ columns: [spec.primary] }, ...(spec.unique || [])] as { columns: string[]; where?: (row: any) => boolean }[];
+    return data[table].find(r => r !== ignore && sets.some(u =>
+      (!u.where || (u.where(r) && u.where(row))) && u.columns.every(c => row[c] != null && String(r[c]) === String(row[c]))));
+  }
+
+  function reply(status: number, body: any, headers: Record<string, string> = {}) {
+    return new Response(body === undefined ? null : JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+  }
+
+  async function handle(input: string, init: RequestInit = {}): Promise<Response> {
+    const url = new URL(input);
+    const table = url.pathname.replace(/^\/rest\/v1\//, '');
+    const method = (init.method || 'GET').toUpperCase();
+    requests.push({ method, table });
+    const spec = tables[table];
+    if (!spec) return reply(404, { message: `relation "${table}" does not exist` });
+    const i = failures.findIndex(f => f.table === table && f.method === method);
+    if (i >= 0) {
+      failures.splice(i, 1);
+      return reply(500, { message: 'injected failure' });
+    }
+
+    const headers = new Headers(init.headers as any);
+    const prefer = headers.get('Prefer') || '';
+    const representation = prefer.includes('return=representation');
+    const filters: Filter[] = [];
+    let order: string | null = null, limit = Infinity, offset = 0, select = '*';
+    for (const [k, v] of url.searchParams) {
+      if (k === 'select') select = v;
+      else if (k === 'order') order = v;
+      else if (k === 'limit') limit = Number(v);
+      else if (k === 'offset') offset = Number(v);
+      else if (k === 'on_conflict' || k === 'columns') continue;
+      else if (k === 'or' || k === 'and') filters.push(logical(k, v));
+      else filters.push(condition(k, v));
+    }
+    const matching = () => data[table].filter(r => filters.every(f => f(r)));
+    const project = (rows: any[]) => select === '*' ? rows.map(r => ({ ...r }))
+      : rows.map(r => Object.fromEntries(select.split(',').map(c => [c, r[c]])));
+
+    if (method === 'GET') {
+      const rows = matching();
+      if (order) rows.sort(sorter(order));
+      const page = rows.slice(offset, offset + limit);
+      const range = prefer.includes('count=exact') ? { 'Content-Range': `${page.length ? `${offset}-${offset + page.length - 1}` : '*'}/${rows.length}` } : undefined;
+      return reply(200, project(page), range);
+    }
+
+    if (method === 'POST') {
+      const body = JSON.parse(String(init.body || '[]'));
+      const merge = prefer.includes('resolution=merge-duplicates');
+      const ignore = prefer.includes('resolution=ignore-duplicates');
+      const out: any[] = [];
+      const added: any[] = [];
+      for (const input of Array.isArray(body) ? body : [body]) {
+        const row = { ...(spec.defaults ? spec.defaults() : {}), ...input };
+        if (spec.serial && row[spec.primary] == null) row[spec.primary] = (seq[table] = (seq[table] || 0) + 1);
+        const existing = conflict(table, row);
+        if (existing) {
+          if (ignore) continue;
+          if (!merge) {
+            added.forEach(r => data[table].splice(data[table].indexOf(r), 1));
+            return reply(409, { code: '23505', message: `duplicate key value violates unique constraint on ${table}` });
+          }
+          Object.assign(existing, input);
+          out.push(existing);
+        } else {
+          data[table].push(row);
+          added.push(row);
+          out.push(row);
+        }
+      }
+      return representation ? reply(201, project(out)) : reply(201, undefined);
+    }
+
+    if (method === 'PATCH') {
+      const patch = JSON.parse(String(init.body || '{}'));
+      const rows = matching();
+      rows.forEach(r => Object.assign(r, patch));
+      return representation ? reply(200, project(rows)) : reply(204, undefined);
+    }
+
+    if (method === 'DELETE') {
+      const rows = matching();
+      data[table] = data[table].filter(r => !rows.includes(r));
+      return representation ? reply(200, project(rows)) : reply(204, undefined);
+    }
+
+    return reply(405, { message: `method ${method} not supported` });
+  }
+
+  return {
+    data,
+    requests,
+    fetch: ((input: any, init?: RequestInit) => handle(String(input), init)) as typeof fetch,
+    failNext(table: string, method: string) { failures.push({ table, method: method.toUpperCase() }); }
+  };
+}
+
+export type PostgrestStub = ReturnType<typeof createPostgrestStub>;
+
+const now = () => new Date().toISOString();
+
+/* The tables the repository and the ledger use, as in migrations/ */
+export const SUPABASE_TABLES: Record<string, StubTable> = {
+  kho: { primary: 'key', defaults: () => ({ created_at: now(), updated_at: now() }) },
+  history: { primary: 'id', serial: true, defaults: () => ({ created_at: now(), reversed_at: null }) },
+  members: { primary: 'id', serial: true, defaults: () => ({ created_at: now(), credit_limit: null }) },
+  employees: { primary: 'id', serial: true, unique: [{ columns: ['username'] }], defaults: () => ({ created_at: now() }) },
+  member_ledger: {
+    primary: 'id', serial: true, defaults: () => ({ at: now() }),
+    unique: [{ columns: ['member_id', 'sale_id'], where: r => r.kind === 'sale' }]
+  },
+  kho_holds: { primary: 'key', defaults: () => ({ created_at: now() }) }
+};
@@ -0,0 +1,55 @@
+/**
+ * test/providers.test.ts
+ *
+ * Who sees disabled providers: GET on netlify/functions/providers.ts (the same rule as GET /api/providers
+ * in server.ts) lists them only to roles with 'providers.manage' (src/permissions.ts).
+ * Runs against the in-memory catalog (DEFAULT_PROVIDERS) with signed access tokens; no Supabase.
+ */
+
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import type { Provider } from '../src/providers.js';
+
+process.env.SESSION_SECRET = 'providers-test-secret-providers-test-secret';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_ROLE;
+delete process.env.SKIP_AUTH;
+
+const { signAccessToken } = await import('../src/auth.js');
+const { handler } = await import('../netlify/functions/providers.js');
+
+const DISABLED_SKU = '00906817';
+
+function call(role: string, method: string, query: Record<string, string> = {}, body?: any) {
+  const { token } = signAccessToken({ id: 1, username: role, role }, `sid-${role}`);
+  return handler({
+    httpMethod: method,
+    headers: { authorization: `Bearer ${token}` },
+    queryStringParameters: query,
+    body: body === undefined ? null : JSON.stringify(body)
+  } as any, {} as any) as Promise<{ statusCode: number; body: string }>;
+}
+
+async function skus(role: string, query: Record<string, string> = {}) {
+  const res = await call(role, 'GET', query);
+  assert.equal(res.statusCode, 200);
+  return (JSON.parse(res.body) as Provider[]).map(p => p.sku);
+}
+
+describe('GET providers: disabled SKUs', () => {
+  before(async () => {
+    const res = await call('admin', 'PUT', { sku: DISABLED_SKU }, { enabled: false });
+    assert.equal(res.statusCode, 200);
+  });
+
+  test('a cashier (staff role "user") token does not see them', async () => {
+    const listed = await skus('user');
+    assert.ok(listed.length > 0);
+    assert.ok(!listed.includes(DISABLED_SKU));
+  });
+
+  test('providers.manage sees them unless it asks for enabled ones only', async () => {
+    assert.ok((await skus('admin')).includes(DISABLED_SKU));
+    assert.ok(!(await skus('admin', { enabled: 'true' })).includes(DISABLED_SKU));
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * test/repository.contract.test.ts
+ *
+ * One contract for the storage backends of src/repository.ts (and the member ledger sell() writes to,
+ * src/ledger.ts): the same KHO, history, members and employees operations run against each of them and
+ * must give the same answers.
+ * - memory: the process-wide tables, emptied before each test.
+ * - supabase: the REST backend against test/postgrest-stub.ts, installed as globalThis.fetch.
+ * - pg: only with TEST_DATABASE_URL (a throwaway database: it is migrated with scripts/migrate.js and
+ *   its tables are truncated before each test); skipped otherwise.
+ *
+ * Run with `npm test` (builds first, then node --test on dist/test/).
+ */
+
+import { describe, test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import pg from 'pg';
+import { createRepository, parseKhoBill, KhoInput, Repository } from '../src/repository.js';
+import { createLedger, CreditLimitError, Ledger } from '../src/ledger.js';
+import { priceBill } from '../src/pricing.js';
+import { createPostgrestStub, PostgrestStub, SUPABASE_TABLES } from './postgrest-stub.js';
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || '';
+const SUPABASE = { url: 'http://supabase.test', key: 'service-role' };
+
+type Store = { repo: Repository; ledger: Ledger };
+type Backend = {
+  name: string;
+  skip?: string | false;
+  // Sales to one member are checked against the credit limit one after the other
+  serializesSales: boolean;
+  setup?: () => Promise<void>;
+  open: () => Promise<Store>;
+  close?: () => Promise<void>;
+  teardown?: () => Promise<void>;
+};
+
+const realFetch = globalThis.fetch;
+let stub: PostgrestStub;
+let pool: pg.Pool | null = null;
+
+const BACKENDS: Backend[] = [
+  {
+    name: 'memory',
+    serializesSales: true,
+    async open() {
+      delete (globalThis as any).__PROJECT_TRA_CUU_MEM__;
+      return { repo: createRepository({ pool: null }), ledger: createLedger({ pool: null }) };
+    }
+  },
+  {
+    name: 'supabase',
+    serializesSales: false,
+    async open() {
+      stub = createPostgrestStub(SUPABASE_TABLES);
+      globalThis.fetch = stub.fetch;
+      return { repo: createRepository({ pool: null, supabase: SUPABASE }), ledger: createLedger({ pool: null, supabase: SUPABASE }) };
+    },
+    async close() { globalThis.fetch = realFetch; }
+  },
+  {
+    name: 'pg',
+    skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set',
+    serializesSales: true,
+    async setup() {
+      execFileSync(process.execPath, [path.join(process.cwd(), 'scripts', 'migrate.js'), 'up'], {
+        env: { ...process.env, DATABASE_URL: TEST_DATABASE_URL }, stdio: 'pipe'
+      });
+      pool = new pg.Pool({ connectionString: TEST_DATABASE_URL, max: 4 });
+    },
+    async open() {
+      await pool!.query('TRUNCATE kho, history, members, employees, member_ledger, kho_holds RESTART IDENTITY CASCADE');
+      return { repo: createRepository({ pool }), ledger: createLedger({ pool }) };
+    },
+    async teardown() { await pool?.end(); }
+  }
+];
+
+/* ---- Fixtures ---- */
+
+const T1 = '2025-01-01T08:00:00.000Z';
+const T2 = '2025-01-02T08:00:00.000Z';
+const T3 = '2025-01-03T08:00:00.000Z';
+
+function bill(key: string, total: number, fields: Record<string, any> = {}): KhoInput {
+  return parseKhoBill({ key, account: `PE${key}`, provider_id: 'EVNHCM', name: `Khach ${key}`, address: 'Q1', total, nhapAt: T1, ...fields })!;
+}
+
+const seller = { id: '7', username: 'seller' };
+const price = (it: { total: number }) => priceBill(it.total, 0.02, 1000);
+
+/* ---- Contract ---- */
+
+for (const backend of BACKENDS) {
+  describe(`repository contract: ${backend.name}`, { skip: backend.skip }, () => {
+    let repo: Repository;
+    let ledger: Ledger;
+
+    before(async () => { await backend.setup?.(); });
+    after(async () => { await backend.teardown?.(); });
+    beforeEach(async () => ({ repo, ledger } = await backend.open()));
+    afterEach(async () => { await backend.close?.(); });
+
+    const keysOf = (rows: { key: string }[]) => rows.map(r => r.key);
+
+    describe('kho', () => {
+      test('upsert counts added and updated rows; a re-import keeps nhapAt', async () => {
+        const first = await repo.kho.upsert([bill('A', 100000), bill('B', 200000, { nhapAt: T2 })]);
+        assert.equal(first.added, 2);
+        assert.equal(first.updated, 0);
+
+        const again = await repo.kho.upsert([bill('A', 120000, { name: 'Khach A moi', nhapAt: T3 })]);
+        assert.equal(again.added, 0);
+        assert.equal(again.updated, 1);
+        assert.deepEqual(keysOf(again.previous), ['A']);
+
+        const [a] = await repo.kho.get(['A']);
+        assert.equal(a.total, 120000);
+        assert.equal(a.name, 'Khach A moi');
+        assert.equal(a.nhapAt, T1);
+        assert.equal(await repo.kho.count(), 2);
+      });
+
+      test('list filters, orders and pages', async () => {
+        await repo.kho.upsert([
+          bill('A', 100000, { name: 'Nguyen Van A', nhapAt: T1 }),
+          bill('B', 250000, { name: 'Tran Thi B', nhapAt: T2 }),
+          bill('C', 50000, { name: 'Le 100%', provider_id: 'EVNHN', nhapAt: T3 })
+        ]);
+        assert.deepEqual(keysOf(await repo.kho.list()), ['C', 'B', 'A']);
+        assert.deepEqual(keysOf(await repo.kho.list({ order: 'oldest' })), ['A', 'B', 'C']);
+        assert.deepEqual(keysOf(await repo.kho.list({ provider_id: 'EVNHCM' })), ['B', 'A']);
+        assert.deepEqual(keysOf(await repo.kho.list({ fromAmount: 60000, toAmount: 200000 })), ['A']);
+        assert.deepEqual(keysOf(await repo.kho.list({ search: 'TRAN' })), ['B']);
+        // LIKE metacharacters in the search are literal
+        assert.deepEqual(keysOf(await repo.kho.list({ search: '100%' })), ['C']);
+        assert.deepEqual(keysOf(await repo.kho.list({ search: 'n_uyen' })), []);
+        assert.deepEqual(keysOf(await repo.kho.list({ limit: 1, offset: 1 })), ['B']);
+      });
+
+      test('get keeps the order asked for; remove returns what it removed', async () => {
+        await repo.kho.upsert([bill('A', 100000), bill('B', 200000)]);
+        assert.deepEqual(keysOf(await repo.kho.get(['B', 'X', 'A'])), ['B', 'A']);
+        assert.deepEqual(keysOf(await repo.kho.remove(['A', 'X'])), ['A']);
+        assert.deepEqual(keysOf(await repo.kho.list()), ['B']);
+        assert.equal(await repo.kho.count(), 1);
+      });
+
+      test('markVerified counts the rows still in KHO', async () => {
+        await repo.kho.upsert([bill('A', 100000)]);
+        const mark = { last_verified_at: T2, verify_status: 'changed' as const, verified_total: 90000, verify_error: null };
+        assert.equal(await repo.kho.markVerified([{ key: 'A', ...mark }, { key: 'X', ...mark }]), 1);
+        const [a] = await repo.kho.get(['A']);
+        assert.equal(a.verify_status, 'changed');
+        assert.equal(a.verified_total, 90000);
+        assert.equal(a.last_verified_at, T2);
+      });
+    });
+
+    describe('members', () => {
+      test('create, get, list and partial update', async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1', zalo: '0900' });
+        assert.equal(m.name, 'Dai ly 1');
+        assert.equal(m.bank, '');
+        assert.equal(m.credit_limit, null);
+        assert.deepEqual(await repo.members.get(m.id), m);
+
+        const updated = await repo.members.update(m.id, { credit_limit: 500000 });
+        assert.equal(updated?.credit_limit, 500000);
+        assert.equal(updated?.zalo, '0900');
+        assert.deepEqual((await repo.members.list()).map(x => String(x.id)), [String(m.id)]);
+      });
+
+      test('an unknown id is null', async () => {
+        assert.equal(await repo.members.get('987654321'), null);
+        assert.equal(await repo.members.update('987654321', { name: 'x' }), null);
+      });
+    });
+
+    describe('employees', () => {
+      const employee = (username: string) => ({ username, password_hash: 'hash', role: 'user', full_name: null, phone: null, address: null });
+
+      test('create, find by username ignoring case, list by username', async () => {
+        const e = await repo.employees.create(employee('thu_ngan'));
+        await repo.employees.create(employee('an'));
+        assert.equal((await repo.employees.findByUsername('THU_NGAN'))?.id, e.id);
+        // _ is not a wildcard
+        assert.equal(await repo.employees.findByUsername('thuxngan'), null);
+        assert.deepEqual((await repo.employees.list()).map(x => x.username), ['an', 'thu_ngan']);
+      });
+
+      test('update is partial; remove says whether there was a row', async () => {
+        const e = await repo.employees.create(employee('ke_toan'));
+        const updated = await repo.employees.update(e.id, { full_name: 'Ke Toan', role: 'admin' });
+        assert.equal(updated?.username, 'ke_toan');
+        assert.equal(updated?.full_name, 'Ke Toan');
+        assert.equal(updated?.role, 'admin');
+        assert.equal(await repo.employees.remove(e.id), true);
+        assert.equal(await repo.employees.remove(e.id), false);
+        assert.equal(await repo.employees.get(e.id), null);
+      });
+    });
+
+    describe('sell and history', () => {
+      test('sell moves priced bills to history and skips keys not in KHO', async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1' });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 200000)]);
+        const { sold, skipped } = await repo.sell({ keys: ['A', 'X'], member_id: m.id, employee: seller, note: 'giao ngay', price });
+
+        assert.deepEqual(keysOf(sold), ['A']);
+        assert.deepEqual(skipped.map(s => [s.key, s.reason]), [['X', 'not_in_kho']]);
+        const [row] = sold;
+        assert.ok(row.sale_id);
+        assert.equal(row.member_name, 'Dai ly 1');
+        assert.equal(String(row.employee_id), '7');
+        assert.equal(row.employee_username, 'seller');
+        assert.equal(row.sale_price, 99000);
+        assert.equal(row.note, 'giao ngay');
+        assert.equal(row.nhapAt, T1);
+
+        assert.deepEqual(keysOf(await repo.kho.list()), ['B']);
+        assert.deepEqual(keysOf(await repo.history.list()), ['A']);
+        assert.deepEqual(keysOf((await repo.sales.get(row.sale_id!))?.items || []), ['A']);
+      });
+
+      test('sell debits the amount due to the member ledger', async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1' });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 200000)]);
+        const { sold } = await repo.sell({ keys: ['A', 'B'], member_id: m.id, employee: seller, price });
+
+        assert.equal(await ledger.balance(m.id), 99000 + 197000);
+        const entries = await ledger.list({ member_id: String(m.id) });
+        assert.deepEqual(entries.map(e => [e.kind, e.amount, e.sale_id]), [['sale', 296000, sold[0].sale_id]]);
+      });
+
+      test('above the credit limit nothing is sold', async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1', credit_limit: 150000 });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 100000)]);
+
+        await assert.rejects(repo.sell({ keys: ['A', 'B'], member_id: m.id, employee: seller }), (err: any) => {
+          assert.ok(err instanceof CreditLimitError);
+          assert.equal(err.body.amount_due, 200000);
+          assert.equal(err.body.available, 150000);
+          return true;
+        });
+        assert.equal(await repo.kho.count(), 2);
+        assert.deepEqual(await repo.history.list(), []);
+        assert.equal(await ledger.balance(m.id), 0);
+
+        await repo.sell({ keys: ['A'], member_id: m.id, employee: seller });
+        await assert.rejects(repo.sell({ keys: ['B'], member_id: m.id, employee: seller }), CreditLimitError);
+        assert.equal(await ledger.balance(m.id), 100000);
+        assert.deepEqual(keysOf(await repo.kho.list()), ['B']);
+      });
+
+      test('concurrent sales to one member are checked one after the other', { skip: !backend.serializesSales && 'no lock over REST' }, async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1', credit_limit: 150000 });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 100000)]);
+        const out = await Promise.allSettled([
+          repo.sell({ keys: ['A'], member_id: m.id, employee: seller }),
+          repo.sell({ keys: ['B'], member_id: m.id, employee: seller })
+        ]);
+        assert.equal(out.filter(r => r.status === 'fulfilled').length, 1);
+        assert.ok(out.some(r => r.status === 'rejected' && r.reason instanceof CreditLimitError));
+        assert.equal(await ledger.balance(m.id), 100000);
+      });
+
+      test('history list filters by member, search and reversal', async () => {
+        const m1 = await repo.members.create({ name: 'Dai ly 1' });
+        const m2 = await repo.members.create({ name: 'Dai ly 2' });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 200000)]);
+        await repo.sell({ keys: ['A'], member_id: m1.id, employee: seller });
+        await repo.sell({ keys: ['B'], member_id: m2.id, employee: { id: '8', username: 'other' } });
+
+        assert.deepEqual(keysOf(await repo.history.list({ member_id: String(m1.id) })), ['A']);
+        assert.deepEqual(keysOf(await repo.history.list({ search: 'OTHER' })), ['B']);
+        assert.deepEqual(keysOf(await repo.history.list({ minTotal: 150000 })), ['B']);
+        assert.deepEqual(keysOf(await repo.history.list({ reversed: 'only' })), []);
+      });
+
+      test('reverse puts the bill back in KHO once, never over a re-imported one', async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1' });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 200000)]);
+        const { sold } = await repo.sell({ keys: ['A'], member_id: m.id, employee: seller });
+        const rev = { reason: 'nham member', actor: { id: '1', username: 'admin' } };
+
+        const out = await repo.history.reverse({ sale_id: sold[0].sale_id! }, rev);
+        assert.deepEqual(keysOf(out.reversed), ['A']);
+        assert.deepEqual(keysOf(out.restored), ['A']);
+        assert.equal(out.restored[0].nhapAt, T1);
+        assert.deepEqual(keysOf(await repo.kho.list({ order: 'oldest' })), ['A', 'B']);
+        assert.deepEqual(await repo.history.list(), []);
+        const [reversed] = await repo.history.list({ reversed: 'only' });
+        assert.equal(reversed.reversal_reason, 'nham member');
+        assert.equal(reversed.reversed_by_username, 'admin');
+
+        const again = await repo.history.reverse({ sale_id: sold[0].sale_id! }, rev);
+        assert.deepEqual(again.skipped.map(s => s.reason), ['already_reversed']);
+
+        const { sold: soldB } = await repo.sell({ keys: ['B'], member_id: m.id, employee: seller });
+        await repo.kho.upsert([bill('B', 210000)]);
+        const blocked = await repo.history.reverse({ ids: [String(soldB[0].id)] }, rev);
+        assert.deepEqual(blocked.skipped.map(s => [s.key, s.reason]), [['B', 'in_kho']]);
+        assert.equal((await repo.kho.get(['B']))[0].total, 210000);
+      });
+
+      test('reverse credits the member ledger with the sale it takes back', async () => {
+        const m = await repo.members.create({ name: 'Dai ly 1' });
+        await repo.kho.upsert([bill('A', 100000), bill('B', 200000)]);
+        const { sold } = await repo.sell({ keys: ['A', 'B'], member_id: m.id, employee: seller, price });
+        const rev = { reason: 'tra lai', actor: { id: '1', username: 'admin' } };
+
+        await repo.history.reverse({ ids: [String(sold[0].id)] }, rev);
+        assert.equal(await ledger.balance(m.id), 197000);
+        await repo.history.reverse({ sale_id: sold[0].sale_id! }, rev);
+        assert.equal(await ledger.balance(m.id), 0);
+        // Nothing left to reverse: no further credit
+        await repo.history.reverse({ sale_id: sold[0].sale_id! }, rev);
+
+        const entries = await ledger.list({ member_id: String(m.id) });
+        assert.deepEqual(entries.map(e => [e.kind, e.amount, e.actor_username]), [
+          ['sale', 296000, 'seller'], ['reversal', -99000, 'admin'], ['reversal', -197000, 'admin']
+        ]);
+      });
+    });
+  });
+}
+
+/* ---- Supabase only: no transaction, so a failure half-way must be undone by hand ---- */
+
+describe('repository: supabase rollbacks', () => {
+  let repo: Repository;
+  let ledger: Ledger;
+  beforeEach(async () => ({ repo, ledger } = await BACKENDS[1].open()));
+  afterEach(async () => { await BACKENDS[1].close?.(); });
+
+  test('a failed ledger debit takes the sale back', async () => {
+    const m = await repo.members.create({ name: 'Dai ly 1' });
+    await repo.kho.upsert([bill('A', 100000)]);
+    stub.failNext('member_ledger', 'POST');
+
+    await assert.rejects(repo.sell({ keys: ['A'], member_id: m.id, employee: seller }), /member_ledger request failed: 500/);
+    assert.deepEqual((await repo.kho.list()).map(r => r.key), ['A']);
+    assert.deepEqual(await repo.history.list({ reversed: 'include' }), []);
+    assert.equal(await ledger.balance(m.id), 0);
+  });
+
+  test('a failed history insert puts the claimed bills back', async () => {
+    const m = await repo.members.create({ name: 'Dai ly 1' });
+    await repo.kho.upsert([bill('A', 100000)]);
+    stub.failNext('history', 'POST');
+
+    await assert.rejects(repo.sell({ keys: ['A'], member_id: m.id, employee: seller }), /history request failed: 500/);
+    assert.deepEqual((await repo.kho.list()).map(r => r.key), ['A']);
+    assert.equal(await ledger.balance(m.id), 0);
+  });
+
+  test('a failed reversal credit leaves the sale as it was', async () => {
+    const m = await repo.members.create({ name: 'Dai ly 1' });
+    await repo.kho.upsert([bill('A', 100000)]);
+    const { sold } = await repo.sell({ keys: ['A'], member_id: m.id, employee: seller });
+    stub.failNext('member_ledger', 'POST');
+
+    await assert.rejects(repo.history.reverse({ sale_id: sold[0].sale_id! }, { reason: 'tra lai', actor: null }), /member_ledger request failed: 500/);
+    assert.deepEqual(await repo.kho.list(), []);
+    assert.deepEqual((await repo.history.list()).map(r => r.key), ['A']);
+    assert.equal(await ledger.balance(m.id), 100000);
+
+    const out = await repo.history.reverse({ sale_id: sold[0].sale_id! }, { reason: 'tra lai', actor: null });
+    assert.deepEqual(out.reversed.map(r => r.key), ['A']);
+    assert.equal(await ledger.balance(m.id), 0);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * types/index.d.ts
+ *
+ * Ambient types shared by server.ts and src/ modules.
+ */
+
+/* Logged-in employee attached to each authenticated request by requireAuth */
+type AuthEmployee = {
+  id: string | number | null;
+  username: string;
+  role: string;
+  full_name: string | null;
+  phone: string | null;
+  address: string | null;
+};
+
+declare namespace Express {
+  interface Request {
+    employee?: AuthEmployee;
+    sessionId?: string;
+  }
+}